@@ -1,3 +1,5 @@
+import ScorekeeperAccess from '../models/ScorekeeperAccess.js';
+
 // Express middleware: check bowler authentication
 export function requireBowlerAuth(req, res, next) {
     if (req.session && req.session.bowlerId) {
@@ -27,3 +29,29 @@ export function requireAdminApi(req, res, next) {
     }
     return res.status(403).send({ error: 'Admin authentication required' });
 }
+
+// Express middleware: check admin or scorekeeper session for one tournament's
+// score entry. Scorekeepers are signed in to a single tournament, and lose
+// access as soon as their code is revoked.
+export async function requireScoreEntry(req, res, next) {
+    if (req.session && req.session.isAdmin) {
+        return next();
+    }
+
+    const scorekeeper = req.session?.scorekeeper;
+    if (!scorekeeper || scorekeeper.tournamentId !== req.params.tournamentId) {
+        return res.status(403).send({ error: 'Score entry sign-in required' });
+    }
+
+    try {
+        const access = await ScorekeeperAccess.exists({ _id: scorekeeper.accessId });
+        if (!access) {
+            req.session.scorekeeper = undefined;
+            return res.status(403).send({ error: 'This access code has been revoked' });
+        }
+        return next();
+    } catch (error) {
+        console.error('Score entry auth error:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+}
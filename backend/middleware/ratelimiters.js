@@ -42,6 +42,14 @@ export const pageViewLimiter = createLimiter(
     'Too many requests, please try again later'
 );
 
+// Desk staff save a squad's scores back to back, and a tablet coming back
+// online replays everything it queued
+export const scoreEntryLimiter = createLimiter(
+    120,
+    1 * 60 * 1000,
+    'Too many score saves, please try again shortly'
+);
+
 export const reservationLimiter = createLimiter(
     10,
     1 * 60 * 1000,
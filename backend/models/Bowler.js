@@ -30,12 +30,32 @@ const bowlerSchema = new mongoose.Schema({
     bio: String,
     homeCenter: String,
     yearsExperience: Number,
+    dateOfBirth: Date,
+
+    // Tour membership, maintained by admins (members-only divisions)
+    membership: {
+        number: String,
+        expiresAt: Date
+    },
     
     // Stats
     currentAverage: Number, // Self-reported average from registrations
     tournamentAverage: Number, // Calculated from actual tournament results
     highGame: Number,
     highSeries: Number,
+    // Honour scores from tournament games
+    perfectGames: Number,
+    eightHundredSeries: Number,
+    // Totals from games entered frame by frame (strike % = strikes / strikeChances)
+    frameStats: {
+        framedGames: Number,
+        strikes: Number,
+        strikeChances: Number,
+        spares: Number,
+        spareChances: Number,
+        openFrames: Number,
+        cleanGames: Number
+    },
     
     // Tournament history tracking
     tournamentsEntered: [{
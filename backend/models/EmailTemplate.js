@@ -5,7 +5,7 @@ const emailTemplateSchema = new mongoose.Schema({
         type: String,
         required: true,
         unique: true,
-        enum: ['registration-confirmation']
+        enum: ['registration-confirmation', 'waitlist-offer', 'registration-open', 'registration-closed']
     },
     subject: {
         type: String,
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+
+/**
+ * One run of a scheduled job, kept as history for admins
+ */
+const jobRunSchema = new mongoose.Schema({
+    job: {
+        type: String,
+        required: true,
+        enum: ['start_tournament', 'flag_completion', 'registration_open', 'registration_close', 'process_waitlist']
+    },
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        default: null
+    },
+    tournamentName: String,
+    status: {
+        type: String,
+        enum: ['success', 'failed'],
+        required: true
+    },
+    message: String,
+    instance: String,
+    trigger: {
+        type: String,
+        enum: ['schedule', 'manual'],
+        default: 'schedule'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: Date
+});
+
+// Keep 90 days of history
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 60 * 60 * 24 * 90 });
+
+export default mongoose.model('JobRun', jobRunSchema);
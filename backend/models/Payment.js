@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for a payment ledger entry: money received for or refunded on a
+ * registration. Online entries track a checkout session with a payment
+ * provider and what the provider reported back; entries recorded by an
+ * admin (cash, bank transfer, card at the desk) are completed when saved.
+ * Amounts are in minor units (cents).
+ */
+const paymentSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['payment', 'refund'],
+        default: 'payment'
+    },
+    method: {
+        type: String,
+        enum: ['online', 'cash', 'bank_transfer', 'card'],
+        default: 'online'
+    },
+    provider: {
+        type: String,
+        default: '' // Empty for entries recorded by an admin
+    },
+    providerReference: {
+        type: String // Provider's checkout session ID
+    },
+    providerPaymentId: {
+        type: String, // Provider's charge/payment ID once paid
+        default: ''
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        required: true,
+        uppercase: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'completed', 'failed', 'expired'],
+        default: 'pending'
+    },
+    checkoutUrl: {
+        type: String,
+        default: ''
+    },
+    expiresAt: {
+        type: Date,
+        default: null // When the provider's checkout session lapses
+    },
+    recordedBy: {
+        type: String,
+        default: '' // Admin email for manual entries
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    completedAt: {
+        type: Date,
+        default: null
+    },
+    failedAt: {
+        type: Date,
+        default: null
+    },
+    // Webhook events already applied, so redelivered events are ignored
+    events: [{
+        id: String,
+        type: String,
+        receivedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true
+});
+
+paymentSchema.index(
+    { provider: 1, providerReference: 1 },
+    { unique: true, partialFilterExpression: { providerReference: { $type: 'string' } } }
+);
+// One open checkout per registration, so a double-click can't start two
+paymentSchema.index(
+    { registration: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+paymentSchema.index({ registration: 1, status: 1 });
+paymentSchema.index({ tournament: 1, status: 1 });
+
+export default mongoose.model('Payment', paymentSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { tallyFrameStats } from '../../frontend/js/shared/frames.js';
 
 const registrationSchema = new mongoose.Schema({
     tournament: {
@@ -36,20 +37,114 @@ const registrationSchema = new mongoose.Schema({
         enum: ['male', 'female'],
         required: true
     },
+    dateOfBirth: {
+        type: Date,
+        default: null
+    },
+    // Keys of the tournament divisions entered (format.divisions)
+    divisions: [{
+        type: String
+    }],
     assignedSquads: [{
         type: mongoose.Schema.Types.ObjectId
     }],
+    // Starting lane in each squad, from the squad's lane assignment
+    laneAssignments: [{
+        squad: mongoose.Schema.Types.ObjectId,
+        lane: Number,
+        position: Number, // Order on the lane, 1 bowls first
+        _id: false
+    }],
     status: {
         type: String,
         enum: ['pending', 'confirmed', 'cancelled', 'waitlist'],
         default: 'pending'
     },
+    // Place on the waitlist (status 'waitlist') and any spot currently
+    // offered. A live offer holds the spot in assignedSquads until it expires.
+    waitlist: {
+        joinedAt: {
+            type: Date,
+            default: null
+        },
+        offerToken: {
+            type: String,
+            default: null
+        },
+        offeredAt: {
+            type: Date,
+            default: null
+        },
+        offerExpiresAt: {
+            type: Date,
+            default: null
+        }
+    },
+    // Keys of the tournament add-ons bought (pricing.addOns)
+    addOns: [{
+        type: String
+    }],
+    // Keys of the tournament side events entered (sideEvents)
+    sideEvents: [{
+        type: String
+    }],
+    // Itemised price worked out when the bowler registered, in dollars
+    quote: {
+        items: [{
+            kind: {
+                type: String,
+                enum: ['entry', 'reentry', 'squad', 'addon', 'side_event']
+            },
+            label: String,
+            amount: Number,
+            _id: false
+        }],
+        total: {
+            type: Number,
+            default: null // null = registered before quotes; entryFee applies
+        },
+        window: {
+            type: String,
+            default: '' // Pricing window applied, if any
+        },
+        calculatedAt: {
+            type: Date,
+            default: null
+        }
+    },
     paymentStatus: {
         type: String,
         enum: ['unpaid', 'deposit', 'paid'],
         default: 'unpaid'
     },
     notes: String,
+    // Average used for handicap, chosen by the tournament's handicapAveragePolicy
+    // and locked at the registration deadline
+    enteringAverage: {
+        value: {
+            type: Number,
+            default: null
+        },
+        source: {
+            type: String,
+            enum: ['self_reported', 'tournament_average', 'admin_verified', ''],
+            default: ''
+        },
+        lockedAt: {
+            type: Date,
+            default: null
+        }
+    },
+    averageOverrides: [{
+        previousValue: Number,
+        value: Number,
+        note: String,
+        changedBy: String, // Admin email
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     registeredAt: {
         type: Date,
         default: Date.now
@@ -63,9 +158,27 @@ const registrationSchema = new mongoose.Schema({
         stageIndex: Number,
         scores: [Number], // Game scores for this stage
         bonusPins: [Number], // Matchplay bonus pins per game
+        // Optional ball-by-ball pinfall per game, parallel to scores: each game
+        // is up to 10 frames of pins per ball, or empty when only the total is known
+        frames: [[[Number]]],
         handicap: Number, // Handicap per game
         total: Number,
         carryover: Number // Pinfall carried from previous stage
+    }],
+    // One qualifying block per squad bowled; the best scoresToCount blocks
+    // are copied into the stage's stageScores entry
+    qualifyingEntries: [{
+        stageIndex: Number,
+        squad: mongoose.Schema.Types.ObjectId,
+        scores: [Number],
+        bonusPins: [Number],
+        frames: [[[Number]]], // Same layout as stageScores.frames
+        handicap: Number,
+        total: Number, // Scratch + bonus pins for the block
+        counts: {
+            type: Boolean,
+            default: false // Whether this block counts towards the qualifying total
+        }
     }]
 }, {
     timestamps: true
@@ -75,6 +188,8 @@ const registrationSchema = new mongoose.Schema({
 registrationSchema.index({ tournament: 1, email: 1 }, { unique: true });
 registrationSchema.index({ tournament: 1, status: 1 });
 registrationSchema.index({ tournament: 1, status: 1, assignedSquads: 1 });
+registrationSchema.index({ tournament: 1, status: 1, 'waitlist.joinedAt': 1 });
+registrationSchema.index({ 'waitlist.offerToken': 1 }, { sparse: true });
 registrationSchema.index({ email: 1 });
 registrationSchema.index({ bowler: 1 });
 
@@ -127,11 +242,17 @@ registrationSchema.post('save', async function(doc) {
                 });
                 
                 const tournamentAverage = totalGames > 0 ? Math.round(totalPins / totalGames) : null;
+                const { perfectGames, eightHundredSeries, ...frameStats } = tallyFrameStats(
+                    registrations.flatMap(reg => reg.stageScores || [])
+                );
                 
                 await Bowler.findByIdAndUpdate(bowler._id, {
                     tournamentAverage,
                     highGame: highGame || undefined,
-                    highSeries: highSeries || undefined
+                    highSeries: highSeries || undefined,
+                    perfectGames,
+                    eightHundredSeries,
+                    frameStats
                 });
             }
         }
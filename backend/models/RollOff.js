@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for a roll-off used to separate tied bowlers in a stage
+ * registrations are stored in finishing order (winner first)
+ */
+const rollOffSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    stageIndex: {
+        type: Number,
+        required: true
+    },
+    registrations: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration'
+    }],
+    scores: [Number], // Optional roll-off scores, in the same order
+    recordedBy: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+rollOffSchema.index({ tournament: 1, stageIndex: 1 });
+
+export default mongoose.model('RollOff', rollOffSchema);
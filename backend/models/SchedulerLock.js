@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+/**
+ * Lease held by the one server instance that runs scheduled jobs.
+ * Another instance can take over once the lease expires.
+ */
+const schedulerLockSchema = new mongoose.Schema({
+    _id: {
+        type: String // Lock name
+    },
+    holder: {
+        type: String,
+        required: true // Instance ID
+    },
+    acquiredAt: Date,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+});
+
+export default mongoose.model('SchedulerLock', schedulerLockSchema);
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Schema for a score-entry access code
+ * Lets desk staff enter scores for one tournament without full admin access.
+ * Only a hash of the code is kept; deleting the document revokes it.
+ */
+const scorekeeperAccessSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    label: {
+        type: String,
+        trim: true,
+        default: ''
+    }, // e.g. "Front desk tablet"
+    codeHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    createdBy: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+scorekeeperAccessSchema.index({ tournament: 1 });
+
+export default mongoose.model('ScorekeeperAccess', scorekeeperAccessSchema);
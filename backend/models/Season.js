@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// One bowler's finish in a completed tournament and the tour points it earned
+const seasonFinishSchema = new mongoose.Schema({
+    bowler: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Bowler',
+        default: null
+    },
+    // Identifies bowlers without a profile; never sent to the public
+    email: {
+        type: String,
+        default: ''
+    },
+    playerName: String,
+    position: Number,
+    madeCut: {
+        type: Boolean,
+        default: false
+    },
+    title: {
+        type: Boolean,
+        default: false
+    },
+    points: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// Points recorded for a tournament when it was marked completed
+const seasonEventSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    recordedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishes: [seasonFinishSchema]
+}, { _id: false });
+
+const seasonSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startDate: Date,
+    endDate: Date,
+    tournaments: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament'
+    }],
+    // Tour points by finishing position; positions past the end earn none
+    pointsTable: [{
+        type: Number,
+        min: 0
+    }],
+    // Extra points for reaching the second stage, and for winning
+    cutBonus: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    titleBonus: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Each bowler's worst N events don't count (missed events count as zero)
+    dropWorst: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    events: [seasonEventSchema]
+}, {
+    timestamps: true
+});
+
+seasonSchema.index({ tournaments: 1 });
+
+const Season = mongoose.model('Season', seasonSchema);
+
+export default Season;
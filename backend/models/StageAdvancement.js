@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const advancedBowlerSchema = new mongoose.Schema({
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    playerName: String,
+    position: Number, // Finishing position in the stage they advanced from
+    total: Number,
+    carryover: {
+        type: Number,
+        default: 0
+    },
+
+    /**
+     * State before advancing, so the advancement can be undone
+     */
+    previousStage: {
+        type: Number,
+        default: 0
+    },
+    previousCarryover: {
+        type: Number,
+        default: null // null = there was no stageScores entry for the next stage
+    }
+}, { _id: false });
+
+/**
+ * Schema for one cut between stages
+ * Records who advanced and what they carried so the step can be reversed
+ */
+const stageAdvancementSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    fromStage: {
+        type: Number,
+        required: true
+    },
+    toStage: {
+        type: Number,
+        required: true
+    },
+    advancingBowlers: Number,
+    carryoverPercentage: {
+        type: Number,
+        default: 0 // 0 when the next stage doesn't carry pinfall over
+    },
+    bowlers: [advancedBowlerSchema],
+    advancedBy: {
+        type: String,
+        default: '' // Admin email
+    },
+    undoneAt: {
+        type: Date,
+        default: null
+    },
+    undoneBy: {
+        type: String,
+        default: ''
+    }
+}, {
+    timestamps: true
+});
+
+stageAdvancementSchema.index({ tournament: 1, fromStage: 1, createdAt: -1 });
+// One active cut per stage, so two admins advancing at once can't both succeed
+stageAdvancementSchema.index(
+    { tournament: 1, fromStage: 1 },
+    { unique: true, partialFilterExpression: { undoneAt: { $type: 'null' } } }
+);
+
+export default mongoose.model('StageAdvancement', stageAdvancementSchema);
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+
+const matchParticipantSchema = new mongoose.Schema({
+    registration: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        required: true
+    },
+    playerName: {
+        type: String,
+        default: ''
+    },
+    seed: {
+        type: Number,
+        default: null
+    },
+    scores: [Number], // Game scores bowled in this match
+    result: {
+        type: String,
+        enum: ['win', 'tie', 'middle', 'loss', ''], // middle = second place in a tri-matchplay group
+        default: ''
+    },
+    points: {
+        type: Number,
+        default: 0 // Win/tie/loss points awarded for this match
+    },
+    pinfall: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+/**
+ * Schema for a single head-to-head match inside a matchplay stage
+ * One document per pairing per round
+ */
+const stageMatchSchema = new mongoose.Schema({
+    tournament: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tournament',
+        required: true
+    },
+    stageIndex: {
+        type: Number,
+        required: true
+    },
+    stageType: {
+        type: String,
+        enum: ['round_robin', 'tri_matchplay', 'elimination', 'stepladder'],
+        required: true
+    },
+    round: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    matchNumber: {
+        type: Number,
+        default: 1
+    },
+
+    /**
+     * Position rounds pair bowlers by current standings (1v2, 3v4, ...)
+     */
+    isPositionRound: {
+        type: Boolean,
+        default: false
+    },
+    matchFormat: {
+        type: String,
+        enum: ['single-game', 'best-of-3', 'best-of-5', 'total-pinfall-2', 'total-pinfall-3'],
+        default: 'single-game'
+    },
+    division: {
+        type: String,
+        default: '' // Division this match belongs to when divisions bowl separately
+    },
+    participants: [matchParticipantSchema],
+
+    /**
+     * Elimination bracket links. Winners (and in double elimination, losers)
+     * are moved into the referenced match once this match is decided.
+     * pendingFeeds counts the feeder matches that haven't reported yet.
+     */
+    bracket: {
+        type: String,
+        enum: ['winners', 'losers', 'grand_final', ''],
+        default: ''
+    },
+    winnerTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StageMatch',
+        default: null
+    },
+    loserTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'StageMatch',
+        default: null
+    },
+    pendingFeeds: {
+        type: Number,
+        default: 0
+    },
+    winner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Registration',
+        default: null
+    },
+    isBye: {
+        type: Boolean,
+        default: false
+    },
+    needsRollOff: {
+        type: Boolean,
+        default: false // Match finished level and a roll-off winner must be recorded
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'completed'],
+        default: 'scheduled'
+    },
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+stageMatchSchema.index({ tournament: 1, stageIndex: 1, round: 1, matchNumber: 1 });
+stageMatchSchema.index({ 'participants.registration': 1 });
+
+export default mongoose.model('StageMatch', stageMatchSchema);
@@ -35,9 +35,226 @@ const squadSchema = new mongoose.Schema({
         type: String,
         enum: ['qualifying', 'round_robin', 'tri_matchplay', 'elimination', 'stepladder', ''],
         default: ''
+    },
+    // Price for this squad when bowled as a re-entry, or as a squad charged
+    // on its own (null = the tournament's re-entry fee)
+    price: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    // Lanes the squad bowls on. Bowlers are spread over the pairs and cross
+    // movePairs pairs to the right after each block.
+    lanes: {
+        first: {
+            type: Number,
+            default: null,
+            min: 1
+        },
+        last: {
+            type: Number,
+            default: null,
+            min: 1
+        },
+        bowlersPerLane: {
+            type: Number,
+            default: 4,
+            min: 1
+        },
+        method: {
+            type: String,
+            enum: ['random', 'average', 'home_center'],
+            default: 'random'
+        },
+        blocks: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        movePairs: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        assignedAt: {
+            type: Date,
+            default: null
+        }
     }
 }, { _id: true });
 
+// A division with its own standings. Bowlers must meet every rule that is set.
+const divisionSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    gender: {
+        type: String,
+        enum: ['male', 'female', ''],
+        default: ''
+    },
+    // Age on the tournament start date
+    minAge: {
+        type: Number,
+        default: null
+    },
+    maxAge: {
+        type: Number,
+        default: null
+    },
+    // Highest entering average allowed (e.g. a Non-Pro ceiling)
+    maxAverage: {
+        type: Number,
+        default: null
+    },
+    membersOnly: {
+        type: Boolean,
+        default: false
+    },
+    // Scratch or handicap standings; unset follows format.useHandicap
+    scoring: {
+        type: String,
+        enum: ['scratch', 'handicap']
+    }
+}, { _id: false });
+
+// A pricing window such as early-bird or late entry. Fees left empty fall
+// back to the tournament's entry fee and re-entry fee.
+const priceWindowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    startsAt: {
+        type: Date,
+        default: null // null = from when registration opens
+    },
+    endsAt: {
+        type: Date,
+        default: null // null = until registration closes
+    },
+    entryFee: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    reentryFee: {
+        type: Number,
+        default: null,
+        min: 0
+    }
+}, { _id: false });
+
+// Optional extra a bowler can buy with their entry (brackets, side pots...)
+const addOnSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+}, { _id: false });
+
+// Side action bowled alongside the main event, won on the stageScores already
+// recorded. Brackets are single elimination, one game per round.
+const sideEventSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    type: {
+        type: String,
+        enum: ['high_game', 'high_series', 'brackets'],
+        required: true
+    },
+    scoring: {
+        type: String,
+        enum: ['scratch', 'handicap'],
+        default: 'scratch'
+    },
+    // Games the event is decided on, 1-based within the stage
+    stageIndex: {
+        type: Number,
+        default: 0
+    },
+    startGame: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    endGame: {
+        type: Number,
+        default: 3,
+        min: 1
+    },
+    // Bowlers per bracket; must be a power of two
+    bracketSize: {
+        type: Number,
+        default: 8,
+        enum: [2, 4, 8, 16]
+    },
+    entryFee: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Dollars paid by finishing place (per bracket for brackets)
+    payouts: [{
+        type: Number,
+        min: 0
+    }]
+}, { _id: false });
+
+// Prize table for one division's standings
+const divisionPrizePoolSchema = new mongoose.Schema({
+    division: {
+        type: String,
+        required: true
+    },
+    poolAmount: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    poolPerEntry: {
+        type: Number,
+        default: null,
+        min: 0
+    },
+    cashRatio: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+    places: [{
+        type: Number,
+        min: 0
+    }]
+}, { _id: false });
+
 const stageSchema = new mongoose.Schema({
     key: {
         type: String,
@@ -75,6 +292,24 @@ const stageSchema = new mongoose.Schema({
         type: Number,
         default: null
     },
+    // Per-division cut when the tournament runs separate divisions (keyed by division key)
+    divisionCuts: [{
+        _id: false,
+        division: String,
+        advancingBowlers: Number
+    }],
+
+    /**
+     * Tie-break rules applied in order when bowlers finish level
+     * roll_off needs the admin to record the roll-off result
+     */
+    tieBreakers: {
+        type: [{
+            type: String,
+            enum: ['high_last_game', 'high_game', 'lowest_handicap', 'roll_off']
+        }],
+        default: []
+    },
     matchPlaySettings: {
         pointsForWin: {
             type: Number,
@@ -137,6 +372,49 @@ const tournamentSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // Pricing beyond the flat entry fee; see utils/pricing.js
+    pricing: {
+        reentryFee: {
+            type: Number,
+            default: null, // null = same as the entry fee
+            min: 0
+        },
+        windows: [priceWindowSchema],
+        addOns: [addOnSchema]
+    },
+    sideEvents: [sideEventSchema],
+    // Prize money paid on final standings; see utils/prizeFund.js
+    prizeFund: {
+        // fixed: places are dollar amounts; percentage: places are % of the pool
+        basis: {
+            type: String,
+            enum: ['fixed', 'percentage'],
+            default: 'fixed'
+        },
+        // Percentage pool: a set amount, or this much from every entry
+        poolAmount: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        poolPerEntry: {
+            type: Number,
+            default: null,
+            min: 0
+        },
+        // One cash per this many entries (null = every place in the table)
+        cashRatio: {
+            type: Number,
+            default: null,
+            min: 1
+        },
+        places: [{
+            type: Number,
+            min: 0
+        }],
+        // Divisions listed here pay from their own table instead
+        divisionPools: [divisionPrizePoolSchema]
+    },
     paymentInstructions: {
         type: String,
         default: 'Payment details will be provided via email.'
@@ -146,6 +424,26 @@ const tournamentSchema = new mongoose.Schema({
         enum: ['upcoming', 'ongoing', 'completed'],
         default: 'upcoming'
     },
+    // When the scheduler handled each date, so every step runs once
+    schedule: {
+        startedAt: {
+            type: Date,
+            default: null
+        },
+        // Past endDate; an admin confirms completion once results are final
+        completionFlaggedAt: {
+            type: Date,
+            default: null
+        },
+        registrationOpenedAt: {
+            type: Date,
+            default: null
+        },
+        registrationClosedAt: {
+            type: Date,
+            default: null
+        }
+    },
     maxParticipants: {
         type: Number,
         default: null
@@ -203,11 +501,24 @@ const tournamentSchema = new mongoose.Schema({
             min: 0,
             max: 100
         },
+        // Which average handicap is worked from (see utils/enteringAverage.js)
+        handicapAveragePolicy: {
+            type: String,
+            enum: ['self_reported', 'tournament_average', 'highest', 'admin_verified'],
+            default: 'self_reported'
+        },
         // Gender Division Options
         separateDivisions: {
             type: Boolean,
             default: false
         },
+        // Configured divisions replace the men's/women's split when set
+        divisions: [divisionSchema],
+        maxDivisionsPerBowler: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
         femaleHandicapPins: {
             type: Number,
             default: 8,
@@ -36,6 +36,28 @@ const tournamentResultSchema = new mongoose.Schema({
     // Placement
     finalPosition: Number,
     totalParticipants: Number,
+
+    // Prize money won, by division, and whether it has been paid out
+    prize: {
+        amount: {
+            type: Number,
+            default: 0 // Dollars
+        },
+        awards: [{
+            _id: false,
+            division: String,
+            place: Number,
+            amount: Number
+        }],
+        paidAt: {
+            type: Date,
+            default: null
+        },
+        paidBy: {
+            type: String,
+            default: '' // Admin email
+        }
+    },
     
     // Metadata
     enteredBy: String, // 'admin' or 'self-reported'
@@ -23,6 +23,10 @@ import {
     requireBowlerAuth,
     requireAdmin
 } from '../middleware/auth.js';
+import { getPaymentProvider } from '../utils/paymentProviders.js';
+import { getLedgerTotals, getBalance } from '../utils/payments.js';
+import { getLaneRotation } from '../utils/lanes.js';
+import { tallyFrameStats } from '../../frontend/js/shared/frames.js';
 
 const router = Router();
 
@@ -39,6 +43,9 @@ function toPublicBowler(bowler) {
         tournamentAverage: bowler.tournamentAverage,
         highGame: bowler.highGame,
         highSeries: bowler.highSeries,
+        perfectGames: bowler.perfectGames,
+        eightHundredSeries: bowler.eightHundredSeries,
+        frameStats: bowler.frameStats,
         tournamentsEntered: bowler.tournamentsEntered
     };
 }
@@ -49,6 +56,8 @@ function toPrivateBowler(bowler) {
         email: bowler.email,
         phone: bowler.phone,
         gender: bowler.gender,
+        dateOfBirth: bowler.dateOfBirth,
+        membership: bowler.membership,
         claimedAt: bowler.claimedAt,
         lastLogin: bowler.lastLogin,
         createdAt: bowler.createdAt,
@@ -231,6 +240,84 @@ router.get('/bowlers/lookup', generalWriteLimiter, async (req, res) => {
     }
 });
 
+// Membership from a request body; an empty number clears it
+function parseMembership(body) {
+    const number = sanitizeString(body.number, 40);
+    const expiresAt = body.expiresAt ? new Date(body.expiresAt) : null;
+    if (expiresAt && isNaN(expiresAt.getTime())) {
+        return { error: 'Invalid membership expiry date' };
+    }
+    return { membership: number ? { number, expiresAt } : { number: '', expiresAt: null } };
+}
+
+// GET a bowler's tour membership by email (admin only)
+// Bowlers without a profile yet are named from their latest registration
+router.get('/bowlers/membership', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const sanitizedEmail = sanitizeEmail(req.query.email);
+        if (!sanitizedEmail) {
+            return res.status(400).send({ error: 'Valid email required' });
+        }
+
+        const bowler = await Bowler.findOne({ email: sanitizedEmail }).select('playerName membership').lean();
+        const registration = bowler?.playerName ? null : await Registration.findOne({ email: sanitizedEmail })
+            .sort({ registeredAt: -1 })
+            .select('playerName')
+            .lean();
+
+        return res.send({
+            email: sanitizedEmail,
+            playerName: bowler?.playerName || registration?.playerName || '',
+            hasProfile: Boolean(bowler),
+            membership: bowler?.membership?.number ? bowler.membership : null
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// PUT set a tour membership by email (admin only)
+// Members can be recorded before they first register; a profile is created for them
+router.put('/bowlers/membership', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const sanitizedEmail = sanitizeEmail(req.body.email);
+        if (!sanitizedEmail) {
+            return res.status(400).send({ error: 'Valid email required' });
+        }
+
+        const { membership, error } = parseMembership(req.body);
+        if (error) {
+            return res.status(400).send({ error });
+        }
+
+        let bowler = await Bowler.findOne({ email: sanitizedEmail });
+        if (!bowler) {
+            if (!membership.number) {
+                return res.send({ message: 'Membership cleared', membership: null });
+            }
+            const registration = await Registration.findOne({ email: sanitizedEmail })
+                .sort({ registeredAt: -1 })
+                .select('playerName gender')
+                .lean();
+            const playerName = sanitizeString(req.body.playerName, 100) || registration?.playerName;
+            if (!playerName) {
+                return res.status(400).send({ error: "Enter the bowler's name" });
+            }
+            bowler = new Bowler({ email: sanitizedEmail, playerName, gender: registration?.gender || '' });
+        }
+
+        bowler.membership = membership;
+        await bowler.save();
+
+        return res.send({
+            message: membership.number ? 'Membership updated' : 'Membership cleared',
+            membership: membership.number ? bowler.membership : null
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
 // GET bowler by ID (public)
 router.get('/bowlers/:id', generalWriteLimiter, async (req, res) => {
     try {
@@ -258,7 +345,7 @@ router.get('/bowlers/:id', generalWriteLimiter, async (req, res) => {
 router.get('/bowlers', generalWriteLimiter, async (req, res) => {
     try {
         const bowlers = await Bowler.find()
-            .select('playerName nickname tournamentAverage currentAverage highGame highSeries tournamentsEntered')
+            .select('playerName nickname tournamentAverage currentAverage highGame highSeries perfectGames eightHundredSeries frameStats tournamentsEntered')
             .sort({ tournamentAverage: -1 })
             .lean();
         
@@ -336,13 +423,26 @@ router.get('/bowlers/my/registrations', generalWriteLimiter, requireBowlerAuth,
             .sort({ registeredAt: -1 })
             .lean();
 
+        const paymentsEnabled = Boolean(getPaymentProvider());
+        const totals = await getLedgerTotals(registrations.map(reg => reg._id));
+
         // Manually populate assignedSquads from tournament.squads
         const populatedRegistrations = registrations.map(reg => {
             if (reg.tournament && reg.tournament.squads && reg.assignedSquads) {
                 reg.assignedSquads = reg.assignedSquads.map(squadId => {
-                    return reg.tournament.squads.find(s => s._id.toString() === squadId.toString());
+                    const squad = reg.tournament.squads.find(s => s._id.toString() === squadId.toString());
+                    if (!squad) return null;
+                    const assignment = (reg.laneAssignments || []).find(entry => entry.squad.toString() === squadId.toString());
+                    return {
+                        ...squad,
+                        startingLane: assignment?.lane ?? null,
+                        laneRotation: assignment ? getLaneRotation(squad, assignment.lane) : []
+                    };
                 }).filter(Boolean);
             }
+            // Same balance the checkout charges, so the button only shows when money is owed
+            reg.balance = getBalance(reg.tournament || {}, reg, totals.get(reg._id.toString()));
+            reg.canPayOnline = paymentsEnabled && reg.balance.balance > 0;
             return reg;
         });
 
@@ -394,6 +494,10 @@ router.get('/bowlers/:id/history', generalWriteLimiter, async (req, res) => {
 
         const overallAverage = totalGames > 0 ? Math.round(totalPins / totalGames) : null;
 
+        // Prize money in cents so the total adds up
+        const totalEarnings = results.reduce((total, result) =>
+            total + Math.round((result.prize?.amount || 0) * 100), 0) / 100;
+
         return res.send({
             bowler: {
                 _id: bowler._id,
@@ -407,7 +511,8 @@ router.get('/bowlers/:id/history', generalWriteLimiter, async (req, res) => {
                 tournamentsEntered: registrations.length,
                 tournamentsCompleted: results.length,
                 overallAverage,
-                totalGames
+                totalGames,
+                totalEarnings
             }
         });
     } catch (error) {
@@ -539,11 +644,17 @@ async function updateBowlerStats(bowlerId) {
     });
 
     const tournamentAverage = totalGames > 0 ? Math.round(totalPins / totalGames) : null;
+    const { perfectGames, eightHundredSeries, ...frameStats } = tallyFrameStats(
+        registrations.flatMap(reg => reg.stageScores || [])
+    );
 
     await Bowler.findByIdAndUpdate(bowlerId, {
         tournamentAverage,
         highGame: highGame || undefined,
-        highSeries: highSeries || undefined
+        highSeries: highSeries || undefined,
+        perfectGames,
+        eightHundredSeries,
+        frameStats
     });
 }
 
@@ -679,6 +790,35 @@ router.get('/bowlers/check-sync/:email', generalWriteLimiter, requireAdmin, asyn
     }
 });
 
+// PUT set a bowler's tour membership (admin only)
+// Send an empty number to clear the membership
+router.put('/bowlers/:id/membership', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const bowlerId = validateObjectId(req.params.id);
+        if (!bowlerId) {
+            return res.status(400).send({ error: 'Invalid bowler ID' });
+        }
+
+        const { membership, error } = parseMembership(req.body);
+        if (error) {
+            return res.status(400).send({ error });
+        }
+
+        const bowler = await Bowler.findByIdAndUpdate(
+            bowlerId,
+            { $set: { membership } },
+            { new: true }
+        );
+        if (!bowler) {
+            return res.status(404).send({ error: 'Bowler not found' });
+        }
+
+        return res.send({ message: membership.number ? 'Membership updated' : 'Membership cleared', membership: bowler.membership });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
 // POST fix/link results to bowler by email match
 router.post('/bowlers/link-results/:bowlerId', strictWriteLimiter, requireAdmin, async (req, res) => {
     try {
@@ -8,7 +8,7 @@ import {
 } from '../middleware/ratelimiters.js';
 
 const router = Router();
-const validTemplateNames = new Set(['registration-confirmation']);
+const validTemplateNames = new Set(['registration-confirmation', 'waitlist-offer', 'registration-open', 'registration-closed']);
 
 function validateTemplateName(name) {
     return validTemplateNames.has(name) ? name : null;
@@ -115,7 +115,9 @@ router.post('/email-templates/preview', strictWriteLimiter, requireAdminApi, asy
             entryFee: '120',
             squadsList: 'Squad A (Saturday 9:00 AM), Squad B (Saturday 2:00 PM)',
             paymentInstructions: 'Please transfer payment to BSB: 123-456 Account: 12345678. Reference: Your name and registration ID.',
-            registrationId: 'REG123456'
+            registrationId: 'REG123456',
+            acceptUrl: 'https://example.com/register?waitlistOffer=abc123',
+            offerExpires: 'Friday, 13 February 2026, 6:00 pm'
         };
         
         // Replace variables
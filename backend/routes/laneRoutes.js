@@ -0,0 +1,118 @@
+import { Router } from 'express';
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import { assignSquadLanes, clearSquadLanes, getSquadLanes, getLaneRotation } from '../utils/lanes.js';
+import {
+    validateObjectId
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// Tournament and squad from the route params, or an error response
+async function findSquad(req) {
+    const tournamentId = validateObjectId(req.params.tournamentId);
+    const squadId = validateObjectId(req.params.squadId);
+    if (!tournamentId || !squadId) {
+        return { status: 400, error: 'Invalid ID' };
+    }
+
+    const tournament = await Tournament.findById(tournamentId).lean();
+    if (!tournament) {
+        return { status: 404, error: 'Tournament not found' };
+    }
+
+    const squad = (tournament.squads || []).find(entry => entry._id.toString() === squadId);
+    if (!squad) {
+        return { status: 404, error: 'Squad not found' };
+    }
+    return { tournament, squad };
+}
+
+// GET lane sheet for a squad: who starts on each lane and where they move (admin only)
+router.get('/tournaments/:tournamentId/squads/:squadId/lanes', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const { tournament, squad, status, error } = await findSquad(req);
+        if (error) {
+            return res.status(status).send({ error });
+        }
+
+        const registrations = await Registration.find({
+            tournament: tournament._id,
+            status: { $in: ['pending', 'confirmed'] },
+            'laneAssignments.squad': squad._id
+        })
+            .select('playerName averageScore laneAssignments')
+            .lean();
+
+        const lanes = getSquadLanes(squad).map(lane => ({
+            lane,
+            bowlers: registrations
+                .map(reg => ({ reg, assignment: reg.laneAssignments.find(entry => entry.squad.toString() === squad._id.toString()) }))
+                .filter(({ assignment }) => assignment.lane === lane)
+                .sort((a, b) => a.assignment.position - b.assignment.position)
+                .map(({ reg, assignment }) => ({
+                    registrationId: reg._id,
+                    name: reg.playerName,
+                    averageScore: reg.averageScore,
+                    position: assignment.position,
+                    rotation: getLaneRotation(squad, lane)
+                }))
+        }));
+
+        return res.send({
+            squad: { _id: squad._id, name: squad.name, lanes: squad.lanes },
+            lanes
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST generate lane assignments for a squad, replacing any earlier ones (admin only)
+router.post('/tournaments/:tournamentId/squads/:squadId/lanes', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const { tournament, squad, status, error } = await findSquad(req);
+        if (error) {
+            return res.status(status).send({ error });
+        }
+        if (getSquadLanes(squad).length === 0) {
+            return res.status(400).send({ error: 'Set a lane range for this squad first' });
+        }
+
+        let assignments;
+        try {
+            assignments = await assignSquadLanes(tournament, squad);
+        } catch (assignError) {
+            return res.status(400).send({ error: assignError.message });
+        }
+
+        return res.send({ message: 'Lanes assigned', assigned: assignments.length });
+    } catch (error) {
+        console.error('Error assigning lanes:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// DELETE clear a squad's lane assignments (admin only)
+router.delete('/tournaments/:tournamentId/squads/:squadId/lanes', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const { tournament, squad, status, error } = await findSquad(req);
+        if (error) {
+            return res.status(status).send({ error });
+        }
+
+        await clearSquadLanes(tournament, squad);
+        return res.send({ message: 'Lane assignments cleared' });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
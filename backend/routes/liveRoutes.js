@@ -0,0 +1,59 @@
+import { Router } from 'express';
+import Tournament from '../models/Tournament.js';
+import { buildLiveStandings } from '../utils/liveStandings.js';
+import { subscribeToLiveStandings } from '../utils/liveUpdates.js';
+import {
+    validateObjectId
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    pageViewLimiter
+} from '../middleware/ratelimiters.js';
+
+const router = Router();
+
+// Tournament from the route params, sending the error response if invalid
+async function loadTournament(req, res) {
+    const tournamentId = validateObjectId(req.params.tournamentId);
+    if (!tournamentId) {
+        res.status(400).send({ error: 'Invalid tournament ID' });
+        return null;
+    }
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+        res.status(404).send({ error: 'Tournament not found' });
+        return null;
+    }
+    return tournament;
+}
+
+// GET live standings with the advance and cash lines (public)
+router.get('/tournaments/:tournamentId/live', generalWriteLimiter, async (req, res) => {
+    try {
+        const tournament = await loadTournament(req, res);
+        if (!tournament) return;
+
+        return res.send(await buildLiveStandings(tournament));
+    } catch (error) {
+        console.error('Error loading live standings:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET live standings as Server-Sent Events, pushed whenever scores are saved (public)
+router.get('/tournaments/:tournamentId/live/stream', pageViewLimiter, async (req, res) => {
+    try {
+        const tournament = await loadTournament(req, res);
+        if (!tournament) return;
+
+        await subscribeToLiveStandings(tournament, req, res);
+    } catch (error) {
+        console.error('Error streaming live standings:', error);
+        // The stream may already be open; closing it makes the browser retry
+        if (res.headersSent) return res.end();
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -48,6 +48,15 @@ router.get('/squads', pageViewLimiter, (req, res) => {
     return res.sendFile('squads.html');
 });
 
+router.get('/live/:tournamentId', pageViewLimiter, (req, res) => {
+    return res.sendFile('live.html');
+});
+
+// Desk score entry; signs in with a tournament access code
+router.get('/scorekeeper', pageViewLimiter, (req, res) => {
+    return res.sendFile('scorekeeper.html');
+});
+
 // Admin login page
 router.get('/admin', pageViewLimiter, (req, res) => {
     return res.redirect('/admin/login');
@@ -213,4 +222,8 @@ router.get('/admin/email-templates', pageViewLimiter, requireAdmin, (req, res) =
     return res.sendFile('admin/admin-email-templates.html');
 });
 
+router.get('/admin/seasons', pageViewLimiter, requireAdmin, (req, res) => {
+    return res.sendFile('admin/admin-seasons.html');
+});
+
 export default router;
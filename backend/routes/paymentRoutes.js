@@ -0,0 +1,251 @@
+import { Router } from 'express';
+import Payment from '../models/Payment.js';
+import Registration from '../models/Registration.js';
+import Tournament from '../models/Tournament.js';
+import Bowler from '../models/Bowler.js';
+import { getPaymentProvider, fakeProvider } from '../utils/paymentProviders.js';
+import {
+    PAYMENT_METHODS,
+    toMinorUnits,
+    getLedgerTotals,
+    getBalance,
+    createCheckout,
+    receiveWebhook,
+    recordLedgerEntry,
+    buildPaymentReport
+} from '../utils/payments.js';
+import {
+    validateObjectId,
+    sanitizeString
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter,
+    pageViewLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// Escape text for the fake checkout page
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+// Fake checkout sessions only exist while the fake provider is active
+function getFakeCheckout(sessionId) {
+    if (getPaymentProvider()?.name !== fakeProvider.name) return null;
+    const reference = sanitizeString(sessionId, 60);
+    if (!reference || !/^fake_cs_[a-f0-9]+$/.test(reference)) return null;
+    return Payment.findOne({ provider: fakeProvider.name, providerReference: reference });
+}
+
+// POST payment provider webhook (public - authenticated by signature, CSRF exempt)
+router.post('/payments/webhook', pageViewLimiter, async (req, res) => {
+    try {
+        const provider = getPaymentProvider();
+        if (!provider) {
+            return res.status(404).send({ error: 'Online payments are not enabled' });
+        }
+
+        let result;
+        try {
+            result = await receiveWebhook(provider, req.rawBody || '', req.headers);
+        } catch (error) {
+            console.error('Rejected payment webhook:', error.message);
+            return res.status(400).send({ error: error.message });
+        }
+
+        return res.send({ received: true, ...result });
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST start a checkout for a bowler's own registration (bowler must be authenticated)
+router.post('/registrations/:id/checkout', generalWriteLimiter, async (req, res) => {
+    try {
+        if (!req.session || !req.session.bowlerId) {
+            return res.status(403).send({ error: 'Authentication required' });
+        }
+
+        const registrationId = validateObjectId(req.params.id);
+        if (!registrationId) {
+            return res.status(400).send({ error: 'Invalid registration ID' });
+        }
+
+        const registration = await Registration.findById(registrationId);
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+
+        const bowler = await Bowler.findById(req.session.bowlerId);
+        if (!bowler || registration.email !== bowler.email) {
+            return res.status(403).send({ error: 'You can only pay for your own registrations' });
+        }
+        if (!['pending', 'confirmed'].includes(registration.status)) {
+            return res.status(400).send({ error: 'Only active registrations can be paid for' });
+        }
+
+        const tournament = await Tournament.findById(registration.tournament);
+        const checkout = await createCheckout(tournament, registration);
+        if (!checkout) {
+            return res.status(400).send({ error: 'Nothing to pay online for this registration' });
+        }
+
+        return res.send({ checkout });
+    } catch (error) {
+        console.error('Checkout error:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET payment ledger and balance for a registration (admin only)
+router.get('/registrations/:id/ledger', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const registrationId = validateObjectId(req.params.id);
+        if (!registrationId) {
+            return res.status(400).send({ error: 'Invalid registration ID' });
+        }
+
+        const registration = await Registration.findById(registrationId).lean();
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+        const tournament = await Tournament.findById(registration.tournament).lean();
+
+        const entries = await Payment.find({ registration: registrationId })
+            .select('-events')
+            .sort({ createdAt: -1 })
+            .lean();
+        const totals = (await getLedgerTotals([registration._id])).get(registration._id.toString());
+
+        return res.send({ entries, balance: getBalance(tournament, registration, totals) });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST record a payment or refund taken by an admin (admin only)
+router.post('/registrations/:id/ledger', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const registrationId = validateObjectId(req.params.id);
+        if (!registrationId) {
+            return res.status(400).send({ error: 'Invalid registration ID' });
+        }
+
+        const { type, method, amount, note } = req.body;
+        if (!['payment', 'refund'].includes(type)) {
+            return res.status(400).send({ error: 'Entry type must be payment or refund' });
+        }
+        if (!PAYMENT_METHODS.includes(method)) {
+            return res.status(400).send({ error: 'Invalid payment method' });
+        }
+        const minorAmount = typeof amount === 'number' ? toMinorUnits(amount) : 0;
+        if (minorAmount <= 0 || minorAmount > 10000000) {
+            return res.status(400).send({ error: 'Invalid amount' });
+        }
+
+        const registration = await Registration.findById(registrationId);
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+
+        let entry;
+        try {
+            entry = await recordLedgerEntry(registration, {
+                type,
+                method,
+                amount: minorAmount,
+                note: sanitizeString(note, 500) || '',
+                recordedBy: req.session.adminEmail || ''
+            });
+        } catch (error) {
+            return res.status(400).send({ error: error.message });
+        }
+
+        return res.status(201).send(entry);
+    } catch (error) {
+        console.error('Error recording ledger entry:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET payment reconciliation report for a tournament (admin only)
+router.get('/tournaments/:tournamentId/payments/report', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const report = await buildPaymentReport(tournament);
+        return res.send({ tournament: { _id: tournament._id, name: tournament.name }, ...report });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET fake provider checkout page (development only)
+router.get('/payments/fake-checkout/:sessionId', pageViewLimiter, async (req, res) => {
+    try {
+        const payment = await getFakeCheckout(req.params.sessionId);
+        if (!payment) {
+            return res.status(404).send({ error: 'Checkout not found' });
+        }
+
+        const amount = `${(payment.amount / 100).toFixed(2)} ${payment.currency}`;
+        const action = `/api/payments/fake-checkout/${escapeHtml(payment.providerReference)}`;
+        const csrf = escapeHtml(req.csrfToken());
+        return res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Test Checkout</title></head>
+<body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto;">
+    <h2>Test Checkout</h2>
+    <p>Amount: <strong>${escapeHtml(amount)}</strong></p>
+    <p>Status: ${escapeHtml(payment.status)}</p>
+    <form method="POST" action="${action}">
+        <input type="hidden" name="_csrf" value="${csrf}">
+        <button type="submit" name="outcome" value="paid">Pay</button>
+        <button type="submit" name="outcome" value="failed">Decline</button>
+    </form>
+</body>
+</html>`);
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST complete a fake checkout by delivering a signed webhook (development only)
+router.post('/payments/fake-checkout/:sessionId', generalWriteLimiter, async (req, res) => {
+    try {
+        const payment = await getFakeCheckout(req.params.sessionId);
+        if (!payment) {
+            return res.status(404).send({ error: 'Checkout not found' });
+        }
+
+        const paid = req.body.outcome === 'paid';
+        const { rawBody, headers } = fakeProvider.buildWebhook({
+            type: paid ? 'checkout.completed' : 'checkout.failed',
+            sessionId: payment.providerReference,
+            amount: payment.amount,
+            currency: payment.currency
+        });
+        await receiveWebhook(fakeProvider, rawBody, headers);
+
+        return res.redirect(`/register?payment=${paid ? 'success' : 'cancelled'}`);
+    } catch (error) {
+        console.error('Fake checkout error:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
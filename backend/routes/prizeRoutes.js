@@ -0,0 +1,94 @@
+import { Router } from 'express';
+import Tournament from '../models/Tournament.js';
+import TournamentResult from '../models/TournamentResult.js';
+import { buildPrizeList, awardPrizes } from '../utils/prizeFund.js';
+import {
+    validateObjectId
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// GET payout list from final standings (admin only)
+router.get('/tournaments/:tournamentId/prizes', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const divisions = await buildPrizeList(tournament);
+        return res.send({
+            tournament: { _id: tournament._id, name: tournament.name, status: tournament.status },
+            basis: tournament.prizeFund?.basis || 'fixed',
+            divisions
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST record the payout list against each winner's result (admin only)
+router.post('/tournaments/:tournamentId/prizes/award', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+        if (tournament.status !== 'completed') {
+            return res.status(400).send({ error: 'Prizes can only be awarded once the tournament is completed' });
+        }
+
+        const summary = await awardPrizes(tournament);
+        return res.send({ message: 'Prizes awarded', ...summary });
+    } catch (error) {
+        console.error('Error awarding prizes:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// PUT mark a bowler's prize money as paid or unpaid (admin only)
+router.put('/tournaments/:tournamentId/prizes/:registrationId/paid', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        const registrationId = validateObjectId(req.params.registrationId);
+        if (!tournamentId || !registrationId) {
+            return res.status(400).send({ error: 'Invalid ID' });
+        }
+        if (typeof req.body.paid !== 'boolean') {
+            return res.status(400).send({ error: 'paid must be true or false' });
+        }
+
+        const result = await TournamentResult.findOne({ tournament: tournamentId, registration: registrationId });
+        if (!result || !(result.prize?.amount > 0)) {
+            return res.status(404).send({ error: 'No prize has been awarded to this registration' });
+        }
+
+        result.prize.paidAt = req.body.paid ? new Date() : null;
+        result.prize.paidBy = req.body.paid ? (req.session.adminEmail || '') : '';
+        await result.save();
+
+        return res.send({ registration: registrationId, prize: result.prize });
+    } catch (error) {
+        console.error('Error updating prize payment:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -5,6 +5,14 @@ import Bowler from '../models/Bowler.js';
 import SpotReservation from '../models/SpotReservation.js';
 import crypto from 'crypto';
 import { sendRegistrationConfirmation } from '../utils/emailService.js';
+import { recordStageScores, resolveFrameScores } from '../utils/scores.js';
+import { resolveEnteringAverage, lockEnteringAverages } from '../utils/enteringAverage.js';
+import { checkDivisionEligibility } from '../utils/divisions.js';
+import { processWaitlist, holdsSpotFilter } from '../utils/waitlist.js';
+import { createCheckout, getLedgerTotals, getBalance, syncPaymentStatus } from '../utils/payments.js';
+import { buildQuote } from '../utils/pricing.js';
+import { buildTournamentResults } from '../utils/results.js';
+import { notifyScoresChanged } from '../utils/liveUpdates.js';
 import { 
     validateObjectId, 
     sanitizeEmail, 
@@ -171,163 +179,7 @@ router.get('/tournaments/:tournamentId/results', generalWriteLimiter, async (req
                 return res.status(404).send({ error: 'Tournament not found' });
         }
 
-        const registrations = await Registration.find({
-            tournament: tournamentId,
-            status: { $in: ['pending', 'confirmed'] }
-        })
-            .select('playerName email gender averageScore assignedSquads stageScores currentStage')
-            .sort({ playerName: 1 })
-            .lean();
-
-        // Format results by stage
-        const stages = tournament.format?.stages || [];
-        const hasStages = tournament.format?.hasStages && stages.length > 0;
-
-        if (hasStages) {
-            // Multi-stage tournament
-            const stageResults = stages.map((stage, stageIndex) => {
-                const stagePlayers = registrations
-                    .map(reg => {
-                        const stageScore = reg.stageScores?.find(s => s.stageIndex === stageIndex);
-                        if (!stageScore || !stageScore.scores || stageScore.scores.length === 0) return null;
-
-                        // Calculate scratch total
-                        const scratchTotal = stageScore.scores.reduce((sum, s) => sum + s, 0);
-                        
-                        // Calculate handicap (only if tournament allows it)
-                        let totalHandicapPerGame = 0;
-                        let totalHandicap = 0;
-                        
-                        if (tournament.format?.useHandicap) {
-                            const baseScore = tournament.format.handicapBase || 220;
-                            const handicapPct = tournament.format.handicapPercentage || 90;
-                            const avgScore = reg.averageScore || 180;
-                            const handicapPerGame = avgScore < baseScore ? Math.round((baseScore - avgScore) * (handicapPct / 100)) : 0;
-                            
-                            // Female bonus only if NOT separate divisions
-                            const femaleBonus = (reg.gender === 'female' && !tournament.format.separateDivisions) 
-                                ? (tournament.format.femaleHandicapPins || 8) 
-                                : 0;
-                            
-                            totalHandicapPerGame = handicapPerGame + femaleBonus;
-                            totalHandicap = totalHandicapPerGame * stageScore.scores.length;
-                        }
-                        
-                        // Calculate bonus pins (matchplay)
-                        const totalBonus = stageScore.bonusPins ? stageScore.bonusPins.reduce((sum, b) => sum + b, 0) : 0;
-                        
-                        // Grand total with handicap, bonus, and carryover
-                        const grandTotal = scratchTotal + totalHandicap + totalBonus + (stageScore.carryover || 0);
-                        const avg = stageScore.scores.length > 0 ? scratchTotal / stageScore.scores.length : 0;
-
-                        return {
-                            playerName: reg.playerName,
-                            squadIds: reg.assignedSquads || [],
-                            scores: stageScore.scores,
-                            bonusPins: stageScore.bonusPins || [],
-                            handicapPerGame: totalHandicapPerGame,
-                            totalHandicap: totalHandicap,
-                            totalBonus: totalBonus,
-                            scratchTotal: scratchTotal,
-                            carryover: stageScore.carryover || 0,
-                            total: grandTotal,
-                            average: Math.round(avg),
-                            high: stageScore.scores.length > 0 ? Math.max(...stageScore.scores) : 0,
-                            gamesPlayed: stageScore.scores.length
-                        };
-                    })
-                    .filter(p => p !== null)
-                    .sort((a, b) => b.total - a.total)
-                    .map((p, i) => ({ ...p, position: i + 1 }));
-
-                return {
-                    stageName: stage.name,
-                    type: stage.type,
-                    stageIndex,
-                    games: stage.games,
-                    advancingBowlers: stage.advancingBowlers,
-                    players: stagePlayers
-                };
-            });
-
-            res.send({
-                tournament: {
-                    _id: tournament._id,
-                    name: tournament.name,
-                    date: tournament.startDate || tournament.date,
-                    location: tournament.location,
-                    squads: tournament.squads
-                },
-                hasStages: true,
-                stages: stageResults
-            });
-        } else {
-            // Single stage tournament
-            const players = registrations
-                .map(reg => {
-                    const stageScore = reg.stageScores?.[0];
-                    if (!stageScore || !stageScore.scores || stageScore.scores.length === 0) return null;
-
-                    // Calculate scratch total
-                    const scratchTotal = stageScore.scores.reduce((sum, s) => sum + s, 0);
-                    
-                    // Calculate handicap (only if tournament allows it)
-                    let totalHandicapPerGame = 0;
-                    let totalHandicap = 0;
-                    
-                    if (tournament.format?.useHandicap) {
-                        const baseScore = tournament.format.handicapBase || 220;
-                        const handicapPct = tournament.format.handicapPercentage || 90;
-                        const avgScore = reg.averageScore || 180;
-                        const handicapPerGame = avgScore < baseScore ? Math.round((baseScore - avgScore) * (handicapPct / 100)) : 0;
-                        
-                        // Female bonus only if NOT separate divisions
-                        const femaleBonus = (reg.gender === 'female' && !tournament.format.separateDivisions) 
-                            ? (tournament.format.femaleHandicapPins || 8) 
-                            : 0;
-                        
-                        totalHandicapPerGame = handicapPerGame + femaleBonus;
-                        totalHandicap = totalHandicapPerGame * stageScore.scores.length;
-                    }
-                    
-                    // Calculate bonus pins
-                    const totalBonus = stageScore.bonusPins ? stageScore.bonusPins.reduce((sum, b) => sum + b, 0) : 0;
-                    
-                    // Grand total with handicap and bonus
-                    const grandTotal = scratchTotal + totalHandicap + totalBonus;
-                    const avg = stageScore.scores.length > 0 ? scratchTotal / stageScore.scores.length : 0;
-
-                    return {
-                        playerName: reg.playerName,
-                        squadIds: reg.assignedSquads || [],
-                        scores: stageScore.scores,
-                        bonusPins: stageScore.bonusPins || [],
-                        handicapPerGame: totalHandicapPerGame,
-                        totalHandicap: totalHandicap,
-                        totalBonus: totalBonus,
-                        scratchTotal: scratchTotal,
-                        total: grandTotal,
-                        average: Math.round(avg),
-                        high: stageScore.scores.length > 0 ? Math.max(...stageScore.scores) : 0,
-                        gamesPlayed: stageScore.scores.length
-                    };
-                })
-                .filter(p => p !== null)
-                .sort((a, b) => b.total - a.total)
-                .map((p, i) => ({ ...p, position: i + 1 }));
-
-            res.send({
-                tournament: {
-                    _id: tournament._id,
-                    name: tournament.name,
-                    date: tournament.startDate || tournament.date,
-                    location: tournament.location,
-                    squads: tournament.squads
-                },
-                hasStages: false,
-                players
-            });
-        }
+        return res.send(await buildTournamentResults(tournament));
     } catch (error) {
         res.status(500).send({ error: 'Internal server error' });
     }
@@ -351,8 +203,15 @@ router.get('/registrations', generalWriteLimiter, requireAdmin, async (req, res)
         }
 
         const registrations = await Registration.find(filter)
-            .populate('tournament', 'name date location')
-            .sort({ createdAt: -1 });
+            .populate('tournament', 'name date location entryFee')
+            .sort({ createdAt: -1 })
+            .lean();
+
+        // Balance owing from each registration's payment ledger
+        const totals = await getLedgerTotals(registrations.map(reg => reg._id));
+        registrations.forEach(reg => {
+            reg.balance = getBalance(reg.tournament || {}, reg, totals.get(reg._id.toString()));
+        });
         
             return res.send(registrations);
     } catch (error) {
@@ -385,7 +244,7 @@ router.get('/registrations/:id', generalWriteLimiter, requireAdmin, async (req,
 // POST new registration (public)
 router.post('/registrations', registrationLimiter, async (req, res) => {
     try {
-        const { tournamentId, playerName, email, phone, gender, averageScore, notes, assignedSquads } = req.body;
+        const { tournamentId, playerName, email, phone, gender, averageScore, notes, assignedSquads, dateOfBirth, divisions, addOns, sideEvents, joinWaitlist } = req.body;
 
         // Validate and sanitize inputs
         const validTournamentId = validateObjectId(tournamentId);
@@ -417,6 +276,20 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
         const sanitizedNotes = sanitizeString(notes, 500);
         const validSquads = validateObjectIdArray(assignedSquads);
 
+        const birthDate = dateOfBirth ? new Date(dateOfBirth) : null;
+        if (birthDate && (isNaN(birthDate.getTime()) || birthDate > new Date())) {
+            return res.status(400).send({ error: 'Invalid date of birth' });
+        }
+        const divisionKeys = Array.isArray(divisions)
+            ? [...new Set(divisions.map(key => sanitizeString(key, 40)).filter(Boolean))]
+            : [];
+        const addOnKeys = Array.isArray(addOns)
+            ? [...new Set(addOns.map(key => sanitizeString(key, 40)).filter(Boolean))]
+            : [];
+        const sideEventKeys = Array.isArray(sideEvents)
+            ? [...new Set(sideEvents.map(key => sanitizeString(key, 40)).filter(Boolean))]
+            : [];
+
         // Verify tournament exists and is accepting registrations
         const tournament = await Tournament.findById(validTournamentId);
         if (!tournament) {
@@ -445,6 +318,20 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             return res.status(400).send({ error: 'Registration deadline has passed' });
         }
 
+        const offeredAddOns = (tournament.pricing?.addOns || []).map(addOn => addOn.key);
+        if (addOnKeys.some(key => !offeredAddOns.includes(key))) {
+            return res.status(400).send({ error: 'Invalid add-on selection' });
+        }
+        const offeredSideEvents = (tournament.sideEvents || []).map(event => event.key);
+        if (sideEventKeys.some(key => !offeredSideEvents.includes(key))) {
+            return res.status(400).send({ error: 'Invalid side event selection' });
+        }
+
+        // Lapsed offers free their spots before capacity is checked
+        await processWaitlist(tournament);
+        const joinsWaitlist = joinWaitlist === true;
+        let isFull = false;
+
         // Validate squad selections if tournament has squads
         if (tournament.squads && tournament.squads.length > 0) {
             if (!validSquads || validSquads.length === 0) {
@@ -458,16 +345,23 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
                     return res.status(400).send({ error: 'Invalid squad selection' });
                 }
 
-                // Count current registrations for this squad
+                // Count current registrations for this squad, including spots offered to the waitlist
                 // Using inline query construction to satisfy CodeQL taint analysis
                 const registrationsWithSquad = await Registration.countDocuments({
                     tournament: validTournamentId,
-                    status: { $in: ['pending', 'confirmed'] },
-                    assignedSquads: sanitizedSquadId
+                    assignedSquads: sanitizedSquadId,
+                    ...holdsSpotFilter()
                 });
 
                 if (registrationsWithSquad >= squad.capacity) {
-                    return res.status(400).send({ error: `Squad "${squad.name}" is full. Please select different squads.` });
+                    if (!joinsWaitlist) {
+                        return res.status(400).send({
+                            error: `Squad "${squad.name}" is full. Please select different squads or join the waitlist.`,
+                            waitlistAvailable: true,
+                            squadId: squad._id
+                        });
+                    }
+                    isFull = true;
                 }
             }
 
@@ -495,15 +389,56 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             }
         }
 
+        // Check division entries against each division's eligibility rules
+        const configuredDivisions = tournament.format?.divisions || [];
+        if (configuredDivisions.length > 0) {
+            const maxDivisions = tournament.format.maxDivisionsPerBowler || 1;
+            if (divisionKeys.length === 0) {
+                return res.status(400).send({ error: 'Please select a division' });
+            }
+            if (divisionKeys.length > maxDivisions) {
+                return res.status(400).send({ error: `You can enter at most ${maxDivisions} division${maxDivisions > 1 ? 's' : ''}` });
+            }
+
+            const existingBowler = await Bowler.findOne({ email: sanitizedEmail })
+                .select('tournamentAverage membership dateOfBirth')
+                .lean();
+            const { value: enteringValue } = resolveEnteringAverage(
+                tournament.format?.handicapAveragePolicy,
+                { averageScore: validAverage },
+                existingBowler
+            );
+            const entrant = {
+                gender: validGender,
+                dateOfBirth: birthDate || existingBowler?.dateOfBirth,
+                average: enteringValue || validAverage,
+                membership: existingBowler?.membership
+            };
+
+            for (const key of divisionKeys) {
+                const division = configuredDivisions.find(entry => entry.key === key);
+                if (!division) {
+                    return res.status(400).send({ error: 'Invalid division selection' });
+                }
+                const ineligible = checkDivisionEligibility(tournament, division, entrant);
+                if (ineligible) {
+                    return res.status(400).send({ error: ineligible });
+                }
+            }
+        }
+
         // Check if tournament is full (overall capacity)
         if (tournament.maxParticipants) {
             const currentCount = await Registration.countDocuments({
                 tournament: validTournamentId,
-                status: { $in: ['pending', 'confirmed'] }
+                ...holdsSpotFilter()
             });
 
             if (currentCount >= tournament.maxParticipants) {
-                return res.status(400).send({ error: 'Tournament is full', waitlistAvailable: true });
+                if (!joinsWaitlist) {
+                    return res.status(400).send({ error: 'Tournament is full', waitlistAvailable: true });
+                }
+                isFull = true;
             }
         }
 
@@ -513,7 +448,7 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             email: sanitizedEmail
         });
 
-        if (existingReg) {
+        if (existingReg && existingReg.status !== 'cancelled') {
             return res.status(400).send({ error: 'You have already registered for this tournament' });
         }
 
@@ -528,6 +463,7 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
                 phone: sanitizedPhone,
                 gender: validGender,
                 currentAverage: validAverage,
+                dateOfBirth: birthDate || undefined,
                 tournamentsEntered: [{
                     tournament: validTournamentId,
                     registeredAt: new Date(),
@@ -545,6 +481,9 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             if (validAverage) {
                 bowler.currentAverage = validAverage;
             }
+            if (birthDate) {
+                bowler.dateOfBirth = birthDate;
+            }
             
             // Add tournament to history if not already there
             const alreadyEntered = bowler.tournamentsEntered.some(
@@ -562,25 +501,54 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             await bowler.save();
         }
 
-        // Create registration
-        const registration = new Registration({
+        // Create registration. A bowler who cancelled and enters again gets
+        // their old registration back, so earlier payments still count.
+        const registration = existingReg || new Registration();
+        registration.set({
             tournament: validTournamentId,
             bowler: bowler._id,
             playerName: sanitizedName,
             email: sanitizedEmail,
             phone: sanitizedPhone,
             gender: validGender,
+            dateOfBirth: birthDate,
+            divisions: configuredDivisions.length > 0 ? divisionKeys : [],
             averageScore: validAverage,
             notes: sanitizedNotes,
             assignedSquads: validSquads || [],
-            status: 'confirmed' // Auto-confirm for now
+            addOns: addOnKeys,
+            sideEvents: sideEventKeys,
+            status: isFull ? 'waitlist' : 'confirmed', // Auto-confirm for now
+            waitlist: { joinedAt: isFull ? new Date() : null, offerToken: null, offeredAt: null, offerExpiresAt: null },
+            laneAssignments: [],
+            paymentStatus: 'unpaid',
+            registeredAt: now
         });
 
+        // Priced now, so an early-bird entry keeps its price
+        const quote = buildQuote(tournament, {
+            squads: registration.assignedSquads,
+            addOns: addOnKeys,
+            sideEvents: sideEventKeys,
+            at: now
+        });
+        registration.quote = { ...quote, calculatedAt: now };
+
+        // Provisional until the deadline locks it
+        const { value, source } = resolveEnteringAverage(tournament.format?.handicapAveragePolicy, registration, bowler);
+        registration.enteringAverage = { value, source, lockedAt: null };
+
         await registration.save();
+        if (existingReg) await syncPaymentStatus(registration._id);
         
         const populated = await Registration.findById(registration._id)
             .populate('tournament', 'name date location')
             .populate('bowler', 'playerName nickname email');
+
+        // Waitlisted bowlers are emailed when a spot is offered
+        if (isFull) {
+            return res.status(201).send(populated);
+        }
         
         // Send confirmation email asynchronously (don't wait for it)
         sendRegistrationConfirmation({
@@ -592,7 +560,7 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
                 name: tournament.name,
                 startDate: tournament.startDate,
                 location: tournament.location,
-                entryFee: tournament.entryFee,
+                entryFee: quote.total,
                 paymentInstructions: tournament.paymentInstructions
             },
             squads: validSquads.map(squadId => {
@@ -607,8 +575,14 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
             console.error('Failed to send confirmation email:', err);
             // Don't fail the registration if email fails
         });
+
+        // Online payment is optional, so a provider error doesn't fail the registration
+        const checkout = await createCheckout(tournament, registration).catch(err => {
+            console.error('Failed to create checkout:', err);
+            return null;
+        });
         
-            res.status(201).send(populated);
+            res.status(201).send({ ...populated.toObject(), checkout });
     } catch (error) {
         if (error.code === 11000) {
             return res.status(400).send({ error: 'You have already registered for this tournament' });
@@ -617,6 +591,100 @@ router.post('/registrations', registrationLimiter, async (req, res) => {
     }
 });
 
+// Offer tokens are 24 random bytes in hex
+function validateOfferToken(token) {
+    return typeof token === 'string' && /^[a-f0-9]{48}$/.test(token) ? token : null;
+}
+
+// GET waitlist offer details (public - token from the offer email)
+router.get('/waitlist/offers/:token', generalWriteLimiter, async (req, res) => {
+    try {
+        const token = validateOfferToken(req.params.token);
+        if (!token) {
+            return res.status(400).send({ error: 'Invalid offer link' });
+        }
+
+        const registration = await Registration.findOne({ 'waitlist.offerToken': token, status: 'waitlist' })
+            .populate('tournament', 'name startDate location squads')
+            .lean();
+        if (!registration || new Date(registration.waitlist.offerExpiresAt) <= new Date()) {
+            return res.status(404).send({ error: 'This offer has expired or has already been used' });
+        }
+
+        const squads = (registration.tournament.squads || [])
+            .filter(squad => registration.assignedSquads.some(id => id.toString() === squad._id.toString()))
+            .map(squad => ({ name: squad.name, date: squad.date, time: squad.time }));
+
+        return res.send({
+            playerName: registration.playerName,
+            tournament: {
+                _id: registration.tournament._id,
+                name: registration.tournament.name,
+                startDate: registration.tournament.startDate,
+                location: registration.tournament.location
+            },
+            squads,
+            expiresAt: registration.waitlist.offerExpiresAt
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST accept a waitlist offer (public - token from the offer email)
+router.post('/waitlist/offers/:token/accept', registrationLimiter, async (req, res) => {
+    try {
+        const token = validateOfferToken(req.params.token);
+        if (!token) {
+            return res.status(400).send({ error: 'Invalid offer link' });
+        }
+
+        const registration = await Registration.findOneAndUpdate(
+            { 'waitlist.offerToken': token, status: 'waitlist', 'waitlist.offerExpiresAt': { $gt: new Date() } },
+            { $set: { status: 'confirmed', 'waitlist.offerToken': null } },
+            { new: true }
+        );
+        if (!registration) {
+            return res.status(404).send({ error: 'This offer has expired or has already been used' });
+        }
+
+        const tournament = await Tournament.findById(registration.tournament);
+
+        sendRegistrationConfirmation({
+            to: registration.email,
+            bowler: {
+                name: registration.playerName
+            },
+            tournament: {
+                name: tournament.name,
+                startDate: tournament.startDate,
+                location: tournament.location,
+                entryFee: registration.quote?.total ?? tournament.entryFee,
+                paymentInstructions: tournament.paymentInstructions
+            },
+            squads: registration.assignedSquads.map(squadId => {
+                const squad = tournament.squads.id(squadId);
+                return {
+                    name: squad ? squad.name : 'Unknown Squad',
+                    time: squad ? squad.time : ''
+                };
+            }),
+            registrationId: registration._id.toString()
+        }).catch(err => {
+            console.error('Failed to send confirmation email:', err);
+        });
+
+        const checkout = await createCheckout(tournament, registration).catch(err => {
+            console.error('Failed to create checkout:', err);
+            return null;
+        });
+
+        return res.send({ message: 'Your spot is confirmed', registration, checkout });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
 // PUT update registration status (admin only)
 router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, res) => {
     try {
@@ -639,6 +707,11 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
             if (!validStatuses.includes(status)) {
                 return res.status(400).send({ error: 'Invalid status value' });
             }
+            if (status === 'waitlist' && registration.status !== 'waitlist') {
+                registration.waitlist = { joinedAt: new Date(), offerToken: null, offeredAt: null, offerExpiresAt: null };
+            } else if (status !== 'waitlist') {
+                registration.waitlist.offerToken = null;
+            }
             registration.status = status;
         }
         if (notes !== undefined) {
@@ -654,7 +727,7 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
 
         // Handle stage-based scoring
         if (stageScores) {
-            const { stageIndex, scores, bonusPins, handicap } = stageScores;
+            const { stageIndex, scores = [], bonusPins, handicap, frames } = stageScores;
             
             // Validate stageIndex
             const validStageIndex = validateInteger(stageIndex, 0, 100);
@@ -662,16 +735,25 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
                 return res.status(400).send({ error: 'Invalid stage index' });
             }
             
-            // Validate scores array
-            if (!Array.isArray(scores) || scores.length === 0 || scores.length > 50) {
+            // Validate scores array (games entered frame by frame need no total)
+            const hasFrames = Array.isArray(frames) && frames.length > 0;
+            if (!Array.isArray(scores) || (scores.length === 0 && !hasFrames) || scores.length > 50) {
                 return res.status(400).send({ error: 'Invalid scores array' });
             }
             
             // Validate each score (0-300 for bowling)
-            const validScores = scores.map(score => validateInteger(score, 0, 300)).filter(s => s !== null);
-            if (validScores.length !== scores.length) {
+            const checkedScores = scores.map(score => validateInteger(score, 0, 300)).filter(s => s !== null);
+            if (checkedScores.length !== scores.length) {
                 return res.status(400).send({ error: 'Invalid score values' });
             }
+
+            // Frame-by-frame games are checked against ten-pin rules and
+            // replace the totals sent for them
+            const framed = resolveFrameScores(checkedScores, frames);
+            if (framed.error) {
+                return res.status(400).send({ error: framed.error });
+            }
+            const validScores = framed.scores;
             
             // Validate bonusPins if provided
             const validBonusPins = Array.isArray(bonusPins) 
@@ -680,25 +762,21 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
             
             // Validate handicap
             const validHandicap = validateInteger(handicap, 0, 200) || 0;
-            
-            // Find or create stage score entry
-            let stageScoreEntry = registration.stageScores.find(s => s.stageIndex === validStageIndex);
-            
-            if (stageScoreEntry) {
-                stageScoreEntry.scores = validScores;
-                stageScoreEntry.bonusPins = validBonusPins;
-                stageScoreEntry.handicap = validHandicap;
-                stageScoreEntry.total = validScores.reduce((sum, s) => sum + s, 0);
-            } else {
-                const newEntry = {
-                    stageIndex: validStageIndex,
-                    scores: validScores,
-                    bonusPins: validBonusPins,
-                    handicap: validHandicap,
-                    total: validScores.reduce((sum, s) => sum + s, 0),
-                    carryover: 0
-                };
-                registration.stageScores.push(newEntry);
+
+            // Squad-based qualifying needs the tournament's squad rules
+            const tournament = stageScores.squad !== undefined
+                ? await Tournament.findById(registration.tournament)
+                : null;
+            const scoreError = recordStageScores(registration, tournament, {
+                stageIndex: validStageIndex,
+                squad: stageScores.squad,
+                scores: validScores,
+                bonusPins: validBonusPins,
+                handicap: validHandicap,
+                frames: framed.frames
+            });
+            if (scoreError) {
+                return res.status(400).send({ error: scoreError });
             }
         }
 
@@ -732,6 +810,18 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
         }
 
         await registration.save();
+
+        // Standings change with scores, carryover and who is still in
+        if (stageScores || carryoverToNextStage !== undefined || status !== undefined) {
+            notifyScoresChanged(registration.tournament);
+        }
+
+        // A cancellation may have freed a spot for the waitlist
+        if (status !== undefined) {
+            const tournament = await Tournament.findById(registration.tournament);
+            if (tournament) await processWaitlist(tournament);
+        }
+
         await registration.populate('tournament');
 
         return res.send(registration);
@@ -741,6 +831,72 @@ router.put('/registrations/:id', strictWriteLimiter, requireAdmin, async (req, r
     }
 });
 
+// PUT override the average used for handicap (admin only)
+router.put('/registrations/:id/entering-average', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const registrationId = validateObjectId(req.params.id);
+        if (!registrationId) {
+            return res.status(400).send({ error: 'Invalid registration ID' });
+        }
+
+        const average = validateInteger(req.body.average, 0, 300);
+        if (average === null) {
+            return res.status(400).send({ error: 'Average must be between 0 and 300' });
+        }
+
+        const note = sanitizeString(req.body.note, 500);
+        if (!note) {
+            return res.status(400).send({ error: 'A note explaining the override is required' });
+        }
+
+        const registration = await Registration.findById(registrationId);
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+
+        registration.averageOverrides.push({
+            previousValue: registration.enteringAverage?.value ?? null,
+            value: average,
+            note,
+            changedBy: req.session.adminEmail || ''
+        });
+        registration.enteringAverage = {
+            value: average,
+            source: 'admin_verified',
+            lockedAt: registration.enteringAverage?.lockedAt || new Date()
+        };
+
+        await registration.save();
+        await registration.populate('tournament', 'name date location');
+
+        return res.send(registration);
+    } catch (error) {
+        console.error('Error overriding entering average:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST lock entering averages now instead of waiting for the deadline (admin only)
+router.post('/tournaments/:tournamentId/entering-averages/lock', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const locked = await lockEnteringAverages(tournament, { force: true });
+        return res.send({ locked });
+    } catch (error) {
+        console.error('Error locking entering averages:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
 // PUT update payment status (admin only)
 router.put('/registrations/:id/payment-status', strictWriteLimiter, requireAdmin, async (req, res) => {
     try {
@@ -814,8 +970,8 @@ router.put('/registrations/:id/squads', generalWriteLimiter, async (req, res) =>
             // Get current registrations per squad
             const allRegistrations = await Registration.find({
                 tournament: registration.tournament,
-                status: { $in: ['pending', 'confirmed'] },
-                _id: { $ne: registration._id } // Exclude current registration
+                _id: { $ne: registration._id }, // Exclude current registration
+                ...holdsSpotFilter()
             });
 
             const squadCounts = {};
@@ -842,7 +998,25 @@ router.put('/registrations/:id/squads', generalWriteLimiter, async (req, res) =>
         }
 
         registration.assignedSquads = validSquads || [];
+        // A squad left behind gives up its lane
+        registration.laneAssignments = (registration.laneAssignments || []).filter(assignment =>
+            registration.assignedSquads.some(squadId => squadId.toString() === assignment.squad.toString())
+        );
+
+        // Re-price at the original entry time so the bowler keeps any early-bird rate
+        const quote = buildQuote(tournament, {
+            squads: registration.assignedSquads,
+            addOns: registration.addOns,
+            sideEvents: registration.sideEvents,
+            at: registration.registeredAt
+        });
+        registration.quote = { ...quote, calculatedAt: new Date() };
         await registration.save();
+        registration.paymentStatus = await syncPaymentStatus(registration._id);
+
+        // Squads the bowler left may have room for the waitlist
+        await processWaitlist(tournament);
+
         await registration.populate('tournament');
         await registration.populate('assignedSquads');
 
@@ -883,7 +1057,13 @@ router.delete('/registrations/:id/cancel', generalWriteLimiter, async (req, res)
             return res.status(400).send({ error: 'Cannot cancel registration for tournaments that have started or completed' });
         }
 
-        await Registration.findByIdAndDelete(registrationId);
+        // Kept as cancelled so its payments stay on the ledger for refunds
+        registration.status = 'cancelled';
+        registration.waitlist.offerToken = null;
+        await registration.save();
+
+        // Offer the freed spot to the next bowler on the waitlist
+        await processWaitlist(tournament);
 
         return res.send({ message: 'Registration cancelled successfully' });
     } catch (error) {
@@ -900,13 +1080,22 @@ router.delete('/registrations/:id', strictWriteLimiter, requireAdmin, async (req
             return res.status(400).send({ error: 'Invalid registration ID' });
         }
         
-        const registration = await Registration.findByIdAndDelete(registrationId);
+        const registration = await Registration.findById(registrationId);
         
         if (!registration) {
             return res.status(404).send({ error: 'Registration not found' });
         }
 
-        return res.send({ message: 'Registration deleted successfully' });
+        // Cancelled rather than deleted, so payments and refunds taken
+        // against it stay in the payment report
+        registration.status = 'cancelled';
+        registration.waitlist.offerToken = null;
+        await registration.save();
+
+        const tournament = await Tournament.findById(registration.tournament);
+        if (tournament) await processWaitlist(tournament);
+
+        return res.send({ message: 'Registration cancelled successfully' });
     } catch (error) {
         return res.status(500).send({ error: 'Internal server error' });
     }
@@ -0,0 +1,44 @@
+import { Router } from 'express';
+import Tournament from '../models/Tournament.js';
+import { PDF_REPORTS, createReportPdf } from '../utils/pdfReports.js';
+import {
+    validateObjectId
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// GET a printable PDF for a tournament (admin only)
+router.get('/tournaments/:tournamentId/reports/:report', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+        if (!Object.hasOwn(PDF_REPORTS, req.params.report)) {
+            return res.status(404).send({ error: 'Report not found' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId);
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const doc = await createReportPdf(req.params.report, tournament);
+
+        const slug = tournament.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tournament';
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${slug}-${req.params.report}.pdf"`);
+        doc.pipe(res);
+    } catch (error) {
+        console.error('Error generating report:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,49 @@
+import { Router } from 'express';
+import JobRun from '../models/JobRun.js';
+import SchedulerLock from '../models/SchedulerLock.js';
+import { runDueJobs, INSTANCE_ID, SCHEDULER_INTERVAL_MS } from '../utils/scheduler.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// GET scheduler status and recent job history (admin only)
+router.get('/scheduler/jobs', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const [lock, jobs] = await Promise.all([
+            SchedulerLock.findById('scheduler').lean(),
+            JobRun.find()
+                .sort({ startedAt: -1 })
+                .limit(50)
+                .lean()
+        ]);
+
+        return res.send({
+            lock: lock && lock.expiresAt > new Date()
+                ? { holder: lock.holder, acquiredAt: lock.acquiredAt, expiresAt: lock.expiresAt }
+                : null,
+            instance: INSTANCE_ID,
+            intervalMs: SCHEDULER_INTERVAL_MS,
+            jobs
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST run every due job now, without waiting for the next tick (admin only)
+router.post('/scheduler/run', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const runs = await runDueJobs('manual');
+        return res.send({ ran: runs.length, jobs: runs });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
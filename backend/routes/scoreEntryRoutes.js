@@ -0,0 +1,356 @@
+import { Router } from 'express';
+import crypto from 'crypto';
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import ScorekeeperAccess from '../models/ScorekeeperAccess.js';
+import { usesQualifyingEntries } from '../utils/reentry.js';
+import {
+    MATCH_STAGE_TYPES,
+    getScoringStages,
+    getRecordedEntry,
+    getRecordedScores,
+    recordStageScores
+} from '../utils/scores.js';
+import { notifyScoresChanged } from '../utils/liveUpdates.js';
+import { getHandicapPerGame, getRegistrationFormat } from '../../frontend/js/shared/scoring.js';
+import {
+    validateObjectId,
+    validateInteger,
+    sanitizeString
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter,
+    pageViewLimiter,
+    otpVerifyLimiter,
+    scoreEntryLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin,
+    requireScoreEntry
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// No 0/O or 1/I, so codes read back cleanly off a sticky note
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const MAX_CODES_PER_TOURNAMENT = 20;
+
+function generateAccessCode() {
+    return Array.from({ length: CODE_LENGTH }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+}
+
+// Codes are typed as XXXX-XXXX, in any case
+function hashAccessCode(code) {
+    const normalized = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+function formatAccessCode(code) {
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function sameScores(a, b) {
+    return a.length === b.length && a.every((score, index) => score === b[index]);
+}
+
+function validateScoreList(scores, maxLength) {
+    if (!Array.isArray(scores) || scores.length > maxLength) return null;
+    const valid = scores.map(score => validateInteger(score, 0, 300));
+    return valid.includes(null) ? null : valid;
+}
+
+function toPublicScorekeeper(access) {
+    return {
+        _id: access._id,
+        label: access.label,
+        createdBy: access.createdBy,
+        lastUsedAt: access.lastUsedAt,
+        createdAt: access.createdAt
+    };
+}
+
+// GET score-entry access codes for a tournament (admin only)
+router.get('/tournaments/:tournamentId/scorekeepers', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const accesses = await ScorekeeperAccess.find({ tournament: tournamentId }).sort({ createdAt: 1 }).lean();
+        return res.send(accesses.map(toPublicScorekeeper));
+    } catch (error) {
+        console.error('Error loading scorekeepers:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST create a score-entry access code (admin only)
+// The code is only ever shown in this response.
+router.post('/tournaments/:tournamentId/scorekeepers', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).select('_id').lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const existing = await ScorekeeperAccess.countDocuments({ tournament: tournamentId });
+        if (existing >= MAX_CODES_PER_TOURNAMENT) {
+            return res.status(400).send({ error: `A tournament can have at most ${MAX_CODES_PER_TOURNAMENT} access codes` });
+        }
+
+        const code = generateAccessCode();
+        const access = await ScorekeeperAccess.create({
+            tournament: tournamentId,
+            label: sanitizeString(req.body.label, 60),
+            codeHash: hashAccessCode(code),
+            createdBy: req.session.adminEmail || ''
+        });
+
+        return res.status(201).send({ scorekeeper: toPublicScorekeeper(access), code: formatAccessCode(code) });
+    } catch (error) {
+        console.error('Error creating scorekeeper:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// DELETE revoke a score-entry access code (admin only)
+router.delete('/scorekeepers/:id', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const accessId = validateObjectId(req.params.id);
+        if (!accessId) {
+            return res.status(400).send({ error: 'Invalid access code ID' });
+        }
+
+        const access = await ScorekeeperAccess.findByIdAndDelete(accessId);
+        if (!access) {
+            return res.status(404).send({ error: 'Access code not found' });
+        }
+        return res.send({ message: 'Access code revoked' });
+    } catch (error) {
+        console.error('Error revoking scorekeeper:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST sign in to score entry with an access code
+router.post('/score-entry/login', otpVerifyLimiter, async (req, res) => {
+    try {
+        const { code } = req.body;
+        if (typeof code !== 'string' || !code.trim()) {
+            return res.status(400).send({ error: 'Access code required' });
+        }
+
+        const access = await ScorekeeperAccess.findOne({ codeHash: hashAccessCode(code) });
+        if (!access) {
+            return res.status(401).send({ error: 'Invalid access code' });
+        }
+
+        const tournament = await Tournament.findById(access.tournament).select('name').lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        access.lastUsedAt = new Date();
+        await access.save();
+
+        req.session.scorekeeper = {
+            accessId: access._id.toString(),
+            tournamentId: tournament._id.toString()
+        };
+
+        try {
+            await req.session.save();
+            return res.send({ success: true, tournamentId: tournament._id, tournamentName: tournament.name });
+        } catch (err) {
+            console.error('Session save error:', err);
+            return res.status(500).send({ error: 'Failed to create session' });
+        }
+    } catch (error) {
+        console.error('Score entry login error:', error);
+        return res.status(500).send({ error: 'Failed to sign in' });
+    }
+});
+
+// POST sign out of score entry
+router.post('/score-entry/logout', generalWriteLimiter, (req, res) => {
+    req.session.scorekeeper = undefined;
+    return res.send({ success: true });
+});
+
+// GET who is signed in to score entry, and for which tournament
+router.get('/score-entry/session', pageViewLimiter, (req, res) => {
+    return res.send({
+        isAdmin: Boolean(req.session?.isAdmin),
+        tournamentId: req.session?.scorekeeper?.tournamentId || null
+    });
+});
+
+// GET bowlers, stages and recorded scores for score entry (admin or scorekeeper)
+// Scores are keyed by "stageIndex:squadId", with no squad outside squad blocks.
+router.get('/tournaments/:tournamentId/score-entry', scoreEntryLimiter, requireScoreEntry, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const stages = getScoringStages(tournament)
+            .map((stage, index) => ({
+                index,
+                name: stage.name,
+                games: stage.games || tournament.format?.gamesPerBowler || 3,
+                bySquad: usesQualifyingEntries(tournament, index),
+                type: stage.type
+            }))
+            .filter(stage => !MATCH_STAGE_TYPES.includes(stage.type));
+
+        const registrations = await Registration.find({
+            tournament: tournamentId,
+            status: { $in: ['pending', 'confirmed'] }
+        })
+            .select('playerName currentStage assignedSquads laneAssignments stageScores qualifyingEntries')
+            .sort({ playerName: 1 })
+            .lean();
+
+        const bowlers = registrations.map(registration => {
+            const squads = (registration.assignedSquads || []).map(id => id.toString());
+            const scores = {};
+            stages.forEach(stage => {
+                const blocks = stage.bySquad ? squads : [null];
+                blocks.forEach(squadId => {
+                    const recorded = getRecordedScores(registration, tournament, stage.index, squadId);
+                    if (recorded.length > 0) scores[`${stage.index}:${squadId || ''}`] = recorded;
+                });
+            });
+
+            return {
+                _id: registration._id,
+                playerName: registration.playerName,
+                currentStage: registration.currentStage || 0,
+                squads,
+                lanes: (registration.laneAssignments || []).map(({ squad, lane }) => ({ squad, lane })),
+                scores
+            };
+        });
+
+        return res.send({
+            tournament: {
+                _id: tournament._id,
+                name: tournament.name,
+                status: tournament.status,
+                squads: (tournament.squads || []).map(({ _id, name }) => ({ _id, name }))
+            },
+            stages: stages.map(({ type, ...stage }) => stage),
+            bowlers
+        });
+    } catch (error) {
+        console.error('Error loading score entry:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// PUT save one bowler's games from score entry (admin or scorekeeper)
+// base is the scores the device last saw. If someone else has changed them
+// since, nothing is saved and the 409 carries the current scores so the
+// scorekeeper can choose which to keep.
+router.put('/tournaments/:tournamentId/score-entry/:registrationId', scoreEntryLimiter, requireScoreEntry, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        const registrationId = validateObjectId(req.params.registrationId);
+        if (!tournamentId || !registrationId) {
+            return res.status(400).send({ error: 'Invalid tournament or registration ID' });
+        }
+
+        const { stageIndex, squad, scores, base } = req.body;
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+        if (tournament.status === 'completed' && !req.session.isAdmin) {
+            return res.status(403).send({ error: 'Scores are closed for this tournament' });
+        }
+
+        const validStageIndex = validateInteger(stageIndex, 0, 100);
+        const stage = validStageIndex === null ? null : getScoringStages(tournament)[validStageIndex];
+        if (!stage) {
+            return res.status(400).send({ error: 'Invalid stage index' });
+        }
+        if (MATCH_STAGE_TYPES.includes(stage.type)) {
+            return res.status(400).send({ error: `${stage.name} is match play; enter its scores on the matches` });
+        }
+
+        const games = stage.games || tournament.format?.gamesPerBowler || 3;
+        const validScores = validateScoreList(scores, games);
+        if (!validScores || validScores.length === 0) {
+            return res.status(400).send({ error: `Enter between 1 and ${games} games` });
+        }
+        const validBase = validateScoreList(base, 50);
+        if (!validBase) {
+            return res.status(400).send({ error: 'Invalid base scores' });
+        }
+
+        const registration = await Registration.findOne({
+            _id: registrationId,
+            tournament: tournamentId,
+            status: { $in: ['pending', 'confirmed'] }
+        });
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+
+        const bySquad = usesQualifyingEntries(tournament, validStageIndex);
+        const squadId = bySquad ? validateObjectId(squad) : null;
+        if (bySquad && !registration.assignedSquads.some(id => id.toString() === squadId)) {
+            return res.status(400).send({ error: 'Bowler is not entered in that squad' });
+        }
+        const current = getRecordedScores(registration, tournament, validStageIndex, squadId);
+
+        // A retried save that already went through
+        if (sameScores(current, validScores)) {
+            return res.send({ message: 'Scores already saved', scores: current });
+        }
+        if (!sameScores(current, validBase)) {
+            return res.status(409).send({
+                error: `${registration.playerName}'s scores were changed on another device`,
+                current
+            });
+        }
+
+        // Desk entry is games only; bonus pins and handicap stay as recorded
+        const existing = getRecordedEntry(registration, tournament, validStageIndex, squadId);
+        const scoreError = recordStageScores(registration, tournament, {
+            stageIndex: validStageIndex,
+            squad: squadId,
+            scores: validScores,
+            bonusPins: validScores.map((_, gameIndex) => existing?.bonusPins?.[gameIndex] || 0),
+            handicap: existing?.handicap ?? getHandicapPerGame(getRegistrationFormat(tournament.format, registration), registration).perGame
+        });
+        if (scoreError) {
+            return res.status(400).send({ error: scoreError });
+        }
+
+        await registration.save();
+        notifyScoresChanged(tournament._id);
+
+        return res.send({ message: 'Scores saved', scores: validScores });
+    } catch (error) {
+        console.error('Error saving score entry:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
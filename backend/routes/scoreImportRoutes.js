@@ -0,0 +1,155 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import { buildImportPreview } from '../utils/scoreImport.js';
+import { recordStageScores, getRecordedEntry } from '../utils/scores.js';
+import { notifyScoresChanged } from '../utils/liveUpdates.js';
+import { getHandicapPerGame, getRegistrationFormat } from '../../frontend/js/shared/scoring.js';
+import {
+    validateObjectId,
+    validateInteger
+} from '../middleware/validation.js';
+import {
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+const MAX_CSV_LENGTH = 500 * 1024;
+
+// POST import scores from a CSV file or a lane scoring-system export (admin only)
+// Send { dryRun: true } to preview the matches without changing anything.
+// Rows with existing scores are only replaced with { overwrite: true };
+// resolutions pick a registration ID (or 'skip') for a row by line number.
+router.post('/tournaments/:tournamentId/scores/import', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const { csv, stageIndex = 0, squad, resolutions, overwrite, dryRun } = req.body;
+        if (typeof csv !== 'string' || csv.trim() === '') {
+            return res.status(400).send({ error: 'Choose a file to import' });
+        }
+        if (csv.length > MAX_CSV_LENGTH) {
+            return res.status(400).send({ error: 'File is too large' });
+        }
+
+        const validStageIndex = validateInteger(stageIndex, 0, 100);
+        if (validStageIndex === null) {
+            return res.status(400).send({ error: 'Invalid stage index' });
+        }
+        const validSquad = squad ? validateObjectId(squad) : null;
+        if (squad && !validSquad) {
+            return res.status(400).send({ error: 'Invalid squad' });
+        }
+
+        const validResolutions = {};
+        if (resolutions && typeof resolutions === 'object') {
+            Object.entries(resolutions).forEach(([line, choice]) => {
+                const validLine = validateInteger(line, 1, 1000000);
+                const validChoice = choice === 'skip' ? 'skip' : validateObjectId(choice);
+                if (validLine !== null && validChoice) {
+                    validResolutions[validLine] = validChoice;
+                }
+            });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const registrations = await Registration.find({
+            tournament: tournamentId,
+            status: { $in: ['pending', 'confirmed'] }
+        })
+            .select('playerName email assignedSquads laneAssignments stageScores qualifyingEntries')
+            .lean();
+
+        const preview = buildImportPreview(tournament, registrations, csv, {
+            stageIndex: validStageIndex,
+            squad: validSquad,
+            resolutions: validResolutions
+        });
+        if (preview.error) {
+            return res.status(400).send({ error: preview.error });
+        }
+
+        if (dryRun === true) {
+            return res.send({ dryRun: true, ...preview });
+        }
+
+        const duplicates = preview.rows.filter(row => row.duplicate);
+        if (duplicates.length > 0) {
+            const lines = duplicates.map(row => row.line).join(', ');
+            return res.status(400).send({ error: `Lines ${lines} are for the same bowler. Skip or reassign all but one.` });
+        }
+
+        const toImport = preview.rows.filter(row =>
+            row.status === 'ready' || (overwrite === true && row.status === 'conflict' && row.match)
+        );
+        if (toImport.length === 0) {
+            return res.status(400).send({ error: 'No rows are ready to import' });
+        }
+
+        const loaded = new Map();
+        for (const row of toImport) {
+            let registration = loaded.get(row.match.registrationId);
+            if (!registration) {
+                // Re-checked, as the bowler may have been cancelled since the preview
+                registration = await Registration.findOne({
+                    _id: row.match.registrationId,
+                    tournament: tournamentId,
+                    status: { $in: ['pending', 'confirmed'] }
+                });
+                if (!registration) {
+                    return res.status(409).send({ error: `Line ${row.line}: ${row.match.playerName} is no longer registered` });
+                }
+                loaded.set(row.match.registrationId, registration);
+            }
+
+            // Bonus pins aren't in the file; recorded ones stay with their game
+            const existing = getRecordedEntry(registration, tournament, row.stageIndex, row.squad);
+            const scoreError = recordStageScores(registration, tournament, {
+                stageIndex: row.stageIndex,
+                squad: row.squad,
+                scores: row.scores,
+                bonusPins: row.scores.map((_, gameIndex) => existing?.bonusPins?.[gameIndex] || 0),
+                handicap: getHandicapPerGame(getRegistrationFormat(tournament.format, registration), registration).perGame
+            });
+            if (scoreError) {
+                return res.status(400).send({ error: `Line ${row.line}: ${scoreError}` });
+            }
+        }
+
+        // Every row lands or none do
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                for (const registration of loaded.values()) {
+                    await registration.save({ session });
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+        notifyScoresChanged(tournament._id);
+
+        return res.send({
+            message: `Imported scores for ${toImport.length} ${toImport.length === 1 ? 'row' : 'rows'}`,
+            imported: toImport.length,
+            skipped: preview.rows.length - toImport.length
+        });
+    } catch (error) {
+        console.error('Error importing scores:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
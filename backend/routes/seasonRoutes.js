@@ -0,0 +1,153 @@
+import { Router } from 'express';
+import Season from '../models/Season.js';
+import { recalculateSeason, buildSeasonStandings } from '../utils/seasons.js';
+import {
+    validateObjectId,
+    validateObjectIdArray,
+    validateInteger,
+    sanitizeString
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// Season settings from a request body, or an error message
+function readSeasonSettings(body) {
+    const name = sanitizeString(body.name, 100);
+    if (!name) return { error: 'Season name is required' };
+
+    const tournaments = validateObjectIdArray(body.tournaments || []);
+    if (!tournaments) return { error: 'Invalid tournament selection' };
+
+    if (!Array.isArray(body.pointsTable) || body.pointsTable.some(points => typeof points !== 'number' || points < 0)) {
+        return { error: 'pointsTable must be a list of points by position' };
+    }
+
+    const cutBonus = validateInteger(body.cutBonus ?? 0, 0, 100000);
+    const titleBonus = validateInteger(body.titleBonus ?? 0, 0, 100000);
+    const dropWorst = validateInteger(body.dropWorst ?? 0, 0, 100);
+    if (cutBonus === null || titleBonus === null || dropWorst === null) {
+        return { error: 'Bonuses and dropped events must be whole numbers' };
+    }
+
+    return {
+        settings: {
+            name,
+            startDate: body.startDate || null,
+            endDate: body.endDate || null,
+            tournaments: [...new Set(tournaments)],
+            pointsTable: body.pointsTable,
+            cutBonus,
+            titleBonus,
+            dropWorst
+        }
+    };
+}
+
+// GET all seasons (public)
+router.get('/seasons', generalWriteLimiter, async (req, res) => {
+    try {
+        const seasons = await Season.find()
+            .select('-events')
+            .sort({ startDate: -1 })
+            .lean();
+        return res.send(seasons);
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET Player of the Year standings for a season (public)
+router.get('/seasons/:id/standings', generalWriteLimiter, async (req, res) => {
+    try {
+        const seasonId = validateObjectId(req.params.id);
+        if (!seasonId) {
+            return res.status(400).send({ error: 'Invalid season ID' });
+        }
+
+        const season = await Season.findById(seasonId).lean();
+        if (!season) {
+            return res.status(404).send({ error: 'Season not found' });
+        }
+
+        const { events, standings } = await buildSeasonStandings(season);
+        return res.send({
+            season: {
+                _id: season._id,
+                name: season.name,
+                startDate: season.startDate,
+                endDate: season.endDate,
+                tournamentCount: season.tournaments.length,
+                dropWorst: season.dropWorst
+            },
+            events,
+            standings
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST create a season (admin only)
+router.post('/seasons', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const { settings, error } = readSeasonSettings(req.body);
+        if (error) {
+            return res.status(400).send({ error });
+        }
+
+        const season = await recalculateSeason(new Season(settings));
+        return res.status(201).send(season);
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
+});
+
+// PUT update a season and re-record its points (admin only)
+router.put('/seasons/:id', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const seasonId = validateObjectId(req.params.id);
+        if (!seasonId) {
+            return res.status(400).send({ error: 'Invalid season ID' });
+        }
+
+        const { settings, error } = readSeasonSettings(req.body);
+        if (error) {
+            return res.status(400).send({ error });
+        }
+
+        const season = await Season.findById(seasonId);
+        if (!season) {
+            return res.status(404).send({ error: 'Season not found' });
+        }
+
+        season.set(settings);
+        return res.send(await recalculateSeason(season));
+    } catch (error) {
+        return res.status(400).send({ error: error.message });
+    }
+});
+
+// DELETE a season (admin only)
+router.delete('/seasons/:id', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const seasonId = validateObjectId(req.params.id);
+        if (!seasonId) {
+            return res.status(400).send({ error: 'Invalid season ID' });
+        }
+
+        const season = await Season.findByIdAndDelete(seasonId);
+        if (!season) return res.status(404).send({ error: 'Season not found' });
+        return res.send({ message: 'Season deleted successfully' });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
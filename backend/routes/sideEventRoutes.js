@@ -0,0 +1,84 @@
+import { Router } from 'express';
+import Registration from '../models/Registration.js';
+import Tournament from '../models/Tournament.js';
+import { buildQuote } from '../utils/pricing.js';
+import { syncPaymentStatus } from '../utils/payments.js';
+import { buildSideEventReport } from '../utils/sideEvents.js';
+import {
+    validateObjectId,
+    sanitizeString
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+
+const router = Router();
+
+// PUT set the side events a registration is entered in (admin only)
+router.put('/registrations/:id/side-events', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const registrationId = validateObjectId(req.params.id);
+        if (!registrationId) {
+            return res.status(400).send({ error: 'Invalid registration ID' });
+        }
+        if (!Array.isArray(req.body.sideEvents)) {
+            return res.status(400).send({ error: 'sideEvents must be an array' });
+        }
+
+        const registration = await Registration.findById(registrationId);
+        if (!registration) {
+            return res.status(404).send({ error: 'Registration not found' });
+        }
+
+        const tournament = await Tournament.findById(registration.tournament);
+        const offered = (tournament.sideEvents || []).map(event => event.key);
+        const keys = [...new Set(req.body.sideEvents.map(key => sanitizeString(key, 40)).filter(Boolean))];
+        if (keys.some(key => !offered.includes(key))) {
+            return res.status(400).send({ error: 'Invalid side event selection' });
+        }
+
+        registration.sideEvents = keys;
+
+        // Re-price at the original entry time so the bowler keeps any early-bird rate
+        const quote = buildQuote(tournament, {
+            squads: registration.assignedSquads,
+            addOns: registration.addOns,
+            sideEvents: keys,
+            at: registration.registeredAt
+        });
+        registration.quote = { ...quote, calculatedAt: new Date() };
+        await registration.save();
+        registration.paymentStatus = await syncPaymentStatus(registration._id);
+
+        return res.send(registration);
+    } catch (error) {
+        console.error('Error updating side events:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET side event entries, winners and payouts for a tournament (admin only)
+router.get('/tournaments/:tournamentId/side-events/report', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.tournamentId);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId).lean();
+        if (!tournament) {
+            return res.status(404).send({ error: 'Tournament not found' });
+        }
+
+        const events = await buildSideEventReport(tournament);
+        return res.send({ tournament: { _id: tournament._id, name: tournament.name }, events });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,814 @@
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import Tournament from '../models/Tournament.js';
+import StageMatch from '../models/StageMatch.js';
+import Registration from '../models/Registration.js';
+import StageAdvancement from '../models/StageAdvancement.js';
+import RollOff from '../models/RollOff.js';
+import {
+    validateObjectId,
+    validateInteger,
+    validateObjectIdArray
+} from '../middleware/validation.js';
+import {
+    generalWriteLimiter,
+    strictWriteLimiter
+} from '../middleware/ratelimiters.js';
+import {
+    requireAdmin
+} from '../middleware/auth.js';
+import { getMatchFormat } from '../utils/matchFormats.js';
+import {
+    buildRoundPlan,
+    generateRoundRobinPairings,
+    generatePositionRoundPairings,
+    applyRoundRobinResult
+} from '../utils/roundRobin.js';
+import {
+    buildBracket,
+    buildStepladder,
+    normalizeBracketSize,
+    resolveBracketMatch,
+    advanceBracket,
+    settleOpeningByes,
+    retractBracketResult
+} from '../utils/bracket.js';
+import { generateTriRounds, applyTriResult } from '../utils/triMatchplay.js';
+import { calculateAdvancement } from '../utils/advancement.js';
+import { notifyScoresChanged } from '../utils/liveUpdates.js';
+import { groupByDivision, matchesInDivision } from '../utils/divisions.js';
+import {
+    getStageMatchPlaySettings,
+    getStageEntrants,
+    getSeededEntrants,
+    syncStageScoresFromMatches,
+    getRoundRobinStandings,
+    recordStepladderPlacings
+} from '../utils/matchplay.js';
+
+const router = Router();
+
+// Stage types whose matches feed winners forward through winnerTo/loserTo
+const KNOCKOUT_STAGE_TYPES = ['elimination', 'stepladder'];
+const ALREADY_ADVANCED = 'Bowlers have already advanced from this stage. Undo the advancement first.';
+
+function toParticipant(entrant) {
+    return {
+        registration: entrant.registration,
+        playerName: entrant.playerName,
+        seed: entrant.seed,
+        scores: []
+    };
+}
+
+// Entrants grouped by division, skipping divisions with nobody left in the stage
+function groupEntrantsByDivision(tournament, entrants) {
+    return groupByDivision(tournament, entrants).filter(group => group.items.length > 0);
+}
+
+// Load a tournament and one of its stages from route params, sending the error response if invalid
+async function loadStage(req, res) {
+    const tournamentId = validateObjectId(req.params.id);
+    if (!tournamentId) {
+        res.status(400).send({ error: 'Invalid tournament ID' });
+        return null;
+    }
+
+    const stageIndex = validateInteger(req.params.index, 0, 100);
+    if (stageIndex === null) {
+        res.status(400).send({ error: 'Invalid stage index' });
+        return null;
+    }
+
+    const tournament = await Tournament.findById(tournamentId);
+    if (!tournament) {
+        res.status(404).send({ error: 'Tournament not found' });
+        return null;
+    }
+
+    const stage = tournament.format?.stages?.[stageIndex];
+    if (!stage) {
+        res.status(404).send({ error: 'Stage not found' });
+        return null;
+    }
+
+    return { tournament, stage, stageIndex };
+}
+
+// Round plan for a round robin stage, capped so nobody meets the same opponent twice
+function getRoundRobinPlan(stage, entrantCount) {
+    // An odd field has one extra round so everyone gets their bye
+    const maxRounds = entrantCount % 2 === 0 ? entrantCount - 1 : entrantCount;
+    const matchesPerBowler = Math.min(Number(stage.stageConfig?.matchesPerBowler) || maxRounds, maxRounds);
+    return buildRoundPlan(matchesPerBowler, Number(stage.stageConfig?.positionRoundInterval) || 0);
+}
+
+// Generate a division's next position round once every earlier round in that division has been completed
+async function createReadyPositionRound(tournament, stage, stageIndex, division = '') {
+    const entrants = (await getStageEntrants(tournament, stageIndex))
+        .filter(entrant => entrant.division === division);
+    const plan = getRoundRobinPlan(stage, entrants.length);
+    const matches = matchesInDivision(await StageMatch.find({ tournament: tournament._id, stageIndex }).lean(), division);
+    const generatedRounds = new Set(matches.map(match => match.round));
+
+    const nextPositionRound = plan.find(entry => entry.isPositionRound && !generatedRounds.has(entry.round));
+    if (!nextPositionRound) return null;
+
+    const earlierRounds = plan.filter(entry => entry.round < nextPositionRound.round);
+    const earlierComplete = earlierRounds.every(entry => generatedRounds.has(entry.round)) &&
+        matches.filter(match => match.round < nextPositionRound.round).every(match => match.status === 'completed');
+    if (!earlierComplete) return null;
+
+    const { standings } = await getRoundRobinStandings(tournament, stageIndex);
+    const settings = getStageMatchPlaySettings(tournament, stage);
+    const pairs = generatePositionRoundPairings(standings.filter(row => row.division === division));
+
+    return StageMatch.insertMany(pairs.map(([a, b], i) => ({
+        tournament: tournament._id,
+        stageIndex,
+        stageType: 'round_robin',
+        round: nextPositionRound.round,
+        matchNumber: i + 1,
+        isPositionRound: true,
+        matchFormat: settings.matchFormat,
+        division,
+        participants: [a, b].filter(Boolean).map(toParticipant)
+    })));
+}
+
+// Turn one bracket or stepladder layout per division into match documents, settle byes and replace the stage's matches
+async function replaceKnockoutMatches(tournament, stageIndex, stageType, matchFormat, divisionLayouts) {
+    const matchesById = new Map();
+    for (const { division, layout } of divisionLayouts) {
+        // Layout keys only link matches within one division's bracket
+        const ids = new Map(layout.map(match => [match.key, new mongoose.Types.ObjectId()]));
+        layout.forEach(match => matchesById.set(ids.get(match.key).toString(), {
+            _id: ids.get(match.key),
+            tournament: tournament._id,
+            stageIndex,
+            stageType,
+            bracket: match.bracket,
+            round: match.round,
+            matchNumber: match.matchNumber,
+            matchFormat,
+            division,
+            participants: match.participants.map(toParticipant),
+            pendingFeeds: match.pendingFeeds,
+            winnerTo: match.winnerTo ? ids.get(match.winnerTo) : null,
+            loserTo: match.loserTo ? ids.get(match.loserTo) : null
+        }));
+    }
+    settleOpeningByes(matchesById);
+
+    await StageMatch.deleteMany({ tournament: tournament._id, stageIndex });
+    return StageMatch.insertMany([...matchesById.values()]);
+}
+
+// GET matches for a stage (public)
+router.get('/tournaments/:id/stages/:index/matches', generalWriteLimiter, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+
+        const matches = await StageMatch.find({
+            tournament: loaded.tournament._id,
+            stageIndex: loaded.stageIndex
+        })
+            .sort({ round: 1, matchNumber: 1 })
+            .lean();
+
+        return res.send({
+            stageIndex: loaded.stageIndex,
+            stageName: loaded.stage.name,
+            type: loaded.stage.type,
+            matches
+        });
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST generate round robin schedule for a stage (admin only)
+router.post('/tournaments/:id/stages/:index/round-robin', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stage, stageIndex } = loaded;
+
+        if (stage.type !== 'round_robin') {
+            return res.status(400).send({ error: 'Stage is not a round robin stage' });
+        }
+
+        const existing = await StageMatch.find({ tournament: tournament._id, stageIndex }).lean();
+        if (existing.some(match => match.status === 'completed')) {
+            return res.status(400).send({ error: 'Cannot regenerate a schedule that already has results' });
+        }
+        if (existing.length > 0 && req.body.regenerate !== true) {
+            return res.status(400).send({ error: 'Schedule already generated for this stage' });
+        }
+
+        const entrants = await getStageEntrants(tournament, stageIndex);
+        const divisions = groupEntrantsByDivision(tournament, entrants);
+        if (divisions.length === 0 || divisions.some(group => group.items.length < 2)) {
+            return res.status(400).send({ error: 'At least 2 bowlers must advance into this stage first (in each division)' });
+        }
+
+        const settings = getStageMatchPlaySettings(tournament, stage);
+        const matches = [];
+        let plan = [];
+        for (const { division, items } of divisions) {
+            // Each division plays its own schedule; the longest plan is reported back
+            const divisionPlan = getRoundRobinPlan(stage, items.length);
+            if (divisionPlan.length > plan.length) plan = divisionPlan;
+
+            const regularRounds = divisionPlan.filter(entry => !entry.isPositionRound);
+            const pairings = generateRoundRobinPairings(items, regularRounds.length);
+            regularRounds.forEach((entry, r) => {
+                pairings[r].forEach(([a, b], i) => {
+                    matches.push({
+                        tournament: tournament._id,
+                        stageIndex,
+                        stageType: 'round_robin',
+                        round: entry.round,
+                        matchNumber: i + 1,
+                        matchFormat: settings.matchFormat,
+                        division,
+                        participants: [a, b].filter(Boolean).map(toParticipant)
+                    });
+                });
+            });
+        }
+
+        await StageMatch.deleteMany({ tournament: tournament._id, stageIndex });
+        const created = await StageMatch.insertMany(matches);
+        const regularRoundCount = plan.filter(entry => !entry.isPositionRound).length;
+
+        return res.status(201).send({
+            message: `Generated ${regularRoundCount} rounds for ${entrants.length} bowlers`,
+            rounds: plan,
+            matches: created
+        });
+    } catch (error) {
+        console.error('Error generating round robin schedule:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST generate tri-matchplay groups for every round of a stage (admin only)
+router.post('/tournaments/:id/stages/:index/tri-matchplay', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stage, stageIndex } = loaded;
+
+        if (stage.type !== 'tri_matchplay') {
+            return res.status(400).send({ error: 'Stage is not a tri-matchplay stage' });
+        }
+
+        const existing = await StageMatch.find({ tournament: tournament._id, stageIndex }).lean();
+        if (existing.some(match => match.status === 'completed')) {
+            return res.status(400).send({ error: 'Cannot regenerate groups that already have results' });
+        }
+        if (existing.length > 0 && req.body.regenerate !== true) {
+            return res.status(400).send({ error: 'Groups already generated for this stage' });
+        }
+
+        const entrants = await getSeededEntrants(tournament, stageIndex);
+        const divisions = groupEntrantsByDivision(tournament, entrants);
+        if (divisions.length === 0 || divisions.some(group => group.items.length < 3)) {
+            return res.status(400).send({ error: 'At least 3 bowlers must advance into this stage first (in each division)' });
+        }
+
+        const roundCount = Number(stage.stageConfig?.triRounds) || stage.games;
+        const matches = [];
+        for (const { division, items } of divisions) {
+            generateTriRounds(items, roundCount).forEach(({ groups, byes }, r) => {
+                // Byes are listed after the groups as single bowler entries
+                [...groups, ...byes.map(bye => [bye])].forEach((group, i) => {
+                    matches.push({
+                        tournament: tournament._id,
+                        stageIndex,
+                        stageType: 'tri_matchplay',
+                        round: r + 1,
+                        matchNumber: i + 1,
+                        matchFormat: 'single-game',
+                        division,
+                        participants: group.map(toParticipant)
+                    });
+                });
+            });
+        }
+
+        await StageMatch.deleteMany({ tournament: tournament._id, stageIndex });
+        const created = await StageMatch.insertMany(matches);
+
+        return res.status(201).send({
+            message: `Generated ${roundCount} rounds of groups for ${entrants.length} bowlers`,
+            matches: created
+        });
+    } catch (error) {
+        console.error('Error generating tri-matchplay groups:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST generate elimination bracket for a stage, seeded from the previous stage (admin only)
+router.post('/tournaments/:id/stages/:index/bracket', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stage, stageIndex } = loaded;
+
+        if (stage.type !== 'elimination') {
+            return res.status(400).send({ error: 'Stage is not an elimination stage' });
+        }
+
+        const existing = await StageMatch.find({ tournament: tournament._id, stageIndex }).lean();
+        if (existing.some(match => match.status === 'completed' && !match.isBye)) {
+            return res.status(400).send({ error: 'Cannot regenerate a bracket that already has results' });
+        }
+        if (existing.length > 0 && req.body.regenerate !== true) {
+            return res.status(400).send({ error: 'Bracket already generated for this stage' });
+        }
+
+        const seeded = await getSeededEntrants(tournament, stageIndex);
+        const brackets = groupEntrantsByDivision(tournament, seeded).map(({ division, items }) => {
+            // Only the top seeds make a bracket smaller than the field; a size
+            // short of a power of two gives the top seeds first round byes
+            const entrants = items.slice(0, Number(stage.stageConfig?.bracketSize) || items.length);
+            return { division, bracketSize: normalizeBracketSize(entrants.length), entrants };
+        });
+        if (brackets.length === 0 || brackets.some(bracket => bracket.entrants.length < 2)) {
+            return res.status(400).send({ error: 'At least 2 bowlers must advance into this stage first (in each division)' });
+        }
+
+        const settings = getStageMatchPlaySettings(tournament, stage);
+        const layouts = brackets.map(({ division, bracketSize, entrants }) => ({
+            division,
+            layout: buildBracket(entrants, {
+                style: stage.stageConfig?.eliminationStyle,
+                bracketSize,
+                rounds: stage.stageConfig?.rounds
+            })
+        }));
+
+        const created = await replaceKnockoutMatches(tournament, stageIndex, 'elimination', settings.matchFormat, layouts);
+        const bowlerCount = brackets.reduce((sum, bracket) => sum + bracket.entrants.length, 0);
+
+        return res.status(201).send({
+            message: brackets.length > 1
+                ? `Generated ${brackets.length} division brackets for ${bowlerCount} bowlers`
+                : `Generated a ${bowlerCount} bowler bracket`,
+            matches: created
+        });
+    } catch (error) {
+        console.error('Error generating bracket:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST generate stepladder finals from the top seeds of the previous stage (admin only)
+router.post('/tournaments/:id/stages/:index/stepladder', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stage, stageIndex } = loaded;
+
+        if (stage.type !== 'stepladder') {
+            return res.status(400).send({ error: 'Stage is not a stepladder stage' });
+        }
+
+        const existing = await StageMatch.find({ tournament: tournament._id, stageIndex }).lean();
+        if (existing.some(match => match.status === 'completed' && !match.isBye)) {
+            return res.status(400).send({ error: 'Cannot regenerate a stepladder that already has results' });
+        }
+        if (existing.length > 0 && req.body.regenerate !== true) {
+            return res.status(400).send({ error: 'Stepladder already generated for this stage' });
+        }
+
+        const seeded = await getSeededEntrants(tournament, stageIndex);
+        const ladders = groupEntrantsByDivision(tournament, seeded).map(({ division, items }) => ({
+            division,
+            finalists: items.slice(0, Number(stage.stageConfig?.finalists) || items.length)
+        }));
+        if (ladders.length === 0 || ladders.some(ladder => ladder.finalists.length < 2)) {
+            return res.status(400).send({ error: 'At least 2 bowlers must advance into this stage first (in each division)' });
+        }
+
+        const settings = getStageMatchPlaySettings(tournament, stage);
+        const created = await replaceKnockoutMatches(
+            tournament,
+            stageIndex,
+            'stepladder',
+            settings.matchFormat,
+            ladders.map(({ division, finalists }) => ({ division, layout: buildStepladder(finalists) }))
+        );
+
+        return res.status(201).send({
+            message: ladders.length > 1
+                ? `Generated ${ladders.length} division stepladders`
+                : `Generated a ${ladders[0].finalists.length} bowler stepladder`,
+            matches: created
+        });
+    } catch (error) {
+        console.error('Error generating stepladder:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// Record scores on a bracket match and move the winner (and loser) on
+async function recordBracketScores(match, scores, rollOffWinner) {
+    const matches = await StageMatch.find({ tournament: match.tournament, stageIndex: match.stageIndex }).lean();
+    const matchesById = new Map(matches.map(m => [m._id.toString(), m]));
+    const current = matchesById.get(match._id.toString());
+    const changed = new Set([current]);
+
+    if (current.status === 'completed') {
+        const retracted = retractBracketResult(matchesById, current);
+        if (!retracted) {
+            return { error: 'Later bracket matches have already been played' };
+        }
+        retracted.forEach(target => changed.add(target));
+    }
+
+    current.participants.forEach((participant, i) => {
+        participant.scores = scores[i];
+        participant.pinfall = scores[i].reduce((sum, s) => sum + s, 0);
+    });
+
+    const outcome = resolveBracketMatch(current.participants, current.matchFormat, rollOffWinner);
+    current.needsRollOff = outcome.needsRollOff;
+    current.winner = outcome.complete ? current.participants[outcome.winnerIndex].registration : null;
+    current.status = outcome.complete ? 'completed' : 'scheduled';
+    current.completedAt = outcome.complete ? new Date() : undefined;
+    current.participants.forEach((participant, i) => {
+        participant.result = outcome.complete ? (i === outcome.winnerIndex ? 'win' : 'loss') : '';
+    });
+
+    if (outcome.complete) {
+        advanceBracket(matchesById, current).forEach(target => changed.add(target));
+    }
+
+    await StageMatch.bulkWrite([...changed].map(m => ({
+        updateOne: {
+            filter: { _id: m._id },
+            update: {
+                $set: {
+                    participants: m.participants,
+                    pendingFeeds: m.pendingFeeds,
+                    winner: m.winner,
+                    isBye: Boolean(m.isBye),
+                    needsRollOff: Boolean(m.needsRollOff),
+                    status: m.status,
+                    completedAt: m.completedAt ?? null
+                }
+            }
+        }
+    })));
+
+    return { match: current };
+}
+
+// POST advance the top bowlers of a stage into the next stage (admin only)
+// Send { dryRun: true } to preview the cut without changing anything
+router.post('/tournaments/:id/stages/:index/advance', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stage, stageIndex } = loaded;
+
+        if (stageIndex >= tournament.format.stages.length - 1) {
+            return res.status(400).send({ error: 'This is the final stage' });
+        }
+
+        const activeQuery = { tournament: tournament._id, fromStage: stageIndex, undoneAt: null };
+        if (await StageAdvancement.exists(activeQuery)) {
+            return res.status(409).send({ error: ALREADY_ADVANCED });
+        }
+
+        const cut = await calculateAdvancement(tournament, stageIndex);
+        const preview = {
+            fromStage: stageIndex,
+            toStage: stageIndex + 1,
+            advancingBowlers: cut.advancingBowlers,
+            carryoverPercentage: cut.carryoverPercentage,
+            advancing: cut.advancing,
+            eliminated: cut.eliminated,
+            incomplete: cut.incomplete,
+            rollOffRequired: cut.rollOffRequired
+        };
+
+        if (req.body.dryRun === true) {
+            return res.send({ dryRun: true, ...preview });
+        }
+
+        if (cut.rollOffRequired.length > 0) {
+            const names = cut.rollOffRequired.map(row => row.playerName).join(', ');
+            return res.status(400).send({ error: `Record the roll-off between ${names} before advancing` });
+        }
+
+        if (cut.advancing.length === 0) {
+            return res.status(400).send({ error: 'No bowlers are ready to advance from this stage' });
+        }
+
+        const session = await mongoose.startSession();
+        let advancement;
+        let alreadyAdvanced = false;
+        try {
+            await session.withTransaction(async () => {
+                // Checked again inside the transaction in case another cut landed since
+                if (await StageAdvancement.exists(activeQuery).session(session)) {
+                    alreadyAdvanced = true;
+                    return;
+                }
+
+                const bowlers = [];
+                for (const row of cut.advancing) {
+                    const registration = await Registration.findById(row.registration).session(session);
+                    const nextEntry = registration.stageScores.find(s => s.stageIndex === stageIndex + 1);
+
+                    bowlers.push({
+                        ...row,
+                        previousStage: registration.currentStage || 0,
+                        previousCarryover: nextEntry ? nextEntry.carryover || 0 : null
+                    });
+
+                    registration.currentStage = stageIndex + 1;
+                    if (nextEntry) {
+                        nextEntry.carryover = row.carryover;
+                    } else {
+                        registration.stageScores.push({
+                            stageIndex: stageIndex + 1,
+                            scores: [],
+                            total: 0,
+                            carryover: row.carryover
+                        });
+                    }
+                    await registration.save({ session });
+                }
+
+                [advancement] = await StageAdvancement.create([{
+                    tournament: tournament._id,
+                    fromStage: stageIndex,
+                    toStage: stageIndex + 1,
+                    advancingBowlers: preview.advancingBowlers,
+                    carryoverPercentage: cut.carryoverPercentage,
+                    bowlers,
+                    advancedBy: req.session.adminEmail || ''
+                }], { session });
+            });
+        } finally {
+            await session.endSession();
+        }
+        if (alreadyAdvanced) {
+            return res.status(409).send({ error: ALREADY_ADVANCED });
+        }
+
+        return res.status(201).send({
+            message: `Advanced ${cut.advancing.length} bowlers to ${tournament.format.stages[stageIndex + 1].name}`,
+            advancement
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).send({ error: ALREADY_ADVANCED });
+        }
+        console.error('Error advancing stage:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST undo the latest advancement out of a stage (admin only)
+router.post('/tournaments/:id/stages/:index/advance/undo', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stageIndex } = loaded;
+
+        const advancement = await StageAdvancement.findOne({
+            tournament: tournament._id,
+            fromStage: stageIndex,
+            undoneAt: null
+        }).sort({ createdAt: -1 });
+        if (!advancement) {
+            return res.status(404).send({ error: 'No advancement to undo for this stage' });
+        }
+
+        // Once the next stage is under way the cut can't be reversed cleanly
+        const registrationIds = advancement.bowlers.map(b => b.registration);
+        const [nextStageMatches, nextStageScores] = await Promise.all([
+            StageMatch.countDocuments({ tournament: tournament._id, stageIndex: advancement.toStage }),
+            Registration.countDocuments({
+                _id: { $in: registrationIds },
+                stageScores: { $elemMatch: { stageIndex: advancement.toStage, 'scores.0': { $exists: true } } }
+            })
+        ]);
+        if (nextStageMatches > 0 || nextStageScores > 0) {
+            return res.status(400).send({ error: 'The next stage has already started. Clear its matches and scores first.' });
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                for (const bowler of advancement.bowlers) {
+                    const registration = await Registration.findById(bowler.registration).session(session);
+                    if (!registration) continue;
+
+                    registration.currentStage = bowler.previousStage;
+                    if (bowler.previousCarryover === null) {
+                        registration.stageScores = registration.stageScores.filter(s => s.stageIndex !== advancement.toStage);
+                    } else {
+                        const entry = registration.stageScores.find(s => s.stageIndex === advancement.toStage);
+                        if (entry) entry.carryover = bowler.previousCarryover;
+                    }
+                    await registration.save({ session });
+                }
+
+                advancement.undoneAt = new Date();
+                advancement.undoneBy = req.session.adminEmail || '';
+                await advancement.save({ session });
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        return res.send({ message: `Moved ${advancement.bowlers.length} bowlers back`, advancement });
+    } catch (error) {
+        console.error('Error undoing advancement:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// POST record a roll-off between tied bowlers, in finishing order (admin only)
+router.post('/tournaments/:id/stages/:index/roll-offs', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const loaded = await loadStage(req, res);
+        if (!loaded) return;
+        const { tournament, stageIndex } = loaded;
+
+        const registrationIds = validateObjectIdArray(req.body.registrations);
+        if (registrationIds.length < 2 || registrationIds.length !== req.body.registrations.length) {
+            return res.status(400).send({ error: 'List at least 2 tied bowlers in finishing order' });
+        }
+        if (new Set(registrationIds).size !== registrationIds.length) {
+            return res.status(400).send({ error: 'Each bowler can only be listed once' });
+        }
+
+        const found = await Registration.countDocuments({ _id: { $in: registrationIds }, tournament: tournament._id });
+        if (found !== registrationIds.length) {
+            return res.status(400).send({ error: 'All bowlers must be registered in this tournament' });
+        }
+
+        let scores = [];
+        if (Array.isArray(req.body.scores) && req.body.scores.length > 0) {
+            scores = req.body.scores.map(score => validateInteger(score, 0, 300));
+            if (scores.length !== registrationIds.length || scores.some(score => score === null)) {
+                return res.status(400).send({ error: 'Invalid roll-off scores' });
+            }
+        }
+
+        // A new roll-off between the same bowlers replaces the old one
+        const existing = await RollOff.find({ tournament: tournament._id, stageIndex }).lean();
+        const sameBowlers = existing.filter(rollOff =>
+            rollOff.registrations.length === registrationIds.length &&
+            rollOff.registrations.every(id => registrationIds.includes(id.toString()))
+        );
+        if (sameBowlers.length > 0) {
+            await RollOff.deleteMany({ _id: { $in: sameBowlers.map(rollOff => rollOff._id) } });
+        }
+
+        const rollOff = await RollOff.create({
+            tournament: tournament._id,
+            stageIndex,
+            registrations: registrationIds,
+            scores,
+            recordedBy: req.session.adminEmail || ''
+        });
+
+        return res.status(201).send(rollOff);
+    } catch (error) {
+        console.error('Error recording roll-off:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// GET advancement history for a tournament (admin only)
+router.get('/tournaments/:id/advancements', generalWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.id);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const advancements = await StageAdvancement.find({ tournament: tournamentId })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return res.send(advancements);
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+// PUT record game scores for a match (admin only)
+router.put('/stage-matches/:id', strictWriteLimiter, requireAdmin, async (req, res) => {
+    try {
+        const matchId = validateObjectId(req.params.id);
+        if (!matchId) {
+            return res.status(400).send({ error: 'Invalid match ID' });
+        }
+
+        const match = await StageMatch.findById(matchId);
+        if (!match) {
+            return res.status(404).send({ error: 'Match not found' });
+        }
+
+        const tournament = await Tournament.findById(match.tournament);
+        const stage = tournament?.format?.stages?.[match.stageIndex];
+        if (!stage) {
+            return res.status(404).send({ error: 'Stage not found' });
+        }
+
+        // scores is one array of game scores per participant, in participant order
+        const { scores } = req.body;
+        if (!Array.isArray(scores) || scores.length !== match.participants.length) {
+            return res.status(400).send({ error: 'Scores are required for each bowler in the match' });
+        }
+
+        const maxGames = getMatchFormat(match.matchFormat).games;
+        for (const playerScores of scores) {
+            if (!Array.isArray(playerScores) || playerScores.length > maxGames) {
+                return res.status(400).send({ error: `Matches in this format have at most ${maxGames} games` });
+            }
+            if (playerScores.some(score => validateInteger(score, 0, 300) === null)) {
+                return res.status(400).send({ error: 'Invalid score values' });
+            }
+        }
+
+        const cleanScores = scores.map(playerScores => playerScores.map(score => validateInteger(score, 0, 300)));
+
+        if (KNOCKOUT_STAGE_TYPES.includes(match.stageType)) {
+            if (match.isBye || match.participants.length < 2) {
+                return res.status(400).send({ error: 'Both bowlers must be known before scores can be entered' });
+            }
+
+            // Index of the bowler who won a roll-off, for matches that finish level
+            let rollOffWinner = null;
+            if (req.body.rollOffWinner !== undefined && req.body.rollOffWinner !== null && req.body.rollOffWinner !== '') {
+                rollOffWinner = validateInteger(req.body.rollOffWinner, 0, 1);
+                if (rollOffWinner === null) {
+                    return res.status(400).send({ error: 'Invalid roll-off winner' });
+                }
+            }
+
+            const recorded = await recordBracketScores(match, cleanScores, rollOffWinner);
+            if (recorded.error) {
+                return res.status(400).send({ error: recorded.error });
+            }
+
+            await syncStageScoresFromMatches(
+                tournament._id,
+                match.stageIndex,
+                match.participants.map(p => p.registration.toString())
+            );
+
+            // The stepladder final decides the finishing order of every finalist in its division
+            const isChampionship = match.stageType === 'stepladder' && !recorded.match.winnerTo;
+            if (isChampionship && recorded.match.status === 'completed') {
+                await recordStepladderPlacings(tournament, match.stageIndex, match.division || '');
+            }
+
+            notifyScoresChanged(tournament._id);
+            return res.send({ match: recorded.match, needsRollOff: recorded.match.needsRollOff });
+        }
+
+        match.participants.forEach((participant, i) => {
+            participant.scores = cleanScores[i];
+        });
+
+        const settings = getStageMatchPlaySettings(tournament, stage);
+        const complete = match.stageType === 'tri_matchplay'
+            ? applyTriResult(match.participants, settings)
+            : applyRoundRobinResult(match.participants, match.matchFormat, settings);
+        match.status = complete ? 'completed' : 'scheduled';
+        match.completedAt = complete ? new Date() : undefined;
+        await match.save();
+
+        await syncStageScoresFromMatches(
+            tournament._id,
+            match.stageIndex,
+            match.participants.map(p => p.registration.toString())
+        );
+
+        const positionRound = complete && match.stageType === 'round_robin'
+            ? await createReadyPositionRound(tournament, stage, match.stageIndex, match.division || '')
+            : null;
+
+        notifyScoresChanged(tournament._id);
+        return res.send({ match, positionRoundCreated: Boolean(positionRound?.length) });
+    } catch (error) {
+        console.error('Error recording match scores:', error);
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -3,8 +3,16 @@ import mongoose from 'mongoose';
 import Tournament from '../models/Tournament.js';
 import Registration from '../models/Registration.js';
 import SpotReservation from '../models/SpotReservation.js';
+import Season from '../models/Season.js';
+import { processWaitlist, holdsSpotFilter } from '../utils/waitlist.js';
+import { buildQuote } from '../utils/pricing.js';
+import { syncSeasonsForTournament } from '../utils/seasons.js';
+import { resetScheduleMarkers } from '../utils/scheduler.js';
+import { validateLaneSettings, getLaneRotation } from '../utils/lanes.js';
 import { 
-    validateObjectId 
+    validateObjectId,
+    validateObjectIdArray,
+    sanitizeString
 } from '../middleware/validation.js';
 import {
     generalWriteLimiter,
@@ -43,9 +51,23 @@ router.get('/tournaments/:id', generalWriteLimiter, async (req, res) => {
     }
 });
 
+// First problem with a squad's lane setup, if any
+function getSquadLanesError(squads) {
+    for (const squad of squads || []) {
+        const error = validateLaneSettings(squad.lanes);
+        if (error) return `${squad.name || 'Squad'}: ${error}`;
+    }
+    return null;
+}
+
 // POST create new tournament (admin only)
 router.post('/tournaments', strictWriteLimiter, requireAdmin, async (req, res) => {
     try {
+        const lanesError = Array.isArray(req.body.squads) ? getSquadLanesError(req.body.squads) : null;
+        if (lanesError) {
+            return res.status(400).send({ error: lanesError });
+        }
+
         const tournament = new Tournament(req.body);
         await tournament.save();
         return res.status(201).send(tournament);
@@ -128,17 +150,50 @@ router.put('/tournaments/:id', strictWriteLimiter, requireAdmin, async (req, res
             updateData.format = req.body.format;
         }
         
+        // Pricing object
+        if (req.body.pricing !== undefined && typeof req.body.pricing === 'object') {
+            updateData.pricing = req.body.pricing;
+        }
+        
+        // Side events array
+        if (req.body.sideEvents !== undefined && Array.isArray(req.body.sideEvents)) {
+            updateData.sideEvents = req.body.sideEvents;
+        }
+        
+        // Prize fund object
+        if (req.body.prizeFund !== undefined && typeof req.body.prizeFund === 'object') {
+            updateData.prizeFund = req.body.prizeFund;
+        }
+        
         // Squads array - needs deep sanitization
         if (req.body.squads !== undefined && Array.isArray(req.body.squads)) {
+            const lanesError = getSquadLanesError(req.body.squads);
+            if (lanesError) {
+                return res.status(400).send({ error: lanesError });
+            }
             updateData.squads = req.body.squads;
         }
         
+        // Moving a date into the future lets the scheduler handle it again
+        resetScheduleMarkers(updateData);
+        
         const tournament = await Tournament.findByIdAndUpdate(
             tournamentId,
             { $set: updateData },
             { new: true, runValidators: true }
         );
         if (!tournament) return res.status(404).send({ error: 'Tournament not found' });
+
+        // Extra squad or tournament capacity goes to the waitlist first
+        if (updateData.squads || updateData.maxParticipants !== undefined) {
+            await processWaitlist(tournament);
+        }
+
+        // Completing (or reopening) a tournament updates the tour points of its seasons
+        if (updateData.status) {
+            await syncSeasonsForTournament(tournament);
+        }
+
         return res.send(tournament);
     } catch (error) {
         return res.status(400).send({ error: error.message });
@@ -206,12 +261,45 @@ router.delete('/tournaments/:id', strictWriteLimiter, requireAdmin, async (req,
         
         const tournament = await Tournament.findByIdAndDelete(tournamentId);
         if (!tournament) return res.status(404).send({ error: 'Tournament not found' });
+        await Season.updateMany(
+            { tournaments: tournamentId },
+            { $pull: { tournaments: tournamentId, events: { tournament: tournamentId } } }
+        );
         return res.send({ message: 'Tournament deleted successfully' });
     } catch (error) {
         return res.status(500).send({ error: 'Internal server error' });
     }
 });
 
+// GET itemised price for an entry (public)
+// Query: squads=<id>,<id>&addOns=<key>,<key>&sideEvents=<key>,<key>
+router.get('/tournaments/:id/quote', generalWriteLimiter, async (req, res) => {
+    try {
+        const tournamentId = validateObjectId(req.params.id);
+        if (!tournamentId) {
+            return res.status(400).send({ error: 'Invalid tournament ID' });
+        }
+
+        const tournament = await Tournament.findById(tournamentId)
+            .select('entryFee pricing sideEvents squads squadsRequiredToQualify')
+            .lean();
+        if (!tournament) return res.status(404).send({ error: 'Tournament not found' });
+
+        const squads = validateObjectIdArray(String(req.query.squads || '').split(',').filter(Boolean));
+        const toKeys = value => String(value || '').split(',')
+            .map(key => sanitizeString(key, 40))
+            .filter(Boolean);
+
+        return res.send(buildQuote(tournament, {
+            squads,
+            addOns: toKeys(req.query.addOns),
+            sideEvents: toKeys(req.query.sideEvents)
+        }));
+    } catch (error) {
+        return res.status(500).send({ error: 'Internal server error' });
+    }
+});
+
 // GET squad availability for a tournament (public)
 router.get('/tournaments/:id/squads/availability', generalWriteLimiter, async (req, res) => {
     try {
@@ -223,10 +311,12 @@ router.get('/tournaments/:id/squads/availability', generalWriteLimiter, async (r
         const tournament = await Tournament.findById(tournamentId).lean();
         if (!tournament) return res.status(404).send({ error: 'Tournament not found' });
 
+        // Read-only: lapsed waitlist offers aren't counted, and the scheduler
+        // passes them on
         const objectTournamentId = new mongoose.Types.ObjectId(tournamentId);
         const [registeredCounts, reservedCounts] = await Promise.all([
             Registration.aggregate([
-                { $match: { tournament: objectTournamentId, status: { $in: ['pending', 'confirmed'] } } },
+                { $match: { tournament: objectTournamentId, ...holdsSpotFilter() } },
                 { $unwind: '$assignedSquads' },
                 { $group: { _id: '$assignedSquads', count: { $sum: 1 } } }
             ]),
@@ -291,19 +381,31 @@ router.get('/tournaments/:id/squads/list', generalWriteLimiter, async (req, res)
         const registrations = await Registration.find({
             tournament: tournamentId,
             status: { $in: ['pending', 'confirmed'] }
-        }).select('playerName averageScore assignedSquads bowler').populate('bowler', '_id').lean();
+        }).select('playerName averageScore assignedSquads laneAssignments bowler').populate('bowler', '_id').lean();
 
         // Organize bowlers by squad
         const squadData = tournament.squads.map(squad => {
             const bowlers = registrations
                 .filter(reg => reg.assignedSquads && reg.assignedSquads.some(sid => sid.toString() === squad._id.toString()))
-                .map(reg => ({
-                    name: reg.playerName,
-                    averageScore: reg.averageScore,
-                    bowlerId: reg.bowler?._id
-                }))
+                .map(reg => {
+                    const assignment = (reg.laneAssignments || []).find(entry => entry.squad.toString() === squad._id.toString());
+                    return {
+                        name: reg.playerName,
+                        averageScore: reg.averageScore,
+                        bowlerId: reg.bowler?._id,
+                        lane: assignment?.lane ?? null,
+                        lanePosition: assignment?.position ?? null,
+                        laneRotation: assignment ? getLaneRotation(squad, assignment.lane) : []
+                    };
+                })
                 .sort((a, b) => {
-                    // Sort by average score descending, then by name
+                    // Lane order once lanes are assigned
+                    if (a.lane !== null || b.lane !== null) {
+                        if (a.lane === null) return 1;
+                        if (b.lane === null) return -1;
+                        return a.lane - b.lane || a.lanePosition - b.lanePosition;
+                    }
+                    // Otherwise by average score descending, then by name
                     if (b.averageScore && a.averageScore) {
                         return b.averageScore - a.averageScore;
                     }
@@ -322,6 +424,7 @@ router.get('/tournaments/:id/squads/list', generalWriteLimiter, async (req, res)
                 stageKey: squad.stageKey,
                 stageName: squad.stageName,
                 stageType: squad.stageType,
+                lanesAssigned: Boolean(squad.lanes?.assignedAt),
                 registered: bowlers.length,
                 spotsRemaining: squad.capacity - bowlers.length,
                 bowlers: bowlers
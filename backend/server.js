@@ -11,6 +11,18 @@ import tournamentRoutes from './routes/tournamentRoutes.js';
 import registrationRoutes from './routes/registrationRoutes.js';
 import bowlerRoutes from './routes/bowlerRoutes.js';
 import emailTemplateRoutes from './routes/emailTemplateRoutes.js';
+import stageRoutes from './routes/stageRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import sideEventRoutes from './routes/sideEventRoutes.js';
+import prizeRoutes from './routes/prizeRoutes.js';
+import seasonRoutes from './routes/seasonRoutes.js';
+import schedulerRoutes from './routes/schedulerRoutes.js';
+import laneRoutes from './routes/laneRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import scoreImportRoutes from './routes/scoreImportRoutes.js';
+import liveRoutes from './routes/liveRoutes.js';
+import scoreEntryRoutes from './routes/scoreEntryRoutes.js';
+import { startScheduler } from './utils/scheduler.js';
 import mongoose from 'mongoose';
 
 dotenv.config();
@@ -22,6 +34,12 @@ if (isProduction && rawSessionSecret.length < 32) {
     throw new Error('SECRET_KEY must be at least 32 characters in production');
 }
 
+// Only the fake provider may fall back to a development webhook secret
+const usesDevWebhookSecret = process.env.PAYMENT_PROVIDER === 'fake' && !isProduction;
+if (process.env.PAYMENT_PROVIDER && !process.env.PAYMENT_WEBHOOK_SECRET && !usesDevWebhookSecret) {
+    throw new Error('PAYMENT_WEBHOOK_SECRET is required when PAYMENT_PROVIDER is set');
+}
+
 if (!process.env.MONGO_URI) {
     throw new Error('MONGO_URI is required');
 }
@@ -43,7 +61,15 @@ mongoose.connect(process.env.MONGO_URI, {
 
 // Core middleware
 app.use(compression());
-app.use(express.json({ limit: '1mb' }));
+app.use(express.json({
+    limit: '1mb',
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl === '/api/payments/webhook') {
+            req.rawBody = buf.toString('utf8');
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(cookieParser());
 app.use(session({
@@ -84,7 +110,8 @@ const csrfExemptPaths = new Set([
     '/admin/request-otp',
     '/admin/verify-otp',
     '/api/bowlers/request-otp',
-    '/api/bowlers/verify-otp'
+    '/api/bowlers/verify-otp',
+    '/api/payments/webhook'
 ]);
 const csrfProtection = csurf({
     value: (req) => req.headers['x-csrf-token'] || req.body?._csrf
@@ -99,6 +126,17 @@ app.use('/api', tournamentRoutes);
 app.use('/api', registrationRoutes);
 app.use('/api', bowlerRoutes);
 app.use('/api', emailTemplateRoutes);
+app.use('/api', stageRoutes);
+app.use('/api', paymentRoutes);
+app.use('/api', sideEventRoutes);
+app.use('/api', prizeRoutes);
+app.use('/api', seasonRoutes);
+app.use('/api', schedulerRoutes);
+app.use('/api', laneRoutes);
+app.use('/api', reportRoutes);
+app.use('/api', scoreImportRoutes);
+app.use('/api', liveRoutes);
+app.use('/api', scoreEntryRoutes);
 
 app.use((err, req, res, next) => {
     if (err && err.code === 'EBADCSRFTOKEN') {
@@ -113,6 +151,7 @@ async function start() {
         app.listen(5000, '0.0.0.0', () => {
             console.log('Server started on port 5000');
         });
+        startScheduler();
     } catch (err) {
         console.error(err);
         process.exit(1);
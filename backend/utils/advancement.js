@@ -0,0 +1,88 @@
+import Registration from '../models/Registration.js';
+import { getStageStandings } from './matchplay.js';
+import { splitAtCut } from './tieBreaks.js';
+import { groupByDivision, getDivisionCut } from './divisions.js';
+
+// Bowlers ranked in several divisions appear once, at their first row
+function uniqueByRegistration(rows) {
+    const seen = new Set();
+    return rows.filter(row => {
+        const id = row.registration.toString();
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+    });
+}
+
+/**
+ * Work out the cut for a stage: who advances into the next stage and what
+ * they carry over. Totals come from the same standings as the results page.
+ * Only bowlers still in this stage are considered, and in qualifying stages
+ * only once they have bowled every game. Separate divisions are cut
+ * independently, each at its own advancingBowlers count; a bowler who
+ * makes the cut in more than one division advances once.
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage being cut
+ * @returns {Promise<Object>} { advancing, eliminated, incomplete, rollOffRequired, advancingBowlers, carryoverPercentage }
+ */
+export async function calculateAdvancement(tournament, stageIndex) {
+    const stage = tournament.format.stages[stageIndex];
+    const nextStage = tournament.format.stages[stageIndex + 1];
+
+    const inStage = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] },
+        currentStage: stageIndex
+    })
+        .select('_id')
+        .lean();
+    const inStageIds = new Set(inStage.map(reg => reg._id.toString()));
+
+    const standings = (await getStageStandings(tournament, stageIndex))
+        .filter(row => inStageIds.has(row.registration.toString()));
+
+    const isQualifying = stage.type === 'qualifying';
+    const incomplete = isQualifying ? standings.filter(row => row.gamesPlayed < stage.games) : [];
+    const ranked = isQualifying ? standings.filter(row => row.gamesPlayed >= stage.games) : standings;
+
+    const carryoverPercentage = nextStage.carryoverPinfall ? (nextStage.carryoverPercentage ?? 100) : 0;
+    const cuts = groupByDivision(tournament, ranked).map(({ division, items }) => ({
+        ...splitAtCut(items, getDivisionCut(stage, division) || items.length),
+        size: getDivisionCut(stage, division) || items.length
+    }));
+    const advancing = uniqueByRegistration(cuts.flatMap(cut => cut.advancing));
+    const rollOffRequired = cuts.flatMap(cut => cut.rollOffRequired);
+    const advancingIds = new Set(advancing.map(row => row.registration.toString()));
+    const eliminated = uniqueByRegistration(ranked.filter(row => !advancingIds.has(row.registration.toString())));
+
+    // Bracket placings have no points total, so they carry their pinfall
+    const toRow = row => {
+        const total = row.total ?? row.pinfall ?? 0;
+        return {
+            registration: row.registration,
+            playerName: row.playerName,
+            division: row.division || '',
+            position: row.position,
+            total,
+            carryover: Math.round(total * (carryoverPercentage / 100))
+        };
+    };
+
+    return {
+        advancing: advancing.map(toRow),
+        eliminated: eliminated.map(row => ({ ...toRow(row), carryover: 0 })),
+        rollOffRequired: rollOffRequired.map(row => ({
+            registration: row.registration,
+            playerName: row.playerName,
+            division: row.division || '',
+            total: row.total
+        })),
+        incomplete: uniqueByRegistration(incomplete).map(row => ({
+            registration: row.registration,
+            playerName: row.playerName,
+            gamesPlayed: row.gamesPlayed
+        })),
+        advancingBowlers: cuts.reduce((sum, cut) => sum + cut.size, 0),
+        carryoverPercentage
+    };
+}
@@ -0,0 +1,393 @@
+import { decideMatch } from './matchFormats.js';
+
+/**
+ * Standard bracket seed order so the top seeds can only meet in the final
+ * rounds, e.g. size 8 gives [1, 8, 4, 5, 2, 7, 3, 6]
+ * @param {number} size - Bracket size (power of two)
+ * @returns {Array<number>} Seeds in bracket line order
+ */
+export function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const nextSize = order.length * 2;
+        order = order.flatMap(seed => [seed, nextSize + 1 - seed]);
+    }
+    return order;
+}
+
+/**
+ * Round a field up to the next power of two to get the draw size; the
+ * slots left over are byes
+ * @param {number} size - Bowlers in the bracket
+ * @returns {number} Power-of-two bracket size (minimum 2)
+ */
+export function normalizeBracketSize(size) {
+    let bracketSize = 2;
+    while (bracketSize < size) bracketSize *= 2;
+    return bracketSize;
+}
+
+/**
+ * Lay out every match of an elimination bracket. Matches reference each
+ * other by key ('W1-1', 'L2-1', 'GF') and record where their winner and,
+ * in double elimination, their loser moves to. Double elimination ends with
+ * an if-necessary reset ('GF2'), bowled only when the losers bracket
+ * champion wins the first final.
+ * @param {Array<Object>} entrants - Bowlers in seed order
+ * @param {Object} options - Bracket options
+ * @param {string} [options.style='single'] - 'single' or 'double'
+ * @param {number} options.bracketSize - Draw size (power of two); slots past
+ *   the entrants are byes for the top seeds
+ * @param {number} [options.rounds] - Winners rounds to play (single elimination only)
+ * @returns {Array<Object>} Match layouts
+ */
+export function buildBracket(entrants, { style = 'single', bracketSize, rounds } = {}) {
+    const size = normalizeBracketSize(bracketSize);
+    const totalWinnersRounds = Math.log2(size);
+    const isDouble = style === 'double' && size >= 4;
+    const winnersRounds = isDouble
+        ? totalWinnersRounds
+        : Math.min(Math.max(Number(rounds) || totalWinnersRounds, 1), totalWinnersRounds);
+
+    const matches = [];
+    const key = (bracket, round, number) => `${bracket}${round}-${number}`;
+
+    // Winners bracket
+    for (let round = 1; round <= winnersRounds; round++) {
+        const count = size / Math.pow(2, round);
+        for (let i = 0; i < count; i++) {
+            const match = {
+                key: key('W', round, i + 1),
+                bracket: 'winners',
+                round,
+                matchNumber: i + 1,
+                participants: [],
+                pendingFeeds: round === 1 ? 0 : 2,
+                winnerTo: round < winnersRounds ? key('W', round + 1, Math.floor(i / 2) + 1) : null,
+                loserTo: null
+            };
+            matches.push(match);
+        }
+    }
+
+    // First round pairings from the seed order; seeds beyond the field are byes
+    const seedOrder = getSeedOrder(size);
+    const winnersFirstRound = matches.filter(match => match.round === 1);
+    winnersFirstRound.forEach((match, i) => {
+        [seedOrder[i * 2], seedOrder[i * 2 + 1]].forEach(seed => {
+            if (entrants[seed - 1]) match.participants.push(entrants[seed - 1]);
+        });
+    });
+
+    if (!isDouble) {
+        return matches;
+    }
+
+    // Losers bracket: odd rounds pair up survivors, even rounds take the
+    // drop-downs from the winners bracket
+    const losersRounds = 2 * (totalWinnersRounds - 1);
+    for (let round = 1; round <= losersRounds; round++) {
+        const count = size / Math.pow(2, Math.floor((round + 1) / 2) + 1);
+        for (let i = 0; i < count; i++) {
+            let winnerTo;
+            if (round === losersRounds) winnerTo = 'GF';
+            else if (round % 2 === 1) winnerTo = key('L', round + 1, i + 1);
+            else winnerTo = key('L', round + 1, Math.floor(i / 2) + 1);
+
+            matches.push({
+                key: key('L', round, i + 1),
+                bracket: 'losers',
+                round,
+                matchNumber: i + 1,
+                participants: [],
+                pendingFeeds: 2,
+                winnerTo,
+                loserTo: null
+            });
+        }
+    }
+
+    matches.push({
+        key: 'GF',
+        bracket: 'grand_final',
+        round: 1,
+        matchNumber: 1,
+        participants: [],
+        pendingFeeds: 2,
+        winnerTo: 'GF2',
+        loserTo: 'GF2'
+    }, {
+        key: 'GF2',
+        bracket: 'grand_final',
+        round: 2,
+        matchNumber: 1,
+        participants: [],
+        pendingFeeds: 2,
+        winnerTo: null,
+        loserTo: null
+    });
+
+    // Drop winners bracket losers into the losers bracket. Later drop-downs
+    // are mirrored so bowlers don't immediately meet someone they just played.
+    matches.filter(match => match.bracket === 'winners').forEach(match => {
+        if (match.round === winnersRounds) {
+            match.winnerTo = 'GF';
+            match.loserTo = key('L', losersRounds, 1);
+        } else if (match.round === 1) {
+            match.loserTo = key('L', 1, Math.floor((match.matchNumber - 1) / 2) + 1);
+        } else {
+            const count = size / Math.pow(2, match.round);
+            match.loserTo = key('L', 2 * match.round - 2, count - match.matchNumber + 1);
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Lay out a stepladder final: the bottom two seeds meet first and each
+ * winner climbs to face the next seed up, finishing against the top seed
+ * @param {Array<Object>} finalists - Bowlers in seed order (top seed first)
+ * @returns {Array<Object>} Match layouts, in the same shape as buildBracket
+ */
+export function buildStepladder(finalists) {
+    const count = finalists.length;
+    const matches = [];
+
+    for (let round = 1; round < count; round++) {
+        matches.push({
+            key: `S${round}`,
+            bracket: '',
+            round,
+            matchNumber: 1,
+            participants: round === 1
+                ? [finalists[count - 2], finalists[count - 1]]
+                : [finalists[count - 1 - round]],
+            pendingFeeds: round === 1 ? 0 : 1,
+            winnerTo: round < count - 1 ? `S${round + 1}` : null,
+            loserTo: null
+        });
+    }
+
+    return matches;
+}
+
+/**
+ * Decide the winner of a bracket match. Drawn matches need a roll-off.
+ * @param {Array<Object>} participants - Match participants with `scores`
+ * @param {string} matchFormat - Format key from matchPlaySettings
+ * @param {number|null} rollOffWinner - Participant index that won a roll-off
+ * @returns {{complete: boolean, winnerIndex: number|null, needsRollOff: boolean}}
+ */
+export function resolveBracketMatch(participants, matchFormat, rollOffWinner = null) {
+    const [a, b] = participants;
+    const outcome = decideMatch(a?.scores || [], b?.scores || [], matchFormat);
+
+    if (!outcome.complete) {
+        return { complete: false, winnerIndex: null, needsRollOff: false };
+    }
+
+    if (outcome.winner === 'tie') {
+        if (rollOffWinner === 0 || rollOffWinner === 1) {
+            return { complete: true, winnerIndex: rollOffWinner, needsRollOff: false };
+        }
+        return { complete: false, winnerIndex: null, needsRollOff: true };
+    }
+
+    return { complete: true, winnerIndex: outcome.winner === 'a' ? 0 : 1, needsRollOff: false };
+}
+
+/**
+ * Rank bracket entrants by how far they got. Bowlers still alive rank
+ * first, then by the round they were knocked out in, then by seed.
+ * Bowlers knocked out in the same round share their position.
+ * @param {Array<Object>} entrants - Bowlers in the bracket ({ registration, playerName, seed })
+ * @param {Array<Object>} matches - StageMatch documents for the stage
+ * @returns {Array<Object>} Entrants with `eliminated`, `eliminatedIn`, `position` and `positionLabel`
+ */
+export function calculateBracketPlacements(entrants, matches) {
+    // Depth increases the later a bowler is knocked out
+    const depthOf = (match) => {
+        if (match.bracket === 'grand_final') return 1000;
+        if (match.bracket === 'losers') return 100 + match.round;
+        return match.round;
+    };
+    const isDouble = matches.some(match => match.bracket === 'losers');
+    const matchesById = new Map(matches.map(match => [match._id?.toString(), match]));
+    const eliminations = new Map();
+    const champions = new Set();
+
+    matches
+        .filter(match => match.status === 'completed' && match.winner)
+        .forEach(match => {
+            const loser = match.participants.find(p => p.registration.toString() !== match.winner.toString());
+            // In double elimination a winners bracket loss only drops you
+            // down, and losing the first final only forces the reset
+            const reset = match.bracket === 'grand_final' && match.winnerTo
+                ? matchesById.get(match.winnerTo.toString())
+                : null;
+            const forcesReset = reset && !reset.isBye;
+            if (loser && (!isDouble || match.bracket !== 'winners') && !forcesReset) {
+                eliminations.set(loser.registration.toString(), match);
+            }
+            if (!match.winnerTo && match.bracket !== 'losers') {
+                champions.add(match.winner.toString());
+            }
+        });
+
+    const sorted = entrants
+        .map(entrant => {
+            const id = entrant.registration.toString();
+            const match = eliminations.get(id);
+            return {
+                ...entrant,
+                eliminated: Boolean(match),
+                eliminatedIn: match ? { bracket: match.bracket, round: match.round } : null,
+                depth: champions.has(id) ? 2000 : match ? depthOf(match) : 1500
+            };
+        })
+        .sort((a, b) => b.depth - a.depth || a.seed - b.seed);
+
+    return sorted.map(({ depth, ...entrant }, i) => {
+        if (!entrant.eliminated) {
+            return { ...entrant, position: i + 1, positionLabel: String(i + 1) };
+        }
+        const position = sorted.findIndex(other => other.depth === depth) + 1;
+        const shared = sorted.filter(other => other.depth === depth).length > 1;
+        return { ...entrant, position, positionLabel: shared ? `T-${position}` : String(position) };
+    });
+}
+
+// Whether a bowler has lost a decided match other than the one given
+function hasLost(matchesById, registrationId, except) {
+    return [...matchesById.values()].some(match =>
+        match !== except &&
+        match.status === 'completed' &&
+        match.winner &&
+        match.winner.toString() !== registrationId &&
+        match.participants.some(p => p.registration.toString() === registrationId)
+    );
+}
+
+// Mark a match that can't be played (one or no bowlers) as decided
+function resolveBye(match) {
+    match.status = 'completed';
+    match.isBye = true;
+    match.winner = match.participants[0]?.registration || null;
+    match.completedAt = new Date();
+}
+
+/**
+ * Move the winner and loser of a decided match into the matches they feed,
+ * settling any byes that fall out along the way. Matches are plain objects
+ * keyed by their _id string and are updated in place.
+ * @param {Map<string, Object>} matchesById - Every match in the bracket
+ * @param {Object} match - The match that has just been decided
+ * @returns {Set<Object>} Matches changed by the advancement
+ */
+export function advanceBracket(matchesById, match) {
+    const changed = new Set();
+    const queue = [match];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        const winnerId = current.winner?.toString();
+        const winner = winnerId ? current.participants.find(p => p.registration.toString() === winnerId) : null;
+        let loser = winnerId ? current.participants.find(p => p.registration.toString() !== winnerId) : null;
+
+        // The winners bracket champion taking the first final wins it
+        // outright; the reset is only bowled after their first loss
+        if (current.bracket === 'grand_final' && current.winnerTo && !hasLost(matchesById, winnerId, current)) {
+            loser = null;
+        }
+
+        [[current.winnerTo, winner], [current.loserTo, loser]].forEach(([targetId, participant]) => {
+            const target = targetId ? matchesById.get(targetId.toString()) : null;
+            if (!target) return;
+
+            if (participant) {
+                target.participants = [...target.participants, {
+                    registration: participant.registration,
+                    playerName: participant.playerName,
+                    seed: participant.seed,
+                    scores: []
+                }].sort((a, b) => (a.seed ?? Infinity) - (b.seed ?? Infinity));
+            }
+            target.pendingFeeds = Math.max((target.pendingFeeds || 0) - 1, 0);
+            changed.add(target);
+
+            if (target.pendingFeeds === 0 && target.participants.length < 2) {
+                resolveBye(target);
+                queue.push(target);
+            }
+        });
+    }
+
+    return changed;
+}
+
+/**
+ * Settle first round byes once a bracket has been laid out
+ * @param {Map<string, Object>} matchesById - Every match in the bracket
+ * @returns {Set<Object>} Matches changed
+ */
+export function settleOpeningByes(matchesById) {
+    const changed = new Set();
+    [...matchesById.values()]
+        .filter(match => match.pendingFeeds === 0 && match.participants.length < 2 && match.status !== 'completed')
+        .forEach(match => {
+            resolveBye(match);
+            changed.add(match);
+            advanceBracket(matchesById, match).forEach(target => changed.add(target));
+        });
+    return changed;
+}
+
+// Matches a decided match fed its winner and loser into
+function getFedMatches(matchesById, match) {
+    return [match.winnerTo, match.loserTo]
+        .filter(Boolean)
+        .map(id => matchesById.get(id.toString()))
+        .filter(Boolean);
+}
+
+// A result can be taken back while nothing downstream has been bowled.
+// Byes that were settled automatically are unwound along with it.
+function canRetract(matchesById, match) {
+    return getFedMatches(matchesById, match).every(target => {
+        if (target.isBye) return canRetract(matchesById, target);
+        return target.status !== 'completed' && target.participants.every(p => (p.scores || []).length === 0);
+    });
+}
+
+function unwind(matchesById, match, changed) {
+    const movedIds = new Set(match.participants.map(p => p.registration.toString()));
+    getFedMatches(matchesById, match).forEach(target => {
+        if (target.isBye) {
+            unwind(matchesById, target, changed);
+            target.isBye = false;
+        }
+        target.participants = target.participants.filter(p => !movedIds.has(p.registration.toString()));
+        target.pendingFeeds = (target.pendingFeeds || 0) + 1;
+        changed.add(target);
+    });
+
+    match.winner = null;
+    match.status = 'scheduled';
+    match.completedAt = undefined;
+}
+
+/**
+ * Take a decided match's winner and loser back out of the matches they
+ * were moved into, so the result can be corrected
+ * @param {Map<string, Object>} matchesById - Every match in the bracket
+ * @param {Object} match - The decided match being corrected
+ * @returns {Set<Object>|null} Matches changed, or null if a later match has already been played
+ */
+export function retractBracketResult(matchesById, match) {
+    if (!canRetract(matchesById, match)) return null;
+
+    const changed = new Set();
+    unwind(matchesById, match, changed);
+    return changed;
+}
@@ -0,0 +1,163 @@
+/**
+ * Men's and women's divisions used when format.separateDivisions is on and
+ * the tournament hasn't configured divisions of its own
+ */
+export const GENDER_DIVISIONS = [
+    { key: 'male', name: "Men's", gender: 'male' },
+    { key: 'female', name: "Women's", gender: 'female' }
+];
+
+/**
+ * Divisions that get their own standings, cut lines and finals.
+ * An empty list means everyone bowls in one field.
+ * @param {Object} tournament - Tournament document
+ * @returns {Array<{key: string, name: string}>}
+ */
+export function getDivisions(tournament) {
+    if (tournament.format?.divisions?.length) return tournament.format.divisions;
+    return tournament.format?.separateDivisions ? GENDER_DIVISIONS : [];
+}
+
+/**
+ * Every division a registration is ranked in ([''] when the tournament isn't split).
+ * Configured divisions come from the registration's own entries; the
+ * men's/women's split follows gender.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} registration - Registration ({ gender, divisions })
+ * @returns {Array<string>}
+ */
+export function getDivisionKeys(tournament, registration) {
+    const divisions = getDivisions(tournament);
+    if (divisions.length === 0) return [''];
+
+    if (tournament.format?.divisions?.length) {
+        const entered = registration.divisions || [];
+        return divisions.map(division => division.key).filter(key => entered.includes(key));
+    }
+    return divisions.filter(division => division.gender === registration.gender).map(division => division.key);
+}
+
+/**
+ * Division a registration bowls matchplay, brackets and finals in: the
+ * first division it entered. Pinfall standings rank a bowler in every
+ * division they entered, but each bowler plays one bracket.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} registration - Registration ({ gender, divisions })
+ * @returns {string}
+ */
+export function getDivisionKey(tournament, registration) {
+    return getDivisionKeys(tournament, registration)[0] || '';
+}
+
+/**
+ * Age in whole years on a date
+ * @param {Date|string} dateOfBirth - Date of birth
+ * @param {Date|string} onDate - Date the age is taken on
+ * @returns {number|null} Age, or null without a date of birth
+ */
+export function getAgeOn(dateOfBirth, onDate) {
+    if (!dateOfBirth) return null;
+    const born = new Date(dateOfBirth);
+    const on = new Date(onDate);
+    // Dates are stored at UTC midnight, so compare UTC parts
+    const hadBirthday = on.getUTCMonth() > born.getUTCMonth() ||
+        (on.getUTCMonth() === born.getUTCMonth() && on.getUTCDate() >= born.getUTCDate());
+    return on.getUTCFullYear() - born.getUTCFullYear() - (hadBirthday ? 0 : 1);
+}
+
+/**
+ * Check a bowler against a division's eligibility rules
+ * @param {Object} tournament - Tournament document
+ * @param {Object} division - Division ({ name, gender, minAge, maxAge, maxAverage, membersOnly })
+ * @param {Object} entrant - { gender, dateOfBirth, average, membership }
+ * @returns {string|null} Why the bowler can't enter, or null when eligible
+ */
+export function checkDivisionEligibility(tournament, division, entrant) {
+    const startDate = new Date(tournament.startDate || tournament.date || Date.now());
+
+    if (division.gender && entrant.gender !== division.gender) {
+        return `${division.name} is only open to ${division.gender === 'female' ? 'women' : 'men'}`;
+    }
+
+    if (division.minAge || division.maxAge) {
+        const age = getAgeOn(entrant.dateOfBirth, startDate);
+        if (age === null) {
+            return `Date of birth is required to enter ${division.name}`;
+        }
+        if (division.minAge && age < division.minAge) {
+            return `${division.name} is for bowlers aged ${division.minAge} and over`;
+        }
+        if (division.maxAge && age > division.maxAge) {
+            return `${division.name} is for bowlers aged ${division.maxAge} and under`;
+        }
+    }
+
+    if (division.maxAverage && (entrant.average || 0) > division.maxAverage) {
+        return `${division.name} is limited to averages of ${division.maxAverage} or lower`;
+    }
+
+    if (division.membersOnly) {
+        const expiresAt = entrant.membership?.expiresAt ? new Date(entrant.membership.expiresAt) : null;
+        if (!entrant.membership?.number || (expiresAt && expiresAt < startDate)) {
+            return `${division.name} is only open to current members`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * How many bowlers advance from a stage in one division. Falls back to the
+ * stage's advancingBowlers when the division has no cut of its own.
+ * @param {Object} stage - Stage from tournament.format.stages
+ * @param {string} divisionKey - Division key ('' for a single field)
+ * @returns {number|null}
+ */
+export function getDivisionCut(stage, divisionKey) {
+    const cut = (stage?.divisionCuts || []).find(entry => entry.division === divisionKey);
+    return cut?.advancingBowlers || stage?.advancingBowlers || null;
+}
+
+/**
+ * Run a ranking separately for each division and tag every row with its
+ * division. Rows must already carry a `division` key.
+ * @param {Object} tournament - Tournament document
+ * @param {Array<Object>} rows - Rows to rank
+ * @param {Function} rank - Ranks one field of rows, called with (rows, divisionKey)
+ * @returns {Array<Object>} Ranked rows, one division after another
+ */
+export function rankByDivision(tournament, rows, rank) {
+    const divisions = getDivisions(tournament);
+    if (divisions.length === 0) return rank(rows, '').map(row => ({ ...row, division: '' }));
+
+    return divisions.flatMap(division =>
+        rank(rows.filter(row => row.division === division.key), division.key)
+            .map(row => ({ ...row, division: division.key }))
+    );
+}
+
+/**
+ * Matches belonging to one division ('' returns every match)
+ * @param {Array<Object>} matches - Stage matches
+ * @param {string} divisionKey - Division key
+ * @returns {Array<Object>}
+ */
+export function matchesInDivision(matches, divisionKey) {
+    return divisionKey ? matches.filter(match => match.division === divisionKey) : matches;
+}
+
+/**
+ * Split a list into one group per division (or a single '' group)
+ * @param {Object} tournament - Tournament document
+ * @param {Array<Object>} items - Items with a `division` key
+ * @returns {Array<{division: string, items: Array<Object>}>}
+ */
+export function groupByDivision(tournament, items) {
+    const divisions = getDivisions(tournament);
+    if (divisions.length === 0) return [{ division: '', items }];
+
+    return divisions.map(division => ({
+        division: division.key,
+        items: items.filter(item => item.division === division.key)
+    }));
+}
@@ -40,6 +40,16 @@ const replaceVariables = (template, data) => {
     });
 };
 
+/**
+ * Format a dollar amount for an email, showing cents only when there are some
+ * @param {number} amount - Amount in dollars
+ * @returns {string} Formatted amount
+ */
+const formatFee = (amount) => {
+    const value = Number(amount) || 0;
+    return Number.isInteger(value) ? String(value) : value.toFixed(2);
+};
+
 /**
  * Send registration confirmation email
  * @param {Object} params - Email parameters
@@ -126,7 +136,7 @@ The Revolution Rumble Team
             tournamentName: tournament.name,
             tournamentLocation: tournament.location || 'TBA',
             tournamentDate: tournamentDate,
-            entryFee: tournament.entryFee || '0',
+            entryFee: formatFee(tournament.entryFee),
             squadsList: squadsList,
             paymentInstructions: tournament.paymentInstructions || 'Payment instructions will be provided shortly.',
             registrationId: registrationId
@@ -155,3 +165,271 @@ The Revolution Rumble Team
         return { success: false, error: error.message };
     }
 };
+
+/**
+ * Send a waitlist offer email with a time-limited link to claim the spot
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email
+ * @param {Object} params.bowler - Bowler information
+ * @param {Object} params.tournament - Tournament information
+ * @param {Array} params.squads - Squads the spot is in
+ * @param {string} params.acceptUrl - Link that accepts the offer
+ * @param {Date} params.expiresAt - When the offer passes to the next bowler
+ * @param {string} params.registrationId - Registration ID
+ */
+export const sendWaitlistOffer = async ({ to, bowler, tournament, squads, acceptUrl, expiresAt, registrationId }) => {
+    try {
+        let template = await EmailTemplate.findOne({ name: 'waitlist-offer' });
+
+        if (!template) {
+            template = await EmailTemplate.create({
+                name: 'waitlist-offer',
+                subject: 'A spot has opened up - {{tournamentName}}',
+                htmlBody: `
+                    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                        <h2 style="color: #134b86;">A Spot Is Available!</h2>
+                        <p>Hi {{bowlerName}},</p>
+                        <p>A spot has opened up in <strong>{{tournamentName}}</strong> and you're next on the waitlist.</p>
+
+                        <ul>
+                            <li><strong>Location:</strong> {{tournamentLocation}}</li>
+                            <li><strong>Date:</strong> {{tournamentDate}}</li>
+                            <li><strong>Squads:</strong> {{squadsList}}</li>
+                        </ul>
+
+                        <p style="margin: 24px 0;">
+                            <a href="{{acceptUrl}}" style="background: #134b86; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Accept My Spot</a>
+                        </p>
+
+                        <p>This offer expires <strong>{{offerExpires}}</strong>. If you don't accept by then, the spot goes to the next bowler on the waitlist.</p>
+
+                        <p>Your registration ID is: <strong>{{registrationId}}</strong></p>
+                        <p><em>The Revolution Rumble Team</em></p>
+                    </div>
+                `,
+                textBody: `
+A Spot Is Available!
+
+Hi {{bowlerName}},
+
+A spot has opened up in {{tournamentName}} and you're next on the waitlist.
+
+- Location: {{tournamentLocation}}
+- Date: {{tournamentDate}}
+- Squads: {{squadsList}}
+
+Accept your spot here: {{acceptUrl}}
+
+This offer expires {{offerExpires}}. If you don't accept by then, the spot goes to the next bowler on the waitlist.
+
+Your registration ID is: {{registrationId}}
+
+The Revolution Rumble Team
+                `
+            });
+        }
+
+        const templateData = {
+            bowlerName: bowler.name,
+            tournamentName: tournament.name,
+            tournamentLocation: tournament.location || 'TBA',
+            tournamentDate: new Date(tournament.startDate).toLocaleDateString('en-AU', {
+                weekday: 'long',
+                year: 'numeric',
+                month: 'long',
+                day: 'numeric'
+            }),
+            squadsList: squads.map(s => s.name).join(', ') || 'N/A',
+            acceptUrl,
+            offerExpires: new Date(expiresAt).toLocaleString('en-AU', {
+                weekday: 'long',
+                day: 'numeric',
+                month: 'long',
+                hour: 'numeric',
+                minute: '2-digit'
+            }),
+            registrationId
+        };
+
+        const subject = replaceVariables(template.subject, templateData);
+        const htmlBody = replaceVariables(template.htmlBody, templateData);
+        const textBody = replaceVariables(template.textBody, templateData);
+
+        const transporter = createTransporter();
+        const fromEmail = process.env.FROM_EMAIL || 'noreply@revolutionbowlingsupplies.com';
+        const info = await transporter.sendMail({
+            from: `"Revolution Rumble" <${fromEmail}>`,
+            to: to,
+            subject: subject,
+            text: textBody,
+            html: htmlBody
+        });
+
+        console.log('✅ Waitlist offer email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending waitlist offer email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+// Send one email from a stored template, creating the default template the first time
+const sendTemplateEmail = async (defaultTemplate, to, templateData) => {
+    let template = await EmailTemplate.findOne({ name: defaultTemplate.name });
+    if (!template) {
+        template = await EmailTemplate.create(defaultTemplate);
+    }
+
+    const subject = replaceVariables(template.subject, templateData);
+    const htmlBody = replaceVariables(template.htmlBody, templateData);
+    const textBody = replaceVariables(template.textBody, templateData);
+
+    const transporter = createTransporter();
+    const fromEmail = process.env.FROM_EMAIL || 'noreply@revolutionbowlingsupplies.com';
+    return transporter.sendMail({
+        from: `"Revolution Rumble" <${fromEmail}>`,
+        to: to,
+        subject: subject,
+        text: textBody,
+        html: htmlBody
+    });
+};
+
+const formatTournamentDate = (date) => new Date(date).toLocaleDateString('en-AU', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+});
+
+/**
+ * Let a bowler know registration has opened for a tournament
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email
+ * @param {Object} params.bowler - Bowler information
+ * @param {Object} params.tournament - Tournament information
+ * @param {string} params.registerUrl - Link to the registration form
+ */
+export const sendRegistrationOpenNotice = async ({ to, bowler, tournament, registerUrl }) => {
+    try {
+        const info = await sendTemplateEmail({
+            name: 'registration-open',
+            subject: 'Registration is open - {{tournamentName}}',
+            htmlBody: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2 style="color: #134b86;">Registration Is Open!</h2>
+                    <p>Hi {{bowlerName}},</p>
+                    <p>Entries are now open for <strong>{{tournamentName}}</strong>.</p>
+
+                    <ul>
+                        <li><strong>Location:</strong> {{tournamentLocation}}</li>
+                        <li><strong>Date:</strong> {{tournamentDate}}</li>
+                        <li><strong>Entry Fee:</strong> \${{entryFee}}</li>
+                        <li><strong>Entries Close:</strong> {{registrationDeadline}}</li>
+                    </ul>
+
+                    <p style="margin: 24px 0;">
+                        <a href="{{registerUrl}}" style="background: #134b86; color: #fff; padding: 12px 24px; border-radius: 6px; text-decoration: none;">Register Now</a>
+                    </p>
+
+                    <p><em>The Revolution Rumble Team</em></p>
+                </div>
+            `,
+            textBody: `
+Registration Is Open!
+
+Hi {{bowlerName}},
+
+Entries are now open for {{tournamentName}}.
+
+- Location: {{tournamentLocation}}
+- Date: {{tournamentDate}}
+- Entry Fee: \${{entryFee}}
+- Entries Close: {{registrationDeadline}}
+
+Register here: {{registerUrl}}
+
+The Revolution Rumble Team
+            `
+        }, to, {
+            bowlerName: bowler.name,
+            tournamentName: tournament.name,
+            tournamentLocation: tournament.location || 'TBA',
+            tournamentDate: formatTournamentDate(tournament.startDate),
+            entryFee: formatFee(tournament.entryFee),
+            registrationDeadline: tournament.registrationDeadline ? formatTournamentDate(tournament.registrationDeadline) : 'when the field is full',
+            registerUrl
+        });
+
+        console.log('✅ Registration open email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending registration open email:', error);
+        return { success: false, error: error.message };
+    }
+};
+
+/**
+ * Let an entrant know registration has closed, with their squads
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email
+ * @param {Object} params.bowler - Bowler information
+ * @param {Object} params.tournament - Tournament information
+ * @param {Array} params.squads - Squads the bowler is entered in
+ * @param {string} params.registrationId - Registration ID
+ */
+export const sendRegistrationClosedNotice = async ({ to, bowler, tournament, squads, registrationId }) => {
+    try {
+        const info = await sendTemplateEmail({
+            name: 'registration-closed',
+            subject: 'Entries have closed - {{tournamentName}}',
+            htmlBody: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2 style="color: #134b86;">Entries Have Closed</h2>
+                    <p>Hi {{bowlerName}},</p>
+                    <p>Registration for <strong>{{tournamentName}}</strong> has now closed. Here's what you're entered in:</p>
+
+                    <ul>
+                        <li><strong>Location:</strong> {{tournamentLocation}}</li>
+                        <li><strong>Date:</strong> {{tournamentDate}}</li>
+                        <li><strong>Squads:</strong> {{squadsList}}</li>
+                    </ul>
+
+                    <p>Your registration ID is: <strong>{{registrationId}}</strong></p>
+                    <p>See you on the lanes!</p>
+                    <p><em>The Revolution Rumble Team</em></p>
+                </div>
+            `,
+            textBody: `
+Entries Have Closed
+
+Hi {{bowlerName}},
+
+Registration for {{tournamentName}} has now closed. Here's what you're entered in:
+
+- Location: {{tournamentLocation}}
+- Date: {{tournamentDate}}
+- Squads: {{squadsList}}
+
+Your registration ID is: {{registrationId}}
+
+See you on the lanes!
+
+The Revolution Rumble Team
+            `
+        }, to, {
+            bowlerName: bowler.name,
+            tournamentName: tournament.name,
+            tournamentLocation: tournament.location || 'TBA',
+            tournamentDate: formatTournamentDate(tournament.startDate),
+            squadsList: squads.map(s => s.name).join(', ') || 'N/A',
+            registrationId
+        });
+
+        console.log('✅ Registration closed email sent:', info.messageId);
+        return { success: true, messageId: info.messageId };
+    } catch (error) {
+        console.error('❌ Error sending registration closed email:', error);
+        return { success: false, error: error.message };
+    }
+};
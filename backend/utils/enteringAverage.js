@@ -0,0 +1,79 @@
+import Registration from '../models/Registration.js';
+
+/**
+ * Where a tournament takes the average used for handicap
+ */
+export const HANDICAP_AVERAGE_POLICIES = ['self_reported', 'tournament_average', 'highest', 'admin_verified'];
+
+/**
+ * Pick the entering average for a registration under a policy.
+ * An admin-verified value always wins once one has been set.
+ * @param {string} policy - One of HANDICAP_AVERAGE_POLICIES
+ * @param {Object} registration - Registration ({ averageScore, enteringAverage })
+ * @param {Object|null} bowler - Bowler profile ({ tournamentAverage })
+ * @returns {{value: number|null, source: string}}
+ */
+export function resolveEnteringAverage(policy, registration, bowler) {
+    if (registration.enteringAverage?.source === 'admin_verified') {
+        return { value: registration.enteringAverage.value, source: 'admin_verified' };
+    }
+
+    const selfReported = registration.averageScore || null;
+    const pastAverage = bowler?.tournamentAverage || null;
+
+    if (policy === 'tournament_average' && pastAverage) {
+        return { value: pastAverage, source: 'tournament_average' };
+    }
+    if (policy === 'highest' && (pastAverage || 0) > (selfReported || 0)) {
+        return { value: pastAverage, source: 'tournament_average' };
+    }
+    if (policy === 'admin_verified') {
+        // Nothing to lock until an admin verifies the average
+        return { value: null, source: '' };
+    }
+    return { value: selfReported, source: 'self_reported' };
+}
+
+/**
+ * Lock entering averages for a tournament once its registration deadline has
+ * passed. Past tournament averages keep moving as scores come in, so the
+ * value used for handicap is frozen at the deadline.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Lock now, even before the deadline
+ * @returns {Promise<number>} Number of registrations locked
+ */
+export async function lockEnteringAverages(tournament, { force = false } = {}) {
+    const deadline = tournament.registrationDeadline ? new Date(tournament.registrationDeadline) : null;
+    if (!force && (!deadline || deadline > new Date())) return 0;
+
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed', 'waitlist'] },
+        'enteringAverage.lockedAt': null
+    })
+        .select('averageScore enteringAverage bowler')
+        .populate('bowler', 'tournamentAverage')
+        .lean();
+    if (registrations.length === 0) return 0;
+
+    const policy = tournament.format?.handicapAveragePolicy || 'self_reported';
+    const lockedAt = new Date();
+    await Registration.bulkWrite(registrations.map(reg => {
+        const { value, source } = resolveEnteringAverage(policy, reg, reg.bowler);
+        return {
+            updateOne: {
+                filter: { _id: reg._id },
+                update: {
+                    $set: {
+                        'enteringAverage.value': value,
+                        'enteringAverage.source': source,
+                        'enteringAverage.lockedAt': lockedAt
+                    }
+                }
+            }
+        };
+    }));
+
+    return registrations.length;
+}
@@ -0,0 +1,207 @@
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+
+/**
+ * Lane assignments for squads. Lanes are paired (1-2, 3-4, ...) from the
+ * squad's first lane; each entrant gets a starting lane and their order on
+ * it, and crosses to the right by pairs between blocks.
+ */
+
+export const LANE_METHODS = ['random', 'average', 'home_center'];
+
+/**
+ * Lane numbers a squad bowls on, in order
+ * @param {Object} squad - Tournament squad
+ * @returns {Array<number>} Empty when no lane range is set
+ */
+export function getSquadLanes(squad) {
+    const { first, last } = squad.lanes || {};
+    if (!first || !last || last < first) return [];
+    return Array.from({ length: last - first + 1 }, (_, index) => first + index);
+}
+
+/**
+ * Check a squad's lane settings
+ * @param {Object} lanes - Squad lanes settings
+ * @returns {string|null} Error message, or null when valid or unset
+ */
+export function validateLaneSettings(lanes) {
+    if (!lanes || (lanes.first == null && lanes.last == null)) return null;
+
+    const { first, last, bowlersPerLane = 4, method = 'random', blocks = 1, movePairs = 0 } = lanes;
+    if (!Number.isInteger(first) || !Number.isInteger(last) || first < 1 || last < first) {
+        return 'Lane range must be whole numbers, with the last lane on or after the first';
+    }
+    if (!Number.isInteger(bowlersPerLane) || bowlersPerLane < 1) {
+        return 'Bowlers per lane must be at least 1';
+    }
+    if (!LANE_METHODS.includes(method)) {
+        return 'Invalid lane assignment method';
+    }
+    if (!Number.isInteger(blocks) || blocks < 1 || !Number.isInteger(movePairs) || movePairs < 0) {
+        return 'Blocks and pairs to move must be whole numbers';
+    }
+    if (movePairs > 0 && (last - first + 1) % 2 !== 0) {
+        return 'Lanes can only move by pairs when the squad has an even number of lanes';
+    }
+    return null;
+}
+
+function shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Places on the lanes in fill order: one bowler per lane before any lane
+// gets a second. Left lanes of each pair come before right lanes, so
+// neighbouring places are on different pairs. Snake order reverses every
+// other round to balance seeded bowlers across lanes.
+function orderLaneSlots(lanes, bowlersPerLane, snake) {
+    const laneOrder = [
+        ...lanes.filter((_, index) => index % 2 === 0),
+        ...lanes.filter((_, index) => index % 2 === 1)
+    ];
+
+    const slots = [];
+    for (let position = 1; position <= bowlersPerLane; position++) {
+        const round = snake && position % 2 === 0 ? [...laneOrder].reverse() : laneOrder;
+        round.forEach(lane => slots.push({ lane, position }));
+    }
+    return slots;
+}
+
+// Bowlers from the same home center next to each other, biggest centers
+// first, so filling in slot order spreads each center over different pairs
+function groupByHomeCenter(entrants) {
+    const groups = new Map();
+    shuffle(entrants).forEach((entrant, index) => {
+        const center = (entrant.homeCenter || '').trim().toLowerCase() || `none-${index}`;
+        if (!groups.has(center)) groups.set(center, []);
+        groups.get(center).push(entrant);
+    });
+    return [...groups.values()]
+        .sort((a, b) => b.length - a.length)
+        .flat();
+}
+
+/**
+ * Work out starting lanes for a squad
+ * @param {Object} squad - Tournament squad with lanes settings
+ * @param {Array<Object>} entrants - { registration, average, homeCenter }
+ * @returns {Array<Object>} { registration, lane, position } per entrant
+ * @throws {Error} When the lanes can't hold every entrant
+ */
+export function generateLaneAssignments(squad, entrants) {
+    const lanes = getSquadLanes(squad);
+    if (lanes.length === 0) {
+        throw new Error('Set a lane range for this squad first');
+    }
+
+    const method = squad.lanes.method || 'random';
+    const slots = orderLaneSlots(lanes, squad.lanes.bowlersPerLane || 4, method === 'average');
+    if (entrants.length > slots.length) {
+        throw new Error(`${entrants.length} bowlers won't fit on ${lanes.length} lanes at ${squad.lanes.bowlersPerLane || 4} per lane`);
+    }
+
+    let ordered;
+    if (method === 'average') {
+        ordered = shuffle(entrants).sort((a, b) => (b.average || 0) - (a.average || 0));
+    } else if (method === 'home_center') {
+        ordered = groupByHomeCenter(entrants);
+    } else {
+        ordered = shuffle(entrants);
+    }
+
+    return ordered.map((entrant, index) => ({
+        registration: entrant.registration,
+        lane: slots[index].lane,
+        position: slots[index].position
+    }));
+}
+
+/**
+ * Lane a bowler is on for each block, crossing movePairs pairs to the right
+ * after every block and wrapping back to the first pair
+ * @param {Object} squad - Tournament squad with lanes settings
+ * @param {number} startLane - Starting lane
+ * @returns {Array<number>} Lane per block, empty if the lane isn't in the squad
+ */
+export function getLaneRotation(squad, startLane) {
+    const lanes = getSquadLanes(squad);
+    const index = lanes.indexOf(startLane);
+    if (index === -1) return [];
+
+    const pairCount = Math.ceil(lanes.length / 2);
+    const blocks = squad.lanes.blocks || 1;
+    const movePairs = squad.lanes.movePairs || 0;
+
+    return Array.from({ length: blocks }, (_, block) => {
+        const pair = (Math.floor(index / 2) + block * movePairs) % pairCount;
+        return lanes[pair * 2 + (index % 2)];
+    });
+}
+
+/**
+ * Generate and store lane assignments for everyone entered in a squad,
+ * replacing any earlier assignment for it
+ * @param {Object} tournament - Tournament document
+ * @param {Object} squad - Squad from tournament.squads
+ * @returns {Promise<Array<Object>>} Assignments made
+ */
+export async function assignSquadLanes(tournament, squad) {
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] },
+        assignedSquads: squad._id
+    })
+        .select('averageScore enteringAverage bowler')
+        .populate('bowler', 'homeCenter')
+        .lean();
+
+    const assignments = generateLaneAssignments(squad, registrations.map(reg => ({
+        registration: reg._id,
+        average: reg.enteringAverage?.value ?? reg.averageScore ?? 0,
+        homeCenter: reg.bowler?.homeCenter || ''
+    })));
+
+    await clearSquadLanes(tournament, squad);
+    if (assignments.length > 0) {
+        await Registration.bulkWrite(assignments.map(assignment => ({
+            updateOne: {
+                filter: { _id: assignment.registration },
+                update: {
+                    $push: {
+                        laneAssignments: { squad: squad._id, lane: assignment.lane, position: assignment.position }
+                    }
+                }
+            }
+        })));
+    }
+
+    await Tournament.updateOne(
+        { _id: tournament._id, 'squads._id': squad._id },
+        { $set: { 'squads.$.lanes.assignedAt': new Date() } }
+    );
+    return assignments;
+}
+
+/**
+ * Remove every lane assignment for a squad
+ * @param {Object} tournament - Tournament document
+ * @param {Object} squad - Squad from tournament.squads
+ * @returns {Promise<void>}
+ */
+export async function clearSquadLanes(tournament, squad) {
+    await Registration.updateMany(
+        { tournament: tournament._id, 'laneAssignments.squad': squad._id },
+        { $pull: { laneAssignments: { squad: squad._id } } }
+    );
+    await Tournament.updateOne(
+        { _id: tournament._id, 'squads._id': squad._id },
+        { $set: { 'squads.$.lanes.assignedAt': null } }
+    );
+}
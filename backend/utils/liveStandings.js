@@ -0,0 +1,101 @@
+import { buildTournamentResults } from './results.js';
+import { buildPrizeList } from './prizeFund.js';
+import { getDivisions } from './divisions.js';
+
+/**
+ * Rolling standings for the live view: the stage being bowled, split by
+ * division, with the advance and cash lines and how many pins each bowler
+ * is from them. Built from the same results as the public results page.
+ */
+
+// The stage being bowled: the furthest one anybody has scores in
+function pickLiveStage(results) {
+    if (!results.hasStages) return null;
+    const started = results.stages.filter(stage => stage.players.some(player => player.gamesPlayed > 0));
+    return started[started.length - 1] || results.stages[0];
+}
+
+/**
+ * Pins each bowler needs to reach a line, or their cushion above it
+ * @param {Array<Object>} players - One division's standings, in position order
+ * @param {number|null} line - Bowlers inside the line (advance or cash places)
+ * @returns {Array<Object>} Per player: { inside, pins } where pins is the
+ * cushion over the first bowler out when inside, and the pins needed to pass
+ * the last bowler in when outside; null without a line or a full field
+ */
+export function getLineMargins(players, line) {
+    return players.map((player, index) => {
+        if (!line || players.length <= line) {
+            return { inside: Boolean(line), pins: null };
+        }
+        if (index < line) {
+            return { inside: true, pins: player.total - players[line].total };
+        }
+        return { inside: false, pins: players[line - 1].total - player.total + 1 };
+    });
+}
+
+/**
+ * Snapshot of live standings for a tournament
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Object>} { tournament, stage, divisions, updatedAt }
+ */
+export async function buildLiveStandings(tournament) {
+    const [results, prizeList] = await Promise.all([
+        buildTournamentResults(tournament),
+        buildPrizeList(tournament)
+    ]);
+
+    const stage = pickLiveStage(results);
+    const players = stage ? stage.players : results.players;
+    const games = stage ? stage.games : tournament.format?.gamesPerBowler || 3;
+    const isLastStage = !stage || stage.stageIndex === results.stages.length - 1;
+    // Match play stages rank on points or placings, so pins don't decide them
+    const byPinfall = !stage?.standingsType;
+
+    const divisions = getDivisions(tournament);
+    const fields = divisions.length === 0 ? [{ key: '', name: 'Overall' }] : divisions;
+
+    return {
+        tournament: {
+            _id: tournament._id,
+            name: tournament.name,
+            status: tournament.status,
+            location: tournament.location
+        },
+        stage: {
+            index: stage ? stage.stageIndex : 0,
+            name: stage ? stage.stageName : 'Tournament Standings',
+            type: stage?.standingsType || 'pinfall',
+            games
+        },
+        divisions: fields.map(division => {
+            const field = players.filter(player => (player.division || '') === division.key);
+            const advancing = isLastStage ? null : (stage.advancingByDivision?.[division.key] ?? stage.advancingBowlers ?? null);
+            const cashes = prizeList.find(entry => entry.division === division.key)?.cashes || null;
+            const margins = line => getLineMargins(field, line).map(margin => (byPinfall ? margin : { ...margin, pins: null }));
+            const advanceMargins = margins(advancing);
+            const cashMargins = margins(cashes);
+
+            return {
+                key: division.key,
+                name: division.name,
+                advancing,
+                cashes,
+                players: field.map((player, index) => ({
+                    position: player.position,
+                    positionLabel: player.positionLabel,
+                    playerName: player.playerName,
+                    scores: player.scores || [],
+                    gamesPlayed: player.gamesPlayed || 0,
+                    total: player.total,
+                    average: player.average,
+                    matchPoints: player.matchPoints,
+                    advance: advancing ? advanceMargins[index] : null,
+                    cash: cashes ? cashMargins[index] : null
+                }))
+            };
+        }),
+        updatedAt: new Date()
+    };
+}
@@ -0,0 +1,145 @@
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import { buildLiveStandings } from './liveStandings.js';
+
+/**
+ * Server-Sent Events for the live view. Each instance keeps its own
+ * viewers; saving scores pushes fresh standings to them, at most once per
+ * LIVE_THROTTLE_MS however many scores arrive. Scores saved on another
+ * instance are picked up by checking watched tournaments every
+ * LIVE_WATCH_MS.
+ */
+
+export const LIVE_THROTTLE_MS = Number(process.env.LIVE_THROTTLE_MS) || 2000;
+const LIVE_WATCH_MS = 10 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+// Browsers wait this long before reconnecting a dropped stream
+const RETRY_MS = 5000;
+
+// Tournament ID to { clients, timer, lastSentAt, lastChangeAt, eventId }
+const channels = new Map();
+let timers = null;
+
+function send(res, event, data, id) {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    // compression buffers writes until flushed
+    res.flush?.();
+}
+
+async function latestChange(tournamentId) {
+    const latest = await Registration.findOne({ tournament: tournamentId })
+        .sort({ updatedAt: -1 })
+        .select('updatedAt')
+        .lean();
+    return latest?.updatedAt?.getTime() || 0;
+}
+
+async function broadcast(tournamentId) {
+    const channel = channels.get(tournamentId);
+    if (!channel || channel.clients.size === 0) return;
+
+    channel.timer = null;
+    channel.lastSentAt = Date.now();
+    try {
+        const tournament = await Tournament.findById(tournamentId);
+        if (!tournament) return;
+        channel.lastChangeAt = await latestChange(tournamentId);
+        const standings = await buildLiveStandings(tournament);
+        channel.eventId++;
+        channel.clients.forEach(res => send(res, 'standings', standings, channel.eventId));
+    } catch (error) {
+        console.error('Error pushing live standings:', error);
+    }
+}
+
+// Send to everyone once per throttle window; scores arriving in the
+// meantime ride along with the scheduled push
+function schedule(tournamentId) {
+    const channel = channels.get(tournamentId);
+    if (!channel || channel.clients.size === 0 || channel.timer) return;
+
+    const wait = Math.max(0, channel.lastSentAt + LIVE_THROTTLE_MS - Date.now());
+    channel.timer = setTimeout(() => broadcast(tournamentId), wait);
+}
+
+function tick() {
+    channels.forEach(channel => {
+        channel.clients.forEach(res => {
+            res.write(': heartbeat\n\n');
+            res.flush?.();
+        });
+    });
+}
+
+async function watch() {
+    for (const [tournamentId, channel] of channels) {
+        try {
+            if (await latestChange(tournamentId) > channel.lastChangeAt) {
+                schedule(tournamentId);
+            }
+        } catch (error) {
+            console.error('Error checking live scores:', error);
+        }
+    }
+}
+
+function startTimers() {
+    if (timers) return;
+    timers = [setInterval(tick, HEARTBEAT_MS), setInterval(watch, LIVE_WATCH_MS)];
+    timers.forEach(timer => timer.unref());
+}
+
+function stopTimers() {
+    if (!timers || channels.size > 0) return;
+    timers.forEach(timer => clearInterval(timer));
+    timers = null;
+}
+
+/**
+ * Keep a response open as a live standings stream. The viewer gets the
+ * current standings straight away, so a reconnect never misses anything.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+export async function subscribeToLiveStandings(tournament, req, res) {
+    const tournamentId = tournament._id.toString();
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx holding events back
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    if (!channels.has(tournamentId)) {
+        channels.set(tournamentId, { clients: new Set(), timer: null, lastSentAt: 0, lastChangeAt: 0, eventId: 0 });
+    }
+    const channel = channels.get(tournamentId);
+    channel.clients.add(res);
+    startTimers();
+
+    req.on('close', () => {
+        channel.clients.delete(res);
+        if (channel.clients.size === 0) {
+            clearTimeout(channel.timer);
+            channels.delete(tournamentId);
+            stopTimers();
+        }
+    });
+
+    channel.lastChangeAt = Math.max(channel.lastChangeAt, await latestChange(tournamentId));
+    send(res, 'standings', await buildLiveStandings(tournament), channel.eventId);
+}
+
+/**
+ * Let live viewers know a tournament's scores changed
+ * @param {Object|string} tournamentId - Tournament ID
+ */
+export function notifyScoresChanged(tournamentId) {
+    schedule(tournamentId.toString());
+}
@@ -0,0 +1,64 @@
+/**
+ * Match format rules shared by every head-to-head stage type
+ */
+const MATCH_FORMATS = {
+    'single-game': { games: 1, type: 'games', gamesToWin: 1 },
+    'best-of-3': { games: 3, type: 'games', gamesToWin: 2 },
+    'best-of-5': { games: 5, type: 'games', gamesToWin: 3 },
+    'total-pinfall-2': { games: 2, type: 'pinfall' },
+    'total-pinfall-3': { games: 3, type: 'pinfall' }
+};
+
+/**
+ * Get the rules for a match format, falling back to a single game
+ * @param {string} matchFormat - Format key from matchPlaySettings
+ * @returns {Object} Format rules
+ */
+export function getMatchFormat(matchFormat) {
+    return MATCH_FORMATS[matchFormat] || MATCH_FORMATS['single-game'];
+}
+
+/**
+ * Decide a two-player match from each bowler's game scores
+ * @param {Array<number>} scoresA - First bowler's game scores
+ * @param {Array<number>} scoresB - Second bowler's game scores
+ * @param {string} matchFormat - Format key from matchPlaySettings
+ * @returns {{complete: boolean, winner: string|null, gamesWonA: number, gamesWonB: number, pinfallA: number, pinfallB: number}}
+ *   winner is 'a', 'b' or 'tie' once the match is complete
+ */
+export function decideMatch(scoresA = [], scoresB = [], matchFormat = 'single-game') {
+    const format = getMatchFormat(matchFormat);
+    const gamesBowled = Math.min(scoresA.length, scoresB.length);
+    const pinfallA = scoresA.slice(0, gamesBowled).reduce((sum, s) => sum + s, 0);
+    const pinfallB = scoresB.slice(0, gamesBowled).reduce((sum, s) => sum + s, 0);
+
+    let gamesWonA = 0;
+    let gamesWonB = 0;
+    for (let i = 0; i < gamesBowled; i++) {
+        if (scoresA[i] > scoresB[i]) gamesWonA++;
+        else if (scoresB[i] > scoresA[i]) gamesWonB++;
+    }
+
+    const outcome = { complete: false, winner: null, gamesWonA, gamesWonB, pinfallA, pinfallB };
+
+    if (format.type === 'pinfall') {
+        if (gamesBowled < format.games) return outcome;
+        outcome.complete = true;
+        outcome.winner = pinfallA > pinfallB ? 'a' : pinfallB > pinfallA ? 'b' : 'tie';
+        return outcome;
+    }
+
+    // Game-count formats finish early once someone has enough game wins
+    if (gamesWonA >= format.gamesToWin || gamesWonB >= format.gamesToWin) {
+        outcome.complete = true;
+        outcome.winner = gamesWonA > gamesWonB ? 'a' : 'b';
+        return outcome;
+    }
+
+    if (gamesBowled >= format.games) {
+        outcome.complete = true;
+        outcome.winner = gamesWonA > gamesWonB ? 'a' : gamesWonB > gamesWonA ? 'b' : 'tie';
+    }
+
+    return outcome;
+}
@@ -0,0 +1,306 @@
+import Registration from '../models/Registration.js';
+import Bowler from '../models/Bowler.js';
+import TournamentResult from '../models/TournamentResult.js';
+import RollOff from '../models/RollOff.js';
+import StageMatch from '../models/StageMatch.js';
+import { calculateRoundRobinStandings } from './roundRobin.js';
+import { calculateBracketPlacements } from './bracket.js';
+import { calculatePinfallStandings } from './standings.js';
+import { getDivisionKey, getDivisionKeys, rankByDivision, matchesInDivision } from './divisions.js';
+
+/**
+ * Resolve win/tie/loss settings for a stage, falling back to the
+ * tournament-wide matchPlay defaults
+ * @param {Object} tournament - Tournament document
+ * @param {Object} stage - Stage from tournament.format.stages
+ * @returns {Object} Match play settings
+ */
+export function getStageMatchPlaySettings(tournament, stage) {
+    const defaults = tournament.format?.matchPlay || {};
+    const settings = stage?.matchPlaySettings || {};
+    return {
+        pointsForWin: Number(settings.pointsForWin ?? defaults.pointsForWin ?? 30),
+        pointsForTie: Number(settings.pointsForTie ?? defaults.pointsForTie ?? 15),
+        pointsForLoss: Number(settings.pointsForLoss ?? defaults.pointsForLoss ?? 0),
+        includePinfall: settings.includePinfall ?? defaults.includePinfall ?? true,
+        matchFormat: settings.matchFormat || 'single-game'
+    };
+}
+
+// Number seeds from 1 within each division, keeping the incoming order
+function seedWithinDivisions(entrants) {
+    const lastSeed = new Map();
+    return entrants.map(entrant => {
+        const seed = (lastSeed.get(entrant.division) || 0) + 1;
+        lastSeed.set(entrant.division, seed);
+        return { ...entrant, seed };
+    });
+}
+
+/**
+ * Load the bowlers who have advanced into a stage, seeded by the pinfall
+ * they carried in (then by name so seeding is stable). Seeds restart in
+ * each division when divisions bowl separately.
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {Promise<Array<Object>>} Entrants ({ registration, playerName, division, seed, carryover })
+ */
+export async function getStageEntrants(tournament, stageIndex) {
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] },
+        currentStage: { $gte: stageIndex }
+    })
+        .select('playerName gender divisions stageScores currentStage')
+        .lean();
+
+    return seedWithinDivisions(registrations
+        .map(reg => ({
+            registration: reg._id,
+            playerName: reg.playerName,
+            division: getDivisionKey(tournament, reg),
+            carryover: reg.stageScores?.find(s => s.stageIndex === stageIndex)?.carryover || 0
+        }))
+        .sort((a, b) => b.carryover - a.carryover || a.playerName.localeCompare(b.playerName)));
+}
+
+/**
+ * Copy each bowler's completed match games back into their stageScores so
+ * bowler averages and the score grid stay in step with the match records.
+ * Match points are stored against the last game of each match as bonus pins.
+ * @param {string} tournamentId - Tournament ID
+ * @param {number} stageIndex - Stage index
+ * @param {Array<string>} registrationIds - Registrations to resync
+ */
+export async function syncStageScoresFromMatches(tournamentId, stageIndex, registrationIds) {
+    const matches = await StageMatch.find({
+        tournament: tournamentId,
+        stageIndex,
+        'participants.registration': { $in: registrationIds }
+    })
+        .sort({ round: 1, matchNumber: 1 })
+        .lean();
+
+    for (const registrationId of registrationIds) {
+        const registration = await Registration.findById(registrationId);
+        if (!registration) continue;
+
+        const scores = [];
+        const bonusPins = [];
+        matches.forEach(match => {
+            const participant = match.participants.find(p => p.registration.toString() === registrationId.toString());
+            if (!participant || !participant.scores?.length) return;
+            participant.scores.forEach((score, gameIndex) => {
+                scores.push(score);
+                const isLastGame = gameIndex === participant.scores.length - 1;
+                bonusPins.push(isLastGame && match.status === 'completed' ? participant.points || 0 : 0);
+            });
+        });
+
+        const total = scores.reduce((sum, s) => sum + s, 0);
+        const entry = registration.stageScores.find(s => s.stageIndex === stageIndex);
+        if (entry) {
+            entry.scores = scores;
+            entry.bonusPins = bonusPins;
+            entry.total = total;
+        } else {
+            registration.stageScores.push({ stageIndex, scores, bonusPins, handicap: 0, total, carryover: 0 });
+        }
+
+        await registration.save();
+    }
+}
+
+/**
+ * Points standings for a round robin or tri-matchplay stage
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {Promise<{standings: Array<Object>, matches: Array<Object>}>}
+ */
+export async function getRoundRobinStandings(tournament, stageIndex) {
+    const stage = tournament.format?.stages?.[stageIndex];
+    const settings = getStageMatchPlaySettings(tournament, stage);
+    const [entrants, matches, rollOffs] = await Promise.all([
+        getStageEntrants(tournament, stageIndex),
+        StageMatch.find({ tournament: tournament._id, stageIndex })
+            .sort({ round: 1, matchNumber: 1 })
+            .lean(),
+        RollOff.find({ tournament: tournament._id, stageIndex }).lean()
+    ]);
+
+    return {
+        standings: rankByDivision(tournament, entrants, (field, division) =>
+            calculateRoundRobinStandings(field, matchesInDivision(matches, division), settings, {
+                rules: stage?.tieBreakers,
+                rollOffs
+            })
+        ),
+        matches
+    };
+}
+
+/**
+ * Placings for an elimination or stepladder stage, with each bowler's match record
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {Promise<{standings: Array<Object>, matches: Array<Object>}>}
+ */
+export async function getBracketStandings(tournament, stageIndex) {
+    const matches = await StageMatch.find({ tournament: tournament._id, stageIndex })
+        .sort({ bracket: 1, round: 1, matchNumber: 1 })
+        .lean();
+
+    const rows = new Map();
+    matches.forEach(match => {
+        match.participants.forEach(participant => {
+            const id = participant.registration.toString();
+            if (!rows.has(id)) {
+                rows.set(id, {
+                    registration: participant.registration,
+                    playerName: participant.playerName,
+                    division: match.division || '',
+                    seed: participant.seed,
+                    wins: 0,
+                    losses: 0,
+                    pinfall: 0,
+                    gamesPlayed: 0,
+                    high: 0,
+                    scores: []
+                });
+            }
+
+            if (match.status !== 'completed' || match.isBye) return;
+            const row = rows.get(id);
+            if (match.winner?.toString() === id) row.wins++;
+            else row.losses++;
+            row.pinfall += participant.pinfall || 0;
+            row.gamesPlayed += (participant.scores || []).length;
+            row.scores.push(...(participant.scores || []));
+            row.high = Math.max(row.high, ...(participant.scores || []), 0);
+        });
+    });
+
+    const standings = rankByDivision(tournament, [...rows.values()], (field, division) =>
+        calculateBracketPlacements(field, matchesInDivision(matches, division))
+    )
+        .map(row => ({
+            ...row,
+            average: row.gamesPlayed > 0 ? Math.round(row.pinfall / row.gamesPlayed) : 0
+        }));
+
+    return { standings, matches };
+}
+
+/**
+ * Final order of a stage, whatever its type: match points for round robin and tri-matchplay,
+ * placings for a bracket once matches exist, otherwise pinfall totals
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {Promise<Array<Object>>} Rows with registration, playerName and position
+ */
+export async function getStageStandings(tournament, stageIndex) {
+    const stage = tournament.format?.stages?.[stageIndex];
+
+    if (stage?.type === 'round_robin' || stage?.type === 'tri_matchplay') {
+        const { standings, matches } = await getRoundRobinStandings(tournament, stageIndex);
+        if (matches.length > 0) return standings;
+    }
+
+    if (stage?.type === 'elimination' || stage?.type === 'stepladder') {
+        const { standings, matches } = await getBracketStandings(tournament, stageIndex);
+        if (matches.length > 0) return standings;
+    }
+
+    const [registrations, rollOffs] = await Promise.all([
+        Registration.find({
+            tournament: tournament._id,
+            status: { $in: ['pending', 'confirmed'] }
+        })
+            .select('playerName gender divisions averageScore enteringAverage assignedSquads stageScores currentStage')
+            .sort({ playerName: 1 })
+            .lean(),
+        RollOff.find({ tournament: tournament._id, stageIndex }).lean()
+    ]);
+
+    return calculatePinfallStandings(tournament, registrations, stageIndex, rollOffs);
+}
+
+/**
+ * Bowlers who have advanced into a stage, seeded by where they finished in
+ * the previous stage. Anyone without a previous result is seeded after them
+ * in carryover order.
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {Promise<Array<Object>>} Entrants ({ registration, playerName, seed, carryover })
+ */
+export async function getSeededEntrants(tournament, stageIndex) {
+    const entrants = await getStageEntrants(tournament, stageIndex);
+    if (stageIndex === 0) return entrants;
+
+    const previous = await getStageStandings(tournament, stageIndex - 1);
+    const previousPosition = new Map(previous.map(row => [row.registration.toString(), row.position]));
+    const positionOf = (entrant) => previousPosition.get(entrant.registration.toString()) ?? Infinity;
+
+    return seedWithinDivisions(entrants.sort((a, b) => positionOf(a) - positionOf(b) || a.seed - b.seed));
+}
+
+/**
+ * A registration's TournamentResult, created if the bowler doesn't have one yet
+ * @param {Object} tournament - Tournament document
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<Object|null>} Unsaved result, or null when the registration has no bowler
+ */
+export async function getOrCreateTournamentResult(tournament, registrationId) {
+    const registration = await Registration.findById(registrationId).select('bowler email').lean();
+    if (!registration) return null;
+
+    // Registrations made before bowler accounts existed are matched on email
+    const bowlerId = registration.bowler || (await Bowler.findOne({ email: registration.email }).select('_id').lean())?._id;
+    if (!bowlerId) return null;
+
+    let result = await TournamentResult.findOne({ bowler: bowlerId, tournament: tournament._id });
+    if (!result) {
+        result = new TournamentResult({
+            bowler: bowlerId,
+            tournament: tournament._id,
+            enteredBy: 'admin',
+            verified: true
+        });
+    }
+    result.registration = registrationId;
+    return result;
+}
+
+/**
+ * Write each stepladder finalist's finishing position into their
+ * TournamentResult, creating the result if the bowler doesn't have one yet.
+ * With separate divisions only the division whose final finished is written,
+ * placed against the size of that division.
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stepladder stage index
+ * @param {string} [division=''] - Division whose stepladder finished
+ * @returns {Promise<number>} Number of results written
+ */
+export async function recordStepladderPlacings(tournament, stageIndex, division = '') {
+    const { standings } = await getBracketStandings(tournament, stageIndex);
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] }
+    })
+        .select('gender divisions')
+        .lean();
+    const totalParticipants = registrations.filter(reg => getDivisionKeys(tournament, reg).includes(division)).length;
+
+    let written = 0;
+    for (const row of standings.filter(standing => standing.division === division)) {
+        const result = await getOrCreateTournamentResult(tournament, row.registration);
+        if (!result) continue;
+
+        result.finalPosition = row.position;
+        result.totalParticipants = totalParticipants;
+        await result.save();
+        written++;
+    }
+
+    return written;
+}
@@ -0,0 +1,126 @@
+import crypto from 'crypto';
+
+/**
+ * Online payment providers. Each provider implements:
+ *
+ *   name: string
+ *   createCheckoutSession({ amount, currency, reference, description, customerEmail, successUrl, cancelUrl })
+ *       -> Promise<{ id, url, expiresAt }>
+ *   verifyWebhook(rawBody, headers)
+ *       -> { id, type, sessionId, paymentId, amount, currency }, throws if the signature is bad
+ *
+ * Webhook event types are normalised to 'checkout.completed', 'checkout.failed'
+ * and 'checkout.expired' so reconciliation doesn't depend on the provider.
+ */
+
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5000';
+
+// Signed webhooks older than this are rejected as replays
+const WEBHOOK_TOLERANCE_SECONDS = 5 * 60;
+
+// Without a configured secret anyone could sign a webhook, so only the fake
+// provider outside production falls back to a known one
+function getWebhookSecret() {
+    if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+    if (process.env.PAYMENT_PROVIDER === 'fake' && process.env.NODE_ENV !== 'production') {
+        return 'development-webhook-secret';
+    }
+    return null;
+}
+
+function signPayload(timestamp, payload) {
+    const secret = getWebhookSecret();
+    if (!secret) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET is not set');
+    }
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+/**
+ * Local provider for development and testing offline. Checkout happens on a
+ * page served by this app, which delivers a signed webhook the same way a
+ * real provider would.
+ */
+export const fakeProvider = {
+    name: 'fake',
+
+    async createCheckoutSession() {
+        const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            id,
+            url: `${SITE_URL}/api/payments/fake-checkout/${id}`,
+            expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
+        };
+    },
+
+    /**
+     * Build a signed webhook delivery for a fake checkout
+     * @param {Object} event - { type, sessionId, amount, currency }
+     * @returns {{rawBody: string, headers: Object}}
+     */
+    buildWebhook(event) {
+        const rawBody = JSON.stringify({
+            id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+            paymentId: event.type === 'checkout.completed' ? `fake_pi_${crypto.randomBytes(12).toString('hex')}` : '',
+            ...event
+        });
+        const timestamp = Math.floor(Date.now() / 1000);
+        return {
+            rawBody,
+            headers: { 'x-payment-signature': `t=${timestamp},v1=${signPayload(timestamp, rawBody)}` }
+        };
+    },
+
+    verifyWebhook(rawBody, headers) {
+        const signature = headers['x-payment-signature'] || '';
+        const parts = Object.fromEntries(signature.split(',').map(part => part.split('=')));
+        const timestamp = Number(parts.t);
+        if (!timestamp || !parts.v1) {
+            throw new Error('Missing webhook signature');
+        }
+        if (Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+            throw new Error('Webhook timestamp outside tolerance');
+        }
+
+        const expected = Buffer.from(signPayload(timestamp, rawBody), 'hex');
+        const received = Buffer.from(parts.v1, 'hex');
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+            throw new Error('Invalid webhook signature');
+        }
+
+        const event = JSON.parse(rawBody);
+        return {
+            id: event.id,
+            type: event.type,
+            sessionId: event.sessionId,
+            paymentId: event.paymentId || '',
+            amount: event.amount,
+            currency: event.currency
+        };
+    }
+};
+
+const providers = new Map([[fakeProvider.name, fakeProvider]]);
+
+/**
+ * Make a provider available to PAYMENT_PROVIDER
+ * @param {Object} provider - Provider implementing the interface above
+ */
+export function registerPaymentProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+/**
+ * The provider named by PAYMENT_PROVIDER, or null when online payments are off
+ * @returns {Object|null}
+ */
+export function getPaymentProvider() {
+    const name = process.env.PAYMENT_PROVIDER;
+    if (!name) return null;
+
+    const provider = providers.get(name);
+    if (!provider) {
+        throw new Error(`Unknown payment provider "${name}"`);
+    }
+    return provider;
+}
@@ -0,0 +1,308 @@
+import Payment from '../models/Payment.js';
+import Registration from '../models/Registration.js';
+import Tournament from '../models/Tournament.js';
+import { getPaymentProvider } from './paymentProviders.js';
+
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5000';
+
+/**
+ * Currency online payments are taken in
+ */
+export const PAYMENT_CURRENCY = (process.env.PAYMENT_CURRENCY || 'AUD').toUpperCase();
+
+/**
+ * How a ledger entry was paid or refunded
+ */
+export const PAYMENT_METHODS = ['online', 'cash', 'bank_transfer', 'card'];
+
+/**
+ * Convert a dollar amount to minor units (cents)
+ * @param {number} amount - Amount in dollars
+ * @returns {number}
+ */
+export function toMinorUnits(amount) {
+    return Math.round((Number(amount) || 0) * 100);
+}
+
+/**
+ * What a registration owes in minor units: its quote, or the flat entry fee
+ * for registrations made before quotes were stored
+ * @param {Object} tournament - Tournament document
+ * @param {Object} registration - Registration document
+ * @returns {number}
+ */
+export function getAmountDue(tournament, registration) {
+    return toMinorUnits(registration.quote?.total ?? tournament.entryFee);
+}
+
+/**
+ * Paid and refunded totals from completed ledger entries, per registration
+ * @param {Array<string>} registrationIds - Registration IDs
+ * @returns {Promise<Map<string, {paid: number, refunded: number, entries: number}>>}
+ */
+export async function getLedgerTotals(registrationIds) {
+    const entries = await Payment.find({ registration: { $in: registrationIds }, status: 'completed' })
+        .select('registration type amount')
+        .lean();
+
+    const totals = new Map(registrationIds.map(id => [id.toString(), { paid: 0, refunded: 0, entries: 0 }]));
+    entries.forEach(entry => {
+        const total = totals.get(entry.registration.toString());
+        if (entry.type === 'refund') total.refunded += entry.amount;
+        else total.paid += entry.amount;
+        total.entries += 1;
+    });
+    return totals;
+}
+
+/**
+ * Balance for a registration. Only active entries are expected to pay, so a
+ * cancelled bowler who has paid shows a negative balance until refunded.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} registration - Registration document
+ * @param {{paid: number, refunded: number}} totals - From getLedgerTotals
+ * @returns {{due: number, paid: number, refunded: number, net: number, balance: number}}
+ */
+export function getBalance(tournament, registration, totals) {
+    const isActive = ['pending', 'confirmed'].includes(registration.status);
+    const due = isActive ? getAmountDue(tournament, registration) : 0;
+    const net = totals.paid - totals.refunded;
+    return { due, paid: totals.paid, refunded: totals.refunded, net, balance: due - net };
+}
+
+/**
+ * Net amount collected for a registration in minor units
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<number>}
+ */
+export async function getAmountCollected(registrationId) {
+    const totals = (await getLedgerTotals([registrationId])).get(registrationId.toString());
+    return totals.paid - totals.refunded;
+}
+
+/**
+ * Start a checkout with the configured provider for whatever the
+ * registration still owes. An open checkout for the same amount is handed
+ * back rather than starting another, so the bowler can't pay twice.
+ * @param {Object} tournament - Tournament document
+ * @param {Object} registration - Registration document
+ * @returns {Promise<Object|null>} { url, amount, currency }, or null when
+ *   online payments are off or nothing is owed
+ */
+export async function createCheckout(tournament, registration) {
+    const provider = getPaymentProvider();
+    if (!provider) return null;
+
+    const owing = getAmountDue(tournament, registration) - await getAmountCollected(registration._id);
+    if (owing <= 0) return null;
+
+    const open = await Payment.findOne({ registration: registration._id, status: 'pending' });
+    if (open) {
+        const isCurrent = open.provider === provider.name &&
+            open.amount === owing &&
+            open.currency === PAYMENT_CURRENCY &&
+            (!open.expiresAt || open.expiresAt > new Date());
+        if (isCurrent) {
+            return { url: open.checkoutUrl, amount: open.amount, currency: open.currency };
+        }
+        // The balance or provider changed, or the session lapsed
+        open.status = 'expired';
+        open.failedAt = new Date();
+        open.note = 'Replaced by a new checkout';
+        await open.save();
+    }
+
+    const session = await provider.createCheckoutSession({
+        amount: owing,
+        currency: PAYMENT_CURRENCY,
+        reference: registration._id.toString(),
+        description: `${tournament.name} entry fee`,
+        customerEmail: registration.email,
+        successUrl: `${SITE_URL}/register?payment=success`,
+        cancelUrl: `${SITE_URL}/register?payment=cancelled`
+    });
+
+    try {
+        await Payment.create({
+            tournament: tournament._id,
+            registration: registration._id,
+            provider: provider.name,
+            providerReference: session.id,
+            amount: owing,
+            currency: PAYMENT_CURRENCY,
+            checkoutUrl: session.url,
+            expiresAt: session.expiresAt || null
+        });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another request opened a checkout first; use that one
+        const winner = await Payment.findOne({ registration: registration._id, status: 'pending' });
+        if (!winner) throw error;
+        return { url: winner.checkoutUrl, amount: winner.amount, currency: winner.currency };
+    }
+
+    return { url: session.url, amount: owing, currency: PAYMENT_CURRENCY };
+}
+
+/**
+ * Set a registration's paymentStatus from its ledger. Registrations with no
+ * ledger entries keep whatever status an admin set by hand.
+ * @param {string} registrationId - Registration ID
+ * @returns {Promise<string|null>} Payment status
+ */
+export async function syncPaymentStatus(registrationId) {
+    const registration = await Registration.findById(registrationId);
+    if (!registration) return null;
+
+    const totals = (await getLedgerTotals([registration._id])).get(registration._id.toString());
+    if (totals.entries === 0) return registration.paymentStatus;
+
+    const tournament = await Tournament.findById(registration.tournament).select('entryFee').lean();
+    const due = getAmountDue(tournament, registration);
+    const net = totals.paid - totals.refunded;
+    const paymentStatus = net >= due && due > 0 ? 'paid' : (net > 0 ? 'deposit' : 'unpaid');
+
+    if (registration.paymentStatus !== paymentStatus) {
+        registration.paymentStatus = paymentStatus;
+        await registration.save();
+    }
+    return paymentStatus;
+}
+
+/**
+ * Record a payment or refund taken by an admin
+ * @param {Object} registration - Registration document
+ * @param {Object} entry - { type, method, amount (minor units), note, recordedBy }
+ * @returns {Promise<Object>} Saved ledger entry
+ * @throws {Error} If a refund is more than has been collected
+ */
+export async function recordLedgerEntry(registration, { type, method, amount, note, recordedBy }) {
+    if (type === 'refund' && amount > await getAmountCollected(registration._id)) {
+        throw new Error('Refund is more than has been collected');
+    }
+
+    const entry = await Payment.create({
+        tournament: registration.tournament,
+        registration: registration._id,
+        type,
+        method,
+        amount,
+        currency: PAYMENT_CURRENCY,
+        status: 'completed',
+        completedAt: new Date(),
+        recordedBy,
+        note
+    });
+
+    await syncPaymentStatus(registration._id);
+    return entry;
+}
+
+/**
+ * Expected, collected and refunded totals for a tournament, overall, by
+ * payment method and per registration
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Object>}
+ */
+export async function buildPaymentReport(tournament) {
+    const registrations = await Registration.find({ tournament: tournament._id })
+        .select('playerName email status paymentStatus assignedSquads quote')
+        .sort({ playerName: 1 })
+        .lean();
+    const totals = await getLedgerTotals(registrations.map(reg => reg._id));
+
+    const rows = registrations.map(reg => ({
+        registration: reg._id,
+        playerName: reg.playerName,
+        email: reg.email,
+        status: reg.status,
+        paymentStatus: reg.paymentStatus,
+        ...getBalance(tournament, reg, totals.get(reg._id.toString()))
+    }));
+
+    const entries = await Payment.find({ registration: { $in: registrations.map(reg => reg._id) }, status: 'completed' })
+        .select('type method amount')
+        .lean();
+    const byMethod = Object.fromEntries(PAYMENT_METHODS.map(method => [method, { collected: 0, refunded: 0 }]));
+    entries.forEach(entry => {
+        byMethod[entry.method][entry.type === 'refund' ? 'refunded' : 'collected'] += entry.amount;
+    });
+
+    const sum = key => rows.reduce((total, row) => total + row[key], 0);
+    return {
+        currency: PAYMENT_CURRENCY,
+        expected: sum('due'),
+        collected: sum('paid'),
+        refunded: sum('refunded'),
+        net: sum('net'),
+        outstanding: rows.reduce((total, row) => total + Math.max(row.balance, 0), 0),
+        refundsOwed: rows.reduce((total, row) => total + Math.max(-row.balance, 0), 0),
+        byMethod,
+        registrations: rows
+    };
+}
+
+/**
+ * Verify a webhook delivery and apply it to the ledger. Each event is
+ * applied once; redeliveries are acknowledged and ignored. A payment that
+ * doesn't match its checkout is recorded for review rather than rejected.
+ * @param {Object} provider - Payment provider
+ * @param {string} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{applied: boolean, reason?: string}>}
+ * @throws {Error} If the signature is invalid
+ */
+export async function receiveWebhook(provider, rawBody, headers) {
+    const event = provider.verifyWebhook(rawBody, headers);
+
+    const payment = await Payment.findOne({ provider: provider.name, providerReference: event.sessionId });
+    if (!payment) return { applied: false, reason: 'Unknown checkout session' };
+    if (payment.events.some(applied => applied.id === event.id)) return { applied: false, reason: 'Duplicate event' };
+    if (payment.status === 'completed') return { applied: false, reason: 'Payment already completed' };
+
+    const update = {};
+    let reason;
+    if (event.type === 'checkout.completed') {
+        const currency = String(event.currency).toUpperCase();
+        const paid = Number(event.amount);
+        if (currency !== payment.currency || !Number.isInteger(paid) || paid < 0) {
+            // Can't be put on the ledger as is; kept for an admin to reconcile.
+            // Still acknowledged, as providers redeliver anything they see fail.
+            console.error(`Payment ${payment._id}: provider reported ${event.amount} ${currency}, expected ${payment.amount} ${payment.currency}`);
+            update.status = 'failed';
+            update.failedAt = new Date();
+            update.providerPaymentId = event.paymentId || '';
+            update.note = `Provider reported ${event.amount} ${currency}, expected ${payment.amount} ${payment.currency}; needs review`;
+            reason = 'Paid amount does not match the checkout';
+        } else {
+            // What was actually taken goes on the ledger, so the balance shows
+            // any shortfall or overpayment
+            if (paid !== payment.amount) {
+                console.error(`Payment ${payment._id}: provider reported ${paid}, expected ${payment.amount}`);
+                update.amount = paid;
+                update.note = `Checkout was for ${payment.amount}; provider reported ${paid}`;
+            }
+            update.status = 'completed';
+            update.completedAt = new Date();
+            update.providerPaymentId = event.paymentId || '';
+        }
+    } else if (event.type === 'checkout.failed' || event.type === 'checkout.expired') {
+        update.status = event.type === 'checkout.failed' ? 'failed' : 'expired';
+        update.failedAt = new Date();
+    } else {
+        return { applied: false, reason: 'Unhandled event type' };
+    }
+
+    // Guard on the event ID so concurrent redeliveries apply once
+    const applied = await Payment.findOneAndUpdate(
+        { _id: payment._id, 'events.id': { $ne: event.id } },
+        { $set: update, $push: { events: { id: event.id, type: event.type } } },
+        { new: true }
+    );
+    if (!applied) return { applied: false, reason: 'Duplicate event' };
+
+    if (applied.status === 'completed') {
+        await syncPaymentStatus(applied.registration);
+    }
+    return reason ? { applied: false, reason } : { applied: true };
+}
@@ -0,0 +1,374 @@
+import PDFDocument from 'pdfkit';
+import Registration from '../models/Registration.js';
+import { buildTournamentResults } from './results.js';
+import { getSquadLanes, getLaneRotation } from './lanes.js';
+
+/**
+ * Printable tournament paperwork, drawn on the server with PDFKit's built-in
+ * fonts: squad sign-in sheets, blank score recaps, qualifying standings and
+ * a final results summary. Standings come from buildTournamentResults, the
+ * same data the public results page uses.
+ */
+
+const ROW_HEIGHT = 18;
+const CUT_COLOR = '#c92a2a';
+
+function formatDate(date) {
+    return date
+        ? new Date(date).toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })
+        : '';
+}
+
+function writeHeading(doc, title, subtitle) {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000')
+        .text(title, doc.page.margins.left, doc.y);
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(10).fillColor('#555555').text(subtitle);
+    }
+    doc.fillColor('#000000').moveDown(0.8);
+}
+
+function writeSubheading(doc, text) {
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000')
+        .text(text, doc.page.margins.left, doc.y);
+    doc.moveDown(0.3);
+}
+
+/**
+ * Draw a bordered table, repeating the header on each new page
+ * @param {PDFDocument} doc - Document to draw on
+ * @param {Array<Object>} columns - { label, width, align }; one column may
+ *   leave width out to take the rest of the line
+ * @param {Array<Array>} rows - Cell values per row
+ * @param {Object} [options]
+ * @param {number} [options.rowHeight] - Row height in points
+ * @param {number|null} [options.cutAfter] - Draw the cut line after this many rows
+ */
+function drawTable(doc, columns, rows, { rowHeight = ROW_HEIGHT, cutAfter = null } = {}) {
+    const left = doc.page.margins.left;
+    const available = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const fixed = columns.reduce((total, column) => total + (column.width || 0), 0);
+    const widths = columns.map(column => column.width || Math.max(available - fixed, 60));
+    const tableWidth = widths.reduce((total, width) => total + width, 0);
+    const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+    const drawRow = (cells, y, isHeader) => {
+        if (isHeader) {
+            doc.rect(left, y, tableWidth, rowHeight).fill('#eeeeee');
+        }
+        doc.font(isHeader ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#000000');
+
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.rect(x, y, widths[index], rowHeight).lineWidth(0.5).stroke('#999999');
+            doc.text(cell === null || cell === undefined ? '' : String(cell), x + 4, y + (rowHeight - 9) / 2, {
+                width: widths[index] - 8,
+                height: rowHeight - 4,
+                align: columns[index].align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += widths[index];
+        });
+        doc.y = y + rowHeight;
+    };
+
+    if (doc.y + rowHeight * 2 > bottom()) doc.addPage();
+    drawRow(columns.map(column => column.label), doc.y, true);
+
+    rows.forEach((row, index) => {
+        if (doc.y + rowHeight > bottom()) {
+            doc.addPage();
+            drawRow(columns.map(column => column.label), doc.y, true);
+        }
+        drawRow(row, doc.y, false);
+
+        if (cutAfter && index === cutAfter - 1 && index < rows.length - 1) {
+            const y = doc.y;
+            doc.moveTo(left, y).lineTo(left + tableWidth, y).lineWidth(2).stroke(CUT_COLOR);
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(CUT_COLOR)
+                .text('CUT LINE', left, y + 3, { width: tableWidth, align: 'right' });
+            doc.fillColor('#000000').lineWidth(1);
+            doc.y = y + 14;
+        }
+    });
+
+    doc.x = left;
+    doc.moveDown(1);
+}
+
+// Games bowled in a squad: its linked stage, else the qualifying stage
+function getSquadGames(tournament, squad) {
+    const stages = tournament.format?.stages || [];
+    const stage = (squad.stageKey && stages.find(entry => entry.key === squad.stageKey)) || stages[0];
+    return (tournament.format?.hasStages && stage?.games) || tournament.format?.gamesPerBowler || 3;
+}
+
+function getSquadEntrants(registrations, squad) {
+    const squadId = squad._id.toString();
+    return registrations
+        .filter(reg => (reg.assignedSquads || []).some(id => id.toString() === squadId))
+        .map(reg => {
+            const assignment = (reg.laneAssignments || []).find(entry => entry.squad.toString() === squadId);
+            return {
+                ...reg,
+                lane: assignment?.lane ?? null,
+                lanePosition: assignment?.position ?? null,
+                average: reg.enteringAverage?.value ?? reg.averageScore ?? null
+            };
+        })
+        .sort((a, b) => (a.lane ?? Infinity) - (b.lane ?? Infinity) ||
+            (a.lanePosition ?? 0) - (b.lanePosition ?? 0) ||
+            a.playerName.localeCompare(b.playerName));
+}
+
+function describeSquad(squad) {
+    const lanes = getSquadLanes(squad);
+    return [
+        formatDate(squad.date),
+        squad.time,
+        lanes.length > 0 ? `Lanes ${lanes[0]}-${lanes[lanes.length - 1]}` : ''
+    ].filter(Boolean).join(' | ');
+}
+
+function writeSignInSheets(doc, tournament, { registrations }) {
+    const squads = tournament.squads || [];
+    if (squads.length === 0) {
+        writeHeading(doc, tournament.name, 'No squads have been set up for this tournament.');
+        return;
+    }
+
+    squads.forEach((squad, index) => {
+        if (index > 0) doc.addPage();
+        writeHeading(doc, `${tournament.name} - ${squad.name} Sign-in`, describeSquad(squad));
+
+        const entrants = getSquadEntrants(registrations, squad);
+        const moves = (squad.lanes?.movePairs || 0) > 0 && (squad.lanes?.blocks || 1) > 1;
+        const columns = [
+            { label: 'Lane', width: 40, align: 'center' },
+            { label: 'Bowler' },
+            { label: 'Avg', width: 40, align: 'center' },
+            ...(moves ? [{ label: 'Lanes by Block', width: 100 }] : []),
+            { label: 'Payment', width: 60 },
+            { label: 'Signature', width: 130 }
+        ];
+        const rows = entrants.map(entrant => [
+            entrant.lane ?? '',
+            entrant.playerName,
+            entrant.average ?? '',
+            ...(moves ? [entrant.lane ? getLaneRotation(squad, entrant.lane).join(', ') : ''] : []),
+            entrant.paymentStatus === 'paid' ? 'Paid' : entrant.paymentStatus === 'deposit' ? 'Deposit' : 'Unpaid',
+            ''
+        ]);
+
+        if (rows.length === 0) {
+            doc.font('Helvetica').fontSize(10).text('No bowlers entered in this squad yet.');
+            return;
+        }
+        drawTable(doc, columns, rows, { rowHeight: 22 });
+    });
+}
+
+function writeRecapSheets(doc, tournament, { registrations }) {
+    const squads = tournament.squads || [];
+    if (squads.length === 0) {
+        writeHeading(doc, tournament.name, 'No squads have been set up for this tournament.');
+        return;
+    }
+
+    squads.forEach((squad, index) => {
+        if (index > 0) doc.addPage();
+        writeHeading(doc, `${tournament.name} - ${squad.name} Recap`, describeSquad(squad));
+
+        const games = getSquadGames(tournament, squad);
+        const showHandicap = tournament.format?.useHandicap ||
+            (tournament.format?.divisions || []).some(division => division.scoring === 'handicap');
+        const columns = [
+            { label: 'Lane', width: 40, align: 'center' },
+            { label: 'Bowler' },
+            { label: 'Avg', width: 36, align: 'center' },
+            ...(showHandicap ? [{ label: 'Hdcp', width: 36, align: 'center' }] : []),
+            ...Array.from({ length: games }, (_, game) => ({ label: `G${game + 1}`, width: 36, align: 'center' })),
+            { label: 'Total', width: 48, align: 'center' }
+        ];
+        const toRow = entrant => [
+            entrant?.lane ?? '',
+            entrant?.playerName ?? '',
+            entrant?.average ?? '',
+            ...(showHandicap ? [''] : []),
+            ...Array(games).fill(''),
+            ''
+        ];
+
+        const entrants = getSquadEntrants(registrations, squad);
+        const lanes = getSquadLanes(squad);
+        if (lanes.length === 0 || !squad.lanes?.assignedAt) {
+            // No lanes drawn yet: one recap for the squad with room to spare
+            const blanks = Math.max(0, Math.min(squad.capacity || 0, 40) - entrants.length);
+            drawTable(doc, columns, [...entrants.map(toRow), ...Array.from({ length: blanks }, () => toRow(null))], { rowHeight: 24 });
+            return;
+        }
+
+        // One recap per pair, with a line for every place on its lanes
+        const perLane = squad.lanes.bowlersPerLane || 4;
+        for (let pairStart = 0; pairStart < lanes.length; pairStart += 2) {
+            const pairLanes = lanes.slice(pairStart, pairStart + 2);
+            const rows = pairLanes.flatMap(lane => {
+                const onLane = entrants.filter(entrant => entrant.lane === lane);
+                const blanks = Math.max(0, perLane - onLane.length);
+                return [...onLane.map(toRow), ...Array.from({ length: blanks }, () => [lane, ...toRow(null).slice(1)])];
+            });
+
+            const needed = 40 + (rows.length + 1) * 24;
+            if (pairStart > 0 && doc.y + needed > doc.page.height - doc.page.margins.bottom) doc.addPage();
+            writeSubheading(doc, pairLanes.length > 1 ? `Lanes ${pairLanes[0]}-${pairLanes[1]}` : `Lane ${pairLanes[0]}`);
+            drawTable(doc, columns, rows, { rowHeight: 24 });
+        }
+    });
+}
+
+function getDivisionKeys(results) {
+    const divisions = results.tournament.divisions || [];
+    return divisions.length > 0 ? divisions : [{ key: '', name: '' }];
+}
+
+function writeQualifyingStandings(doc, tournament, { results }) {
+    const stage = results.hasStages
+        ? results.stages.find(entry => !entry.standingsType)
+        : { stageName: 'Standings', players: results.players, advancingByDivision: {} };
+
+    writeHeading(doc, `${tournament.name} - ${stage?.stageName || 'Qualifying'}`, `Printed ${formatDate(new Date())}`);
+    if (!stage || stage.players.length === 0) {
+        doc.font('Helvetica').fontSize(10).text('No scores have been entered yet.');
+        return;
+    }
+
+    const showHandicap = stage.players.some(player => player.totalHandicap > 0);
+    const showBonus = stage.players.some(player => player.totalBonus > 0 || player.carryover > 0);
+    const columns = [
+        { label: 'Pos', width: 36, align: 'center' },
+        { label: 'Bowler' },
+        { label: 'Games', width: 44, align: 'center' },
+        { label: 'Scratch', width: 52, align: 'center' },
+        ...(showHandicap ? [{ label: 'Hdcp', width: 44, align: 'center' }] : []),
+        ...(showBonus ? [{ label: 'Bonus', width: 48, align: 'center' }] : []),
+        { label: 'Total', width: 52, align: 'center' },
+        { label: 'Avg', width: 40, align: 'center' }
+    ];
+
+    getDivisionKeys(results).forEach(division => {
+        const players = stage.players.filter(player => player.division === division.key);
+        if (players.length === 0) return;
+
+        if (division.name) writeSubheading(doc, division.name);
+        const cut = stage.advancingByDivision?.[division.key] ?? stage.advancingBowlers ?? null;
+        drawTable(doc, columns, players.map(player => [
+            player.positionLabel || player.position,
+            player.playerName,
+            player.gamesPlayed,
+            player.scratchTotal,
+            ...(showHandicap ? [player.totalHandicap] : []),
+            ...(showBonus ? [(player.totalBonus || 0) + (player.carryover || 0)] : []),
+            player.total,
+            player.average
+        ]), { cutAfter: cut ? players.filter(player => player.position <= cut).length : null });
+    });
+}
+
+function writeFinalResults(doc, tournament, { results }) {
+    writeHeading(doc, `${tournament.name} - Final Results`, [formatDate(tournament.startDate), tournament.location].filter(Boolean).join(' | '));
+
+    // Last stage first: that's where the finishing order was decided
+    const stages = results.hasStages
+        ? [...results.stages].reverse().filter(stage => stage.players.length > 0)
+        : [{ stageName: 'Standings', players: results.players }];
+    if (stages.length === 0 || stages.every(stage => stage.players.length === 0)) {
+        doc.font('Helvetica').fontSize(10).text('No scores have been entered yet.');
+        return;
+    }
+
+    stages.forEach(stage => {
+        writeSubheading(doc, stage.stageName);
+
+        let columns;
+        let toRow;
+        if (stage.standingsType === 'points') {
+            columns = [
+                { label: 'Pos', width: 36, align: 'center' },
+                { label: 'Bowler' },
+                { label: 'W-T-L', width: 60, align: 'center' },
+                { label: 'Points', width: 52, align: 'center' },
+                { label: 'Total', width: 52, align: 'center' }
+            ];
+            toRow = player => [player.positionLabel || player.position, player.playerName, `${player.wins}-${player.ties}-${player.losses}`, player.matchPoints, player.total];
+        } else if (stage.standingsType === 'bracket') {
+            columns = [
+                { label: 'Pos', width: 36, align: 'center' },
+                { label: 'Bowler' },
+                { label: 'Seed', width: 40, align: 'center' },
+                { label: 'W-L', width: 48, align: 'center' },
+                { label: 'Pinfall', width: 52, align: 'center' }
+            ];
+            toRow = player => [player.positionLabel || player.position, player.playerName, player.seed ?? '', `${player.wins}-${player.losses}`, player.total];
+        } else {
+            columns = [
+                { label: 'Pos', width: 36, align: 'center' },
+                { label: 'Bowler' },
+                { label: 'Games', width: 44, align: 'center' },
+                { label: 'Total', width: 52, align: 'center' },
+                { label: 'High', width: 40, align: 'center' }
+            ];
+            toRow = player => [player.positionLabel || player.position, player.playerName, player.gamesPlayed, player.total, player.high];
+        }
+
+        getDivisionKeys(results).forEach(division => {
+            const players = stage.players.filter(player => player.division === division.key);
+            if (players.length === 0) return;
+            if (division.name) {
+                doc.font('Helvetica-Oblique').fontSize(10).text(division.name);
+                doc.moveDown(0.2);
+            }
+            drawTable(doc, columns, players.map(toRow));
+        });
+    });
+}
+
+/**
+ * Reports that can be printed, keyed by the name used in the download URL
+ */
+export const PDF_REPORTS = {
+    'sign-in': { title: 'Sign-in Sheets', write: writeSignInSheets, needs: 'registrations' },
+    recaps: { title: 'Score Recaps', write: writeRecapSheets, needs: 'registrations' },
+    standings: { title: 'Qualifying Standings', write: writeQualifyingStandings, needs: 'results' },
+    results: { title: 'Final Results', write: writeFinalResults, needs: 'results' }
+};
+
+/**
+ * Build a report as a PDF stream, ready to pipe to a response
+ * @param {string} reportKey - Key of PDF_REPORTS
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<PDFDocument>} Finished document
+ */
+export async function createReportPdf(reportKey, tournament) {
+    const report = PDF_REPORTS[reportKey];
+    const data = {};
+    if (report.needs === 'registrations') {
+        data.registrations = await Registration.find({
+            tournament: tournament._id,
+            status: { $in: ['pending', 'confirmed'] }
+        })
+            .select('playerName averageScore enteringAverage assignedSquads laneAssignments paymentStatus')
+            .lean();
+    } else {
+        data.results = await buildTournamentResults(tournament);
+    }
+
+    const doc = new PDFDocument({
+        size: 'A4',
+        margin: 40,
+        info: { Title: `${tournament.name} - ${report.title}` }
+    });
+    report.write(doc, tournament, data);
+    doc.end();
+    return doc;
+}
@@ -0,0 +1,86 @@
+/**
+ * Entry pricing. A bowler pays the entry fee for their first entry, which
+ * covers the squads needed to qualify, and a re-entry fee for each further
+ * qualifying squad. Early-bird and late windows can change both fees, a squad
+ * can carry its own price, and add-ons and side events are charged on top. All amounts are
+ * in dollars, like Tournament.entryFee.
+ */
+
+// Avoid floating point drift when adding cents
+function roundMoney(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * The pricing window in effect at a moment; the first matching window wins
+ * @param {Object} tournament - Tournament document
+ * @param {Date} at - Moment to price at
+ * @returns {Object|null} Window, or null when none applies
+ */
+export function getPriceWindow(tournament, at) {
+    const time = new Date(at).getTime();
+    return (tournament.pricing?.windows || []).find(window =>
+        (!window.startsAt || new Date(window.startsAt).getTime() <= time) &&
+        (!window.endsAt || time < new Date(window.endsAt).getTime())
+    ) || null;
+}
+
+/**
+ * Itemised price for an entry
+ * @param {Object} tournament - Tournament document
+ * @param {Object} selection - What the bowler is entering
+ * @param {Array<string>} [selection.squads] - Squad IDs
+ * @param {Array<string>} [selection.addOns] - Add-on keys
+ * @param {Array<string>} [selection.sideEvents] - Side event keys
+ * @param {Date} [selection.at] - When the entry is made (defaults to now)
+ * @returns {{items: Array<{kind: string, label: string, amount: number}>, total: number, window: string}}
+ */
+export function buildQuote(tournament, { squads = [], addOns = [], sideEvents = [], at = new Date() } = {}) {
+    const window = getPriceWindow(tournament, at);
+    const entryFee = window?.entryFee ?? tournament.entryFee ?? 0;
+    const reentryFee = window?.reentryFee ?? tournament.pricing?.reentryFee ?? entryFee;
+
+    const items = [{
+        kind: 'entry',
+        label: window ? `Entry (${window.name})` : 'Entry',
+        amount: roundMoney(entryFee)
+    }];
+
+    // Squads in tournament order, so the first qualifying squads are the entry
+    const squadIds = squads.map(id => id.toString());
+    const selected = (tournament.squads || []).filter(squad => squadIds.includes(squad._id.toString()));
+    const includedInEntry = Math.max(1, tournament.squadsRequiredToQualify || 1);
+    let qualifyingCount = 0;
+
+    selected.forEach(squad => {
+        if (squad.isQualifying) {
+            qualifyingCount += 1;
+            if (qualifyingCount <= includedInEntry) return;
+            items.push({
+                kind: 'reentry',
+                label: `Re-entry - ${squad.name}`,
+                amount: roundMoney(squad.price ?? reentryFee)
+            });
+        } else if (squad.price) {
+            items.push({ kind: 'squad', label: squad.name, amount: roundMoney(squad.price) });
+        }
+    });
+
+    (tournament.pricing?.addOns || [])
+        .filter(addOn => addOns.includes(addOn.key))
+        .forEach(addOn => {
+            items.push({ kind: 'addon', label: addOn.name, amount: roundMoney(addOn.price) });
+        });
+
+    (tournament.sideEvents || [])
+        .filter(event => sideEvents.includes(event.key))
+        .forEach(event => {
+            items.push({ kind: 'side_event', label: event.name, amount: roundMoney(event.entryFee) });
+        });
+
+    return {
+        items,
+        total: roundMoney(items.reduce((total, item) => total + item.amount, 0)),
+        window: window?.name || ''
+    };
+}
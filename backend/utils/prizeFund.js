@@ -0,0 +1,208 @@
+import Registration from '../models/Registration.js';
+import TournamentResult from '../models/TournamentResult.js';
+import { getStageStandings, getOrCreateTournamentResult } from './matchplay.js';
+import { getDivisions, getDivisionKeys, groupByDivision } from './divisions.js';
+import { splitTiedPayouts } from './sideEvents.js';
+
+/**
+ * Prize fund. Each division pays from its own table in tournament.prizeFund
+ * (or the main one), down final standings, with tied bowlers splitting the
+ * places they share. Amounts are in dollars, like Tournament.entryFee.
+ */
+
+// Avoid floating point drift when adding cents
+function roundMoney(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+}
+
+/**
+ * Final standings: bowlers who reached the last stage in its order, then
+ * those knocked out of each earlier stage in that stage's order. Bowlers
+ * knocked out of the same stage on the same position share a final position.
+ * @param {Object} tournament - Tournament document
+ * @param {Array<Object>} registrations - Active registrations ({ _id, currentStage })
+ * @returns {Promise<Array<Object>>} Rows with registration, playerName, division, position and stageIndex
+ */
+export async function getFinalStandings(tournament, registrations) {
+    const stageCount = Math.max(tournament.format?.stages?.length || 0, 1);
+    const placed = new Set();
+    const rows = [];
+
+    for (let stageIndex = stageCount - 1; stageIndex >= 0; stageIndex--) {
+        const reached = new Set(registrations
+            .filter(registration => (registration.currentStage || 0) >= stageIndex)
+            .map(registration => registration._id.toString()));
+
+        (await getStageStandings(tournament, stageIndex)).forEach(row => {
+            const id = row.registration.toString();
+            const division = row.division || '';
+            if (!reached.has(id) || placed.has(`${division}:${id}`)) return;
+
+            placed.add(`${division}:${id}`);
+            rows.push({
+                registration: row.registration,
+                playerName: row.playerName,
+                division,
+                stageIndex,
+                stagePosition: row.position
+            });
+        });
+    }
+
+    return groupByDivision(tournament, rows).flatMap(({ items }) => {
+        let previous = null;
+        return items.map((row, index) => {
+            const tied = previous && previous.stageIndex === row.stageIndex && previous.stagePosition === row.stagePosition;
+            previous = { ...row, position: tied ? previous.position : index + 1 };
+            return previous;
+        });
+    });
+}
+
+/**
+ * The prize table a division pays from
+ * @param {Object} tournament - Tournament document
+ * @param {string} division - Division key ('' for a single field)
+ * @returns {Object} { poolAmount, poolPerEntry, cashRatio, places }
+ */
+export function getPrizeTable(tournament, division) {
+    const prizeFund = tournament.prizeFund || {};
+    return (prizeFund.divisionPools || []).find(pool => pool.division === division) || prizeFund;
+}
+
+/**
+ * Pool and paid places for one division. Fixed tables pay their amounts;
+ * percentage tables pay their share of the pool. With a cash ratio only
+ * one place per that many entries is paid, always at least one.
+ * @param {string} basis - 'fixed' or 'percentage'
+ * @param {Object} table - From getPrizeTable
+ * @param {number} entries - Entries in the division, counting re-entries
+ * @returns {{pool: number, cashes: number, amounts: Array<number>}}
+ */
+export function calculatePrizeTable(basis, table, entries) {
+    const places = table.places || [];
+    const cashes = entries === 0
+        ? 0
+        : Math.min(places.length, table.cashRatio ? Math.max(1, Math.floor(entries / table.cashRatio)) : places.length);
+
+    if (basis === 'percentage') {
+        const pool = roundMoney(table.poolAmount ?? (table.poolPerEntry || 0) * entries);
+        return { pool, cashes, amounts: places.slice(0, cashes).map(percent => roundMoney(pool * percent / 100)) };
+    }
+
+    const amounts = places.slice(0, cashes).map(roundMoney);
+    return { pool: roundMoney(amounts.reduce((total, amount) => total + amount, 0)), cashes, amounts };
+}
+
+/**
+ * Payout list for a tournament, one entry per division, with whether each
+ * prize has been awarded and paid
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Array<Object>>} { division, name, entries, pool, cashes, allocated, payouts }
+ */
+export async function buildPrizeList(tournament) {
+    const prizeFund = tournament.prizeFund || {};
+    if (!(prizeFund.places || []).length && !(prizeFund.divisionPools || []).length) return [];
+
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] }
+    })
+        .select('gender divisions currentStage quote')
+        .lean();
+
+    const [standings, results] = await Promise.all([
+        getFinalStandings(tournament, registrations),
+        TournamentResult.find({ tournament: tournament._id, registration: { $exists: true } })
+            .select('registration prize')
+            .lean()
+    ]);
+    const resultsByRegistration = new Map(results.map(result => [result.registration.toString(), result]));
+    const divisionNames = new Map(getDivisions(tournament).map(division => [division.key, division.name]));
+
+    return groupByDivision(tournament, standings).map(({ division, items }) => {
+        // Every re-entry is another entry in the pool
+        const entries = registrations
+            .filter(registration => getDivisionKeys(tournament, registration).includes(division))
+            .reduce((total, registration) =>
+                total + 1 + (registration.quote?.items || []).filter(item => item.kind === 'reentry').length, 0);
+
+        const { pool, cashes, amounts } = calculatePrizeTable(prizeFund.basis, getPrizeTable(tournament, division), entries);
+        const payouts = splitTiedPayouts(items, amounts, 'position').map(row => {
+            const prize = resultsByRegistration.get(row.registration.toString())?.prize;
+            return {
+                registration: row.registration,
+                playerName: row.playerName,
+                position: row.position,
+                place: row.place,
+                tied: row.tied,
+                amount: row.amount,
+                awarded: (prize?.awards || []).some(award => award.division === division),
+                paidAt: prize?.paidAt || null
+            };
+        });
+
+        return {
+            division,
+            name: divisionNames.get(division) || 'Overall',
+            entries,
+            pool,
+            cashes,
+            allocated: roundMoney(payouts.reduce((total, payout) => total + payout.amount, 0)),
+            payouts
+        };
+    });
+}
+
+/**
+ * Write the payout list into each winner's TournamentResult. Prizes already
+ * paid are left as they are; unpaid prizes for bowlers who no longer cash
+ * are cleared.
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<{awarded: number, cleared: number, skipped: number}>}
+ */
+export async function awardPrizes(tournament) {
+    const divisions = await buildPrizeList(tournament);
+
+    const winnings = new Map();
+    divisions.forEach(({ division, payouts }) => {
+        payouts.forEach(payout => {
+            const id = payout.registration.toString();
+            if (!winnings.has(id)) winnings.set(id, []);
+            winnings.get(id).push({ division, place: payout.place, amount: payout.amount });
+        });
+    });
+
+    let cleared = 0;
+    const stale = await TournamentResult.find({
+        tournament: tournament._id,
+        'prize.amount': { $gt: 0 },
+        'prize.paidAt': null
+    });
+    for (const result of stale) {
+        if (winnings.has(result.registration?.toString())) continue;
+        result.prize.amount = 0;
+        result.prize.awards = [];
+        await result.save();
+        cleared++;
+    }
+
+    let awarded = 0;
+    let skipped = 0;
+    for (const [registrationId, awards] of winnings) {
+        const result = await getOrCreateTournamentResult(tournament, registrationId);
+        if (!result) {
+            skipped++;
+            continue;
+        }
+        if (result.prize?.paidAt) continue;
+
+        result.prize.amount = roundMoney(awards.reduce((total, award) => total + award.amount, 0));
+        result.prize.awards = awards;
+        result.finalPosition ??= Math.min(...awards.map(award => award.place));
+        await result.save();
+        awarded++;
+    }
+
+    return { awarded, cleared, skipped };
+}
@@ -0,0 +1,100 @@
+import { calculateScoreBreakdown, getRegistrationFormat } from '../../frontend/js/shared/scoring.js';
+
+/**
+ * How many qualifying blocks count towards a bowler's total. Staged
+ * tournaments use the qualifying stage's scoresToCount; single-stage
+ * tournaments count the squads a bowler must enter.
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {number} Blocks that count (at least 1)
+ */
+export function getScoresToCount(tournament, stageIndex) {
+    const stage = tournament.format?.hasStages ? tournament.format.stages?.[stageIndex] : null;
+    return Number(stage?.stageConfig?.scoresToCount) || tournament.squadsRequiredToQualify || 1;
+}
+
+/**
+ * Whether a stage is bowled in squads, one qualifying entry per squad
+ * @param {Object} tournament - Tournament document
+ * @param {number} stageIndex - Stage index
+ * @returns {boolean}
+ */
+export function usesQualifyingEntries(tournament, stageIndex) {
+    if (stageIndex !== 0 || !tournament.squads?.length) return false;
+    if (!tournament.format?.hasStages) return true;
+    return tournament.format.stages?.[0]?.type === 'qualifying';
+}
+
+// Block value used to pick the counting entries: scratch plus bonus pins.
+// Handicap is the same every game for a bowler so it can't change the order.
+function getBlockTotal(entry) {
+    const scratch = (entry.scores || []).reduce((sum, score) => sum + score, 0);
+    const bonus = (entry.bonusPins || []).reduce((sum, pins) => sum + pins, 0);
+    return scratch + bonus;
+}
+
+/**
+ * Flag a registration's best qualifying entries for a stage and rebuild its
+ * stageScores entry from them, so standings and advancement only see the
+ * blocks that count. Earlier entries win when two blocks are level.
+ * @param {Object} registration - Registration document (mutated)
+ * @param {number} stageIndex - Stage index
+ * @param {number} scoresToCount - Number of blocks that count
+ */
+export function applyQualifyingEntries(registration, stageIndex, scoresToCount) {
+    const entries = registration.qualifyingEntries.filter(entry => entry.stageIndex === stageIndex);
+    const counting = [...entries]
+        .filter(entry => entry.scores?.length > 0)
+        .sort((a, b) => getBlockTotal(b) - getBlockTotal(a))
+        .slice(0, scoresToCount);
+
+    entries.forEach(entry => {
+        entry.total = getBlockTotal(entry);
+        entry.counts = counting.includes(entry);
+    });
+
+    // Keep the counting blocks in the order they were bowled
+    const countedInOrder = entries.filter(entry => entry.counts);
+    const scores = countedInOrder.flatMap(entry => entry.scores);
+    const bonusPins = countedInOrder.flatMap(entry => entry.scores.map((_, gameIndex) => entry.bonusPins?.[gameIndex] || 0));
+    const frames = countedInOrder.flatMap(entry => entry.scores.map((_, gameIndex) => entry.frames?.[gameIndex] || []));
+
+    let stageScore = registration.stageScores.find(s => s.stageIndex === stageIndex);
+    if (!stageScore) {
+        registration.stageScores.push({ stageIndex, scores: [], bonusPins: [], handicap: 0, total: 0, carryover: 0 });
+        stageScore = registration.stageScores[registration.stageScores.length - 1];
+    }
+    stageScore.scores = scores;
+    stageScore.bonusPins = bonusPins;
+    stageScore.frames = frames.some(game => game.length > 0) ? frames : [];
+    stageScore.handicap = countedInOrder[0]?.handicap || 0;
+    stageScore.total = scores.reduce((sum, score) => sum + score, 0);
+}
+
+/**
+ * Re-entry leaderboard: every qualifying entry ranked on its own total,
+ * marking the ones that count towards each bowler's qualifying score.
+ * @param {Object} tournament - Tournament document
+ * @param {Array<Object>} registrations - Registrations with qualifyingEntries
+ * @param {number} stageIndex - Stage index
+ * @returns {Array<Object>} Entries ordered by total
+ */
+export function buildReentryLeaderboard(tournament, registrations, stageIndex) {
+    const squadNames = new Map((tournament.squads || []).map(squad => [squad._id.toString(), squad.name]));
+
+    return registrations
+        .flatMap(reg => (reg.qualifyingEntries || [])
+            .filter(entry => entry.stageIndex === stageIndex && entry.scores?.length > 0)
+            .map(entry => {
+                const breakdown = calculateScoreBreakdown(getRegistrationFormat(tournament.format, reg), reg, entry);
+                return {
+                    playerName: reg.playerName,
+                    squadName: squadNames.get(entry.squad.toString()) || '',
+                    scores: entry.scores,
+                    scratchTotal: breakdown.scratchTotal,
+                    total: breakdown.total,
+                    counts: Boolean(entry.counts)
+                };
+            }))
+        .sort((a, b) => b.total - a.total);
+}
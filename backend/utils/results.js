@@ -0,0 +1,224 @@
+import Registration from '../models/Registration.js';
+import RollOff from '../models/RollOff.js';
+import { getRoundRobinStandings, getBracketStandings } from './matchplay.js';
+import { calculatePinfallStandings } from './standings.js';
+import { calculateScoreBreakdown, getDivisionFormat } from '../../frontend/js/shared/scoring.js';
+import { rankWithTieBreaks } from './tieBreaks.js';
+import { getScoresToCount, usesQualifyingEntries, buildReentryLeaderboard } from './reentry.js';
+import { getDivisions, getDivisionKeys, getDivisionCut, rankByDivision } from './divisions.js';
+
+/**
+ * Leaderboard for a tournament, by stage when it has them. This is what the
+ * public results page shows, and what printed standings are built from.
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Object>} { tournament, hasStages, stages } or, without
+ * stages, { tournament, hasStages, players, scoresToCount, reentries }
+ */
+export async function buildTournamentResults(tournament) {
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] }
+    })
+        .select('playerName email gender divisions averageScore enteringAverage assignedSquads stageScores qualifyingEntries currentStage')
+        .sort({ playerName: 1 })
+        .lean();
+
+    // Format results by stage
+    const stages = tournament.format?.stages || [];
+    const hasStages = tournament.format?.hasStages && stages.length > 0;
+
+    if (hasStages) {
+        // Round robin and tri-matchplay stages are ranked on match points,
+        // elimination and stepladder stages on placings rather than pinfall
+        const roundRobinResults = {};
+        const bracketResults = {};
+        const rollOffs = await RollOff.find({ tournament: tournament._id }).lean();
+        for (const [stageIndex, stage] of stages.entries()) {
+            if (stage.type === 'round_robin' || stage.type === 'tri_matchplay') {
+                roundRobinResults[stageIndex] = await getRoundRobinStandings(tournament, stageIndex);
+            } else if (stage.type === 'elimination' || stage.type === 'stepladder') {
+                bracketResults[stageIndex] = await getBracketStandings(tournament, stageIndex);
+            }
+        }
+
+        // Multi-stage tournament
+        const stageResults = stages.map((stage, stageIndex) => {
+            const roundRobin = roundRobinResults[stageIndex];
+            if (roundRobin && roundRobin.matches.length > 0) {
+                return {
+                    stageName: stage.name,
+                    type: stage.type,
+                    stageIndex,
+                    games: stage.games,
+                    advancingBowlers: stage.advancingBowlers,
+                    advancingByDivision: getAdvancingByDivision(tournament, stage),
+                    standingsType: 'points',
+                    players: roundRobin.standings
+                        .filter(row => row.matchesPlayed > 0)
+                        .map(row => ({
+                            playerName: row.playerName,
+                            division: row.division,
+                            scores: row.scores,
+                            bonusPins: [],
+                            handicapPerGame: 0,
+                            totalHandicap: 0,
+                            totalBonus: row.matchPoints,
+                            scratchTotal: row.pinfall,
+                            carryover: row.carryover,
+                            total: row.total,
+                            average: row.average,
+                            high: row.high,
+                            gamesPlayed: row.gamesPlayed,
+                            matchesPlayed: row.matchesPlayed,
+                            wins: row.wins,
+                            ties: row.ties,
+                            middles: row.middles,
+                            losses: row.losses,
+                            matchPoints: row.matchPoints,
+                            position: row.position,
+                            positionLabel: row.positionLabel,
+                            tieBreak: row.tieBreak
+                        })),
+                    matches: roundRobin.matches.map(match => ({
+                        round: match.round,
+                        matchNumber: match.matchNumber,
+                        isPositionRound: match.isPositionRound,
+                        division: match.division || '',
+                        status: match.status,
+                        participants: match.participants.map(p => ({
+                            playerName: p.playerName,
+                            scores: p.scores,
+                            result: p.result,
+                            points: p.points
+                        }))
+                    }))
+                };
+            }
+
+            const bracket = bracketResults[stageIndex];
+            if (bracket && bracket.matches.length > 0) {
+                return {
+                    stageName: stage.name,
+                    type: stage.type,
+                    stageIndex,
+                    games: stage.games,
+                    advancingBowlers: stage.advancingBowlers,
+                    advancingByDivision: getAdvancingByDivision(tournament, stage),
+                    standingsType: 'bracket',
+                    eliminationStyle: stage.stageConfig?.eliminationStyle || 'single',
+                    players: bracket.standings.map(row => ({
+                        playerName: row.playerName,
+                        division: row.division,
+                        seed: row.seed,
+                        scores: row.scores,
+                        scratchTotal: row.pinfall,
+                        total: row.pinfall,
+                        average: row.average,
+                        high: row.high,
+                        gamesPlayed: row.gamesPlayed,
+                        wins: row.wins,
+                        losses: row.losses,
+                        eliminated: row.eliminated,
+                        eliminatedIn: row.eliminatedIn,
+                        position: row.position,
+                        positionLabel: row.positionLabel
+                    })),
+                    matches: bracket.matches.map(match => ({
+                        bracket: match.bracket,
+                        round: match.round,
+                        matchNumber: match.matchNumber,
+                        division: match.division || '',
+                        status: match.status,
+                        isBye: match.isBye,
+                        participants: match.participants.map(p => ({
+                            playerName: p.playerName,
+                            seed: p.seed,
+                            scores: p.scores,
+                            result: p.result,
+                            pinfall: p.pinfall
+                        }))
+                    }))
+                };
+            }
+
+            const stageRollOffs = rollOffs.filter(rollOff => rollOff.stageIndex === stageIndex);
+            const stagePlayers = calculatePinfallStandings(tournament, registrations, stageIndex, stageRollOffs)
+                .map(({ registration, ...player }) => player);
+
+            return {
+                stageName: stage.name,
+                type: stage.type,
+                stageIndex,
+                games: stage.games,
+                advancingBowlers: stage.advancingBowlers,
+                advancingByDivision: getAdvancingByDivision(tournament, stage),
+                players: stagePlayers,
+                scoresToCount: usesQualifyingEntries(tournament, stageIndex) ? getScoresToCount(tournament, stageIndex) : null,
+                reentries: getReentries(tournament, registrations, stageIndex)
+            };
+        });
+
+        return {
+            tournament: {
+                _id: tournament._id,
+                name: tournament.name,
+                date: tournament.startDate || tournament.date,
+                location: tournament.location,
+                status: tournament.status,
+                squads: tournament.squads,
+                divisions: getDivisions(tournament)
+            },
+            hasStages: true,
+            stages: stageResults
+        };
+    } else {
+        // Single stage tournament (no stage rules, so level totals share a position)
+        // A bowler is ranked in every division they entered
+        const scoredPlayers = registrations.flatMap(reg => {
+            const stageScore = reg.stageScores?.[0];
+            if (!stageScore || !stageScore.scores || stageScore.scores.length === 0) return [];
+
+            return getDivisionKeys(tournament, reg).map(division => ({
+                playerName: reg.playerName,
+                division,
+                squadIds: reg.assignedSquads || [],
+                ...calculateScoreBreakdown(getDivisionFormat(tournament.format, division), reg, stageScore)
+            }));
+        });
+        const players = rankByDivision(tournament, scoredPlayers, field =>
+            rankWithTieBreaks(field, (a, b) => b.total - a.total)
+        );
+
+        return {
+            tournament: {
+                _id: tournament._id,
+                name: tournament.name,
+                date: tournament.startDate || tournament.date,
+                location: tournament.location,
+                status: tournament.status,
+                squads: tournament.squads,
+                divisions: getDivisions(tournament)
+            },
+            hasStages: false,
+            players,
+            scoresToCount: usesQualifyingEntries(tournament, 0) ? getScoresToCount(tournament, 0) : null,
+            reentries: getReentries(tournament, registrations, 0)
+        };
+    }
+}
+
+// Cut line for each division of a stage, keyed by division
+function getAdvancingByDivision(tournament, stage) {
+    return Object.fromEntries(getDivisions(tournament).map(division => [division.key, getDivisionCut(stage, division.key)]));
+}
+
+// Re-entry leaderboard for a squad-based qualifying stage, only once
+// somebody has bowled more than one block
+function getReentries(tournament, registrations, stageIndex) {
+    if (!usesQualifyingEntries(tournament, stageIndex)) return [];
+
+    const hasReentry = registrations.some(reg =>
+        (reg.qualifyingEntries || []).filter(entry => entry.stageIndex === stageIndex && entry.scores?.length > 0).length > 1
+    );
+    return hasReentry ? buildReentryLeaderboard(tournament, registrations, stageIndex) : [];
+}
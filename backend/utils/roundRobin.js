@@ -0,0 +1,184 @@
+import { decideMatch, getMatchFormat } from './matchFormats.js';
+import { rankWithTieBreaks } from './tieBreaks.js';
+
+/**
+ * Work out which rounds of a round robin stage are regular rounds and which
+ * are position rounds. A position round is inserted after every
+ * `positionRoundInterval` round robin matches (0 = no position rounds).
+ * @param {number} matchesPerBowler - Round robin matches each bowler plays
+ * @param {number} positionRoundInterval - Regular rounds between position rounds
+ * @returns {Array<{round: number, isPositionRound: boolean}>}
+ */
+export function buildRoundPlan(matchesPerBowler, positionRoundInterval = 0) {
+    const plan = [];
+    let round = 1;
+
+    for (let played = 1; played <= matchesPerBowler; played++) {
+        plan.push({ round: round++, isPositionRound: false });
+        if (positionRoundInterval > 0 && played % positionRoundInterval === 0) {
+            plan.push({ round: round++, isPositionRound: true });
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Generate round robin pairings using the circle method.
+ * Seed 1 stays fixed while everyone else rotates, so no pairing repeats
+ * until every bowler has met every other bowler once.
+ * @param {Array<Object>} entrants - Bowlers in seed order
+ * @param {number} roundCount - Number of rounds to generate
+ * @returns {Array<Array<Array<Object|null>>>} Rounds of [bowlerA, bowlerB] pairs, null = bye
+ */
+export function generateRoundRobinPairings(entrants, roundCount) {
+    const field = [...entrants];
+    if (field.length % 2 === 1) {
+        field.push(null);
+    }
+
+    const rounds = [];
+    const slots = field.length;
+    let rotation = field.slice(1);
+
+    for (let r = 0; r < roundCount; r++) {
+        const lineup = [field[0], ...rotation];
+        const pairs = [];
+
+        for (let i = 0; i < slots / 2; i++) {
+            const a = lineup[i];
+            const b = lineup[slots - 1 - i];
+            if (!a && !b) continue;
+            // Keep the real bowler first when the pairing is a bye
+            pairs.push(a ? [a, b] : [b, a]);
+        }
+
+        rounds.push(pairs);
+        rotation = [rotation[rotation.length - 1], ...rotation.slice(0, -1)];
+    }
+
+    return rounds;
+}
+
+/**
+ * Pair bowlers for a position round from current standings (1v2, 3v4, ...)
+ * @param {Array<Object>} standings - Bowlers ordered by position
+ * @returns {Array<Array<Object|null>>} [bowlerA, bowlerB] pairs, null = bye
+ */
+export function generatePositionRoundPairings(standings) {
+    const pairs = [];
+    for (let i = 0; i < standings.length; i += 2) {
+        pairs.push([standings[i], standings[i + 1] || null]);
+    }
+    return pairs;
+}
+
+/**
+ * Score a round robin match in place: sets result, points and pinfall on
+ * each participant once the match format has been completed.
+ * A single participant is a bye and receives win points.
+ * @param {Array<Object>} participants - Match participants with `scores`
+ * @param {string} matchFormat - Format key from matchPlaySettings
+ * @param {Object} settings - Stage matchPlaySettings
+ * @returns {boolean} True if the match is complete
+ */
+export function applyRoundRobinResult(participants, matchFormat, settings) {
+    const [a, b] = participants;
+
+    if (!b) {
+        const complete = (a.scores || []).length >= getMatchFormat(matchFormat).games;
+        a.pinfall = (a.scores || []).reduce((sum, s) => sum + s, 0);
+        a.result = complete ? 'win' : '';
+        a.points = complete ? settings.pointsForWin : 0;
+        return complete;
+    }
+
+    const outcome = decideMatch(a.scores || [], b.scores || [], matchFormat);
+    a.pinfall = outcome.pinfallA;
+    b.pinfall = outcome.pinfallB;
+
+    if (!outcome.complete) {
+        a.result = '';
+        b.result = '';
+        a.points = 0;
+        b.points = 0;
+        return false;
+    }
+
+    const resultFor = (side) => {
+        if (outcome.winner === 'tie') return 'tie';
+        return outcome.winner === side ? 'win' : 'loss';
+    };
+    const pointsFor = (result) => {
+        if (result === 'win') return settings.pointsForWin;
+        if (result === 'tie') return settings.pointsForTie;
+        return settings.pointsForLoss;
+    };
+
+    a.result = resultFor('a');
+    b.result = resultFor('b');
+    a.points = pointsFor(a.result);
+    b.points = pointsFor(b.result);
+    return true;
+}
+
+/**
+ * Build points standings for a round robin or tri-matchplay stage
+ * @param {Array<Object>} entrants - Bowlers in the stage ({ registration, playerName, seed, carryover })
+ * @param {Array<Object>} matches - StageMatch documents for the stage
+ * @param {Object} settings - Stage matchPlaySettings
+ * @param {Object} [tieBreak] - Stage tie-break rules and recorded roll-offs
+ * @returns {Array<Object>} Standings ordered by total points
+ */
+export function calculateRoundRobinStandings(entrants, matches, settings, tieBreak = {}) {
+    const table = new Map(entrants.map(entrant => [entrant.registration.toString(), {
+        registration: entrant.registration,
+        playerName: entrant.playerName,
+        seed: entrant.seed,
+        carryover: entrant.carryover || 0,
+        matchesPlayed: 0,
+        wins: 0,
+        ties: 0,
+        middles: 0,
+        losses: 0,
+        matchPoints: 0,
+        pinfall: 0,
+        gamesPlayed: 0,
+        high: 0,
+        scores: []
+    }]));
+
+    matches
+        .filter(match => match.status === 'completed')
+        .sort((a, b) => a.round - b.round)
+        .forEach(match => {
+            match.participants.forEach(participant => {
+                const row = table.get(participant.registration.toString());
+                if (!row) return;
+
+                row.matchesPlayed++;
+                if (participant.result === 'win') row.wins++;
+                else if (participant.result === 'tie') row.ties++;
+                else if (participant.result === 'middle') row.middles++;
+                else if (participant.result === 'loss') row.losses++;
+                row.matchPoints += participant.points || 0;
+                row.pinfall += participant.pinfall || 0;
+                row.gamesPlayed += (participant.scores || []).length;
+                row.scores.push(...(participant.scores || []));
+                row.high = Math.max(row.high, ...(participant.scores || []), 0);
+            });
+        });
+
+    const rows = [...table.values()].map(row => ({
+        ...row,
+        total: row.matchPoints + (settings.includePinfall ? row.pinfall : 0) + row.carryover,
+        average: row.gamesPlayed > 0 ? Math.round(row.pinfall / row.gamesPlayed) : 0
+    }));
+
+    return rankWithTieBreaks(
+        rows,
+        (a, b) => b.total - a.total || b.matchPoints - a.matchPoints || b.pinfall - a.pinfall,
+        tieBreak.rules,
+        tieBreak.rollOffs
+    );
+}
@@ -0,0 +1,280 @@
+import os from 'os';
+import crypto from 'crypto';
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import Bowler from '../models/Bowler.js';
+import SpotReservation from '../models/SpotReservation.js';
+import SchedulerLock from '../models/SchedulerLock.js';
+import JobRun from '../models/JobRun.js';
+import { processWaitlist } from './waitlist.js';
+import { lockEnteringAverages } from './enteringAverage.js';
+import { sendRegistrationOpenNotice, sendRegistrationClosedNotice } from './emailService.js';
+
+/**
+ * How often due jobs are checked. Every instance ticks, but only the one
+ * holding the lock runs jobs; the lease outlives a few missed ticks so a
+ * busy holder isn't replaced mid-run.
+ */
+export const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const LEASE_MS = SCHEDULER_INTERVAL_MS * 3;
+const LOCK_NAME = 'scheduler';
+
+/**
+ * Emails for a date missed by more than this (e.g. while every instance was
+ * down) are skipped rather than sent late
+ */
+export const CATCH_UP_HOURS = 24;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5000';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+/**
+ * Tournament date fields and the schedule marker recording that the
+ * scheduler has handled each one
+ */
+export const SCHEDULE_MARKERS = {
+    startDate: 'startedAt',
+    endDate: 'completionFlaggedAt',
+    registrationOpenDate: 'registrationOpenedAt',
+    registrationDeadline: 'registrationClosedAt'
+};
+
+/**
+ * Clear the schedule markers for dates an update moves into the future (or
+ * removes), so the scheduler handles them again at the new date
+ * @param {Object} updateData - Tournament $set update, changed in place
+ */
+export function resetScheduleMarkers(updateData) {
+    const now = new Date();
+    Object.entries(SCHEDULE_MARKERS).forEach(([dateField, marker]) => {
+        if (updateData[dateField] === undefined) return;
+        const date = updateData[dateField] ? new Date(updateData[dateField]) : null;
+        if (!date || date > now) {
+            updateData[`schedule.${marker}`] = null;
+        }
+    });
+}
+
+/**
+ * Take or renew the scheduler lease. Only one instance holds it at a time;
+ * another can take over once it expires.
+ * @returns {Promise<boolean>} Whether this instance holds the lock
+ */
+export async function acquireSchedulerLock() {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + LEASE_MS);
+
+    const renewed = await SchedulerLock.findOneAndUpdate(
+        { _id: LOCK_NAME, holder: INSTANCE_ID },
+        { $set: { expiresAt } }
+    );
+    if (renewed) return true;
+
+    try {
+        const lock = await SchedulerLock.findOneAndUpdate(
+            { _id: LOCK_NAME, expiresAt: { $lte: now } },
+            { $set: { holder: INSTANCE_ID, acquiredAt: now, expiresAt } },
+            { upsert: true, new: true }
+        );
+        return lock.holder === INSTANCE_ID;
+    } catch (error) {
+        // Another instance holds a live lease, so the upsert hit its _id
+        if (error.code === 11000) return false;
+        throw error;
+    }
+}
+
+// Run one job for a tournament and keep it in the history
+async function recordJob(job, tournament, trigger, run) {
+    const startedAt = new Date();
+    let status = 'success';
+    let message;
+    try {
+        message = await run();
+    } catch (error) {
+        console.error(`Scheduled job ${job} failed for ${tournament.name}:`, error);
+        status = 'failed';
+        message = error.message;
+    }
+
+    return JobRun.create({
+        job,
+        tournament: tournament._id,
+        tournamentName: tournament.name,
+        status,
+        message,
+        instance: INSTANCE_ID,
+        trigger,
+        startedAt,
+        finishedAt: new Date()
+    });
+}
+
+// Claim tournaments one at a time, so each step runs once across instances
+async function claimEach(filter, update, handle) {
+    const runs = [];
+    for (;;) {
+        const tournament = await Tournament.findOneAndUpdate(filter, update, { new: true });
+        if (!tournament) return runs;
+        runs.push(await handle(tournament));
+    }
+}
+
+function isLate(date, now) {
+    return now - new Date(date) > CATCH_UP_HOURS * 60 * 60 * 1000;
+}
+
+async function openRegistration(tournament, now) {
+    if (isLate(tournament.registrationOpenDate, now)) {
+        return `Opened more than ${CATCH_UP_HOURS} hours ago; no emails sent`;
+    }
+    if (tournament.registrationDeadline && new Date(tournament.registrationDeadline) <= now) {
+        return 'Registration has already closed; no emails sent';
+    }
+
+    const bowlers = await Bowler.find({ claimedAt: { $ne: null } })
+        .select('email playerName')
+        .lean();
+    const results = await Promise.all(bowlers.map(bowler => sendRegistrationOpenNotice({
+        to: bowler.email,
+        bowler: { name: bowler.playerName },
+        tournament,
+        registerUrl: `${SITE_URL}/register`
+    })));
+
+    const sent = results.filter(result => result.success).length;
+    return `Registration open email sent to ${sent} of ${bowlers.length} bowlers`;
+}
+
+async function closeRegistration(tournament, now) {
+    const { deletedCount } = await SpotReservation.deleteMany({ tournament: tournament._id });
+    const locked = await lockEnteringAverages(tournament);
+    const summary = `${deletedCount} spot reservations cleared, ${locked} entering averages locked`;
+
+    if (isLate(tournament.registrationDeadline, now)) {
+        return `${summary}; closed more than ${CATCH_UP_HOURS} hours ago, no emails sent`;
+    }
+
+    const entrants = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] }
+    })
+        .select('email playerName assignedSquads')
+        .lean();
+    const results = await Promise.all(entrants.map(reg => sendRegistrationClosedNotice({
+        to: reg.email,
+        bowler: { name: reg.playerName },
+        tournament,
+        squads: (reg.assignedSquads || [])
+            .map(squadId => (tournament.squads || []).find(squad => squad._id.toString() === squadId.toString()))
+            .filter(Boolean),
+        registrationId: reg._id.toString()
+    })));
+
+    const sent = results.filter(result => result.success).length;
+    return `${summary}; entries closed email sent to ${sent} of ${entrants.length} entrants`;
+}
+
+/**
+ * Run every job that is due. Only called by the lock holder, or by an admin.
+ * @param {string} [trigger='schedule'] - 'schedule' or 'manual'
+ * @returns {Promise<Array<Object>>} JobRun records for jobs that ran
+ */
+export async function runDueJobs(trigger = 'schedule') {
+    const now = new Date();
+    const runs = [];
+
+    // Registration opens before it closes, and both before play starts
+    runs.push(...await claimEach(
+        {
+            status: 'upcoming',
+            registrationOpenDate: { $lte: now },
+            'schedule.registrationOpenedAt': null
+        },
+        { $set: { 'schedule.registrationOpenedAt': now } },
+        tournament => recordJob('registration_open', tournament, trigger, () => openRegistration(tournament, now))
+    ));
+
+    runs.push(...await claimEach(
+        {
+            status: { $in: ['upcoming', 'ongoing'] },
+            registrationDeadline: { $lte: now },
+            'schedule.registrationClosedAt': null
+        },
+        { $set: { 'schedule.registrationClosedAt': now } },
+        tournament => recordJob('registration_close', tournament, trigger, () => closeRegistration(tournament, now))
+    ));
+
+    runs.push(...await claimEach(
+        {
+            status: 'upcoming',
+            startDate: { $lte: now },
+            'schedule.startedAt': null
+        },
+        { $set: { status: 'ongoing', 'schedule.startedAt': now } },
+        tournament => recordJob('start_tournament', tournament, trigger, async () => 'Status changed to ongoing')
+    ));
+
+    // endDate is the last day of play, so flag once that whole day has passed
+    runs.push(...await claimEach(
+        {
+            status: 'ongoing',
+            endDate: { $lte: new Date(now.getTime() - DAY_MS) },
+            'schedule.completionFlaggedAt': null
+        },
+        { $set: { 'schedule.completionFlaggedAt': now } },
+        tournament => recordJob('flag_completion', tournament, trigger, async () => 'Past end date; ready to be marked completed')
+    ));
+
+    // Waitlist offers nobody answered pass on without waiting for a request
+    const lapsedTournamentIds = await Registration.distinct('tournament', {
+        status: 'waitlist',
+        'waitlist.offerExpiresAt': { $lte: now }
+    });
+    if (lapsedTournamentIds.length > 0) {
+        const tournaments = await Tournament.find({ _id: { $in: lapsedTournamentIds }, status: 'upcoming' });
+        for (const tournament of tournaments) {
+            runs.push(await recordJob('process_waitlist', tournament, trigger, async () => {
+                const offered = await processWaitlist(tournament);
+                return `Lapsed offers passed on; ${offered.length} spots offered`;
+            }));
+        }
+    }
+
+    return runs;
+}
+
+async function tick() {
+    try {
+        if (await acquireSchedulerLock()) {
+            await runDueJobs();
+        }
+    } catch (error) {
+        console.error('Scheduler tick failed:', error);
+    }
+}
+
+/**
+ * Start checking for due jobs on an interval. Set SCHEDULER_DISABLED=true to
+ * keep an instance out of the rotation entirely.
+ */
+export function startScheduler() {
+    if (process.env.SCHEDULER_DISABLED === 'true') {
+        console.log('Scheduler disabled');
+        return;
+    }
+
+    let running = false;
+    const timer = setInterval(async () => {
+        // Skip a tick rather than overlap a long run
+        if (running) return;
+        running = true;
+        await tick();
+        running = false;
+    }, SCHEDULER_INTERVAL_MS);
+    timer.unref();
+
+    console.log(`Scheduler started (${INSTANCE_ID})`);
+}
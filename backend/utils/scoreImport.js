@@ -0,0 +1,479 @@
+import { usesQualifyingEntries } from './reentry.js';
+import { MATCH_STAGE_TYPES, getScoringStages, getRecordedScores } from './scores.js';
+
+/**
+ * Score imports from CSV: our own layout (name/email/registration ID, stage,
+ * game1..gameN) and the exports lane scoring systems produce, either one row
+ * per bowler with a column per game or one row per game. Rows are matched to
+ * registrations by ID, then email, then a fuzzy name match.
+ */
+
+export const MAX_IMPORT_ROWS = 2000;
+
+// A name match this close, and clear of the next candidate, needs no review
+const NAME_MATCH_THRESHOLD = 0.85;
+const NAME_MATCH_MARGIN = 0.1;
+// Below this a name isn't offered as a candidate at all
+const NAME_CANDIDATE_THRESHOLD = 0.5;
+
+// Header (lowercased, letters and digits only) to the field it holds
+const HEADER_ALIASES = {
+    name: ['name', 'player', 'playername', 'bowler', 'bowlername', 'fullname'],
+    firstName: ['first', 'firstname', 'givenname'],
+    lastName: ['last', 'lastname', 'surname', 'familyname'],
+    email: ['email', 'emailaddress'],
+    registrationId: ['registrationid', 'registration', 'regid', 'entryid', 'id'],
+    stage: ['stage', 'stagename', 'round'],
+    squad: ['squad', 'squadname', 'flight', 'session', 'shift'],
+    lane: ['lane', 'lanenumber', 'laneno', 'startinglane'],
+    gameNumber: ['game', 'gamenumber', 'gameno', 'gm'],
+    score: ['score', 'scratch', 'scratchscore', 'pins', 'gamescore']
+};
+const GAME_COLUMN = /^(?:game|gm|g|scratchgame|scratchgm)(\d{1,2})$/;
+
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split CSV text into rows of cells. The delimiter (comma, semicolon or tab)
+ * is taken from the first line; quoted cells may hold delimiters, doubled
+ * quotes and line breaks.
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows with the original line number in row.line
+ */
+export function parseCsv(text) {
+    const source = text.replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t']
+        .map(candidate => ({ candidate, count: firstLine.split(candidate).length }))
+        .sort((a, b) => b.count - a.count)[0].candidate;
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(cell.trim());
+        if (row.some(value => value !== '')) {
+            row.line = rowLine;
+            rows.push(row);
+        }
+        row = [];
+        cell = '';
+        rowLine = line;
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                cell += char;
+            }
+        } else if (char === '"' && cell.trim() === '') {
+            quoted = true;
+            cell = '';
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n') {
+            line++;
+            endRow();
+        } else if (char !== '\r') {
+            cell += char;
+        }
+    }
+    endRow();
+    return rows;
+}
+
+/**
+ * Work out what each column holds from a header row
+ * @param {Array<string>} headers - Header cells
+ * @returns {Object|null} Column indexes by field, with games as [{ index, game }];
+ * null when the row doesn't identify bowlers and scores
+ */
+export function mapColumns(headers) {
+    const columns = { games: [] };
+    headers.forEach((header, index) => {
+        const key = normalizeHeader(header);
+        const gameMatch = key.match(GAME_COLUMN);
+        if (gameMatch) {
+            columns.games.push({ index, game: Number(gameMatch[1]) });
+            return;
+        }
+        const field = Object.keys(HEADER_ALIASES).find(name => HEADER_ALIASES[name].includes(key));
+        if (field && columns[field] === undefined) {
+            columns[field] = index;
+        }
+    });
+
+    const identifiesBowler = columns.name !== undefined || columns.lastName !== undefined ||
+        columns.email !== undefined || columns.registrationId !== undefined;
+    const hasScores = columns.games.length > 0 || columns.score !== undefined;
+    return identifiesBowler && hasScores ? columns : null;
+}
+
+/**
+ * Comparable form of a name: accents, punctuation and suffixes dropped,
+ * and "Last, First" turned round
+ * @param {string} name - Name as written
+ * @returns {Array<string>} Name parts
+ */
+export function normalizeName(name) {
+    let value = String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    const commaAt = value.indexOf(',');
+    if (commaAt !== -1) {
+        value = `${value.slice(commaAt + 1)} ${value.slice(0, commaAt)}`;
+    }
+    return value
+        .replace(/[^a-z0-9\s'-]/g, ' ')
+        .replace(/['-]/g, '')
+        .split(/\s+/)
+        .filter(part => part && !['jr', 'sr', 'ii', 'iii', 'iv'].includes(part));
+}
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function ratio(a, b) {
+    const length = Math.max(a.length, b.length);
+    return length === 0 ? 0 : 1 - levenshtein(a, b) / length;
+}
+
+/**
+ * How alike two names are, from 0 to 1. Word order doesn't matter, and an
+ * initial ("J Smith") counts as a near match for the full first name.
+ * @param {string} a - First name as written
+ * @param {string} b - Second name as written
+ * @returns {number} Similarity
+ */
+export function nameSimilarity(a, b) {
+    const partsA = normalizeName(a);
+    const partsB = normalizeName(b);
+    if (partsA.length === 0 || partsB.length === 0) return 0;
+
+    const best = Math.max(
+        ratio(partsA.join(' '), partsB.join(' ')),
+        ratio([...partsA].sort().join(' '), [...partsB].sort().join(' '))
+    );
+
+    // Same surname, first name given as an initial or a short form
+    const lastA = partsA[partsA.length - 1];
+    const lastB = partsB[partsB.length - 1];
+    if (partsA.length > 1 && partsB.length > 1 && ratio(lastA, lastB) >= 0.85) {
+        const [shorter, longer] = [partsA[0], partsB[0]].sort((x, y) => x.length - y.length);
+        if (longer.startsWith(shorter)) {
+            return Math.max(best, shorter.length === 1 ? 0.86 : 0.9);
+        }
+    }
+    return best;
+}
+
+function findStageIndex(stages, value) {
+    if (/^\d+$/.test(value)) {
+        const index = Number(value) - 1;
+        return stages[index] ? index : -1;
+    }
+    return stages.findIndex(stage => stage.name.toLowerCase() === value.toLowerCase());
+}
+
+function cellAt(cells, index) {
+    return index === undefined ? '' : (cells[index] || '').trim();
+}
+
+// Turn CSV rows into one entry per bowler per stage and squad, collecting
+// one-row-per-game exports into a single entry
+function readEntries(rows, columns) {
+    const entries = [];
+    const byKey = new Map();
+
+    rows.forEach(cells => {
+        const first = cellAt(cells, columns.firstName);
+        const last = cellAt(cells, columns.lastName);
+        const entry = {
+            line: cells.line,
+            name: cellAt(cells, columns.name) || [first, last].filter(Boolean).join(' '),
+            email: cellAt(cells, columns.email).toLowerCase(),
+            registrationId: cellAt(cells, columns.registrationId),
+            stage: cellAt(cells, columns.stage),
+            squad: cellAt(cells, columns.squad),
+            lane: cellAt(cells, columns.lane),
+            games: [],
+            errors: []
+        };
+
+        const addGame = (game, value) => {
+            if (value === '') return;
+            if (!Number.isInteger(game) || game < 1 || game > 50) {
+                entry.errors.push(`Game number "${cellAt(cells, columns.gameNumber)}" is not valid`);
+                return;
+            }
+            const score = Number(value);
+            if (!Number.isInteger(score) || score < 0 || score > 300) {
+                entry.errors.push(`Game ${game} score "${value}" is not 0-300`);
+            } else {
+                entry.games.push({ game, score });
+            }
+        };
+
+        if (columns.games.length > 0) {
+            columns.games.forEach(({ index, game }) => addGame(game, cellAt(cells, index)));
+        } else {
+            // Without a game column every row is game 1
+            const gameCell = cellAt(cells, columns.gameNumber);
+            const game = columns.gameNumber === undefined ? 1 : (/^\d+$/.test(gameCell) ? Number(gameCell) : NaN);
+            addGame(game, cellAt(cells, columns.score));
+        }
+
+        if (columns.games.length > 0) {
+            entries.push(entry);
+            return;
+        }
+
+        const key = [entry.registrationId, entry.email, normalizeName(entry.name).join(' '), entry.stage, entry.squad].join('|');
+        const existing = byKey.get(key);
+        if (existing) {
+            existing.games.push(...entry.games);
+            existing.errors.push(...entry.errors);
+        } else {
+            byKey.set(key, entry);
+            entries.push(entry);
+        }
+    });
+
+    return entries.map(entry => {
+        const games = [...entry.games].sort((a, b) => a.game - b.game);
+        const duplicateGame = games.find((game, i) => i > 0 && games[i - 1].game === game.game);
+        if (duplicateGame) {
+            entry.errors.push(`Game ${duplicateGame.game} appears more than once`);
+        }
+        // Scores stay at their game number; a game not in the file is null
+        const scores = Array.from({ length: games.length > 0 ? games[games.length - 1].game : 0 }, () => null);
+        games.forEach(({ game, score }) => { scores[game - 1] = score; });
+        return { ...entry, scores };
+    });
+}
+
+function isOnLane(registration, squadId, lane) {
+    return (registration.laneAssignments || []).some(assignment =>
+        assignment.lane === lane && (!squadId || assignment.squad.toString() === squadId)
+    );
+}
+
+/**
+ * Match an entry to a registration: registration ID, then email, then name.
+ * A lane column breaks ties between close names.
+ * @param {Object} entry - Entry read from the file
+ * @param {Array<Object>} registrations - Candidate registrations
+ * @param {string|null} squadId - Squad the scores are for, when known
+ * @returns {Object} { registration, method, confidence } or { candidates }
+ */
+export function matchEntry(entry, registrations, squadId) {
+    if (entry.registrationId) {
+        const registration = registrations.find(reg => reg._id.toString() === entry.registrationId);
+        if (registration) return { registration, method: 'id', confidence: 1 };
+    }
+
+    let pool = registrations;
+    if (entry.email) {
+        const byEmail = registrations.filter(reg => (reg.email || '').toLowerCase() === entry.email);
+        if (byEmail.length === 1) return { registration: byEmail[0], method: 'email', confidence: 1 };
+        if (byEmail.length > 1) pool = byEmail;
+    }
+
+    const lane = Number(entry.lane) || null;
+    const scored = pool
+        .map(registration => {
+            const similarity = nameSimilarity(entry.name, registration.playerName);
+            const laneBonus = lane && similarity >= NAME_CANDIDATE_THRESHOLD && isOnLane(registration, squadId, lane) ? 0.1 : 0;
+            return { registration, confidence: Math.min(1, similarity + laneBonus) };
+        })
+        .filter(candidate => candidate.confidence >= NAME_CANDIDATE_THRESHOLD)
+        .sort((a, b) => b.confidence - a.confidence);
+
+    const [best, next] = scored;
+    if (best && best.confidence >= NAME_MATCH_THRESHOLD && (!next || best.confidence - next.confidence >= NAME_MATCH_MARGIN)) {
+        return { registration: best.registration, method: 'name', confidence: best.confidence };
+    }
+    return { candidates: scored.slice(0, 3) };
+}
+
+function describeRegistration(registration, confidence) {
+    return {
+        registrationId: registration._id.toString(),
+        playerName: registration.playerName,
+        confidence: Math.round(confidence * 100) / 100
+    };
+}
+
+/**
+ * Read an import file and work out what would be recorded for each row.
+ * Scores keep their game number and are merged with games already recorded;
+ * a game missing from both makes the row invalid.
+ * @param {Object} tournament - Tournament (lean is fine)
+ * @param {Array<Object>} registrations - Active registrations in the tournament
+ * @param {string} csv - CSV text
+ * @param {Object} options - { stageIndex, squad, resolutions }: defaults for rows
+ * without a stage or squad column, and chosen registration IDs (or 'skip') by line
+ * @returns {Object} { rows, summary } or { error }
+ */
+export function buildImportPreview(tournament, registrations, csv, { stageIndex = 0, squad = null, resolutions = {} } = {}) {
+    const rows = parseCsv(csv);
+    if (rows.length > MAX_IMPORT_ROWS) {
+        return { error: `Files are limited to ${MAX_IMPORT_ROWS} rows` };
+    }
+
+    // Scoring exports often start with a title or two before the header row
+    const headerAt = rows.slice(0, 10).findIndex(row => mapColumns(row));
+    if (headerAt === -1) {
+        return { error: 'No header row found. Include a name, email or registration ID column and game or score columns.' };
+    }
+    const columns = mapColumns(rows[headerAt]);
+    const stages = getScoringStages(tournament);
+    const squads = tournament.squads || [];
+    const byId = new Map(registrations.map(reg => [reg._id.toString(), reg]));
+
+    const results = readEntries(rows.slice(headerAt + 1), columns).map(entry => {
+        const row = {
+            line: entry.line,
+            name: entry.name,
+            email: entry.email,
+            lane: entry.lane,
+            scores: entry.scores,
+            status: 'ready',
+            reason: '',
+            match: null,
+            candidates: []
+        };
+        const invalid = reason => ({ ...row, status: 'invalid', reason });
+
+        const rowStageIndex = entry.stage ? findStageIndex(stages, entry.stage) : stageIndex;
+        const stage = stages[rowStageIndex];
+        if (!stage) return invalid(`Unknown stage "${entry.stage}"`);
+        row.stageIndex = rowStageIndex;
+        row.stageName = stage.name;
+        if (MATCH_STAGE_TYPES.includes(stage.type)) {
+            return invalid(`${stage.name} is match play; enter its scores on the matches`);
+        }
+
+        let squadId = squad;
+        if (entry.squad) {
+            const named = squads.find(s => s.name.toLowerCase() === entry.squad.toLowerCase());
+            if (!named) return invalid(`Unknown squad "${entry.squad}"`);
+            squadId = named._id.toString();
+        }
+        const bySquad = usesQualifyingEntries(tournament, rowStageIndex);
+
+        if (entry.errors.length > 0) return invalid(entry.errors.join('; '));
+        if (entry.scores.length === 0) return invalid('No scores');
+        if (entry.scores.length > stage.games) {
+            return invalid(`Game ${entry.scores.length}, but ${stage.name} has ${stage.games} games`);
+        }
+
+        const pool = bySquad && squadId
+            ? registrations.filter(reg => (reg.assignedSquads || []).some(id => id.toString() === squadId))
+            : registrations;
+        const resolution = resolutions[entry.line];
+        if (resolution === 'skip') {
+            return { ...row, status: 'skipped', reason: 'Skipped' };
+        }
+
+        let matched;
+        if (resolution && byId.has(resolution)) {
+            matched = { registration: byId.get(resolution), method: 'manual', confidence: 1 };
+        } else {
+            matched = matchEntry(entry, pool, squadId);
+        }
+        if (!matched.registration) {
+            row.candidates = matched.candidates.map(c => describeRegistration(c.registration, c.confidence));
+            return row.candidates.length > 0
+                ? { ...row, status: 'conflict', reason: 'Several bowlers could match this name' }
+                : { ...row, status: 'unmatched', reason: 'No matching bowler' };
+        }
+
+        const { registration } = matched;
+        row.match = { ...describeRegistration(registration, matched.confidence), method: matched.method };
+
+        // A bowler in one squad needs no squad column
+        if (bySquad) {
+            const entered = (registration.assignedSquads || []).map(id => id.toString());
+            if (!squadId && entered.length === 1) squadId = entered[0];
+            if (!squadId) return invalid('Choose the squad these scores are for');
+            if (!entered.includes(squadId)) return invalid('Bowler is not entered in that squad');
+        } else {
+            squadId = null;
+        }
+        row.squad = squadId;
+        row.squadName = squads.find(s => s._id.toString() === squadId)?.name || '';
+
+        // Games in the file go over the recorded ones at the same game number
+        const existing = getRecordedScores(registration, tournament, rowStageIndex, squadId);
+        row.existingScores = existing;
+        const merged = Array.from(
+            { length: Math.max(existing.length, entry.scores.length) },
+            (_, gameIndex) => entry.scores[gameIndex] ?? existing[gameIndex] ?? null
+        );
+        const missing = merged.indexOf(null);
+        if (missing !== -1) {
+            return invalid(`Game ${missing + 1} has no score in the file or on record`);
+        }
+        row.scores = merged;
+
+        const imported = entry.scores
+            .map((score, gameIndex) => ({ score, gameIndex }))
+            .filter(({ score }) => score !== null);
+        if (imported.some(({ score, gameIndex }) => existing[gameIndex] !== undefined && existing[gameIndex] !== score)) {
+            return { ...row, status: 'conflict', reason: 'Different scores already recorded' };
+        }
+        if (imported.every(({ gameIndex }) => existing[gameIndex] !== undefined)) {
+            return { ...row, status: 'unchanged', reason: 'Scores already recorded' };
+        }
+        return row;
+    });
+
+    // The same bowler twice for one stage and squad can't both be right
+    const targets = new Map();
+    results.filter(row => row.match && ['ready', 'conflict', 'unchanged'].includes(row.status)).forEach(row => {
+        const key = `${row.match.registrationId}|${row.stageIndex}|${row.squad || ''}`;
+        if (!targets.has(key)) targets.set(key, []);
+        targets.get(key).push(row);
+    });
+    targets.forEach(group => {
+        if (group.length < 2) return;
+        const lines = group.map(row => row.line).join(', ');
+        group.forEach(row => {
+            row.status = 'conflict';
+            row.duplicate = true;
+            row.reason = `${row.match.playerName} appears on lines ${lines}`;
+        });
+    });
+
+    const summary = { total: results.length };
+    ['ready', 'conflict', 'unchanged', 'unmatched', 'invalid', 'skipped'].forEach(status => {
+        summary[status] = results.filter(row => row.status === status).length;
+    });
+    return { rows: results, summary };
+}
@@ -0,0 +1,176 @@
+import { getScoresToCount, usesQualifyingEntries, applyQualifyingEntries } from './reentry.js';
+import { validateObjectId } from '../middleware/validation.js';
+import { validateFrames, scoreFrames } from '../../frontend/js/shared/frames.js';
+
+/**
+ * Check frame-by-frame games and total them. Frames are parallel to the
+ * scores; a game with frames takes its score from them.
+ * @param {Array<number>} scores - Validated game totals
+ * @param {Array<Array>} [frames] - Frames per game, empty for a game entered as a total
+ * @returns {Object} { scores, frames } or { error }
+ */
+export function resolveFrameScores(scores, frames) {
+    if (frames === undefined) return { scores, frames: undefined };
+    if (!Array.isArray(frames) || frames.length > 50) {
+        return { error: 'Invalid frames array' };
+    }
+
+    const resolvedScores = [...scores];
+    const resolvedFrames = [];
+    const games = Math.max(scores.length, frames.length);
+    for (let gameIndex = 0; gameIndex < games; gameIndex++) {
+        const gameFrames = frames[gameIndex];
+        if (!Array.isArray(gameFrames) || gameFrames.length === 0) {
+            if (resolvedScores[gameIndex] === undefined) {
+                return { error: `Game ${gameIndex + 1} has no score` };
+            }
+            resolvedFrames.push([]);
+            continue;
+        }
+
+        const frameError = validateFrames(gameFrames);
+        if (frameError) {
+            return { error: `Game ${gameIndex + 1}: ${frameError}` };
+        }
+        resolvedScores[gameIndex] = scoreFrames(gameFrames).total;
+        resolvedFrames.push(gameFrames);
+    }
+
+    return {
+        scores: resolvedScores,
+        frames: resolvedFrames.some(game => game.length > 0) ? resolvedFrames : []
+    };
+}
+
+// Frames already stored for games whose total hasn't changed; a new total
+// without frames means the old frames no longer add up
+function keepMatchingFrames(previous, scores) {
+    const frames = scores.map((score, gameIndex) =>
+        previous?.scores?.[gameIndex] === score ? previous.frames?.[gameIndex] || [] : []
+    );
+    return frames.some(game => game.length > 0) ? frames : [];
+}
+
+/**
+ * Record a bowler's games for a stage on their registration (not saved).
+ * In squad-based qualifying the games belong to one block, and the stage
+ * total is rebuilt from the best blocks; otherwise they replace the stage's
+ * scores.
+ * @param {Object} registration - Registration document
+ * @param {Object|null} tournament - Tournament document; needed for squad blocks
+ * @param {Object} entry - Validated { stageIndex, squad, scores, bonusPins, handicap, frames };
+ * frames from resolveFrameScores, or undefined to keep frames for unchanged games
+ * @returns {string|null} Error message, or null once recorded
+ */
+export function recordStageScores(registration, tournament, { stageIndex, squad, scores, bonusPins, handicap, frames }) {
+    if (tournament && usesQualifyingEntries(tournament, stageIndex)) {
+        const squadId = validateObjectId(squad);
+        const inSquad = squadId && registration.assignedSquads.some(id => id.toString() === squadId);
+        if (!inSquad) {
+            return 'Bowler is not entered in that squad';
+        }
+
+        // Scores entered before blocks were tracked belong to the first squad
+        const hasEntries = registration.qualifyingEntries.some(e => e.stageIndex === stageIndex);
+        const legacyScore = registration.stageScores.find(s => s.stageIndex === stageIndex);
+        if (!hasEntries && legacyScore?.scores?.length > 0) {
+            registration.qualifyingEntries.push({
+                stageIndex,
+                squad: registration.assignedSquads[0],
+                scores: legacyScore.scores,
+                bonusPins: legacyScore.bonusPins,
+                frames: legacyScore.frames,
+                handicap: legacyScore.handicap
+            });
+        }
+
+        const entry = registration.qualifyingEntries.find(e =>
+            e.stageIndex === stageIndex && e.squad.toString() === squadId
+        );
+        if (entry) {
+            entry.frames = frames ?? keepMatchingFrames(entry, scores);
+            entry.scores = scores;
+            entry.bonusPins = bonusPins;
+            entry.handicap = handicap;
+        } else {
+            registration.qualifyingEntries.push({
+                stageIndex,
+                squad: squadId,
+                scores,
+                bonusPins,
+                frames: frames || [],
+                handicap
+            });
+        }
+        applyQualifyingEntries(registration, stageIndex, getScoresToCount(tournament, stageIndex));
+        return null;
+    }
+
+    // Find or create stage score entry
+    const stageScoreEntry = registration.stageScores.find(s => s.stageIndex === stageIndex);
+    if (stageScoreEntry) {
+        stageScoreEntry.frames = frames ?? keepMatchingFrames(stageScoreEntry, scores);
+        stageScoreEntry.scores = scores;
+        stageScoreEntry.bonusPins = bonusPins;
+        stageScoreEntry.handicap = handicap;
+        stageScoreEntry.total = scores.reduce((sum, s) => sum + s, 0);
+    } else {
+        registration.stageScores.push({
+            stageIndex,
+            scores,
+            bonusPins,
+            frames: frames || [],
+            handicap,
+            total: scores.reduce((sum, s) => sum + s, 0),
+            carryover: 0
+        });
+    }
+    return null;
+}
+
+// Stages scored on matches rather than per bowler
+export const MATCH_STAGE_TYPES = ['round_robin', 'tri_matchplay', 'elimination', 'stepladder'];
+
+/**
+ * A tournament's stages; single-stage tournaments have one
+ * @param {Object} tournament - Tournament
+ * @returns {Array<Object>} Stage settings, in order
+ */
+export function getScoringStages(tournament) {
+    if (tournament.format?.hasStages && tournament.format.stages?.length > 0) {
+        return tournament.format.stages;
+    }
+    return [{ name: 'Tournament Scores', type: 'qualifying', games: tournament.format?.gamesPerBowler || 3 }];
+}
+
+/**
+ * The entry holding a stage's recorded games, or one squad's block of it
+ * @param {Object} registration - Registration (document or lean)
+ * @param {Object} tournament - Tournament
+ * @param {number} stageIndex - Stage index
+ * @param {string|null} squadId - Squad, for squad-based qualifying
+ * @returns {Object|null} { scores, bonusPins, handicap, ... }, or null when none are recorded
+ */
+export function getRecordedEntry(registration, tournament, stageIndex, squadId) {
+    if (squadId && usesQualifyingEntries(tournament, stageIndex)) {
+        const entries = (registration.qualifyingEntries || []).filter(e => e.stageIndex === stageIndex);
+        if (entries.length > 0) {
+            return entries.find(e => e.squad?.toString() === squadId) || null;
+        }
+        // Scores entered before blocks were tracked belong to the first squad
+        if (registration.assignedSquads?.[0]?.toString() !== squadId) return null;
+    }
+    return (registration.stageScores || []).find(s => s.stageIndex === stageIndex) || null;
+}
+
+/**
+ * Scores already recorded for a stage, or for one squad's block of it
+ * @param {Object} registration - Registration (document or lean)
+ * @param {Object} tournament - Tournament
+ * @param {number} stageIndex - Stage index
+ * @param {string|null} squadId - Squad, for squad-based qualifying
+ * @returns {Array<number>} Games, empty when none are recorded
+ */
+export function getRecordedScores(registration, tournament, stageIndex, squadId) {
+    return getRecordedEntry(registration, tournament, stageIndex, squadId)?.scores || [];
+}
@@ -0,0 +1,191 @@
+import Season from '../models/Season.js';
+import Tournament from '../models/Tournament.js';
+import Registration from '../models/Registration.js';
+import Bowler from '../models/Bowler.js';
+import { getFinalStandings } from './prizeFund.js';
+
+/**
+ * Tour points. When a tournament in a season is marked completed, every
+ * bowler's finishing position is turned into points from the season's table
+ * and stored on the season; standings add those up across the season.
+ */
+
+// Bowlers with a profile are matched on it, everyone else on email
+function getPlayerKey(finish) {
+    return finish.bowler ? finish.bowler.toString() : finish.email;
+}
+
+/**
+ * Tour points for every bowler in a completed tournament. A bowler ranked
+ * in several divisions scores their best finish; tied bowlers each score the
+ * points for the position they share.
+ * @param {Object} season - Season document
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Array<Object>>} Finishes ({ bowler, email, playerName, position, madeCut, title, points })
+ */
+export async function calculateTourPoints(season, tournament) {
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] }
+    })
+        .select('bowler email playerName currentStage')
+        .lean();
+    const registrationsById = new Map(registrations.map(registration => [registration._id.toString(), registration]));
+
+    // Registrations made before bowler accounts existed are matched on email
+    const emails = registrations.filter(registration => !registration.bowler).map(registration => registration.email);
+    const bowlers = await Bowler.find({ email: { $in: emails } }).select('email').lean();
+    const bowlersByEmail = new Map(bowlers.map(bowler => [bowler.email, bowler._id]));
+
+    const best = new Map();
+    (await getFinalStandings(tournament, registrations)).forEach(row => {
+        const id = row.registration.toString();
+        if (!best.has(id) || row.position < best.get(id).position) best.set(id, row);
+    });
+
+    const hasCut = (tournament.format?.stages?.length || 0) > 1;
+    return [...best.values()]
+        .sort((a, b) => a.position - b.position)
+        .map(row => {
+            const registration = registrationsById.get(row.registration.toString());
+            const madeCut = hasCut && (registration.currentStage || 0) >= 1;
+            const title = row.position === 1;
+            return {
+                bowler: registration.bowler || bowlersByEmail.get(registration.email) || null,
+                email: registration.email,
+                playerName: row.playerName || registration.playerName,
+                position: row.position,
+                madeCut,
+                title,
+                points: (season.pointsTable?.[row.position - 1] || 0) +
+                    (madeCut ? season.cutBonus || 0 : 0) +
+                    (title ? season.titleBonus || 0 : 0)
+            };
+        });
+}
+
+/**
+ * Re-record a season's points from each of its completed tournaments, and
+ * drop tournaments that are no longer completed or in the season
+ * @param {Object} season - Season document (saved by this function)
+ * @returns {Promise<Object>} The saved season
+ */
+export async function recalculateSeason(season) {
+    const tournaments = await Tournament.find({ _id: { $in: season.tournaments }, status: 'completed' }).lean();
+
+    const events = [];
+    for (const tournament of tournaments) {
+        events.push({ tournament: tournament._id, recordedAt: new Date(), finishes: await calculateTourPoints(season, tournament) });
+    }
+    season.events = events;
+    return season.save();
+}
+
+/**
+ * Keep the seasons a tournament belongs to in step with it: record its
+ * points once it's completed, and remove them if it's reopened
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<void>}
+ */
+export async function syncSeasonsForTournament(tournament) {
+    const seasons = await Season.find({ tournaments: tournament._id });
+
+    for (const season of seasons) {
+        season.events = season.events.filter(event => !event.tournament.equals(tournament._id));
+        if (tournament.status === 'completed') {
+            season.events.push({ tournament: tournament._id, recordedAt: new Date(), finishes: await calculateTourPoints(season, tournament) });
+        }
+        await season.save();
+    }
+}
+
+/**
+ * Player of the Year standings. Each bowler's worst dropWorst events are
+ * dropped, counting missed events as zero, but at least one event always
+ * counts. Ties on points go to more titles, then the better best finish.
+ * @param {Object} season - Season (lean) with events
+ * @returns {Promise<Object>} { events, standings }
+ */
+export async function buildSeasonStandings(season) {
+    const tournaments = await Tournament.find({ _id: { $in: season.events.map(event => event.tournament) } })
+        .select('name startDate location')
+        .lean();
+    const tournamentsById = new Map(tournaments.map(tournament => [tournament._id.toString(), tournament]));
+
+    const events = season.events
+        .filter(event => tournamentsById.has(event.tournament.toString()))
+        .map(event => ({ ...event, details: tournamentsById.get(event.tournament.toString()) }))
+        .sort((a, b) => new Date(a.details.startDate) - new Date(b.details.startDate));
+
+    const players = new Map();
+    events.forEach(event => {
+        event.finishes.forEach(finish => {
+            const key = getPlayerKey(finish);
+            if (!players.has(key)) {
+                players.set(key, { bowler: finish.bowler, playerName: finish.playerName, finishes: new Map() });
+            }
+            const player = players.get(key);
+            player.playerName = finish.playerName || player.playerName;
+            player.finishes.set(event.tournament.toString(), finish);
+        });
+    });
+
+    const counted = Math.max(events.length - (season.dropWorst || 0), 1);
+    const standings = [...players.values()].map(player => {
+        const results = events.map(event => {
+            const finish = player.finishes.get(event.tournament.toString());
+            return {
+                tournament: event.tournament,
+                position: finish?.position ?? null,
+                points: finish?.points || 0,
+                madeCut: finish?.madeCut || false,
+                title: finish?.title || false
+            };
+        });
+
+        // Best results count; ties keep the earlier event
+        const countingIndexes = new Set(results
+            .map((result, index) => ({ points: result.points, index }))
+            .sort((a, b) => b.points - a.points || a.index - b.index)
+            .slice(0, counted)
+            .map(result => result.index));
+        const played = results.filter(result => result.position !== null);
+
+        return {
+            bowler: player.bowler,
+            playerName: player.playerName,
+            points: results.reduce((total, result, index) => total + (countingIndexes.has(index) ? result.points : 0), 0),
+            totalPoints: results.reduce((total, result) => total + result.points, 0),
+            eventsPlayed: played.length,
+            titles: played.filter(result => result.title).length,
+            cuts: played.filter(result => result.madeCut).length,
+            bestFinish: played.length ? Math.min(...played.map(result => result.position)) : null,
+            results: results.map((result, index) => ({ ...result, counted: countingIndexes.has(index) }))
+        };
+    });
+
+    standings.sort((a, b) =>
+        b.points - a.points ||
+        b.titles - a.titles ||
+        (a.bestFinish ?? Infinity) - (b.bestFinish ?? Infinity) ||
+        (a.playerName || '').localeCompare(b.playerName || '')
+    );
+
+    let previous = null;
+    standings.forEach((row, index) => {
+        const tied = previous && previous.points === row.points && previous.titles === row.titles && previous.bestFinish === row.bestFinish;
+        row.position = tied ? previous.position : index + 1;
+        previous = row;
+    });
+
+    return {
+        events: events.map(event => ({
+            tournament: event.tournament,
+            name: event.details.name,
+            startDate: event.details.startDate,
+            location: event.details.location,
+            recordedAt: event.recordedAt
+        })),
+        standings
+    };
+}
@@ -0,0 +1,231 @@
+import Registration from '../models/Registration.js';
+import { getHandicapPerGame } from '../../frontend/js/shared/scoring.js';
+
+/**
+ * Side events: high game and high series pots, and head-to-head brackets.
+ * Results are worked out from each entrant's stageScores whenever they're
+ * asked for, so they follow score corrections without being stored.
+ */
+
+export const SIDE_EVENT_TYPES = ['high_game', 'high_series', 'brackets'];
+
+// Work in cents so splits add up
+function toCents(amount) {
+    return Math.round((Number(amount) || 0) * 100);
+}
+
+/**
+ * Share payouts between finishers. Bowlers tied on a score pool the payouts
+ * for the places they occupy and split them evenly; a leftover cent goes to
+ * the first of them.
+ * @param {Array<Object>} ranked - Finishers sorted best first
+ * @param {Array<number>} payouts - Dollars by place
+ * @param {string} [tieKey='score'] - Field finishers tie on
+ * @returns {Array<Object>} Paid finishers with place and amount (dollars) added
+ */
+export function splitTiedPayouts(ranked, payouts, tieKey = 'score') {
+    const paid = [];
+    let index = 0;
+
+    while (index < ranked.length && index < payouts.length) {
+        let end = index;
+        while (end < ranked.length && ranked[end][tieKey] === ranked[index][tieKey]) end++;
+
+        const pool = payouts.slice(index, end).reduce((total, amount) => total + toCents(amount), 0);
+        const tiedCount = end - index;
+        const share = Math.floor(pool / tiedCount);
+
+        ranked.slice(index, end).forEach((finisher, offset) => {
+            const cents = share + (offset === 0 ? pool - share * tiedCount : 0);
+            paid.push({ ...finisher, place: index + 1, tied: tiedCount > 1, amount: cents / 100 });
+        });
+        index = end;
+    }
+
+    return paid.filter(finisher => finisher.amount > 0);
+}
+
+// Game scores for the event's games (null where not bowled yet)
+function getEventGames(tournament, event, registration, gameCount) {
+    const stageScore = (registration.stageScores || []).find(entry => (entry.stageIndex ?? 0) === event.stageIndex);
+    const scores = stageScore?.scores || [];
+    const perGame = event.scoring === 'handicap'
+        ? getHandicapPerGame({ ...tournament.format, useHandicap: true }, registration).perGame
+        : 0;
+
+    return Array.from({ length: gameCount }, (_, offset) => {
+        const score = scores[event.startGame - 1 + offset];
+        return typeof score === 'number' ? score + perGame : null;
+    });
+}
+
+// Brackets are decided one game per round
+function getBracketRounds(event) {
+    return Math.log2(event.bracketSize || 8);
+}
+
+function getGameCount(event) {
+    return event.type === 'brackets'
+        ? getBracketRounds(event)
+        : Math.max(1, event.endGame - event.startGame + 1);
+}
+
+// High game or high series: rank everyone on their best game or total
+function scorePot(event, entrants) {
+    const ranked = entrants
+        .map(entrant => {
+            const bowled = entrant.games.filter(score => score !== null);
+            const score = event.type === 'high_game'
+                ? (bowled.length ? Math.max(...bowled) : null)
+                : (bowled.length ? bowled.reduce((total, game) => total + game, 0) : null);
+            return { registration: entrant.registration, playerName: entrant.playerName, score };
+        })
+        .filter(entrant => entrant.score !== null)
+        .sort((a, b) => b.score - a.score);
+
+    const complete = entrants.every(entrant => entrant.games.every(score => score !== null));
+    return {
+        status: complete ? 'complete' : 'in_progress',
+        standings: ranked,
+        winners: splitTiedPayouts(ranked, event.payouts || []),
+        brackets: [],
+        unfilled: []
+    };
+}
+
+// One single-elimination bracket. A tied match goes to the higher total over
+// the games bowled so far in the bracket, then to the earlier draw position.
+function runBracket(event, bowlers, number) {
+    const matches = [];
+    let field = bowlers;
+
+    for (let round = 0; round < getBracketRounds(event); round++) {
+        const next = [];
+        for (let slot = 0; slot < field.length; slot += 2) {
+            const [a, b] = [field[slot], field[slot + 1]];
+            const [scoreA, scoreB] = [a.games[round], b.games[round]];
+            if (scoreA === null || scoreB === null) {
+                matches.push({ round: round + 1, bowlers: [a.playerName, b.playerName], scores: [scoreA, scoreB], winner: null });
+                return { number, status: 'in_progress', matches, winner: null, runnerUp: null };
+            }
+
+            let winner = scoreA > scoreB ? a : (scoreB > scoreA ? b : null);
+            if (!winner) {
+                const total = bowler => bowler.games.slice(0, round + 1).reduce((sum, game) => sum + game, 0);
+                winner = total(b) > total(a) ? b : a;
+            }
+            matches.push({ round: round + 1, bowlers: [a.playerName, b.playerName], scores: [scoreA, scoreB], winner: winner.playerName });
+            next.push(winner);
+        }
+        if (next.length === 1) {
+            const final = field;
+            return {
+                number,
+                status: 'complete',
+                matches,
+                winner: next[0],
+                runnerUp: final.find(bowler => bowler !== next[0])
+            };
+        }
+        field = next;
+    }
+    return { number, status: 'in_progress', matches, winner: null, runnerUp: null };
+}
+
+// Brackets: entrants are drawn in the order they entered, in groups of
+// bracketSize. A group that doesn't fill isn't run and those entries are refunded.
+function scoreBrackets(event, entrants) {
+    const size = event.bracketSize || 8;
+    const drawnCount = Math.floor(entrants.length / size) * size;
+    const brackets = [];
+    const winners = [];
+
+    for (let start = 0; start < drawnCount; start += size) {
+        const bracket = runBracket(event, entrants.slice(start, start + size), brackets.length + 1);
+        brackets.push({
+            number: bracket.number,
+            status: bracket.status,
+            matches: bracket.matches,
+            winner: bracket.winner?.playerName || null,
+            runnerUp: bracket.runnerUp?.playerName || null
+        });
+        if (bracket.status !== 'complete') continue;
+
+        [bracket.winner, bracket.runnerUp].forEach((bowler, place) => {
+            const amount = toCents(event.payouts?.[place]) / 100;
+            if (amount > 0) {
+                winners.push({
+                    registration: bowler.registration,
+                    playerName: bowler.playerName,
+                    place: place + 1,
+                    bracket: bracket.number,
+                    amount
+                });
+            }
+        });
+    }
+
+    return {
+        status: brackets.length > 0 && brackets.every(bracket => bracket.status === 'complete') ? 'complete' : 'in_progress',
+        standings: [],
+        winners,
+        brackets,
+        unfilled: entrants.slice(drawnCount).map(entrant => ({ registration: entrant.registration, playerName: entrant.playerName }))
+    };
+}
+
+/**
+ * Results for one side event
+ * @param {Object} tournament - Tournament document
+ * @param {Object} event - Side event from tournament.sideEvents
+ * @param {Array<Object>} registrations - Active registrations entered in the event
+ * @returns {Object} { entries, collected, refundsDue, paidOut, status, standings, winners, brackets, unfilled }
+ */
+export function calculateSideEvent(tournament, event, registrations) {
+    const gameCount = getGameCount(event);
+    const entrants = registrations.map(registration => ({
+        registration: registration._id,
+        playerName: registration.playerName,
+        games: getEventGames(tournament, event, registration, gameCount)
+    }));
+
+    const result = event.type === 'brackets' ? scoreBrackets(event, entrants) : scorePot(event, entrants);
+    const fee = toCents(event.entryFee);
+    return {
+        key: event.key,
+        name: event.name,
+        type: event.type,
+        scoring: event.scoring,
+        entryFee: event.entryFee,
+        entries: entrants.length,
+        collected: (fee * entrants.length) / 100,
+        refundsDue: (fee * result.unfilled.length) / 100,
+        paidOut: result.winners.reduce((total, winner) => total + toCents(winner.amount), 0) / 100,
+        ...result
+    };
+}
+
+/**
+ * Entries, winners and payouts for every side event in a tournament
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Array<Object>>} One result per side event
+ */
+export async function buildSideEventReport(tournament) {
+    const events = tournament.sideEvents || [];
+    if (events.length === 0) return [];
+
+    const registrations = await Registration.find({
+        tournament: tournament._id,
+        status: { $in: ['pending', 'confirmed'] },
+        sideEvents: { $in: events.map(event => event.key) }
+    })
+        .select('playerName gender averageScore enteringAverage stageScores sideEvents registeredAt')
+        .sort({ registeredAt: 1, _id: 1 })
+        .lean();
+
+    return events.map(event => calculateSideEvent(
+        tournament,
+        event,
+        registrations.filter(registration => registration.sideEvents.includes(event.key))
+    ));
+}
@@ -0,0 +1,33 @@
+import { rankWithTieBreaks } from './tieBreaks.js';
+import { calculateScoreBreakdown, getDivisionFormat } from '../../frontend/js/shared/scoring.js';
+import { getDivisionKeys, rankByDivision } from './divisions.js';
+
+/**
+ * Pinfall standings for a stage: scratch + handicap + bonus pins + carryover,
+ * with handicap as each division is scored
+ * @param {Object} tournament - Tournament document
+ * @param {Array<Object>} registrations - Registrations with stageScores
+ * @param {number} stageIndex - Stage index
+ * @param {Array<Object>} [rollOffs=[]] - Roll-offs recorded for the stage
+ * @returns {Array<Object>} Players with scores entered, ordered by total within each division.
+ *   A bowler who entered several divisions has a row in each.
+ */
+export function calculatePinfallStandings(tournament, registrations, stageIndex, rollOffs = []) {
+    const players = registrations.flatMap(reg => {
+        const stageScore = reg.stageScores?.find(s => s.stageIndex === stageIndex);
+        if (!stageScore || !stageScore.scores || stageScore.scores.length === 0) return [];
+
+        return getDivisionKeys(tournament, reg).map(division => ({
+            registration: reg._id,
+            playerName: reg.playerName,
+            division,
+            squadIds: reg.assignedSquads || [],
+            ...calculateScoreBreakdown(getDivisionFormat(tournament.format, division), reg, stageScore)
+        }));
+    });
+
+    const tieBreakers = tournament.format?.stages?.[stageIndex]?.tieBreakers || [];
+    return rankByDivision(tournament, players, field =>
+        rankWithTieBreaks(field, (a, b) => b.total - a.total, tieBreakers, rollOffs)
+    );
+}
@@ -0,0 +1,139 @@
+/**
+ * Tie-break rules a stage can apply, in the order the admin picks them.
+ * Each rule ranks tied bowlers on a single value; `roll_off` uses the
+ * finishing order of a roll-off the admin has recorded.
+ */
+export const TIE_BREAK_RULES = {
+    high_last_game: {
+        label: 'High last game',
+        value: row => (row.scores?.length ? row.scores[row.scores.length - 1] : 0),
+        direction: -1
+    },
+    high_game: {
+        label: 'High game',
+        value: row => row.high ?? Math.max(0, ...(row.scores || [])),
+        direction: -1
+    },
+    lowest_handicap: {
+        label: 'Lowest handicap',
+        value: row => row.handicapPerGame || 0,
+        direction: 1
+    },
+    roll_off: {
+        label: 'Roll-off'
+    }
+};
+
+// Find a recorded roll-off covering every tied bowler
+function findRollOff(rows, rollOffs) {
+    return rollOffs.find(rollOff => {
+        const ids = rollOff.registrations.map(id => id.toString());
+        return rows.every(row => ids.includes(row.registration.toString()));
+    });
+}
+
+// Split a group of tied rows into clusters using each rule in turn.
+// Clusters still holding more than one row are genuine ties.
+function breakTie(rows, rules, rollOffs, ruleIndex = 0) {
+    if (ruleIndex >= rules.length) {
+        return [{ rows, decidedBy: null }];
+    }
+
+    const ruleKey = rules[ruleIndex];
+    const rule = TIE_BREAK_RULES[ruleKey];
+    if (!rule) {
+        return breakTie(rows, rules, rollOffs, ruleIndex + 1);
+    }
+
+    if (ruleKey === 'roll_off') {
+        const rollOff = findRollOff(rows, rollOffs);
+        if (!rollOff) {
+            return [{ rows, decidedBy: null, needsRollOff: true }];
+        }
+        const order = rollOff.registrations.map(id => id.toString());
+        return [...rows]
+            .sort((a, b) => order.indexOf(a.registration.toString()) - order.indexOf(b.registration.toString()))
+            .map(row => ({ rows: [row], decidedBy: ruleKey }));
+    }
+
+    const byValue = new Map();
+    rows.forEach(row => {
+        const value = rule.value(row);
+        if (!byValue.has(value)) byValue.set(value, []);
+        byValue.get(value).push(row);
+    });
+
+    return [...byValue.entries()]
+        .sort(([a], [b]) => (a - b) * rule.direction)
+        .flatMap(([, group]) => (group.length === 1
+            ? [{ rows: group, decidedBy: ruleKey }]
+            : breakTie(group, rules, rollOffs, ruleIndex + 1)));
+}
+
+/**
+ * Sort standings and assign positions, breaking ties with the stage's rules.
+ * Bowlers the rules can't separate share a position ("T-5").
+ * @param {Array<Object>} rows - Standings rows (need `registration` for roll-offs)
+ * @param {Function} compare - Primary sort comparator; rows it calls equal are tied
+ * @param {Array<string>} [rules=[]] - Tie-break rule keys in priority order
+ * @param {Array<Object>} [rollOffs=[]] - Recorded roll-offs ({ registrations } in finishing order)
+ * @returns {Array<Object>} Rows with `position`, `positionLabel`, `tieBreak` and `needsRollOff`
+ */
+export function rankWithTieBreaks(rows, compare, rules = [], rollOffs = []) {
+    const sorted = [...rows].sort(compare);
+    const groups = [];
+    sorted.forEach(row => {
+        const last = groups[groups.length - 1];
+        if (last && compare(last[0], row) === 0) last.push(row);
+        else groups.push([row]);
+    });
+
+    const ranked = [];
+    groups.forEach(group => {
+        const clusters = group.length === 1
+            ? [{ rows: group, decidedBy: null }]
+            : breakTie(group, rules || [], rollOffs || []);
+
+        clusters.forEach(cluster => {
+            const position = ranked.length + 1;
+            const shared = cluster.rows.length > 1;
+            cluster.rows.forEach(row => {
+                ranked.push({
+                    ...row,
+                    position,
+                    positionLabel: shared ? `T-${position}` : String(position),
+                    tieBreak: cluster.decidedBy,
+                    needsRollOff: Boolean(cluster.needsRollOff)
+                });
+            });
+        });
+    });
+
+    return ranked;
+}
+
+/**
+ * Apply a cut line to ranked standings. Bowlers tied across the cut all go
+ * through together, unless the stage settles ties with a roll-off that
+ * hasn't been recorded yet - then the tied bowlers are held back.
+ * @param {Array<Object>} ranked - Output of rankWithTieBreaks (may be filtered)
+ * @param {number} cut - Number of bowlers who advance
+ * @returns {{advancing: Array<Object>, rollOffRequired: Array<Object>}}
+ */
+export function splitAtCut(ranked, cut) {
+    const boundary = ranked[cut - 1];
+    if (!boundary) {
+        return { advancing: ranked.slice(0, cut), rollOffRequired: [] };
+    }
+
+    const tied = ranked.filter(row => row.position === boundary.position);
+    const lastTiedIndex = ranked.indexOf(tied[tied.length - 1]);
+    if (lastTiedIndex < cut) {
+        return { advancing: ranked.slice(0, cut), rollOffRequired: [] };
+    }
+
+    if (boundary.needsRollOff) {
+        return { advancing: ranked.slice(0, ranked.indexOf(tied[0])), rollOffRequired: tied };
+    }
+    return { advancing: ranked.slice(0, lastTiedIndex + 1), rollOffRequired: [] };
+}
@@ -0,0 +1,125 @@
+// Fill groups of three in order, giving each group the bowlers its members have met least
+function groupGreedily(pool, metCount) {
+    const remaining = [...pool];
+    const groups = [];
+    let cost = 0;
+
+    while (remaining.length >= 3) {
+        const group = [remaining.shift()];
+        for (let slot = 1; slot < 3; slot++) {
+            let bestIndex = 0;
+            let bestCost = Infinity;
+            remaining.forEach((candidate, i) => {
+                const candidateCost = group.reduce((sum, member) => sum + metCount(member, candidate), 0);
+                if (candidateCost < bestCost) {
+                    bestCost = candidateCost;
+                    bestIndex = i;
+                }
+            });
+            cost += bestCost;
+            group.push(remaining.splice(bestIndex, 1)[0]);
+        }
+        groups.push(group);
+    }
+
+    return { groups, cost };
+}
+
+/**
+ * Form groups of three for every round of a tri-matchplay stage.
+ * Groups are built greedily so each bowler meets opponents they have faced
+ * the fewest times. When the field isn't divisible by three the leftover
+ * bowlers sit out on a bye, spread so nobody sits out twice before everyone
+ * has sat out once.
+ * @param {Array<Object>} entrants - Bowlers in seed order
+ * @param {number} roundCount - Number of rounds to generate
+ * @returns {Array<{groups: Array<Array<Object>>, byes: Array<Object>}>} One entry per round
+ */
+export function generateTriRounds(entrants, roundCount) {
+    const meetings = new Map();
+    const byeCounts = new Map(entrants.map(entrant => [entrant.registration.toString(), 0]));
+    const pairKey = (a, b) => [a.registration.toString(), b.registration.toString()].sort().join(':');
+    const metCount = (a, b) => meetings.get(pairKey(a, b)) || 0;
+
+    const rounds = [];
+    for (let r = 0; r < roundCount; r++) {
+        const byeSlots = entrants.length % 3;
+        const byes = [...entrants]
+            .sort((a, b) => byeCounts.get(a.registration.toString()) - byeCounts.get(b.registration.toString()) ||
+                b.seed - a.seed)
+            .slice(0, byeSlots);
+        byes.forEach(entrant => {
+            const id = entrant.registration.toString();
+            byeCounts.set(id, byeCounts.get(id) + 1);
+        });
+
+        const byeIds = new Set(byes.map(entrant => entrant.registration.toString()));
+        const pool = entrants.filter(entrant => !byeIds.has(entrant.registration.toString()));
+
+        // Try the greedy fill from every starting point and keep the one with the fewest rematches
+        let best = null;
+        for (let offset = 0; offset < pool.length; offset++) {
+            const attempt = groupGreedily([...pool.slice(offset), ...pool.slice(0, offset)], metCount);
+            if (!best || attempt.cost < best.cost) best = attempt;
+            if (best.cost === 0) break;
+        }
+        const groups = best ? best.groups : [];
+
+        groups.forEach(group => {
+            for (let i = 0; i < group.length; i++) {
+                for (let j = i + 1; j < group.length; j++) {
+                    const key = pairKey(group[i], group[j]);
+                    meetings.set(key, (meetings.get(key) || 0) + 1);
+                }
+            }
+        });
+
+        rounds.push({ groups, byes });
+    }
+
+    return rounds;
+}
+
+/**
+ * Score a tri-matchplay group in place once every bowler has a game entered.
+ * The three scores are ranked and earn win/middle/loss points; bowlers who
+ * tie share the points for the places they tie for. A lone bowler is a bye
+ * and earns middle points once their game is entered.
+ * @param {Array<Object>} participants - Group participants with `scores`
+ * @param {Object} settings - Stage matchPlaySettings (pointsForTie is the middle place)
+ * @returns {boolean} True if the group is complete
+ */
+export function applyTriResult(participants, settings) {
+    const placePoints = [settings.pointsForWin, settings.pointsForTie, settings.pointsForLoss];
+    const placeResults = ['win', 'middle', 'loss'];
+
+    participants.forEach(participant => {
+        participant.pinfall = (participant.scores || []).reduce((sum, s) => sum + s, 0);
+    });
+
+    const complete = participants.every(participant => (participant.scores || []).length > 0);
+    if (!complete) {
+        participants.forEach(participant => {
+            participant.result = '';
+            participant.points = 0;
+        });
+        return false;
+    }
+
+    if (participants.length === 1) {
+        participants[0].result = 'middle';
+        participants[0].points = settings.pointsForTie;
+        return true;
+    }
+
+    participants.forEach(participant => {
+        const better = participants.filter(other => other.pinfall > participant.pinfall).length;
+        const level = participants.filter(other => other.pinfall === participant.pinfall).length;
+        const shared = placePoints.slice(better, better + level);
+
+        participant.result = placeResults[better];
+        participant.points = shared.reduce((sum, points) => sum + points, 0) / shared.length;
+    });
+
+    return true;
+}
@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import Registration from '../models/Registration.js';
+import { sendWaitlistOffer } from './emailService.js';
+
+/**
+ * How long a waitlisted bowler has to accept a spot before it passes on
+ */
+export const WAITLIST_OFFER_HOURS = 24;
+
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5000';
+
+/**
+ * Registrations that hold a spot: entries plus waitlisted bowlers with a
+ * live offer, so an offered spot can't be taken while they decide
+ * @param {Date} [now] - Time offers are checked against
+ * @returns {Object} Mongo filter
+ */
+export function holdsSpotFilter(now = new Date()) {
+    return {
+        $or: [
+            { status: { $in: ['pending', 'confirmed'] } },
+            { status: 'waitlist', 'waitlist.offerExpiresAt': { $gt: now } }
+        ]
+    };
+}
+
+// Spots held overall and per squad
+async function getHeldSpots(tournamentId, now) {
+    const holders = await Registration.find({ tournament: tournamentId, ...holdsSpotFilter(now) })
+        .select('assignedSquads')
+        .lean();
+
+    const squadCounts = new Map();
+    holders.forEach(reg => {
+        (reg.assignedSquads || []).forEach(squadId => {
+            const id = squadId.toString();
+            squadCounts.set(id, (squadCounts.get(id) || 0) + 1);
+        });
+    });
+    return { total: holders.length, squadCounts };
+}
+
+/**
+ * Pass lapsed offers on and offer any free spots down the waitlist in the
+ * order bowlers joined it. A bowler is only offered a spot once every squad
+ * they asked for has room; anyone who doesn't fit is skipped, not removed.
+ * Safe to call whenever a spot might have freed up.
+ * @param {Object} tournament - Tournament document
+ * @returns {Promise<Array<Object>>} Registrations that were offered a spot
+ */
+export async function processWaitlist(tournament) {
+    if (tournament.status !== 'upcoming') return [];
+
+    const now = new Date();
+
+    // Offers nobody answered lapse, freeing the spot for the next bowler
+    await Registration.updateMany(
+        { tournament: tournament._id, status: 'waitlist', 'waitlist.offerExpiresAt': { $lte: now } },
+        { $set: { status: 'cancelled', 'waitlist.offerToken': null } }
+    );
+
+    const waiting = await Registration.find({
+        tournament: tournament._id,
+        status: 'waitlist',
+        'waitlist.offerExpiresAt': null
+    })
+        .sort({ 'waitlist.joinedAt': 1, createdAt: 1 })
+        .lean();
+    if (waiting.length === 0) return [];
+
+    const held = await getHeldSpots(tournament._id, now);
+    const offered = [];
+
+    for (const reg of waiting) {
+        if (tournament.maxParticipants && held.total >= tournament.maxParticipants) break;
+
+        const squads = (reg.assignedSquads || [])
+            .map(squadId => (tournament.squads || []).find(squad => squad._id.toString() === squadId.toString()))
+            .filter(Boolean);
+        const fits = squads.every(squad => (held.squadCounts.get(squad._id.toString()) || 0) < squad.capacity);
+        if (!fits) continue;
+
+        const offerToken = crypto.randomBytes(24).toString('hex');
+        const offerExpiresAt = new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000);
+
+        // Claim atomically so two requests can't offer the same bowler twice
+        const claimed = await Registration.findOneAndUpdate(
+            { _id: reg._id, status: 'waitlist', 'waitlist.offerExpiresAt': null },
+            {
+                $set: {
+                    'waitlist.offerToken': offerToken,
+                    'waitlist.offeredAt': now,
+                    'waitlist.offerExpiresAt': offerExpiresAt
+                }
+            },
+            { new: true }
+        );
+        if (!claimed) continue;
+
+        held.total += 1;
+        squads.forEach(squad => {
+            const id = squad._id.toString();
+            held.squadCounts.set(id, (held.squadCounts.get(id) || 0) + 1);
+        });
+        offered.push(claimed);
+
+        sendWaitlistOffer({
+            to: claimed.email,
+            bowler: { name: claimed.playerName },
+            tournament: {
+                name: tournament.name,
+                startDate: tournament.startDate,
+                location: tournament.location
+            },
+            squads: squads.map(squad => ({ name: squad.name, time: squad.time })),
+            acceptUrl: `${SITE_URL}/register?waitlistOffer=${offerToken}`,
+            expiresAt: offerExpiresAt,
+            registrationId: claimed._id.toString()
+        }).catch(err => {
+            console.error('Failed to send waitlist offer email:', err);
+        });
+    }
+
+    return offered;
+}
@@ -3,6 +3,8 @@
  */
 
 let csrfToken = null;
+let loadedRegistrations = [];
+let loadedTournamentsById = {};
 
 const regListContainer = document.getElementById('registrationList');
 const regFilterSelect = document.getElementById('regTournamentFilter');
@@ -41,6 +43,7 @@ async function loadRegistrations() {
 
         const response = await fetch(url);
         const registrations = await response.json();
+        loadedRegistrations = registrations;
         regCountSpan.textContent = registrations.length;
 
         if (registrations.length === 0) {
@@ -54,6 +57,7 @@ async function loadRegistrations() {
         tournaments.forEach((tournament) => {
             tournamentsById[tournament._id] = tournament;
         });
+        loadedTournamentsById = tournamentsById;
 
         regListContainer.innerHTML = `
             <div class="registration-table-wrap">
@@ -101,12 +105,56 @@ function getSquadNames(registration, tournamentsById) {
     });
 }
 
+function getDivisionNames(registration, tournamentsById) {
+    const tournament = tournamentsById[registration.tournament?._id];
+    const divisions = tournament?.format?.divisions || [];
+    return (registration.divisions || []).map((key) => divisions.find((division) => division.key === key)?.name || key);
+}
+
+// Members-only divisions check the tour membership on the bowler's profile
+function renderMembershipMeta(registration, tournamentsById) {
+    const tournament = tournamentsById[registration.tournament?._id];
+    if (!(tournament?.format?.divisions || []).some((division) => division.membersOnly)) return '';
+
+    return `<button class="button registration-average-button" type="button" onclick="openMembership('${registration._id}')">Membership</button>`;
+}
+
 function getPaymentClass(paymentStatus) {
     if (paymentStatus === 'paid') return 'is-paid';
     if (paymentStatus === 'deposit') return 'is-deposit';
     return 'is-unpaid';
 }
 
+const PAYMENT_METHOD_LABELS = {
+    online: 'Online',
+    cash: 'Cash',
+    bank_transfer: 'Bank transfer',
+    card: 'Card'
+};
+
+function formatMoney(cents) {
+    return `${cents < 0 ? '-' : ''}$${(Math.abs(cents || 0) / 100).toFixed(2)}`;
+}
+
+function describeBalance(balance) {
+    if (balance > 0) return `Owing ${formatMoney(balance)}`;
+    if (balance < 0) return `Refund due ${formatMoney(-balance)}`;
+    return 'Settled';
+}
+
+function renderBalanceMeta(registration) {
+    const balance = registration.balance;
+    if (!balance) return '';
+
+    return `
+        <span class="registration-meta">
+            Paid ${formatMoney(balance.paid)}${balance.refunded ? ` • Refunded ${formatMoney(balance.refunded)}` : ''}
+            <br>${describeBalance(balance.balance)}
+        </span>
+        <button class="button registration-average-button" type="button" onclick="openLedger('${registration._id}')">Ledger</button>
+    `;
+}
+
 function renderGenderBadge(gender) {
     if (!gender) return '';
     const className = gender === 'female' ? 'is-female' : 'is-male';
@@ -114,8 +162,61 @@ function renderGenderBadge(gender) {
     return `<span class="registration-gender ${className}">${label}</span>`;
 }
 
+const AVERAGE_SOURCE_LABELS = {
+    self_reported: 'self-reported',
+    tournament_average: 'tournament average',
+    admin_verified: 'admin verified'
+};
+
+function renderAverageMeta(registration) {
+    const entering = registration.enteringAverage;
+    const average = entering?.value ?? registration.averageScore;
+    const details = [];
+    if (entering?.source) details.push(AVERAGE_SOURCE_LABELS[entering.source] || entering.source);
+    if (entering?.lockedAt) details.push('locked');
+    const lastOverride = registration.averageOverrides?.[registration.averageOverrides.length - 1];
+
+    return `
+        <span class="registration-meta">
+            Average: ${average ?? 'not set'}${details.length ? ` (${details.join(', ')})` : ''}
+            ${registration.averageScore && average !== registration.averageScore ? `<br>Entered: ${registration.averageScore}` : ''}
+            ${lastOverride ? `<br>Override: ${lastOverride.note}` : ''}
+        </span>
+        <button class="button registration-average-button" type="button" onclick="overrideEnteringAverage('${registration._id}', ${average ?? 'null'})">Override</button>
+    `;
+}
+
+function getSideEventNames(registration, tournamentsById) {
+    const tournament = tournamentsById[registration.tournament?._id];
+    const events = tournament?.sideEvents || [];
+    return (registration.sideEvents || []).map((key) => events.find((event) => event.key === key)?.name || key);
+}
+
+function renderSideEventMeta(registration, tournamentsById) {
+    const tournament = tournamentsById[registration.tournament?._id];
+    if (!tournament?.sideEvents?.length) return '';
+
+    const names = getSideEventNames(registration, tournamentsById);
+    return `
+        <span class="registration-meta">Side events: ${names.length ? names.join(', ') : 'none'}</span>
+        <button class="button registration-average-button" type="button" onclick="openSideEvents('${registration._id}')">Side Events</button>
+    `;
+}
+
+function renderWaitlistMeta(registration) {
+    if (registration.status !== 'waitlist') return '';
+
+    const expiresAt = registration.waitlist?.offerExpiresAt ? new Date(registration.waitlist.offerExpiresAt) : null;
+    if (expiresAt && expiresAt > new Date()) {
+        return `<span class="registration-meta">Spot offered, expires ${expiresAt.toLocaleString()}</span>`;
+    }
+    const joinedAt = registration.waitlist?.joinedAt || registration.registeredAt;
+    return `<span class="registration-meta">Waitlisted ${new Date(joinedAt).toLocaleString()}</span>`;
+}
+
 function renderRegistrationTableRow(registration, tournamentsById) {
     const squadNames = getSquadNames(registration, tournamentsById);
+    const divisionNames = getDivisionNames(registration, tournamentsById);
 
     return `
         <tr>
@@ -123,7 +224,11 @@ function renderRegistrationTableRow(registration, tournamentsById) {
                 <div class="registration-player">
                     <strong>${registration.playerName}</strong>
                     ${renderGenderBadge(registration.gender)}
-                    ${registration.averageScore ? `<span class="registration-meta">Average: ${registration.averageScore}</span>` : ''}
+                    ${divisionNames.length ? `<span class="registration-meta">Divisions: ${divisionNames.join(', ')}</span>` : ''}
+                    ${renderMembershipMeta(registration, tournamentsById)}
+                    ${renderAverageMeta(registration)}
+                    ${renderSideEventMeta(registration, tournamentsById)}
+                    ${renderWaitlistMeta(registration)}
                 </div>
             </td>
             <td>${registration.tournament?.name || 'N/A'}</td>
@@ -143,15 +248,17 @@ function renderRegistrationTableRow(registration, tournamentsById) {
                     <option value="deposit" ${registration.paymentStatus === 'deposit' ? 'selected' : ''}>Deposit</option>
                     <option value="paid" ${registration.paymentStatus === 'paid' ? 'selected' : ''}>Paid</option>
                 </select>
+                <div class="registration-player">${renderBalanceMeta(registration)}</div>
             </td>
             <td><span class="registration-date">${new Date(registration.registeredAt).toLocaleDateString()}</span></td>
-            <td><button class="btn-delete" onclick="deleteRegistration('${registration._id}')">Delete</button></td>
+            <td><button class="btn-delete" onclick="deleteRegistration('${registration._id}')">Cancel</button></td>
         </tr>
     `;
 }
 
 function renderRegistrationCard(registration, tournamentsById) {
     const squadNames = getSquadNames(registration, tournamentsById);
+    const divisionNames = getDivisionNames(registration, tournamentsById);
 
     return `
         <article class="registration-card">
@@ -159,7 +266,11 @@ function renderRegistrationCard(registration, tournamentsById) {
                 <div class="registration-player">
                     <strong>${registration.playerName}</strong>
                     ${renderGenderBadge(registration.gender)}
-                    ${registration.averageScore ? `<span class="registration-meta">Average: ${registration.averageScore}</span>` : ''}
+                    ${divisionNames.length ? `<span class="registration-meta">Divisions: ${divisionNames.join(', ')}</span>` : ''}
+                    ${renderMembershipMeta(registration, tournamentsById)}
+                    ${renderAverageMeta(registration)}
+                    ${renderSideEventMeta(registration, tournamentsById)}
+                    ${renderWaitlistMeta(registration)}
                 </div>
                 <span class="registration-date">${new Date(registration.registeredAt).toLocaleDateString()}</span>
             </div>
@@ -192,8 +303,12 @@ function renderRegistrationCard(registration, tournamentsById) {
                     <option value="paid" ${registration.paymentStatus === 'paid' ? 'selected' : ''}>Paid</option>
                 </select>
             </div>
+            <div class="registration-card-row">
+                <span class="registration-card-label">Balance</span>
+                <div class="registration-player">${renderBalanceMeta(registration)}</div>
+            </div>
             <div class="registration-card-actions">
-                <button class="btn-delete" onclick="deleteRegistration('${registration._id}')">Delete</button>
+                <button class="btn-delete" onclick="deleteRegistration('${registration._id}')">Cancel</button>
             </div>
         </article>
     `;
@@ -248,8 +363,533 @@ async function updatePaymentStatus(id, paymentStatus) {
 
 window.updatePaymentStatus = updatePaymentStatus;
 
+async function overrideEnteringAverage(id, currentAverage) {
+    const averageInput = prompt('Average to use for handicap:', currentAverage ?? '');
+    if (averageInput === null) return;
+
+    const average = parseInt(averageInput, 10);
+    if (Number.isNaN(average) || average < 0 || average > 300) {
+        alert('Average must be between 0 and 300');
+        return;
+    }
+
+    const note = prompt('Reason for the override (kept in the audit log):');
+    if (!note || !note.trim()) {
+        alert('A note is required to override an average');
+        return;
+    }
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/registrations/${id}/entering-average`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ average, note: note.trim() })
+        });
+
+        if (response.ok) {
+            loadRegistrations();
+        } else {
+            const errorData = await response.json().catch(() => ({}));
+            alert(`Failed to override average: ${errorData.error || response.status}`);
+        }
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function lockEnteringAverages() {
+    const tournamentId = regFilterSelect.value;
+    if (!tournamentId) {
+        alert('Choose a tournament first');
+        return;
+    }
+    if (!confirm('Lock every entering average for this tournament now? They will no longer follow the bowlers\' averages.')) return;
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/tournaments/${tournamentId}/entering-averages/lock`, {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+            alert(`Locked ${data.locked} average${data.locked === 1 ? '' : 's'}`);
+            loadRegistrations();
+        } else {
+            alert(`Failed to lock averages: ${data.error || response.status}`);
+        }
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function openLedger(id) {
+    const registration = loadedRegistrations.find((entry) => entry._id === id);
+    const panel = document.getElementById('ledgerPanel');
+
+    try {
+        const response = await fetch(`/api/registrations/${id}/ledger`);
+        const data = await response.json();
+        if (!response.ok) {
+            alert(`Failed to load ledger: ${data.error || response.status}`);
+            return;
+        }
+
+        const rows = data.entries.map((entry) => `
+            <tr>
+                <td><span class="registration-date">${new Date(entry.completedAt || entry.createdAt).toLocaleString()}</span></td>
+                <td>${entry.type === 'refund' ? 'Refund' : 'Payment'}</td>
+                <td>${PAYMENT_METHOD_LABELS[entry.method] || entry.method}</td>
+                <td>${entry.type === 'refund' ? '-' : ''}${formatMoney(entry.amount)} ${entry.currency}</td>
+                <td>${entry.status}</td>
+                <td>${entry.recordedBy || (entry.provider ? `${entry.provider} checkout` : '')}</td>
+                <td>${entry.note || ''}</td>
+            </tr>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="admin-section-heading">
+                <h3>Payment Ledger${registration ? ` - ${registration.playerName}` : ''}</h3>
+                <span class="admin-count-pill">${describeBalance(data.balance.balance)}</span>
+            </div>
+            <p class="registration-meta">
+                Due ${formatMoney(data.balance.due)} • Paid ${formatMoney(data.balance.paid)} • Refunded ${formatMoney(data.balance.refunded)}
+            </p>
+            <div class="registration-table-wrap">
+                <table class="registration-table">
+                    <thead>
+                        <tr>
+                            <th>Date</th>
+                            <th>Type</th>
+                            <th>Method</th>
+                            <th>Amount</th>
+                            <th>Status</th>
+                            <th>Recorded By</th>
+                            <th>Note</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || '<tr><td colspan="7">No payments recorded yet.</td></tr>'}
+                    </tbody>
+                </table>
+            </div>
+            <div class="admin-toolbar">
+                <div class="form-group">
+                    <label for="ledgerType">Type</label>
+                    <select id="ledgerType">
+                        <option value="payment">Payment</option>
+                        <option value="refund">Refund</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="ledgerMethod">Method</label>
+                    <select id="ledgerMethod">
+                        <option value="cash">Cash</option>
+                        <option value="bank_transfer">Bank transfer</option>
+                        <option value="card">Card</option>
+                        <option value="online">Online</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="ledgerAmount">Amount ($)</label>
+                    <input type="number" id="ledgerAmount" min="0" step="0.01" value="${data.balance.balance > 0 ? (data.balance.balance / 100).toFixed(2) : ''}">
+                </div>
+                <div class="form-group">
+                    <label for="ledgerNote">Note</label>
+                    <input type="text" id="ledgerNote" maxlength="500">
+                </div>
+                <div class="admin-toolbar-actions">
+                    <button class="button" type="button" onclick="recordLedgerEntry('${id}')">Record</button>
+                    <button class="button" type="button" onclick="closeLedger()">Close</button>
+                </div>
+            </div>
+        `;
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function closeLedger() {
+    const panel = document.getElementById('ledgerPanel');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
+async function recordLedgerEntry(id) {
+    const type = document.getElementById('ledgerType').value;
+    const amount = parseFloat(document.getElementById('ledgerAmount').value);
+    if (Number.isNaN(amount) || amount <= 0) {
+        alert('Enter an amount greater than zero');
+        return;
+    }
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/registrations/${id}/ledger`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                type,
+                method: document.getElementById('ledgerMethod').value,
+                amount,
+                note: document.getElementById('ledgerNote').value.trim()
+            })
+        });
+
+        if (response.ok) {
+            await loadRegistrations();
+            openLedger(id);
+        } else {
+            const errorData = await response.json().catch(() => ({}));
+            alert(`Failed to record ${type}: ${errorData.error || response.status}`);
+        }
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function fetchPaymentReport(tournamentId) {
+    const response = await fetch(`/api/tournaments/${tournamentId}/payments/report`);
+    const report = await response.json();
+    if (!response.ok) {
+        throw new Error(report.error || response.status);
+    }
+    return report;
+}
+
+async function loadPaymentReport() {
+    const tournamentId = regFilterSelect.value;
+    if (!tournamentId) {
+        alert('Choose a tournament first');
+        return;
+    }
+
+    const container = document.getElementById('paymentReport');
+    try {
+        const report = await fetchPaymentReport(tournamentId);
+        const methodRows = Object.entries(report.byMethod)
+            .filter(([, totals]) => totals.collected || totals.refunded)
+            .map(([method, totals]) => `
+                <tr>
+                    <td>${PAYMENT_METHOD_LABELS[method] || method}</td>
+                    <td>${formatMoney(totals.collected)}</td>
+                    <td>${formatMoney(totals.refunded)}</td>
+                </tr>
+            `).join('');
+
+        container.innerHTML = `
+            <div class="admin-section-heading">
+                <h3>Payments - ${report.tournament.name}</h3>
+                <span class="admin-count-pill">${report.currency}</span>
+            </div>
+            <div class="registration-table-wrap">
+                <table class="registration-table" style="min-width:0">
+                    <thead>
+                        <tr>
+                            <th>Expected</th>
+                            <th>Collected</th>
+                            <th>Refunded</th>
+                            <th>Net</th>
+                            <th>Outstanding</th>
+                            <th>Refunds Owed</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>${formatMoney(report.expected)}</td>
+                            <td>${formatMoney(report.collected)}</td>
+                            <td>${formatMoney(report.refunded)}</td>
+                            <td>${formatMoney(report.net)}</td>
+                            <td>${formatMoney(report.outstanding)}</td>
+                            <td>${formatMoney(report.refundsOwed)}</td>
+                        </tr>
+                    </tbody>
+                </table>
+            </div>
+            ${methodRows ? `
+                <div class="registration-table-wrap">
+                    <table class="registration-table" style="min-width:0">
+                        <thead>
+                            <tr>
+                                <th>Method</th>
+                                <th>Collected</th>
+                                <th>Refunded</th>
+                            </tr>
+                        </thead>
+                        <tbody>${methodRows}</tbody>
+                    </table>
+                </div>
+            ` : ''}
+        `;
+        container.style.display = 'block';
+    } catch (error) {
+        alert(`Failed to load payments report: ${error.message}`);
+    }
+}
+
+function openSideEvents(id) {
+    const registration = loadedRegistrations.find((entry) => entry._id === id);
+    const tournament = loadedTournamentsById[registration?.tournament?._id];
+    if (!registration || !tournament) return;
+
+    const panel = document.getElementById('sideEventPanel');
+    const options = (tournament.sideEvents || []).map((event) => `
+        <label style="display:flex;align-items:center;gap:8px">
+            <input type="checkbox" name="registrationSideEvents" value="${event.key}" style="width:auto;margin:0" ${(registration.sideEvents || []).includes(event.key) ? 'checked' : ''}>
+            <span>${event.name} ($${Number(event.entryFee).toFixed(2)})</span>
+        </label>
+    `).join('');
+
+    panel.innerHTML = `
+        <div class="admin-section-heading">
+            <h3>Side Events - ${registration.playerName}</h3>
+        </div>
+        <p class="registration-meta">Entry fees are added to the bowler's balance.</p>
+        <div style="display:grid;gap:8px;margin:12px 0">${options}</div>
+        <div class="admin-toolbar-actions">
+            <button class="button" type="button" onclick="saveSideEvents('${id}')">Save</button>
+            <button class="button" type="button" onclick="closeSideEvents()">Close</button>
+        </div>
+    `;
+    panel.style.display = 'block';
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function closeSideEvents() {
+    const panel = document.getElementById('sideEventPanel');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
+async function saveSideEvents(id) {
+    const sideEvents = Array.from(document.querySelectorAll('input[name="registrationSideEvents"]:checked')).map((input) => input.value);
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/registrations/${id}/side-events`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ sideEvents })
+        });
+
+        if (response.ok) {
+            closeSideEvents();
+            loadRegistrations();
+        } else {
+            const errorData = await response.json().catch(() => ({}));
+            alert(`Failed to update side events: ${errorData.error || response.status}`);
+        }
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function renderSideEventResult(event) {
+    const winnerRows = event.winners.map((winner) => `
+        <tr>
+            <td>${event.type === 'brackets' ? `Bracket ${winner.bracket} - ${winner.place === 1 ? 'Winner' : 'Runner-up'}` : `${winner.place}${winner.tied ? ' (tie)' : ''}`}</td>
+            <td>${winner.playerName}</td>
+            <td>${winner.score ?? ''}</td>
+            <td>$${winner.amount.toFixed(2)}</td>
+        </tr>
+    `).join('');
+    const bracketSummary = event.brackets.map((bracket) => (
+        `Bracket ${bracket.number}: ${bracket.status === 'complete' ? `${bracket.winner} def. ${bracket.runnerUp}` : 'in progress'}`
+    )).join('<br>');
+
+    return `
+        <div class="admin-section-heading">
+            <h3>${event.name}</h3>
+            <span class="admin-count-pill">${event.status === 'complete' ? 'Final' : 'In progress'}</span>
+        </div>
+        <p class="registration-meta">
+            ${event.entries} entries • Collected $${event.collected.toFixed(2)} • Paid out $${event.paidOut.toFixed(2)}
+            ${event.unfilled.length ? `<br>Not drawn (refund $${event.refundsDue.toFixed(2)}): ${event.unfilled.map((entry) => entry.playerName).join(', ')}` : ''}
+            ${bracketSummary ? `<br>${bracketSummary}` : ''}
+        </p>
+        <div class="registration-table-wrap">
+            <table class="registration-table" style="min-width:0">
+                <thead>
+                    <tr>
+                        <th>Place</th>
+                        <th>Bowler</th>
+                        <th>Score</th>
+                        <th>Payout</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${winnerRows || '<tr><td colspan="4">No winners yet.</td></tr>'}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+async function loadSideEventReport() {
+    const tournamentId = regFilterSelect.value;
+    if (!tournamentId) {
+        alert('Choose a tournament first');
+        return;
+    }
+
+    const container = document.getElementById('sideEventReport');
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/side-events/report`);
+        const report = await response.json();
+        if (!response.ok) {
+            throw new Error(report.error || response.status);
+        }
+
+        container.innerHTML = report.events.length
+            ? report.events.map(renderSideEventResult).join('')
+            : '<p class="admin-empty-state">This tournament has no side events.</p>';
+        container.style.display = 'block';
+    } catch (error) {
+        alert(`Failed to load side pots report: ${error.message}`);
+    }
+}
+
+// Opened from a registration, or from the toolbar to record a member
+// before they first register
+async function openMembership(id = null) {
+    const registration = id ? loadedRegistrations.find((entry) => entry._id === id) : null;
+    const panel = document.getElementById('membershipPanel');
+
+    panel.innerHTML = `
+        <div class="admin-section-heading">
+            <h3>Tour Membership</h3>
+            <span class="admin-count-pill" id="membershipState"></span>
+        </div>
+        <p class="registration-meta">Members-only divisions accept bowlers whose membership hasn't expired by the tournament start.</p>
+        <div class="admin-toolbar">
+            <div class="form-group">
+                <label for="membershipEmail">Email</label>
+                <input type="email" id="membershipEmail" onchange="lookupMembership()">
+            </div>
+            <div class="form-group">
+                <label for="membershipName">Name</label>
+                <input type="text" id="membershipName" maxlength="100">
+            </div>
+            <div class="form-group">
+                <label for="membershipNumber">Member Number</label>
+                <input type="text" id="membershipNumber" maxlength="40">
+            </div>
+            <div class="form-group">
+                <label for="membershipExpires">Expires</label>
+                <input type="date" id="membershipExpires">
+            </div>
+        </div>
+        <div class="admin-toolbar-actions">
+            <button class="button" type="button" onclick="saveMembership()">Save</button>
+            <button class="button" type="button" onclick="saveMembership(true)">Clear Membership</button>
+            <button class="button" type="button" onclick="closeMembership()">Close</button>
+        </div>
+    `;
+    panel.style.display = 'block';
+    panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+    if (registration) {
+        document.getElementById('membershipEmail').value = registration.email;
+        await lookupMembership();
+    }
+}
+
+async function lookupMembership() {
+    const email = document.getElementById('membershipEmail').value.trim();
+    const state = document.getElementById('membershipState');
+    if (!email) return;
+
+    try {
+        const response = await fetch(`/api/bowlers/membership?email=${encodeURIComponent(email)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            state.textContent = data.error || 'Lookup failed';
+            return;
+        }
+
+        const { membership } = data;
+        document.getElementById('membershipName').value = data.playerName;
+        // The name is only used to create a profile for someone without one
+        document.getElementById('membershipName').disabled = data.hasProfile;
+        document.getElementById('membershipNumber').value = membership?.number || '';
+        document.getElementById('membershipExpires').value = membership?.expiresAt ? membership.expiresAt.slice(0, 10) : '';
+        if (!membership) {
+            state.textContent = 'Not a member';
+        } else if (membership.expiresAt && new Date(membership.expiresAt) < new Date()) {
+            state.textContent = `Expired ${new Date(membership.expiresAt).toLocaleDateString()}`;
+        } else {
+            state.textContent = membership.expiresAt ? `Member until ${new Date(membership.expiresAt).toLocaleDateString()}` : 'Member';
+        }
+    } catch (error) {
+        state.textContent = `Error: ${error.message}`;
+    }
+}
+
+async function saveMembership(clear = false) {
+    const email = document.getElementById('membershipEmail').value.trim();
+    const number = clear ? '' : document.getElementById('membershipNumber').value.trim();
+    if (!email) {
+        alert('Enter the bowler\'s email');
+        return;
+    }
+    if (!clear && !number) {
+        alert('Enter a member number, or use Clear Membership');
+        return;
+    }
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch('/api/bowlers/membership', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({
+                email,
+                playerName: document.getElementById('membershipName').value.trim(),
+                number,
+                expiresAt: clear ? null : document.getElementById('membershipExpires').value || null
+            })
+        });
+
+        if (response.ok) {
+            await lookupMembership();
+        } else {
+            const errorData = await response.json().catch(() => ({}));
+            alert(`Failed to save membership: ${errorData.error || response.status}`);
+        }
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function closeMembership() {
+    const panel = document.getElementById('membershipPanel');
+    panel.style.display = 'none';
+    panel.innerHTML = '';
+}
+
 async function deleteRegistration(id) {
-    if (!confirm('Are you sure you want to delete this registration?')) return;
+    if (!confirm('Cancel this registration? It stays on record with its payments.')) return;
 
     try {
         await ensureCsrfToken();
@@ -262,7 +902,7 @@ async function deleteRegistration(id) {
         if (response.ok) {
             loadRegistrations();
         } else {
-            alert('Failed to delete registration');
+            alert('Failed to cancel registration');
         }
     } catch (error) {
         alert(`Error: ${error.message}`);
@@ -289,19 +929,42 @@ async function exportRegistrations() {
             tournamentsById[tournament._id] = tournament;
         });
 
-        const headers = ['Player Name', 'Email', 'Phone', 'Tournament', 'Squads', 'Average Score', 'Status', 'Notes', 'Registered Date'];
+        const headers = ['Player Name', 'Email', 'Phone', 'Tournament', 'Squads', 'Divisions', 'Date of Birth', 'Average Score', 'Entering Average', 'Average Source', 'Status', 'Payment Status', 'Amount Due', 'Paid', 'Refunded', 'Balance', 'Notes', 'Registered Date'];
         const rows = registrations.map((registration) => [
             registration.playerName,
             registration.email,
             registration.phone,
             registration.tournament?.name || '',
             getSquadNames(registration, tournamentsById).join('; '),
+            getDivisionNames(registration, tournamentsById).join('; '),
+            registration.dateOfBirth ? new Date(registration.dateOfBirth).toLocaleDateString() : '',
             registration.averageScore || '',
+            registration.enteringAverage?.value ?? '',
+            registration.enteringAverage?.source || '',
             registration.status,
+            registration.paymentStatus || '',
+            formatMoney(registration.balance?.due),
+            formatMoney(registration.balance?.paid),
+            formatMoney(registration.balance?.refunded),
+            formatMoney(registration.balance?.balance),
             registration.notes || '',
             new Date(registration.registeredAt).toLocaleDateString()
         ]);
 
+        // Reconciliation totals for a single tournament
+        if (tournamentId) {
+            const report = await fetchPaymentReport(tournamentId);
+            rows.push(
+                [],
+                ['Expected', formatMoney(report.expected)],
+                ['Collected', formatMoney(report.collected)],
+                ['Refunded', formatMoney(report.refunded)],
+                ['Net', formatMoney(report.net)],
+                ['Outstanding', formatMoney(report.outstanding)],
+                ['Refunds Owed', formatMoney(report.refundsOwed)]
+            );
+        }
+
         const csvContent = [headers, ...rows]
             .map((row) => row.map((cell) => `"${String(cell).replace(/"/g, '""')}"`).join(','))
             .join('\n');
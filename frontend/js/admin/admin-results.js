@@ -5,11 +5,30 @@
 let csrfToken = null;
 const resultsTournamentFilter = document.getElementById('resultsTournamentFilter');
 let currentTournamentForResults = null;
+let currentRegistrationsById = new Map();
 const MATCH_STAGE_TYPES = new Set(['round_robin', 'tri_matchplay', 'elimination', 'stepladder']);
+const MATCH_FORMAT_GAMES = {
+    'single-game': 1,
+    'best-of-3': 3,
+    'best-of-5': 5,
+    'total-pinfall-2': 2,
+    'total-pinfall-3': 3
+};
+
+let scoreImportCsv = '';
+let scoreImportResolutions = {};
 
 loadTournamentsForDropdown();
 resultsTournamentFilter.addEventListener('change', loadTournamentResults);
 
+// Helper function to escape HTML and prevent XSS
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 async function ensureCsrfToken() {
     if (csrfToken) return;
     const csrfResponse = await fetch('/api/csrf-token');
@@ -49,6 +68,7 @@ async function loadTournamentResults() {
 
         const regRes = await fetch(`/api/registrations?tournamentId=${tournamentId}`);
         const registrations = await regRes.json();
+        currentRegistrationsById = new Map(registrations.map((registration) => [registration._id, registration]));
 
         if (registrations.length === 0) {
             container.innerHTML = '<p class="admin-empty-state">No registrations for this tournament.</p>';
@@ -60,6 +80,13 @@ async function loadTournamentResults() {
         } else {
             renderSingleStageResults(registrations);
         }
+
+        const prizeFund = currentTournamentForResults.prizeFund;
+        if (prizeFund?.places?.length || prizeFund?.divisionPools?.length) {
+            container.insertAdjacentHTML('beforeend', renderPrizeFundSection());
+        }
+        container.insertAdjacentHTML('beforeend', renderScoreImportSection());
+        container.insertAdjacentHTML('beforeend', renderScorekeeperSection());
     } catch (error) {
         console.error('Error loading results:', error);
         container.innerHTML = '<p class="admin-empty-state">Failed to load tournament data.</p>';
@@ -89,14 +116,17 @@ function renderStagedResults(registrations) {
         const stageId = `stage-${stageIndex}`;
         let stageContent = '';
 
-        if (stageIndex === 0 && currentTournamentForResults.squads?.length > 0) {
+        if (MATCH_STAGE_TYPES.has(stage.type)) {
+            stageContent += renderMatchplayStage(stageIndex);
+        } else if (stageIndex === 0 && currentTournamentForResults.squads?.length > 0) {
+            const squadBlocks = stage.type === 'qualifying';
             currentTournamentForResults.squads.forEach((squad) => {
                 const squadPlayers = stagePlayers.filter((registration) =>
                     registration.assignedSquads?.some((squadId) => squadId.toString() === squad._id.toString())
                 );
 
                 if (squadPlayers.length > 0) {
-                    stageContent += renderStageTable(squadPlayers, stageIndex, stage.games, squad.name);
+                    stageContent += renderStageTable(squadPlayers, stageIndex, stage.games, squad.name, squadBlocks ? squad._id : null);
                 }
             });
         } else {
@@ -115,20 +145,19 @@ function renderStagedResults(registrations) {
                 </button>
                 <div id="${stageId}-content" class="results-stage-content" style="display:${hasCurrentPlayers ? 'block' : 'none'}">
                     ${stageContent}
+                    ${stages[stageIndex + 1] ? renderAdvanceControls(stage, stageIndex, stages[stageIndex + 1]) : ''}
                 </div>
             </section>
         `;
     });
 
-    html += `
-        <div class="results-advance">
-            <button class="button" type="button" onclick="advancePlayersToNextStage()">Auto-Advance Qualified Players</button>
-            <p>Automatically moves top players to the next stages based on your format rules.</p>
-        </div>
-    `;
-
     container.innerHTML = html;
     loadExistingStageScores(registrations);
+    stages.forEach((stage, stageIndex) => {
+        if (document.getElementById(`matches-${stageIndex}`)) {
+            loadStageMatches(stageIndex);
+        }
+    });
 }
 
 function renderWaitingStage(stage, previousStageName) {
@@ -171,7 +200,7 @@ function renderSingleStageResults(registrations) {
             );
 
             if (squadPlayers.length > 0) {
-                innerContent += renderStageTable(squadPlayers, 0, gamesCount, squad.name);
+                innerContent += renderStageTable(squadPlayers, 0, gamesCount, squad.name, squad._id);
             }
         });
     } else {
@@ -196,7 +225,12 @@ function renderSingleStageResults(registrations) {
     loadExistingStageScores(registrations);
 }
 
-function renderStageTable(players, stageIndex, gamesCount, squadName = null) {
+// Row key for a bowler's scores in a stage; squad-based qualifying keeps one row per block
+function getStageRowKey(regId, stageIndex, squadId = null) {
+    return squadId ? `${regId}-${stageIndex}-${squadId}` : `${regId}-${stageIndex}`;
+}
+
+function renderStageTable(players, stageIndex, gamesCount, squadName = null, squadId = null) {
     const gameHeaders = Array.from({ length: gamesCount }, (_, gameIndex) => `<th>G${gameIndex + 1}</th>`).join('');
     const hasCarryover = stageIndex > 0 && currentTournamentForResults.format?.stages?.[stageIndex]?.carryoverPinfall;
 
@@ -216,7 +250,7 @@ function renderStageTable(players, stageIndex, gamesCount, squadName = null) {
                         </tr>
                     </thead>
                     <tbody>
-                        ${players.map((registration) => renderPlayerStageRow(registration, stageIndex, gamesCount, hasCarryover)).join('')}
+                        ${players.map((registration) => renderPlayerStageRow(registration, stageIndex, gamesCount, hasCarryover, squadId)).join('')}
                     </tbody>
                 </table>
             </div>
@@ -246,65 +280,115 @@ function stageUsesMatchBonus(stageIndex) {
     return MATCH_STAGE_TYPES.has(stage?.type) || Boolean(stage?.matchPlaySettings);
 }
 
-function renderPlayerStageRow(registration, stageIndex, gamesCount, hasCarryover) {
+function renderPlayerStageRow(registration, stageIndex, gamesCount, hasCarryover, squadId = null) {
     const allowBonusFlags = stageUsesMatchBonus(stageIndex);
+    const rowKey = getStageRowKey(registration._id, stageIndex, squadId);
+    const squadArg = squadId ? `, '${squadId}'` : '';
     const gameInputs = Array.from({ length: gamesCount }, (_, gameIndex) => `
         <td>
             <input type="number"
                 class="results-score-input"
-                id="score-${registration._id}-${stageIndex}-${gameIndex}"
+                id="score-${rowKey}-${gameIndex}"
                 min="0"
                 max="300"
                 placeholder="-"
-                onblur="saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount})"
-                oninput="updateStageRowTotal('${registration._id}', ${stageIndex}, ${gamesCount})">
+                onblur="saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount}${squadArg})"
+                oninput="updateStageRowTotal('${registration._id}', ${stageIndex}, ${gamesCount}${squadArg})">
             <div class="results-bonus-flags">
                 <label class="is-win">
                     <input type="checkbox"
-                        id="win-${registration._id}-${stageIndex}-${gameIndex}"
+                        id="win-${rowKey}-${gameIndex}"
                         ${allowBonusFlags ? '' : 'disabled'}
-                        onchange="handleMatchplayChange('${registration._id}', ${stageIndex}, ${gameIndex}, 'win'); saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount})">W
+                        onchange="handleMatchplayChange('${registration._id}', ${stageIndex}, ${gameIndex}, 'win'${squadArg}); saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount}${squadArg})">W
                 </label>
                 <label class="is-tie">
                     <input type="checkbox"
-                        id="tie-${registration._id}-${stageIndex}-${gameIndex}"
+                        id="tie-${rowKey}-${gameIndex}"
                         ${allowBonusFlags ? '' : 'disabled'}
-                        onchange="handleMatchplayChange('${registration._id}', ${stageIndex}, ${gameIndex}, 'tie'); saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount})">T
+                        onchange="handleMatchplayChange('${registration._id}', ${stageIndex}, ${gameIndex}, 'tie'${squadArg}); saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount}${squadArg})">T
                 </label>
             </div>
         </td>
     `).join('');
 
-    let totalHandicap = 0;
-    if (currentTournamentForResults.format?.useHandicap) {
-        const baseScore = currentTournamentForResults.format.handicapBase || 220;
-        const handicapPct = currentTournamentForResults.format.handicapPercentage || 90;
-        const averageScore = registration.averageScore || 180;
-        const handicapPerGame = averageScore < baseScore ? Math.round((baseScore - averageScore) * (handicapPct / 100)) : 0;
-        const femaleBonus = (registration.gender === 'female' && !currentTournamentForResults.format.separateDivisions)
-            ? (currentTournamentForResults.format.femaleHandicapPins || 8)
-            : 0;
-        totalHandicap = handicapPerGame + femaleBonus;
-    }
+    const frameInputs = Array.from({ length: gamesCount }, (_, gameIndex) => `
+        <label class="results-frames-game">
+            <span>G${gameIndex + 1}</span>
+            <input type="text"
+                class="results-frames-input"
+                id="frames-${rowKey}-${gameIndex}"
+                placeholder="X 7/ 9- X ..."
+                autocomplete="off"
+                oninput="applyFrameNotation('${registration._id}', ${stageIndex}, ${gamesCount}, ${gameIndex}${squadArg})"
+                onblur="saveStageScores('${registration._id}', ${stageIndex}, ${gamesCount}${squadArg})">
+            <small id="frames-note-${rowKey}-${gameIndex}"></small>
+        </label>
+    `).join('');
+
+    const format = getRegistrationFormat(currentTournamentForResults.format, registration);
+    const totalHandicap = getHandicapPerGame(format, registration).perGame;
+    const columnCount = gamesCount + (hasCarryover ? 5 : 4);
 
     return `
-        <tr class="results-row" id="row-${registration._id}-${stageIndex}">
+        <tr class="results-row" id="row-${rowKey}">
             <td class="results-player">
                 ${registration.playerName}
                 ${totalHandicap > 0 ? `<small>+${totalHandicap}/game handicap</small>` : ''}
+                ${squadId ? `<small class="results-entry-status" id="counts-${rowKey}"></small>` : ''}
+                <button type="button" class="results-frames-toggle" onclick="toggleFrameRow('${rowKey}')">Frames</button>
             </td>
-            ${hasCarryover ? `<td class="results-calc is-accent" id="carryover-${registration._id}-${stageIndex}">-</td>` : ''}
+            ${hasCarryover ? `<td class="results-calc is-accent" id="carryover-${rowKey}">-</td>` : ''}
             ${gameInputs}
-            <td class="results-calc" id="scratch-${registration._id}-${stageIndex}">-</td>
-            <td class="results-calc is-accent" id="total-${registration._id}-${stageIndex}">-</td>
-            <td class="results-calc" id="avg-${registration._id}-${stageIndex}">-</td>
+            <td class="results-calc" id="scratch-${rowKey}">-</td>
+            <td class="results-calc is-accent" id="total-${rowKey}">-</td>
+            <td class="results-calc" id="avg-${rowKey}">-</td>
+        </tr>
+        <tr class="results-frames-row" id="frames-row-${rowKey}" hidden>
+            <td colspan="${columnCount}">
+                <div class="results-frames">${frameInputs}</div>
+            </td>
         </tr>
     `;
 }
 
-function handleMatchplayChange(regId, stageIndex, gameIndex, type) {
-    const winCheckbox = document.getElementById(`win-${regId}-${stageIndex}-${gameIndex}`);
-    const tieCheckbox = document.getElementById(`tie-${regId}-${stageIndex}-${gameIndex}`);
+function toggleFrameRow(rowKey) {
+    const frameRow = document.getElementById(`frames-row-${rowKey}`);
+    if (frameRow) frameRow.hidden = !frameRow.hidden;
+}
+
+// Score a game from its frame notation; the game total follows the frames
+function applyFrameNotation(regId, stageIndex, gamesCount, gameIndex, squadId = null) {
+    const rowKey = getStageRowKey(regId, stageIndex, squadId);
+    const frameInput = document.getElementById(`frames-${rowKey}-${gameIndex}`);
+    const scoreInput = document.getElementById(`score-${rowKey}-${gameIndex}`);
+    const note = document.getElementById(`frames-note-${rowKey}-${gameIndex}`);
+    if (!frameInput || !scoreInput) return;
+
+    frameInput.classList.remove('is-invalid');
+    if (!frameInput.value.trim()) {
+        scoreInput.readOnly = false;
+        note.textContent = '';
+        return;
+    }
+
+    const parsed = parseFrameNotation(frameInput.value);
+    if (parsed.error) {
+        frameInput.classList.add('is-invalid');
+        note.textContent = parsed.error;
+        return;
+    }
+
+    const { total, complete } = scoreFrames(parsed.frames);
+    scoreInput.value = total;
+    scoreInput.readOnly = true;
+    note.textContent = complete ? `${total}` : `${total} after ${parsed.frames.length} frames`;
+    updateStageRowTotal(regId, stageIndex, gamesCount, squadId);
+}
+
+function handleMatchplayChange(regId, stageIndex, gameIndex, type, squadId = null) {
+    const rowKey = getStageRowKey(regId, stageIndex, squadId);
+    const winCheckbox = document.getElementById(`win-${rowKey}-${gameIndex}`);
+    const tieCheckbox = document.getElementById(`tie-${rowKey}-${gameIndex}`);
 
     if (type === 'win' && winCheckbox.checked) {
         tieCheckbox.checked = false;
@@ -313,74 +397,84 @@ function handleMatchplayChange(regId, stageIndex, gameIndex, type) {
     }
 }
 
-function updateStageRowTotal(regId, stageIndex, gamesCount) {
-    let scratchTotal = 0;
-    let bonusTotal = 0;
-    let gameCount = 0;
+function updateStageRowTotal(regId, stageIndex, gamesCount, squadId = null) {
+    const scores = [];
+    const bonusPins = [];
     const matchSettings = getStageMatchPlaySettings(stageIndex);
+    const rowKey = getStageRowKey(regId, stageIndex, squadId);
 
-    const row = document.getElementById(`row-${regId}-${stageIndex}`);
+    const row = document.getElementById(`row-${rowKey}`);
     if (!row) return;
 
-    const handicapMatch = row.textContent.match(/\+(\d+)\/game handicap/);
-    const handicapPerGame = handicapMatch ? parseInt(handicapMatch[1], 10) : 0;
-
     for (let gameIndex = 0; gameIndex < gamesCount; gameIndex++) {
-        const input = document.getElementById(`score-${regId}-${stageIndex}-${gameIndex}`);
+        const input = document.getElementById(`score-${rowKey}-${gameIndex}`);
         const value = parseInt(input?.value, 10);
 
         if (!Number.isNaN(value) && value > 0) {
-            scratchTotal += value;
-            gameCount += 1;
+            scores.push(value);
 
-            const winCheckbox = document.getElementById(`win-${regId}-${stageIndex}-${gameIndex}`);
-            const tieCheckbox = document.getElementById(`tie-${regId}-${stageIndex}-${gameIndex}`);
+            const winCheckbox = document.getElementById(`win-${rowKey}-${gameIndex}`);
+            const tieCheckbox = document.getElementById(`tie-${rowKey}-${gameIndex}`);
 
             if (winCheckbox?.checked) {
-                bonusTotal += matchSettings.pointsForWin;
+                bonusPins.push(matchSettings.pointsForWin);
             } else if (tieCheckbox?.checked) {
-                bonusTotal += matchSettings.pointsForTie;
+                bonusPins.push(matchSettings.pointsForTie);
+            } else {
+                bonusPins.push(0);
             }
         }
     }
 
-    const handicapTotal = handicapPerGame * gameCount;
-    const carryoverEl = document.getElementById(`carryover-${regId}-${stageIndex}`);
+    const carryoverEl = document.getElementById(`carryover-${rowKey}`);
     const carryover = carryoverEl ? parseInt(carryoverEl.textContent, 10) || 0 : 0;
 
-    const scratchEl = document.getElementById(`scratch-${regId}-${stageIndex}`);
-    const totalEl = document.getElementById(`total-${regId}-${stageIndex}`);
-    const avgEl = document.getElementById(`avg-${regId}-${stageIndex}`);
+    const scratchEl = document.getElementById(`scratch-${rowKey}`);
+    const totalEl = document.getElementById(`total-${rowKey}`);
+    const avgEl = document.getElementById(`avg-${rowKey}`);
 
     if (!scratchEl || !totalEl || !avgEl) return;
 
-    const scratchWithCarry = scratchTotal + carryover;
-    const grandTotal = scratchTotal + handicapTotal + bonusTotal + carryover;
-
-    scratchEl.textContent = gameCount > 0 ? scratchWithCarry : '-';
-    totalEl.textContent = gameCount > 0 ? grandTotal : '-';
-    avgEl.textContent = gameCount > 0 ? Math.round(scratchTotal / gameCount) : '-';
+    // Same breakdown the results API uses, so the admin totals always match
+    const registration = currentRegistrationsById.get(regId);
+    const breakdown = calculateScoreBreakdown(
+        getRegistrationFormat(currentTournamentForResults.format, registration),
+        registration,
+        { scores, bonusPins, carryover }
+    );
+    const hasScores = breakdown.gamesPlayed > 0;
+
+    scratchEl.textContent = hasScores ? breakdown.scratchTotal + breakdown.carryover : '-';
+    totalEl.textContent = hasScores ? breakdown.total : '-';
+    avgEl.textContent = hasScores ? breakdown.average : '-';
 }
 
-async function saveStageScores(regId, stageIndex, gamesCount) {
+async function saveStageScores(regId, stageIndex, gamesCount, squadId = null) {
     await ensureCsrfToken();
 
     const scores = [];
     const bonusPins = [];
+    const frames = [];
     const matchSettings = getStageMatchPlaySettings(stageIndex);
-    const row = document.getElementById(`row-${regId}-${stageIndex}`);
-    const handicapMatch = row?.textContent.match(/\+(\d+)\/game handicap/);
-    const handicap = handicapMatch ? parseInt(handicapMatch[1], 10) : 0;
+    const rowKey = getStageRowKey(regId, stageIndex, squadId);
+    const registration = currentRegistrationsById.get(regId);
+    const handicap = getHandicapPerGame(getRegistrationFormat(currentTournamentForResults.format, registration), registration).perGame;
 
     for (let gameIndex = 0; gameIndex < gamesCount; gameIndex++) {
-        const input = document.getElementById(`score-${regId}-${stageIndex}-${gameIndex}`);
+        const input = document.getElementById(`score-${rowKey}-${gameIndex}`);
         const value = parseInt(input?.value, 10);
 
+        // Frames that don't follow the rules are left for the admin to fix
+        const notation = document.getElementById(`frames-${rowKey}-${gameIndex}`)?.value.trim();
+        const parsed = notation ? parseFrameNotation(notation) : null;
+        if (parsed?.error) return;
+
         if (!Number.isNaN(value) && value > 0) {
             scores.push(value);
+            frames.push(parsed ? parsed.frames : []);
 
-            const winCheckbox = document.getElementById(`win-${regId}-${stageIndex}-${gameIndex}`);
-            const tieCheckbox = document.getElementById(`tie-${regId}-${stageIndex}-${gameIndex}`);
+            const winCheckbox = document.getElementById(`win-${rowKey}-${gameIndex}`);
+            const tieCheckbox = document.getElementById(`tie-${rowKey}-${gameIndex}`);
             let bonus = 0;
             if (winCheckbox?.checked) bonus = matchSettings.pointsForWin;
             if (tieCheckbox?.checked) bonus = matchSettings.pointsForTie;
@@ -399,16 +493,19 @@ async function saveStageScores(regId, stageIndex, gamesCount) {
             },
             credentials: 'same-origin',
             body: JSON.stringify({
-                stageScores: { stageIndex, scores, bonusPins, handicap }
+                stageScores: { stageIndex, scores, bonusPins, handicap, frames, ...(squadId ? { squad: squadId } : {}) }
             })
         });
 
         if (response.ok) {
-            const activeRow = document.getElementById(`row-${regId}-${stageIndex}`);
+            const activeRow = document.getElementById(`row-${rowKey}`);
             if (activeRow) {
                 activeRow.classList.add('is-saved');
                 setTimeout(() => activeRow.classList.remove('is-saved'), 700);
             }
+            if (squadId) {
+                showCountingEntries(await response.json());
+            }
         } else {
             const error = await response.json();
             alert(`Failed to save scores: ${error.error}`);
@@ -418,116 +515,926 @@ async function saveStageScores(regId, stageIndex, gamesCount) {
     }
 }
 
-async function loadExistingStageScores(registrations) {
-    for (const registration of registrations) {
-        if (!registration.stageScores || registration.stageScores.length === 0) continue;
+function fillStageRow(regId, stageIndex, stageData, squadId = null) {
+    const rowKey = getStageRowKey(regId, stageIndex, squadId);
 
-        registration.stageScores.forEach((stageData) => {
-            const stageIndex = stageData.stageIndex;
+    if (stageData.carryover) {
+        const carryoverEl = document.getElementById(`carryover-${rowKey}`);
+        if (carryoverEl) {
+            carryoverEl.textContent = stageData.carryover;
+        }
+    }
 
-            if (stageData.carryover) {
-                const carryoverEl = document.getElementById(`carryover-${registration._id}-${stageIndex}`);
-                if (carryoverEl) {
-                    carryoverEl.textContent = stageData.carryover;
+    if (stageData.scores && stageData.scores.length > 0) {
+        stageData.scores.forEach((score, gameIndex) => {
+            const input = document.getElementById(`score-${rowKey}-${gameIndex}`);
+            if (input) {
+                input.value = score;
+
+                const gameFrames = stageData.frames?.[gameIndex];
+                const frameInput = document.getElementById(`frames-${rowKey}-${gameIndex}`);
+                if (frameInput && gameFrames?.length > 0) {
+                    frameInput.value = formatFrameNotation(gameFrames);
+                    input.readOnly = true;
+                    document.getElementById(`frames-row-${rowKey}`).hidden = false;
                 }
-            }
 
-            if (stageData.scores && stageData.scores.length > 0) {
-                stageData.scores.forEach((score, gameIndex) => {
-                    const input = document.getElementById(`score-${registration._id}-${stageIndex}-${gameIndex}`);
-                    if (input) {
-                        input.value = score;
-
-                        if (stageData.bonusPins && stageData.bonusPins[gameIndex]) {
-                            if (stageData.bonusPins[gameIndex] === 30) {
-                                const winCheckbox = document.getElementById(`win-${registration._id}-${stageIndex}-${gameIndex}`);
-                                if (winCheckbox) winCheckbox.checked = true;
-                            } else if (stageData.bonusPins[gameIndex] === 15) {
-                                const tieCheckbox = document.getElementById(`tie-${registration._id}-${stageIndex}-${gameIndex}`);
-                                if (tieCheckbox) tieCheckbox.checked = true;
-                            }
-                        }
+                if (stageData.bonusPins && stageData.bonusPins[gameIndex]) {
+                    if (stageData.bonusPins[gameIndex] === 30) {
+                        const winCheckbox = document.getElementById(`win-${rowKey}-${gameIndex}`);
+                        if (winCheckbox) winCheckbox.checked = true;
+                    } else if (stageData.bonusPins[gameIndex] === 15) {
+                        const tieCheckbox = document.getElementById(`tie-${rowKey}-${gameIndex}`);
+                        if (tieCheckbox) tieCheckbox.checked = true;
                     }
-                });
+                }
+            }
+        });
+
+        const stage = currentTournamentForResults.format?.stages?.[stageIndex];
+        const expectedGames = stage?.games || currentTournamentForResults.format?.gamesPerBowler || 6;
+        updateStageRowTotal(regId, stageIndex, expectedGames, squadId);
+    }
+}
+
+// Mark which of a bowler's qualifying blocks count towards their total
+function showCountingEntries(registration) {
+    (registration.qualifyingEntries || []).forEach((entry) => {
+        const rowKey = getStageRowKey(registration._id, entry.stageIndex, entry.squad);
+        const statusEl = document.getElementById(`counts-${rowKey}`);
+        if (!statusEl) return;
+        statusEl.textContent = entry.counts ? 'Counts' : 'Not counting';
+        statusEl.classList.toggle('is-counting', entry.counts);
+    });
+}
 
-                const stage = currentTournamentForResults.format?.stages?.[stageIndex];
-                const expectedGames = stage?.games || currentTournamentForResults.format?.gamesPerBowler || 6;
-                updateStageRowTotal(registration._id, stageIndex, expectedGames);
+async function loadExistingStageScores(registrations) {
+    for (const registration of registrations) {
+        const hasEntries = registration.qualifyingEntries?.length > 0;
+        if (!hasEntries && (!registration.stageScores || registration.stageScores.length === 0)) continue;
+
+        (registration.stageScores || []).forEach((stageData) => {
+            fillStageRow(registration._id, stageData.stageIndex, stageData);
+
+            // Scores entered before blocks were tracked show in the first squad
+            const firstSquad = registration.assignedSquads?.[0];
+            const isBlockStage = firstSquad && document.getElementById(`row-${getStageRowKey(registration._id, stageData.stageIndex, firstSquad)}`);
+            const hasStageEntries = registration.qualifyingEntries?.some((entry) => entry.stageIndex === stageData.stageIndex);
+            if (isBlockStage && !hasStageEntries) {
+                fillStageRow(registration._id, stageData.stageIndex, stageData, firstSquad);
             }
         });
+
+        (registration.qualifyingEntries || []).forEach((entry) => {
+            fillStageRow(registration._id, entry.stageIndex, entry, entry.squad);
+        });
+        showCountingEntries(registration);
     }
 }
 
-async function advancePlayersToNextStage() {
+function renderAdvanceControls(stage, stageIndex, nextStage) {
+    const cutNote = stage.advancingBowlers
+        ? `Top ${stage.advancingBowlers} move on to ${nextStage.name}${nextStage.carryoverPinfall ? ` carrying ${nextStage.carryoverPercentage ?? 100}% of their total` : ''}.`
+        : `Everyone still in this stage moves on to ${nextStage.name}.`;
+
+    return `
+        <div class="results-advance">
+            <button class="button" type="button" onclick="advancePlayersToNextStage(${stageIndex})">Advance to ${nextStage.name}</button>
+            <button class="button" type="button" onclick="undoStageAdvancement(${stageIndex})">Undo Advancement</button>
+            <p>${cutNote}</p>
+        </div>
+    `;
+}
+
+async function postStageAdvance(stageIndex, path, body) {
+    await ensureCsrfToken();
+    const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/stages/${stageIndex}/${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function advancePlayersToNextStage(stageIndex) {
     if (!currentTournamentForResults) return;
+    const nextStage = currentTournamentForResults.format.stages[stageIndex + 1];
 
-    const stages = currentTournamentForResults.format?.stages;
-    if (!stages || stages.length <= 1) {
-        alert('This tournament does not have multiple stages');
-        return;
+    try {
+        const preview = await postStageAdvance(stageIndex, 'advance', { dryRun: true });
+
+        if (preview.rollOffRequired.length > 0) {
+            const recorded = await recordRollOff(stageIndex, preview.rollOffRequired);
+            if (recorded) advancePlayersToNextStage(stageIndex);
+            return;
+        }
+
+        if (preview.advancing.length === 0) {
+            alert('No players ready to advance. Make sure all games are complete for this stage.');
+            return;
+        }
+
+        const names = preview.advancing
+            .map((bowler) => `${bowler.division ? `[${getDivisionName(bowler.division)}] ` : ''}${bowler.position}. ${bowler.playerName}${bowler.carryover ? ` (carries ${bowler.carryover})` : ''}`)
+            .join('\n');
+        const waiting = preview.incomplete.length > 0
+            ? `\n\n${preview.incomplete.length} bowler(s) have unfinished games and were left out.`
+            : '';
+
+        if (!confirm(`Advance ${preview.advancing.length} player(s) to ${nextStage.name}?\n\n${names}${waiting}`)) return;
+
+        const data = await postStageAdvance(stageIndex, 'advance', { dryRun: false });
+        alert(data.message);
+        loadTournamentResults();
+    } catch (error) {
+        console.error('Error advancing players:', error);
+        alert(`Failed to advance players: ${error.message}`);
+    }
+}
+
+// Ask for the finishing order of a roll-off between bowlers tied on the cut line
+async function recordRollOff(stageIndex, tiedBowlers) {
+    const list = tiedBowlers.map((bowler, bowlerIndex) => `${bowlerIndex + 1}. ${bowler.playerName} (${bowler.total})`).join('\n');
+    const answer = prompt(`These bowlers are tied on the cut line and need a roll-off:\n\n${list}\n\nEnter their finishing order by number, winner first (e.g. 2,1):`);
+    if (!answer) return false;
+
+    const order = answer.split(',').map((value) => parseInt(value.trim(), 10) - 1);
+    const valid = order.length === tiedBowlers.length &&
+        new Set(order).size === order.length &&
+        order.every((bowlerIndex) => tiedBowlers[bowlerIndex]);
+    if (!valid) {
+        alert('Please list every tied bowler exactly once.');
+        return false;
     }
 
     try {
-        await ensureCsrfToken();
-        const regRes = await fetch(`/api/registrations?tournamentId=${currentTournamentForResults._id}`);
-        const registrations = await regRes.json();
-        let advancedCount = 0;
+        await postStageAdvance(stageIndex, 'roll-offs', {
+            registrations: order.map((bowlerIndex) => tiedBowlers[bowlerIndex].registration)
+        });
+        return true;
+    } catch (error) {
+        console.error('Error recording roll-off:', error);
+        alert(`Failed to record roll-off: ${error.message}`);
+        return false;
+    }
+}
 
-        for (let stageIndex = 0; stageIndex < stages.length - 1; stageIndex++) {
-            const stage = stages[stageIndex];
-            const nextStage = stages[stageIndex + 1];
+async function undoStageAdvancement(stageIndex) {
+    if (!currentTournamentForResults) return;
+    if (!confirm('Move the bowlers who advanced from this stage back?')) return;
 
-            if (!stage.advancingBowlers) continue;
+    try {
+        const data = await postStageAdvance(stageIndex, 'advance/undo', {});
+        alert(data.message);
+        loadTournamentResults();
+    } catch (error) {
+        console.error('Error undoing advancement:', error);
+        alert(`Failed to undo advancement: ${error.message}`);
+    }
+}
+
+// ==================== MATCHPLAY STAGES ====================
+
+const MATCH_GENERATORS = {
+    round_robin: {
+        path: 'round-robin',
+        label: 'Schedule',
+        help: 'Pairs every bowler in this stage for the configured number of matches.'
+    },
+    tri_matchplay: {
+        path: 'tri-matchplay',
+        label: 'Groups',
+        help: 'Forms groups of three for every round, rotating so bowlers meet new opponents.'
+    },
+    elimination: {
+        path: 'bracket',
+        label: 'Bracket',
+        help: 'Seeds bowlers into the bracket from their finish in the previous stage.'
+    },
+    stepladder: {
+        path: 'stepladder',
+        label: 'Stepladder',
+        help: 'Seeds the top finalists from the previous stage, bottom two seeds bowling first.'
+    }
+};
+const KNOCKOUT_STAGE_TYPES = new Set(['elimination', 'stepladder']);
+
+const BRACKET_NAMES = {
+    winners: 'Winners',
+    losers: 'Losers'
+};
+const BRACKET_ORDER = ['winners', 'losers', 'grand_final'];
+const GENDER_DIVISION_NAMES = {
+    male: "Men's",
+    female: "Women's"
+};
+
+// Keys of the tournament's divisions in display order
+function getDivisionOrder() {
+    const divisions = currentTournamentForResults?.format?.divisions || [];
+    return divisions.length > 0 ? divisions.map((division) => division.key) : Object.keys(GENDER_DIVISION_NAMES);
+}
 
-            const stagePlayers = registrations.filter((registration) => {
-                const currentStage = registration.currentStage || 0;
-                if (currentStage !== stageIndex) return false;
-                const stageScore = registration.stageScores?.find((score) => score.stageIndex === stageIndex);
-                return stageScore && stageScore.scores?.length === stage.games;
+function getDivisionName(key) {
+    const division = (currentTournamentForResults?.format?.divisions || []).find((entry) => entry.key === key);
+    return division?.name || GENDER_DIVISION_NAMES[key] || key;
+}
+
+function renderMatchplayStage(stageIndex) {
+    return `
+        <div class="results-matches" id="matches-${stageIndex}">
+            <p class="admin-empty-state">Loading matches...</p>
+        </div>
+    `;
+}
+
+function getMatchGroupTitle(match, roundCount) {
+    // Separate divisions play their own schedules, so each gets its own groups
+    const prefix = match.division ? `${getDivisionName(match.division)} ` : '';
+    if (match.stageType === 'stepladder') {
+        return prefix + (match.round === roundCount ? 'Championship' : `Match ${match.round}`);
+    }
+    if (match.bracket === 'grand_final') return `${prefix}Grand Final${match.round > 1 ? ' Reset (if necessary)' : ''}`;
+    if (match.bracket) return `${prefix}${BRACKET_NAMES[match.bracket]} Round ${match.round}`;
+    return `${prefix}Round ${match.round}${match.isPositionRound ? ' (Position Round)' : ''}`;
+}
+
+async function loadStageMatches(stageIndex) {
+    const container = document.getElementById(`matches-${stageIndex}`);
+    if (!container) return;
+
+    try {
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/stages/${stageIndex}/matches`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load matches');
+
+        const generator = MATCH_GENERATORS[data.type];
+
+        if (data.matches.length === 0) {
+            container.innerHTML = `
+                <div class="results-advance">
+                    <button class="button" type="button" onclick="generateStageMatches(${stageIndex}, '${data.type}')">Generate ${generator.label}</button>
+                    <p>${generator.help}</p>
+                </div>
+            `;
+            return;
+        }
+
+        const divisionOrder = getDivisionOrder();
+        const roundCounts = new Map();
+        data.matches.forEach((match) => {
+            roundCounts.set(match.division || '', Math.max(roundCounts.get(match.division || '') || 0, match.round));
+        });
+        const groups = new Map();
+        data.matches
+            // A grand final reset settled as a bye wasn't needed
+            .filter((match) => !(match.bracket === 'grand_final' && match.round > 1 && match.isBye))
+            .sort((a, b) => divisionOrder.indexOf(a.division) - divisionOrder.indexOf(b.division) || BRACKET_ORDER.indexOf(a.bracket) - BRACKET_ORDER.indexOf(b.bracket) || a.round - b.round || a.matchNumber - b.matchNumber)
+            .forEach((match) => {
+                const title = getMatchGroupTitle(match, roundCounts.get(match.division || ''));
+                if (!groups.has(title)) groups.set(title, []);
+                groups.get(title).push(match);
             });
 
-            if (stagePlayers.length === 0) continue;
+        const hasResults = data.matches.some((match) => match.status === 'completed' && !match.isBye);
+        container.innerHTML = [...groups.entries()].map(([title, matches]) => `
+            <div class="results-group">
+                <h3>${title}</h3>
+                <div class="results-match-list">
+                    ${matches.map((match) => renderMatchCard(match, stageIndex)).join('')}
+                </div>
+            </div>
+        `).join('') + (hasResults ? '' : `
+            <div class="results-advance">
+                <button class="button" type="button" onclick="generateStageMatches(${stageIndex}, '${data.type}', true)">Regenerate ${generator.label}</button>
+            </div>
+        `);
+    } catch (error) {
+        console.error('Error loading matches:', error);
+        container.innerHTML = '<p class="admin-empty-state">Failed to load matches.</p>';
+    }
+}
 
-            const playersWithTotals = stagePlayers.map((registration) => {
-                const stageScore = registration.stageScores.find((score) => score.stageIndex === stageIndex);
-                const total = stageScore.scores.reduce((sum, score) => sum + score, 0) + (stageScore.carryover || 0);
-                return { registration, total };
-            }).sort((a, b) => b.total - a.total);
+function renderMatchCard(match, stageIndex) {
+    const isBracket = KNOCKOUT_STAGE_TYPES.has(match.stageType);
+
+    if (isBracket && match.participants.length < 2) {
+        const names = match.participants.map((participant) => participant.playerName).join(', ');
+        let note = `Waiting for ${match.pendingFeeds} ${match.pendingFeeds === 1 ? 'bowler' : 'bowlers'}`;
+        if (match.isBye) note = names ? `${names} advances on a bye` : 'Empty bracket slot';
+        return `
+            <div class="results-match${match.isBye ? ' is-complete' : ''}" id="match-${match._id}">
+                ${names && !match.isBye ? `<span class="results-player">${names}</span>` : ''}
+                <small>${note}</small>
+            </div>
+        `;
+    }
 
-            const toAdvance = playersWithTotals.slice(0, stage.advancingBowlers);
+    const games = MATCH_FORMAT_GAMES[match.matchFormat] || 1;
+    const rows = match.participants.map((participant, participantIndex) => {
+        const inputs = Array.from({ length: games }, (_, gameIndex) => `
+            <input type="number"
+                class="results-score-input"
+                id="match-${match._id}-${participantIndex}-${gameIndex}"
+                min="0"
+                max="300"
+                placeholder="-"
+                value="${participant.scores?.[gameIndex] ?? ''}">
+        `).join('');
+        let result = '';
+        if (participant.result) {
+            result = isBracket ? participant.result.toUpperCase() : `${participant.result.toUpperCase()} (${participant.points} pts)`;
+        }
 
-            for (const { registration, total } of toAdvance) {
-                let carryover = 0;
-                if (nextStage.carryoverPinfall) {
-                    const carryoverPct = nextStage.carryoverPercentage || 100;
-                    carryover = Math.round(total * (carryoverPct / 100));
-                }
+        return `
+            <div class="results-match-row">
+                <span class="results-player">${participant.playerName}${participant.seed && isBracket ? `<small>Seed ${participant.seed}</small>` : ''}</span>
+                <span class="results-match-games">${inputs}</span>
+                <span class="results-calc is-accent">${result}</span>
+            </div>
+        `;
+    }).join('');
+
+    // Level bracket matches are settled by a roll-off
+    const rollOff = match.needsRollOff ? `
+        <label class="form-group">
+            <small>Tied - roll-off winner</small>
+            <select id="match-${match._id}-rolloff">
+                <option value="">Select winner</option>
+                ${match.participants.map((participant, participantIndex) => `<option value="${participantIndex}">${participant.playerName}</option>`).join('')}
+            </select>
+        </label>
+    ` : '';
 
-                await fetch(`/api/registrations/${registration._id}`, {
-                    method: 'PUT',
-                    headers: {
-                        'Content-Type': 'application/json',
-                        'X-CSRF-Token': csrfToken
-                    },
-                    credentials: 'same-origin',
-                    body: JSON.stringify({
-                        currentStage: stageIndex + 1,
-                        carryoverToNextStage: carryover
-                    })
-                });
-
-                advancedCount += 1;
-            }
+    return `
+        <div class="results-match${match.status === 'completed' ? ' is-complete' : ''}" id="match-${match._id}">
+            ${rows}
+            ${match.participants.length === 1 ? '<small>Bye</small>' : ''}
+            ${rollOff}
+            <button class="button" type="button" onclick="saveMatchScores('${match._id}', ${stageIndex}, ${match.participants.length}, ${games})">Save Match</button>
+        </div>
+    `;
+}
+
+async function generateStageMatches(stageIndex, stageType, regenerate = false) {
+    const generator = MATCH_GENERATORS[stageType];
+    if (regenerate && !confirm(`Replace the current ${generator.label.toLowerCase()} with a new one?`)) return;
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/stages/${stageIndex}/${generator.path}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ regenerate })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(`Failed to generate ${generator.label.toLowerCase()}: ${data.error}`);
+            return;
         }
 
-        if (advancedCount > 0) {
-            alert(`Advanced ${advancedCount} player(s) to the next stage(s).`);
-            loadTournamentResults();
-        } else {
-            alert('No players ready to advance. Make sure all games are complete for each stage.');
+        loadStageMatches(stageIndex);
+    } catch (error) {
+        console.error('Error generating matches:', error);
+    }
+}
+
+async function saveMatchScores(matchId, stageIndex, participantCount, games) {
+    const scores = Array.from({ length: participantCount }, (_, participantIndex) => {
+        const playerScores = [];
+        for (let gameIndex = 0; gameIndex < games; gameIndex++) {
+            const value = parseInt(document.getElementById(`match-${matchId}-${participantIndex}-${gameIndex}`)?.value, 10);
+            if (Number.isNaN(value)) break;
+            playerScores.push(value);
+        }
+        return playerScores;
+    });
+    const rollOffWinner = document.getElementById(`match-${matchId}-rolloff`)?.value ?? '';
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/stage-matches/${matchId}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ scores, rollOffWinner })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            alert(`Failed to save match: ${data.error}`);
+            return;
+        }
+
+        if (data.needsRollOff) {
+            alert('This match finished level. Select the roll-off winner and save again.');
         }
+
+        loadStageMatches(stageIndex);
     } catch (error) {
-        console.error('Error advancing players:', error);
-        alert(`Failed to advance players: ${error.message}`);
+        console.error('Error saving match:', error);
+    }
+}
+
+// ==================== PRIZE FUND ====================
+
+function renderPrizeFundSection() {
+    return `
+        <section class="results-stage">
+            <button class="results-stage-toggle" type="button" onclick="toggleStageSection('prizes'); loadPrizeList()">
+                <span id="prizes-icon" class="results-stage-arrow" style="transform:rotate(0deg)">▶</span>
+                <span class="results-stage-title">
+                    <strong>Prize Fund</strong>
+                    <span>Payouts from final standings</span>
+                </span>
+            </button>
+            <div id="prizes-content" class="results-stage-content" style="display:none">
+                <div id="prizeList"><p class="admin-empty-state">Loading payouts...</p></div>
+            </div>
+        </section>
+    `;
+}
+
+function formatPrize(amount) {
+    return `$${Number(amount).toFixed(2)}`;
+}
+
+async function loadPrizeList() {
+    const container = document.getElementById('prizeList');
+    if (!container || !currentTournamentForResults) return;
+
+    try {
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/prizes`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load payouts');
+
+        if (data.divisions.length === 0) {
+            container.innerHTML = '<p class="admin-empty-state">No prize table set for this tournament.</p>';
+            return;
+        }
+
+        const canAward = data.tournament.status === 'completed';
+        container.innerHTML = data.divisions.map((division) => `
+            <div class="results-group">
+                <h3>${division.name}</h3>
+                <p class="results-prize-summary">${division.entries} entries • Pool ${formatPrize(division.pool)} • ${division.cashes} ${division.cashes === 1 ? 'cash' : 'cashes'} • Allocated ${formatPrize(division.allocated)}</p>
+                <div class="results-table-wrap">
+                    <table class="results-table">
+                        <thead>
+                            <tr>
+                                <th>Place</th>
+                                <th>Bowler</th>
+                                <th>Prize</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${division.payouts.map((payout) => `
+                                <tr>
+                                    <td>${payout.tied ? `T-${payout.place}` : payout.place}</td>
+                                    <td class="results-player">${payout.playerName}</td>
+                                    <td>${formatPrize(payout.amount)}</td>
+                                    <td>${payout.paidAt ? `Paid ${new Date(payout.paidAt).toLocaleDateString()}` : (payout.awarded ? 'Awarded' : 'Not awarded')}</td>
+                                    <td>${payout.awarded ? `<button class="button" type="button" onclick="markPrizePaid('${payout.registration}', ${!payout.paidAt})">${payout.paidAt ? 'Mark Unpaid' : 'Mark Paid'}</button>` : ''}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `).join('') + `
+            <div class="results-advance">
+                <button class="button" type="button" onclick="awardPrizes()" ${canAward ? '' : 'disabled'}>Award Prizes</button>
+                <p>${canAward
+                    ? 'Records each bowler\'s prize against their results. Prizes already paid are not changed.'
+                    : 'Prizes can be awarded once the tournament is marked completed.'}</p>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading payouts:', error);
+        container.innerHTML = '<p class="admin-empty-state">Failed to load payouts.</p>';
+    }
+}
+
+async function awardPrizes() {
+    if (!currentTournamentForResults) return;
+    if (!confirm('Award prizes from the current final standings?')) return;
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/prizes/award`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        const skipped = data.skipped > 0 ? `\n${data.skipped} winner(s) have no bowler profile and were skipped.` : '';
+        alert(`Prizes awarded to ${data.awarded} bowler(s).${skipped}`);
+        loadPrizeList();
+    } catch (error) {
+        console.error('Error awarding prizes:', error);
+        alert(`Failed to award prizes: ${error.message}`);
+    }
+}
+
+async function markPrizePaid(registrationId, paid) {
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/prizes/${registrationId}/paid`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ paid })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        loadPrizeList();
+    } catch (error) {
+        console.error('Error updating prize payment:', error);
+        alert(`Failed to update prize: ${error.message}`);
+    }
+}
+
+// ==================== SCORE IMPORT ====================
+
+const SCORE_IMPORT_STATUS_LABELS = {
+    ready: 'Ready',
+    conflict: 'Check',
+    unchanged: 'Unchanged',
+    unmatched: 'No match',
+    invalid: 'Invalid',
+    skipped: 'Skipped'
+};
+
+// Stages scores can be imported into; matches are scored on the match cards
+function getImportableStages() {
+    const format = currentTournamentForResults.format || {};
+    if (!format.hasStages || !format.stages?.length) {
+        return [{ index: 0, name: 'Tournament Scores' }];
+    }
+    return format.stages
+        .map((stage, index) => ({ index, name: stage.name, type: stage.type }))
+        .filter((stage) => !MATCH_STAGE_TYPES.has(stage.type));
+}
+
+function renderScoreImportSection() {
+    const stageOptions = getImportableStages()
+        .map((stage) => `<option value="${stage.index}">${escapeHtml(stage.name)}</option>`)
+        .join('');
+    const squadOptions = (currentTournamentForResults.squads || [])
+        .map((squad) => `<option value="${squad._id}">${escapeHtml(squad.name)}</option>`)
+        .join('');
+
+    return `
+        <section class="results-stage">
+            <button class="results-stage-toggle" type="button" onclick="toggleStageSection('score-import')">
+                <span id="score-import-icon" class="results-stage-arrow" style="transform:rotate(0deg)">▶</span>
+                <span class="results-stage-title">
+                    <strong>Import Scores</strong>
+                    <span>CSV files and lane scoring-system exports</span>
+                </span>
+            </button>
+            <div id="score-import-content" class="results-stage-content" style="display:none">
+                <div class="results-group">
+                    <p class="results-prize-summary">
+                        Columns: name, email or registration ID, then Game 1, Game 2... (or one row per game with Game and Score columns).
+                        Optional Stage, Squad and Lane columns override the choices below.
+                    </p>
+                    <div class="score-import-controls">
+                        <div class="form-group">
+                            <label for="scoreImportFile">File</label>
+                            <input type="file" id="scoreImportFile" accept=".csv,.txt,text/csv" />
+                        </div>
+                        <div class="form-group">
+                            <label for="scoreImportStage">Stage</label>
+                            <select id="scoreImportStage">${stageOptions}</select>
+                        </div>
+                        ${squadOptions ? `
+                            <div class="form-group">
+                                <label for="scoreImportSquad">Squad</label>
+                                <select id="scoreImportSquad">
+                                    <option value="">Bowler's squad</option>
+                                    ${squadOptions}
+                                </select>
+                            </div>
+                        ` : ''}
+                        <label class="score-import-overwrite">
+                            <input type="checkbox" id="scoreImportOverwrite" />
+                            Replace scores already recorded
+                        </label>
+                        <button class="button" type="button" onclick="previewScoreImport(true)">Preview</button>
+                    </div>
+                </div>
+                <div id="scoreImportPreview"></div>
+            </div>
+        </section>
+    `;
+}
+
+function getScoreImportOptions() {
+    return {
+        csv: scoreImportCsv,
+        stageIndex: Number(document.getElementById('scoreImportStage').value) || 0,
+        squad: document.getElementById('scoreImportSquad')?.value || null,
+        resolutions: scoreImportResolutions
+    };
+}
+
+async function postScoreImport(body) {
+    await ensureCsrfToken();
+    const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/scores/import`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Request failed');
+    return data;
+}
+
+async function previewScoreImport(readFile = false) {
+    const container = document.getElementById('scoreImportPreview');
+
+    if (readFile) {
+        const file = document.getElementById('scoreImportFile').files[0];
+        if (!file) {
+            alert('Choose a file to import');
+            return;
+        }
+        scoreImportCsv = await file.text();
+        scoreImportResolutions = {};
+    }
+
+    try {
+        const data = await postScoreImport({ ...getScoreImportOptions(), dryRun: true });
+        container.innerHTML = renderScoreImportPreview(data);
+    } catch (error) {
+        console.error('Error previewing score import:', error);
+        container.innerHTML = `<p class="admin-empty-state">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderScoreImportChoice(row) {
+    if (row.status === 'invalid' || row.status === 'unchanged') {
+        return row.match ? escapeHtml(row.match.playerName) : '';
+    }
+
+    const chosen = scoreImportResolutions[row.line] || '';
+    const suggested = new Set(row.candidates.map((candidate) => candidate.registrationId));
+    const others = [...currentRegistrationsById.values()]
+        .filter((registration) => !suggested.has(registration._id) && registration.status !== 'cancelled' && registration.status !== 'waitlist')
+        .sort((a, b) => a.playerName.localeCompare(b.playerName));
+
+    return `
+        <select onchange="resolveScoreImportRow(${row.line}, this.value)">
+            <option value="" ${chosen ? '' : 'selected'}>${row.match ? `${escapeHtml(row.match.playerName)} (${row.match.method})` : 'Choose bowler...'}</option>
+            <option value="skip" ${chosen === 'skip' ? 'selected' : ''}>Skip this row</option>
+            ${row.candidates.map((candidate) => `
+                <option value="${candidate.registrationId}" ${chosen === candidate.registrationId ? 'selected' : ''}>${escapeHtml(candidate.playerName)} (${Math.round(candidate.confidence * 100)}% match)</option>
+            `).join('')}
+            ${others.map((registration) => `
+                <option value="${registration._id}" ${chosen === registration._id ? 'selected' : ''}>${escapeHtml(registration.playerName)}</option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function renderScoreImportPreview(data) {
+    const { summary } = data;
+    const counts = ['ready', 'conflict', 'unchanged', 'unmatched', 'invalid', 'skipped']
+        .filter((status) => summary[status] > 0)
+        .map((status) => `${summary[status]} ${SCORE_IMPORT_STATUS_LABELS[status].toLowerCase()}`)
+        .join(' • ');
+
+    return `
+        <div class="results-group">
+            <h3>Preview</h3>
+            <p class="results-prize-summary">${summary.total} rows • ${counts}</p>
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Line</th>
+                            <th>In File</th>
+                            <th>Bowler</th>
+                            <th>Stage</th>
+                            <th>Scores</th>
+                            <th>Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.rows.map((row) => `
+                            <tr class="score-import-row is-${row.status}">
+                                <td>${row.line}</td>
+                                <td class="results-player">
+                                    ${escapeHtml(row.name || row.email)}
+                                    ${row.lane ? `<small>Lane ${escapeHtml(row.lane)}</small>` : ''}
+                                </td>
+                                <td>${renderScoreImportChoice(row)}</td>
+                                <td>${escapeHtml(row.stageName || '')}${row.squadName ? `<small>${escapeHtml(row.squadName)}</small>` : ''}</td>
+                                <td>
+                                    ${row.scores.map((score) => score ?? '-').join(', ')}
+                                    ${row.existingScores?.length ? `<small>Recorded: ${row.existingScores.join(', ')}</small>` : ''}
+                                </td>
+                                <td>
+                                    <strong>${SCORE_IMPORT_STATUS_LABELS[row.status]}</strong>
+                                    ${row.reason ? `<small>${escapeHtml(row.reason)}</small>` : ''}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="results-advance">
+                <button class="button" type="button" onclick="commitScoreImport()">Import Scores</button>
+                <p>Ready rows are imported together. Rows marked Check are only imported once a bowler is chosen, or with "Replace scores already recorded" ticked.</p>
+            </div>
+        </div>
+    `;
+}
+
+function resolveScoreImportRow(line, value) {
+    if (value) {
+        scoreImportResolutions[line] = value;
+    } else {
+        delete scoreImportResolutions[line];
+    }
+    previewScoreImport();
+}
+
+async function commitScoreImport() {
+    const overwrite = document.getElementById('scoreImportOverwrite').checked;
+    if (overwrite && !confirm('Replace scores already recorded for matched bowlers?')) return;
+
+    try {
+        const data = await postScoreImport({ ...getScoreImportOptions(), overwrite });
+        alert(`${data.message}${data.skipped > 0 ? `\n${data.skipped} row(s) were not imported.` : ''}`);
+        scoreImportCsv = '';
+        scoreImportResolutions = {};
+        loadTournamentResults();
+    } catch (error) {
+        console.error('Error importing scores:', error);
+        alert(`Failed to import scores: ${error.message}`);
+    }
+}
+
+// ==================== DESK SCORE ENTRY ====================
+
+function renderScorekeeperSection() {
+    const entryUrl = `/scorekeeper?tournament=${currentTournamentForResults._id}`;
+    return `
+        <section class="results-stage">
+            <button class="results-stage-toggle" type="button" onclick="toggleStageSection('scorekeepers'); loadScorekeepers()">
+                <span id="scorekeepers-icon" class="results-stage-arrow" style="transform:rotate(0deg)">▶</span>
+                <span class="results-stage-title">
+                    <strong>Desk Score Entry</strong>
+                    <span>Access codes for scorekeepers</span>
+                </span>
+            </button>
+            <div id="scorekeepers-content" class="results-stage-content" style="display:none">
+                <div class="results-group">
+                    <p class="results-prize-summary">
+                        Scorekeepers sign in at <a href="/scorekeeper" target="_blank">/scorekeeper</a> with a code and can only enter scores for this tournament.
+                        <a href="${entryUrl}" target="_blank">Open score entry yourself</a>.
+                    </p>
+                    <div class="score-import-controls">
+                        <div class="form-group">
+                            <label for="scorekeeperLabel">Label</label>
+                            <input type="text" id="scorekeeperLabel" maxlength="60" placeholder="e.g. Front desk tablet" />
+                        </div>
+                        <button class="button" type="button" onclick="createScorekeeper()">Create Code</button>
+                    </div>
+                    <div id="scorekeeperCode"></div>
+                </div>
+                <div id="scorekeeperList"><p class="admin-empty-state">Loading access codes...</p></div>
+            </div>
+        </section>
+    `;
+}
+
+async function loadScorekeepers() {
+    const container = document.getElementById('scorekeeperList');
+    if (!container || !currentTournamentForResults) return;
+
+    try {
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/scorekeepers`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load access codes');
+
+        if (data.length === 0) {
+            container.innerHTML = '<p class="admin-empty-state">No access codes yet.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>Label</th>
+                            <th>Created</th>
+                            <th>Last Used</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${data.map((scorekeeper) => `
+                            <tr>
+                                <td>${escapeHtml(scorekeeper.label || 'Unlabelled')}</td>
+                                <td>${new Date(scorekeeper.createdAt).toLocaleString()}${scorekeeper.createdBy ? ` by ${escapeHtml(scorekeeper.createdBy)}` : ''}</td>
+                                <td>${scorekeeper.lastUsedAt ? new Date(scorekeeper.lastUsedAt).toLocaleString() : 'Never'}</td>
+                                <td><button class="button" type="button" onclick="revokeScorekeeper('${scorekeeper._id}')">Revoke</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    } catch (error) {
+        console.error('Error loading access codes:', error);
+        container.innerHTML = '<p class="admin-empty-state">Failed to load access codes.</p>';
+    }
+}
+
+async function createScorekeeper() {
+    const labelInput = document.getElementById('scorekeeperLabel');
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/tournaments/${currentTournamentForResults._id}/scorekeepers`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify({ label: labelInput.value })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        labelInput.value = '';
+        // The code can't be looked up again, so it stays on screen until the page changes
+        document.getElementById('scorekeeperCode').innerHTML = `
+            <p class="results-prize-summary">
+                Access code${data.scorekeeper.label ? ` for ${escapeHtml(data.scorekeeper.label)}` : ''}:
+                <strong class="scorekeeper-code">${data.code}</strong>
+                Write it down now; it won't be shown again.
+            </p>
+        `;
+        loadScorekeepers();
+    } catch (error) {
+        console.error('Error creating access code:', error);
+        alert(`Failed to create access code: ${error.message}`);
+    }
+}
+
+async function revokeScorekeeper(scorekeeperId) {
+    if (!confirm('Revoke this access code? Anyone signed in with it loses access straight away.')) return;
+
+    try {
+        await ensureCsrfToken();
+        const response = await fetch(`/api/scorekeepers/${scorekeeperId}`, {
+            method: 'DELETE',
+            headers: {
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Request failed');
+
+        loadScorekeepers();
+    } catch (error) {
+        console.error('Error revoking access code:', error);
+        alert(`Failed to revoke access code: ${error.message}`);
     }
 }
@@ -0,0 +1,204 @@
+/**
+ * @fileoverview Admin season and tour points management
+ * @module admin/admin-seasons
+ */
+
+// ============================================================================
+// STATE & CSRF TOKEN
+// ============================================================================
+
+let csrfToken = '';
+let loadedSeasons = [];
+let loadedTournaments = [];
+
+// Helper function to escape HTML and prevent XSS
+function escapeHtml(text) {
+    if (!text) return '';
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+document.addEventListener('DOMContentLoaded', async () => {
+    fetchCsrfToken();
+    document.getElementById('seasonForm').addEventListener('submit', saveSeason);
+    await loadTournaments();
+    await loadSeasons();
+    resetSeasonForm();
+});
+
+async function fetchCsrfToken() {
+    try {
+        const response = await fetch('/api/csrf-token');
+        const data = await response.json();
+        csrfToken = data.csrfToken;
+    } catch (error) {
+        console.error('Error fetching CSRF token:', error);
+    }
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+async function loadTournaments() {
+    try {
+        const response = await fetch('/api/tournaments');
+        loadedTournaments = await response.json();
+        loadedTournaments.sort((a, b) => new Date(a.startDate) - new Date(b.startDate));
+    } catch (error) {
+        console.error('Error loading tournaments:', error);
+    }
+}
+
+async function loadSeasons() {
+    const container = document.getElementById('seasonsList');
+
+    try {
+        const response = await fetch('/api/seasons');
+        loadedSeasons = await response.json();
+
+        if (loadedSeasons.length === 0) {
+            container.innerHTML = '<p class="admin-empty-state">No seasons yet</p>';
+            return;
+        }
+
+        container.innerHTML = loadedSeasons.map((season) => `
+            <div class="season-item">
+                <div>
+                    <strong>${escapeHtml(season.name)}</strong>
+                    <small>${season.tournaments.length} ${season.tournaments.length === 1 ? 'tournament' : 'tournaments'}${season.dropWorst ? ` • drops worst ${season.dropWorst}` : ''}</small>
+                </div>
+                <div class="season-item-actions">
+                    <button type="button" class="button" onclick="editSeason('${season._id}')">Edit</button>
+                    <button type="button" class="btn-delete" onclick="deleteSeason('${season._id}')">Delete</button>
+                </div>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+        container.innerHTML = '<p class="admin-empty-state">Failed to load seasons</p>';
+    }
+}
+
+// ============================================================================
+// FORM
+// ============================================================================
+
+function renderTournamentOptions(selectedIds = []) {
+    const container = document.getElementById('seasonTournaments');
+
+    if (loadedTournaments.length === 0) {
+        container.innerHTML = '<p class="admin-empty-state">No tournaments yet</p>';
+        return;
+    }
+
+    container.innerHTML = loadedTournaments.map((tournament) => `
+        <label>
+            <input type="checkbox" name="seasonTournament" value="${tournament._id}" ${selectedIds.includes(tournament._id) ? 'checked' : ''} />
+            <span>${escapeHtml(tournament.name)} (${new Date(tournament.startDate).toLocaleDateString()})</span>
+            <span class="status-badge status-${escapeHtml(tournament.status)}">${escapeHtml(tournament.status)}</span>
+        </label>
+    `).join('');
+}
+
+function resetSeasonForm() {
+    document.getElementById('seasonForm').reset();
+    document.getElementById('editingSeasonId').value = '';
+    document.getElementById('seasonFormTitle').textContent = 'New Season';
+    document.getElementById('saveSeasonBtn').textContent = 'Create Season';
+    document.getElementById('viewSeasonLink').hidden = true;
+    renderTournamentOptions();
+}
+
+function editSeason(id) {
+    const season = loadedSeasons.find((entry) => entry._id === id);
+    if (!season) return;
+
+    document.getElementById('editingSeasonId').value = season._id;
+    document.getElementById('seasonFormTitle').textContent = `Edit ${season.name}`;
+    document.getElementById('saveSeasonBtn').textContent = 'Update Season';
+    document.getElementById('seasonName').value = season.name;
+    document.getElementById('seasonStartDate').value = season.startDate ? season.startDate.split('T')[0] : '';
+    document.getElementById('seasonEndDate').value = season.endDate ? season.endDate.split('T')[0] : '';
+    document.getElementById('seasonPointsTable').value = (season.pointsTable || []).join(', ');
+    document.getElementById('seasonCutBonus').value = season.cutBonus || 0;
+    document.getElementById('seasonTitleBonus').value = season.titleBonus || 0;
+    document.getElementById('seasonDropWorst').value = season.dropWorst || 0;
+
+    const viewLink = document.getElementById('viewSeasonLink');
+    viewLink.href = `/results?tab=poy&season=${season._id}`;
+    viewLink.hidden = false;
+    renderTournamentOptions(season.tournaments);
+}
+
+async function saveSeason(e) {
+    e.preventDefault();
+
+    const pointsTable = document.getElementById('seasonPointsTable').value
+        .split(',')
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .map(Number);
+    if (pointsTable.length === 0 || pointsTable.some((points) => Number.isNaN(points) || points < 0)) {
+        alert('Points must be numbers separated by commas, e.g. 100, 80, 65');
+        return;
+    }
+
+    const editingId = document.getElementById('editingSeasonId').value;
+    const body = {
+        name: document.getElementById('seasonName').value.trim(),
+        startDate: document.getElementById('seasonStartDate').value || null,
+        endDate: document.getElementById('seasonEndDate').value || null,
+        pointsTable,
+        cutBonus: Number(document.getElementById('seasonCutBonus').value) || 0,
+        titleBonus: Number(document.getElementById('seasonTitleBonus').value) || 0,
+        dropWorst: Number(document.getElementById('seasonDropWorst').value) || 0,
+        tournaments: [...document.querySelectorAll('input[name="seasonTournament"]:checked')].map((input) => input.value)
+    };
+
+    try {
+        const response = await fetch(editingId ? `/api/seasons/${editingId}` : '/api/seasons', {
+            method: editingId ? 'PUT' : 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-CSRF-Token': csrfToken
+            },
+            credentials: 'same-origin',
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to save season');
+
+        alert(editingId ? 'Season updated and points recalculated' : 'Season created');
+        await loadSeasons();
+        editSeason(data._id);
+    } catch (error) {
+        console.error('Error saving season:', error);
+        alert(`Failed to save season: ${error.message}`);
+    }
+}
+
+async function deleteSeason(id) {
+    if (!confirm('Delete this season and its tour points? Tournaments are not affected.')) return;
+
+    try {
+        const response = await fetch(`/api/seasons/${id}`, {
+            method: 'DELETE',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to delete season');
+
+        if (document.getElementById('editingSeasonId').value === id) resetSeasonForm();
+        await loadSeasons();
+    } catch (error) {
+        console.error('Error deleting season:', error);
+        alert(`Failed to delete season: ${error.message}`);
+    }
+}
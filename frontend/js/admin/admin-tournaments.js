@@ -17,6 +17,11 @@ const regCountSpan = document.getElementById('regCount');
 const resultsTournamentFilter = document.getElementById('resultsTournamentFilter');
 
 let currentSquads = [];
+let currentDivisions = [];
+let currentPriceWindows = [];
+let currentAddOns = [];
+let currentSideEvents = [];
+let currentPrizeDivisionPools = [];
 let currentStages = [];
 let currentTournamentForResults = null;
 let loadedTournaments = [];
@@ -28,6 +33,9 @@ const calendarMonthLabel = document.getElementById('calendarMonthLabel');
 const calendarPrevBtn = document.getElementById('calendarPrevBtn');
 const calendarNextBtn = document.getElementById('calendarNextBtn');
 const calendarTodayBtn = document.getElementById('calendarTodayBtn');
+const schedulerJobsContainer = document.getElementById('schedulerJobs');
+const schedulerRefreshBtn = document.getElementById('schedulerRefreshBtn');
+const schedulerRunBtn = document.getElementById('schedulerRunBtn');
 const editOnlySection = document.getElementById('editOnlySection');
 const createModeHint = document.getElementById('createModeHint');
 const advancedEditorWrap = document.getElementById('advancedEditorWrap');
@@ -56,6 +64,20 @@ const MATCH_FORMAT_LABELS = {
     'total-pinfall-3': 'Total Pinfall (3 Games)'
 };
 
+const TIE_BREAK_LABELS = {
+    high_last_game: 'High last game',
+    high_game: 'High game',
+    lowest_handicap: 'Lowest handicap',
+    roll_off: 'Roll-off'
+};
+const TIE_BREAK_FIELD_IDS = ['stageTieBreak1', 'stageTieBreak2', 'stageTieBreak3'];
+
+// Divisions used by the male/female split when no divisions are configured
+const GENDER_DIVISIONS = [
+    { key: 'male', name: "Men's", gender: 'male' },
+    { key: 'female', name: "Women's", gender: 'female' }
+];
+
 const MATCH_STAGE_TYPES = new Set(['round_robin', 'tri_matchplay', 'elimination', 'stepladder']);
 
 function generateStageKey() {
@@ -64,10 +86,16 @@ function generateStageKey() {
 
 // Load tournaments on page load
 loadTournaments();
+loadSchedulerJobs();
 if (regListContainer) {
     loadRegistrations();
 }
 renderSquadsList(); // Initialize empty squad list
+renderDivisionsList();
+renderPriceWindowsList();
+renderAddOnsList();
+renderSideEventsList();
+renderPrizeDivisionPoolsList();
 initializeCustomStageBuilder();
 updateFormModeUI(false);
 
@@ -98,6 +126,14 @@ if (calendarTodayBtn) {
     calendarTodayBtn.addEventListener('click', (event) => jumpCalendarToToday(event));
 }
 
+if (schedulerRefreshBtn) {
+    schedulerRefreshBtn.addEventListener('click', loadSchedulerJobs);
+}
+
+if (schedulerRunBtn) {
+    schedulerRunBtn.addEventListener('click', runSchedulerJobs);
+}
+
 if (stageTypeSelect) {
     stageTypeSelect.addEventListener('change', syncStageTypeFields);
 }
@@ -116,6 +152,89 @@ document.addEventListener('keydown', (event) => {
     }
 });
 
+const SCHEDULER_JOB_NAMES = {
+    start_tournament: 'Start tournament',
+    flag_completion: 'Flag for completion',
+    registration_open: 'Registration opened',
+    registration_close: 'Registration closed',
+    process_waitlist: 'Waitlist offers'
+};
+
+// Scheduler lock holder and recent job history
+async function loadSchedulerJobs() {
+    if (!schedulerJobsContainer) return;
+
+    const statusLine = document.getElementById('schedulerStatus');
+    try {
+        const response = await fetch('/api/scheduler/jobs', { credentials: 'same-origin' });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to load scheduled jobs');
+
+        const everyMinutes = Math.max(1, Math.round(data.intervalMs / 60000));
+        statusLine.textContent = data.lock
+            ? `Checked every ${everyMinutes} min by ${data.lock.holder}${data.lock.holder === data.instance ? ' (this server)' : ''}`
+            : 'No server is running scheduled jobs right now';
+
+        if (data.jobs.length === 0) {
+            schedulerJobsContainer.innerHTML = '<p style="margin:0;color:#6b6458">No jobs have run yet</p>';
+            return;
+        }
+
+        schedulerJobsContainer.innerHTML = `
+            <table class="scheduler-jobs-table">
+                <thead>
+                    <tr>
+                        <th>When</th>
+                        <th>Job</th>
+                        <th>Tournament</th>
+                        <th>Result</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${data.jobs.map(job => `
+                        <tr>
+                            <td>${new Date(job.startedAt).toLocaleString()}${job.trigger === 'manual' ? ' <small>(manual)</small>' : ''}</td>
+                            <td>${escapeHtml(SCHEDULER_JOB_NAMES[job.job] || job.job)}</td>
+                            <td>${escapeHtml(job.tournamentName)}</td>
+                            <td><span class="scheduler-job-status is-${job.status}">${job.status}</span></td>
+                            <td>${escapeHtml(job.message)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading scheduled jobs:', error);
+        statusLine.textContent = '';
+        schedulerJobsContainer.innerHTML = `<p style="margin:0;color:#c92a2a">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function runSchedulerJobs() {
+    if (!confirm('Run every due job now? Registration emails go out for any dates that have passed.')) return;
+
+    schedulerRunBtn.disabled = true;
+    try {
+        const response = await fetch('/api/scheduler/run', {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to run scheduled jobs');
+
+        alert(data.ran > 0 ? `${data.ran} ${data.ran === 1 ? 'job' : 'jobs'} ran` : 'No jobs were due');
+        await loadSchedulerJobs();
+        if (data.ran > 0) await loadTournaments();
+    } catch (error) {
+        console.error('Error running scheduled jobs:', error);
+        alert(`Failed to run scheduled jobs: ${error.message}`);
+    } finally {
+        schedulerRunBtn.disabled = false;
+    }
+}
+
 function toDateOnlyKey(value) {
     if (typeof value === 'string') {
         const isoMatch = value.match(/^(\d{4}-\d{2}-\d{2})/);
@@ -230,6 +349,11 @@ function selectTournament(id, openEditor = false) {
     }
 }
 
+// Flagged by the scheduler once the end date has passed
+function isReadyToComplete(tournament) {
+    return Boolean(tournament.schedule?.completionFlaggedAt) && tournament.status !== 'completed';
+}
+
 function renderTournamentCalendar(tournaments) {
     if (!calendarGrid || !calendarMonthLabel) return;
 
@@ -295,6 +419,7 @@ function renderTournamentCalendar(tournaments) {
                 <div class="calendar-tournament-chip" style="${isSelected ? 'border-color:#b3361f;background:#f6e2d7' : ''}">
                     <button type="button" onclick="event.stopPropagation(); selectTournament('${t._id}', true)">${escapeHtml(t.name)}</button>
                     ${squadTimes}
+                    ${isReadyToComplete(t) ? '<div class="calendar-ready-note">Ready to complete</div>' : ''}
                 </div>
             `;
         }).join('');
@@ -325,6 +450,14 @@ document.getElementById('startDate').addEventListener('change', (e) => {
 // Toggle options based on checkboxes
 document.getElementById('useHandicap').addEventListener('change', (e) => {
     document.getElementById('handicapOptions').style.display = e.target.checked ? 'grid' : 'none';
+    if (editingDivisionIndex === null) {
+        document.getElementById('divisionScoring').value = getDefaultDivisionScoring();
+    }
+});
+
+document.getElementById('separateDivisions').addEventListener('change', () => {
+    syncDivisionCutFields();
+    syncPrizeDivisionOptions();
 });
 
 document.getElementById('bonusPointsEnabled').addEventListener('change', (e) => {
@@ -340,6 +473,12 @@ form.addEventListener('submit', async (e) => {
         return;
     }
 
+    const prizePlaces = parseAmountList(document.getElementById('prizePlaces').value);
+    if (!prizePlaces) {
+        alert('Prize places must be amounts separated by commas, e.g. 1000, 600, 400');
+        return;
+    }
+
     const normalizedStages = currentStages.map((stage, index) => normalizeStage(stage, index));
     const totalGames = normalizedStages.length > 0
         ? normalizedStages.reduce((sum, stage) => sum + stage.games, 0)
@@ -361,6 +500,20 @@ form.addEventListener('submit', async (e) => {
         registrationDeadline: form.registrationDeadline.value || null,
         squadsRequiredToQualify: form.squadsRequiredToQualify.value ? Number(form.squadsRequiredToQualify.value) : 1,
         allowReentry: document.getElementById('allowReentry').checked,
+        pricing: {
+            reentryFee: document.getElementById('reentryFee').value ? Number(document.getElementById('reentryFee').value) : null,
+            windows: currentPriceWindows,
+            addOns: currentAddOns
+        },
+        sideEvents: currentSideEvents,
+        prizeFund: {
+            basis: document.getElementById('prizeBasis').value,
+            poolAmount: document.getElementById('prizePoolAmount').value ? Number(document.getElementById('prizePoolAmount').value) : null,
+            poolPerEntry: document.getElementById('prizePoolPerEntry').value ? Number(document.getElementById('prizePoolPerEntry').value) : null,
+            cashRatio: document.getElementById('prizeCashRatio').value ? Number(document.getElementById('prizeCashRatio').value) : null,
+            places: prizePlaces,
+            divisionPools: currentPrizeDivisionPools
+        },
         squads: currentSquads.map(s => {
             const squad = {
                 name: s.name,
@@ -370,7 +523,9 @@ form.addEventListener('submit', async (e) => {
                 isQualifying: s.isQualifying,
                 stageKey: s.stageKey || null,
                 stageName: s.stageName || '',
-                stageType: s.stageType || (s.isQualifying ? 'qualifying' : '')
+                stageType: s.stageType || (s.isQualifying ? 'qualifying' : ''),
+                price: s.price ?? null,
+                lanes: s.lanes || undefined
             };
             if (s._id && s._id.length === 24 && /^[0-9a-fA-F]{24}$/.test(s._id)) {
                 squad._id = s._id;
@@ -384,7 +539,10 @@ form.addEventListener('submit', async (e) => {
             useHandicap: document.getElementById('useHandicap').checked,
             handicapBase: Number(document.getElementById('handicapBase').value) || 200,
             handicapPercentage: Number(document.getElementById('handicapPercentage').value) || 90,
+            handicapAveragePolicy: document.getElementById('handicapAveragePolicy').value,
             separateDivisions: document.getElementById('separateDivisions').checked,
+            divisions: currentDivisions,
+            maxDivisionsPerBowler: Number(document.getElementById('maxDivisionsPerBowler').value) || 1,
             femaleHandicapPins: Number(document.getElementById('femaleHandicapPins').value) || 8,
             bonusPoints: {
                 enabled: document.getElementById('bonusPointsEnabled').checked,
@@ -429,24 +587,69 @@ form.addEventListener('submit', async (e) => {
 // Squad management functions
 let editingSquadIndex = null;
 
+const LANE_METHOD_NAMES = {
+    random: 'Random draw',
+    average: 'Average (spread)',
+    home_center: 'Split home centers'
+};
+
+function resetSquadLaneInputs() {
+    document.getElementById('squadLaneFirst').value = '';
+    document.getElementById('squadLaneLast').value = '';
+    document.getElementById('squadBowlersPerLane').value = '';
+    document.getElementById('squadLaneMethod').value = 'random';
+    document.getElementById('squadLaneBlocks').value = '';
+    document.getElementById('squadLaneMovePairs').value = '';
+}
+
+// Lane settings from the squad form, or null if they don't add up
+function readSquadLaneInputs() {
+    const first = document.getElementById('squadLaneFirst').value;
+    const last = document.getElementById('squadLaneLast').value;
+    const lanes = {
+        first: first ? Number(first) : null,
+        last: last ? Number(last) : null,
+        bowlersPerLane: Number(document.getElementById('squadBowlersPerLane').value) || 4,
+        method: document.getElementById('squadLaneMethod').value,
+        blocks: Number(document.getElementById('squadLaneBlocks').value) || 1,
+        movePairs: Number(document.getElementById('squadLaneMovePairs').value) || 0
+    };
+
+    if (!first && !last) return lanes;
+    if (!Number.isInteger(lanes.first) || !Number.isInteger(lanes.last) || lanes.first < 1 || lanes.last < lanes.first) {
+        alert('Enter a first and last lane, with the last lane on or after the first');
+        return null;
+    }
+    if (lanes.movePairs > 0 && (lanes.last - lanes.first + 1) % 2 !== 0) {
+        alert('Bowlers can only move by pairs when the squad has an even number of lanes');
+        return null;
+    }
+    return lanes;
+}
+
 function addSquad() {
     const name = document.getElementById('squadName').value;
     const selectedStageKey = document.getElementById('squadStageKey').value;
     const date = document.getElementById('squadDate').value;
     const time = document.getElementById('squadTime').value;
     const capacity = document.getElementById('squadCapacity').value;
+    const price = document.getElementById('squadPrice').value;
 
     if (!name || !date || !time || !capacity) {
         alert('Please fill in all squad fields');
         return;
     }
 
+    const lanes = readSquadLaneInputs();
+    if (!lanes) return;
+
     const linkedStage = currentStages.find((stage, index) => normalizeStage(stage, index).key === selectedStageKey);
     const squadData = {
         name,
         date,
         time,
         capacity: Number(capacity),
+        price: price ? Number(price) : null,
         isQualifying: !selectedStageKey,
         stageKey: selectedStageKey || null,
         stageName: linkedStage ? linkedStage.name : '',
@@ -454,16 +657,19 @@ function addSquad() {
     };
 
     if (editingSquadIndex !== null) {
-        // Update existing squad
+        // Update existing squad, keeping when its lanes were last assigned
+        const existing = currentSquads[editingSquadIndex];
         currentSquads[editingSquadIndex] = {
-            ...currentSquads[editingSquadIndex],
-            ...squadData
+            ...existing,
+            ...squadData,
+            lanes: { ...lanes, assignedAt: existing.lanes?.assignedAt || null }
         };
         editingSquadIndex = null;
         document.querySelector('#squadsList ~ div button[onclick="addSquad()"]').textContent = 'Add Squad';
     } else {
         // Add new squad
         squadData._id = Date.now().toString(); // Temporary ID for new squads
+        squadData.lanes = lanes;
         currentSquads.push(squadData);
     }
 
@@ -473,6 +679,8 @@ function addSquad() {
     document.getElementById('squadDate').value = '';
     document.getElementById('squadTime').value = '';
     document.getElementById('squadCapacity').value = '';
+    document.getElementById('squadPrice').value = '';
+    resetSquadLaneInputs();
 
     renderSquadsList();
 }
@@ -1075,6 +1283,9 @@ function editStage(index) {
     document.getElementById('stageAdvancing').value = stage.advancingBowlers || '';
     document.getElementById('stageCarryover').checked = stage.carryoverPinfall;
     document.getElementById('stageCarryoverPct').value = stage.carryoverPercentage || 100;
+    TIE_BREAK_FIELD_IDS.forEach((id, ruleIndex) => {
+        document.getElementById(id).value = stage.tieBreakers[ruleIndex] || '';
+    });
     
     editingStageIndex = index;
     const addButton = document.querySelector('button[onclick="addStage()"]');
@@ -1163,6 +1374,10 @@ function normalizeStage(stage, index = 0) {
         advancingBowlers: stage.advancingBowlers ? Number(stage.advancingBowlers) : null,
         carryoverPinfall: Boolean(stage.carryoverPinfall),
         carryoverPercentage: stage.carryoverPercentage === 0 ? 0 : (Number(stage.carryoverPercentage) || 100),
+        tieBreakers: Array.isArray(stage.tieBreakers) ? stage.tieBreakers.filter((rule) => TIE_BREAK_LABELS[rule]) : [],
+        divisionCuts: Array.isArray(stage.divisionCuts)
+            ? stage.divisionCuts.filter((cut) => cut.division && Number(cut.advancingBowlers) > 0)
+            : [],
         matchPlaySettings: getMatchPlayDefaults(stage),
         stageConfig: {
             ...(stage.stageConfig || {})
@@ -1177,6 +1392,32 @@ function syncStageTypeFields() {
     });
 }
 
+// Divisions the stage builder offers cut lines for
+function getBuilderDivisions() {
+    if (currentDivisions.length > 0) return currentDivisions;
+    return document.getElementById('separateDivisions').checked ? GENDER_DIVISIONS : [];
+}
+
+function readDivisionCuts() {
+    return [...document.querySelectorAll('#stageDivisionCuts input[data-division]')]
+        .map((input) => ({ division: input.dataset.division, advancingBowlers: Number(input.value) || 0 }))
+        .filter((cut) => cut.advancingBowlers > 0);
+}
+
+// Render one cut input per division, keeping values already typed in
+function syncDivisionCutFields(cuts = readDivisionCuts()) {
+    const container = document.getElementById('stageDivisionCuts');
+    const divisions = getBuilderDivisions();
+    container.hidden = divisions.length === 0;
+    container.innerHTML = divisions.map((division, index) => `
+        <div class="form-group">
+            <label for="stageDivisionCut${index}">${escapeHtml(division.name)} Advancing</label>
+            <input type="number" id="stageDivisionCut${index}" data-division="${escapeHtml(division.key)}" min="1" placeholder="Same as above"
+                value="${cuts.find((cut) => cut.division === division.key)?.advancingBowlers || ''}" />
+        </div>
+    `).join('');
+}
+
 function populateSquadStageOptions(selectedKey = '') {
     const select = document.getElementById('squadStageKey');
     if (!select) return;
@@ -1205,6 +1446,9 @@ function resetStageBuilder() {
     document.getElementById('stageDescription').value = '';
     document.getElementById('stageCarryover').checked = false;
     document.getElementById('stageCarryoverPct').value = '100';
+    TIE_BREAK_FIELD_IDS.forEach((id) => {
+        document.getElementById(id).value = '';
+    });
     document.getElementById('stageQualifyingSpots').value = '';
     document.getElementById('stageScoresToCount').value = '1';
     document.getElementById('stageQualifyingLabel').value = '';
@@ -1228,6 +1472,7 @@ function resetStageBuilder() {
     document.getElementById('stageStepladderFormat').value = 'single-game';
     document.getElementById('stageStepladderSeedNote').value = '';
     syncStageTypeFields();
+    syncDivisionCutFields([]);
     populateSquadStageOptions(document.getElementById('squadStageKey')?.value || '');
 }
 
@@ -1247,6 +1492,8 @@ function buildStageFromInputs() {
         advancingBowlers: document.getElementById('stageAdvancing').value ? Number(document.getElementById('stageAdvancing').value) : null,
         carryoverPinfall: document.getElementById('stageCarryover').checked,
         carryoverPercentage: Number(document.getElementById('stageCarryoverPct').value) || 100,
+        tieBreakers: [...new Set(TIE_BREAK_FIELD_IDS.map((id) => document.getElementById(id).value).filter(Boolean))],
+        divisionCuts: readDivisionCuts(),
         matchPlaySettings: getMatchPlayDefaults(),
         stageConfig: {}
     };
@@ -1332,6 +1579,7 @@ function editCustomStage(index) {
     document.getElementById('stageType').value = stage.type;
     document.getElementById('stageGames').value = stage.games;
     document.getElementById('stageAdvancing').value = stage.advancingBowlers || '';
+    syncDivisionCutFields(stage.divisionCuts);
     document.getElementById('stageDescription').value = stage.description || '';
     document.getElementById('stageCarryover').checked = stage.carryoverPinfall;
     document.getElementById('stageCarryoverPct').value = stage.carryoverPercentage || 100;
@@ -1382,7 +1630,12 @@ function moveCustomStage(index, direction) {
 function getStageSummary(stage) {
     const details = [`${stage.games} game${stage.games === 1 ? '' : 's'}`];
     if (stage.advancingBowlers) details.push(`Top ${stage.advancingBowlers} advance`);
+    (stage.divisionCuts || []).forEach((cut) => {
+        const division = getBuilderDivisions().find((entry) => entry.key === cut.division);
+        if (division) details.push(`${division.name} top ${cut.advancingBowlers}`);
+    });
     if (stage.carryoverPinfall) details.push(`${stage.carryoverPercentage}% carryover`);
+    if (stage.tieBreakers?.length) details.push(`Ties: ${stage.tieBreakers.map((rule) => TIE_BREAK_LABELS[rule]).join(', ')}`);
 
     if (stage.type === 'round_robin') {
         details.push(`${stage.stageConfig?.matchesPerBowler || 1} matches each`);
@@ -1441,6 +1694,13 @@ function editSquad(index) {
     document.getElementById('squadDate').value = squad.date;
     document.getElementById('squadTime').value = squad.time;
     document.getElementById('squadCapacity').value = squad.capacity;
+    document.getElementById('squadPrice').value = squad.price ?? '';
+    document.getElementById('squadLaneFirst').value = squad.lanes?.first ?? '';
+    document.getElementById('squadLaneLast').value = squad.lanes?.last ?? '';
+    document.getElementById('squadBowlersPerLane').value = squad.lanes?.first ? squad.lanes.bowlersPerLane : '';
+    document.getElementById('squadLaneMethod').value = squad.lanes?.method || 'random';
+    document.getElementById('squadLaneBlocks').value = squad.lanes?.first ? squad.lanes.blocks : '';
+    document.getElementById('squadLaneMovePairs').value = squad.lanes?.first ? squad.lanes.movePairs : '';
     
     editingSquadIndex = index;
     document.querySelector('#squadsList ~ div button[onclick="addSquad()"]').textContent = 'Update Squad';
@@ -1459,6 +1719,8 @@ function removeSquad(index) {
         document.getElementById('squadDate').value = '';
         document.getElementById('squadTime').value = '';
         document.getElementById('squadCapacity').value = '';
+        document.getElementById('squadPrice').value = '';
+        resetSquadLaneInputs();
     }
     currentSquads.splice(index, 1);
     renderSquadsList();
@@ -1471,8 +1733,11 @@ function renderSquadsList() {
         return;
     }
 
+    const tournamentId = document.getElementById('editingTournamentId').value;
     container.innerHTML = currentSquads.map((squad, index) => {
         const squadDate = new Date(squad.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+        const lanes = squad.lanes;
+        const isSavedSquad = Boolean(tournamentId) && /^[0-9a-fA-F]{24}$/.test(squad._id || '');
         const stageBadge = squad.isQualifying
             ? '<span style="display:inline-flex;align-items:center;margin-left:8px;padding:2px 8px;border-radius:999px;background:#f4c95d;color:#2f2516;font-size:.72rem;font-weight:700">QUALIFYING</span>'
             : `<span style="display:inline-flex;align-items:center;margin-left:8px;padding:2px 8px;border-radius:999px;background:#dceee9;color:#145449;font-size:.72rem;font-weight:700">${escapeHtml(squad.stageName || 'FORMATTED STAGE')}</span>`;
@@ -1481,10 +1746,18 @@ function renderSquadsList() {
                 <div>
                     <strong style="font-size:.9rem">${escapeHtml(squad.name)}</strong>${stageBadge}
                     <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">
-                        ${squadDate} @ ${escapeHtml(squad.time)} • Capacity: ${parseInt(squad.capacity)}
+                        ${squadDate} @ ${escapeHtml(squad.time)} • Capacity: ${parseInt(squad.capacity)}${squad.price != null ? ` • $${Number(squad.price).toFixed(2)}` : ''}
                     </span>
+                    ${lanes?.first ? `
+                        <div style="color:#b9c6d8;font-size:.8rem;margin-top:4px">
+                            Lanes ${lanes.first}-${lanes.last} • ${lanes.bowlersPerLane} per lane • ${LANE_METHOD_NAMES[lanes.method] || lanes.method}${lanes.movePairs > 0 ? ` • ${lanes.blocks} blocks, ${lanes.movePairs} ${lanes.movePairs === 1 ? 'pair' : 'pairs'} right` : ''}
+                            • ${lanes.assignedAt ? `assigned ${new Date(lanes.assignedAt).toLocaleString()}` : 'not assigned'}
+                        </div>
+                    ` : ''}
                 </div>
                 <div style="display:flex;gap:6px">
+                    ${lanes?.first && isSavedSquad ? `<button type="button" class="button" onclick="assignSquadLanes(${index})" style="font-size:.75rem;padding:4px 8px">${lanes.assignedAt ? 'Re-assign Lanes' : 'Assign Lanes'}</button>` : ''}
+                    ${lanes?.assignedAt && isSavedSquad ? `<button type="button" class="button" onclick="clearSquadLanes(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Clear Lanes</button>` : ''}
                     <button type="button" class="button" onclick="editSquad(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
                     <button type="button" class="btn-delete" onclick="removeSquad(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
                 </div>
@@ -1493,6 +1766,614 @@ function renderSquadsList() {
     }).join('');
 }
 
+async function assignSquadLanes(index) {
+    const squad = currentSquads[index];
+    const tournamentId = document.getElementById('editingTournamentId').value;
+    const message = squad.lanes.assignedAt
+        ? `Re-draw lanes for ${squad.name}? Everyone's starting lane will change.`
+        : `Assign lanes for ${squad.name}? Save the tournament first if you've changed this squad's lanes.`;
+    if (!confirm(message)) return;
+
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/squads/${squad._id}/lanes`, {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to assign lanes');
+
+        squad.lanes.assignedAt = new Date().toISOString();
+        renderSquadsList();
+        alert(`Lanes assigned for ${data.assigned} ${data.assigned === 1 ? 'bowler' : 'bowlers'}. They're shown on the squad list.`);
+    } catch (error) {
+        console.error('Error assigning lanes:', error);
+        alert(`Failed to assign lanes: ${error.message}`);
+    }
+}
+
+async function clearSquadLanes(index) {
+    const squad = currentSquads[index];
+    const tournamentId = document.getElementById('editingTournamentId').value;
+    if (!confirm(`Clear the lane assignments for ${squad.name}?`)) return;
+
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/squads/${squad._id}/lanes`, {
+            method: 'DELETE',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to clear lanes');
+
+        squad.lanes.assignedAt = null;
+        renderSquadsList();
+    } catch (error) {
+        console.error('Error clearing lanes:', error);
+        alert(`Failed to clear lanes: ${error.message}`);
+    }
+}
+
+// Division management functions
+let editingDivisionIndex = null;
+
+// Stable key for a new division, e.g. "Non-Pro" -> "non-pro"
+function generateDivisionKey(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'division';
+    let key = base;
+    for (let n = 2; currentDivisions.some((division, index) => division.key === key && index !== editingDivisionIndex); n++) {
+        key = `${base}-${n}`;
+    }
+    return key;
+}
+
+function resetDivisionInputs() {
+    editingDivisionIndex = null;
+    document.getElementById('addDivisionBtn').textContent = 'Add Division';
+    document.getElementById('divisionName').value = '';
+    document.getElementById('divisionGender').value = '';
+    document.getElementById('divisionMinAge').value = '';
+    document.getElementById('divisionMaxAge').value = '';
+    document.getElementById('divisionMaxAverage').value = '';
+    document.getElementById('divisionMembersOnly').checked = false;
+    document.getElementById('divisionScoring').value = getDefaultDivisionScoring();
+}
+
+// New divisions start out scored the way the tournament is
+function getDefaultDivisionScoring() {
+    return document.getElementById('useHandicap').checked ? 'handicap' : 'scratch';
+}
+
+function addDivision() {
+    const name = document.getElementById('divisionName').value.trim();
+    if (!name) {
+        alert('Please enter a division name');
+        return;
+    }
+
+    const numberOrNull = (id) => document.getElementById(id).value ? Number(document.getElementById(id).value) : null;
+    const division = {
+        // Keep the key when editing so registrations and cut lines still match
+        key: editingDivisionIndex === null ? generateDivisionKey(name) : currentDivisions[editingDivisionIndex].key,
+        name,
+        gender: document.getElementById('divisionGender').value,
+        minAge: numberOrNull('divisionMinAge'),
+        maxAge: numberOrNull('divisionMaxAge'),
+        maxAverage: numberOrNull('divisionMaxAverage'),
+        membersOnly: document.getElementById('divisionMembersOnly').checked,
+        scoring: document.getElementById('divisionScoring').value
+    };
+
+    if (division.minAge && division.maxAge && division.minAge > division.maxAge) {
+        alert('Min age must be lower than max age');
+        return;
+    }
+
+    if (editingDivisionIndex === null) {
+        currentDivisions.push(division);
+    } else {
+        currentDivisions[editingDivisionIndex] = division;
+    }
+    resetDivisionInputs();
+    renderDivisionsList();
+}
+
+function editDivision(index) {
+    const division = currentDivisions[index];
+    editingDivisionIndex = index;
+    document.getElementById('addDivisionBtn').textContent = 'Update Division';
+    document.getElementById('divisionName').value = division.name;
+    document.getElementById('divisionGender').value = division.gender || '';
+    document.getElementById('divisionMinAge').value = division.minAge || '';
+    document.getElementById('divisionMaxAge').value = division.maxAge || '';
+    document.getElementById('divisionMaxAverage').value = division.maxAverage || '';
+    document.getElementById('divisionMembersOnly').checked = Boolean(division.membersOnly);
+    document.getElementById('divisionScoring').value = division.scoring || getDefaultDivisionScoring();
+}
+
+function removeDivision(index) {
+    if (editingDivisionIndex === index) {
+        resetDivisionInputs();
+    }
+    currentDivisions.splice(index, 1);
+    renderDivisionsList();
+}
+
+function getDivisionRulesSummary(division) {
+    const rules = [];
+    if (division.gender) rules.push(division.gender === 'female' ? 'Women' : 'Men');
+    if (division.minAge) rules.push(`Age ${division.minAge}+`);
+    if (division.maxAge) rules.push(`Age ${division.maxAge} and under`);
+    if (division.maxAverage) rules.push(`Average ≤ ${division.maxAverage}`);
+    if (division.membersOnly) rules.push('Members only');
+    const scoring = division.scoring ? (division.scoring === 'handicap' ? 'Handicap' : 'Scratch') : 'Tournament scoring';
+    return [scoring, rules.join(' • ') || 'Open to all'].join(' • ');
+}
+
+function renderDivisionsList() {
+    const container = document.getElementById('divisionsList');
+    if (!container) return;
+
+    if (currentDivisions.length === 0) {
+        container.innerHTML = '<p style="color:#b9c6d8;font-size:.85rem;margin:0">No divisions added yet</p>';
+    } else {
+        container.innerHTML = currentDivisions.map((division, index) => `
+            <div style="background:#141a22;padding:10px;border-radius:6px;display:flex;justify-content:space-between;align-items:center;border:1px solid rgba(255,255,255,.05)">
+                <div>
+                    <strong style="font-size:.9rem">${escapeHtml(division.name)}</strong>
+                    <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">${escapeHtml(getDivisionRulesSummary(division))}</span>
+                </div>
+                <div style="display:flex;gap:6px">
+                    <button type="button" class="button" onclick="editDivision(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
+                    <button type="button" class="btn-delete" onclick="removeDivision(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
+                </div>
+            </div>
+        `).join('');
+    }
+    syncDivisionCutFields();
+    syncPrizeDivisionOptions();
+    renderCustomStagesList();
+}
+
+// Pricing management functions
+let editingPriceWindowIndex = null;
+let editingAddOnIndex = null;
+
+function resetPriceWindowInputs() {
+    editingPriceWindowIndex = null;
+    document.getElementById('addPriceWindowBtn').textContent = 'Add Window';
+    document.getElementById('priceWindowName').value = '';
+    document.getElementById('priceWindowStartsAt').value = '';
+    document.getElementById('priceWindowEndsAt').value = '';
+    document.getElementById('priceWindowEntryFee').value = '';
+    document.getElementById('priceWindowReentryFee').value = '';
+}
+
+function addPriceWindow() {
+    const name = document.getElementById('priceWindowName').value.trim();
+    if (!name) {
+        alert('Please enter a window name');
+        return;
+    }
+
+    const valueOrNull = (id) => document.getElementById(id).value || null;
+    const numberOrNull = (id) => document.getElementById(id).value ? Number(document.getElementById(id).value) : null;
+    const priceWindow = {
+        name,
+        startsAt: valueOrNull('priceWindowStartsAt'),
+        endsAt: valueOrNull('priceWindowEndsAt'),
+        entryFee: numberOrNull('priceWindowEntryFee'),
+        reentryFee: numberOrNull('priceWindowReentryFee')
+    };
+
+    if (!priceWindow.startsAt && !priceWindow.endsAt) {
+        alert('Please set when the window starts or ends');
+        return;
+    }
+    if (priceWindow.startsAt && priceWindow.endsAt && new Date(priceWindow.startsAt) >= new Date(priceWindow.endsAt)) {
+        alert('The window must end after it starts');
+        return;
+    }
+
+    if (editingPriceWindowIndex === null) {
+        currentPriceWindows.push(priceWindow);
+    } else {
+        currentPriceWindows[editingPriceWindowIndex] = priceWindow;
+    }
+    resetPriceWindowInputs();
+    renderPriceWindowsList();
+}
+
+function editPriceWindow(index) {
+    const priceWindow = currentPriceWindows[index];
+    editingPriceWindowIndex = index;
+    document.getElementById('addPriceWindowBtn').textContent = 'Update Window';
+    document.getElementById('priceWindowName').value = priceWindow.name;
+    document.getElementById('priceWindowStartsAt').value = priceWindow.startsAt ? toDateTimeLocalValue(priceWindow.startsAt) : '';
+    document.getElementById('priceWindowEndsAt').value = priceWindow.endsAt ? toDateTimeLocalValue(priceWindow.endsAt) : '';
+    document.getElementById('priceWindowEntryFee').value = priceWindow.entryFee ?? '';
+    document.getElementById('priceWindowReentryFee').value = priceWindow.reentryFee ?? '';
+}
+
+function removePriceWindow(index) {
+    if (editingPriceWindowIndex === index) {
+        resetPriceWindowInputs();
+    }
+    currentPriceWindows.splice(index, 1);
+    renderPriceWindowsList();
+}
+
+// Local datetime-local input value for a stored date
+function toDateTimeLocalValue(value) {
+    const date = new Date(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function getPriceWindowSummary(priceWindow) {
+    const formatDate = (value) => new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const parts = [];
+    if (priceWindow.startsAt && priceWindow.endsAt) parts.push(`${formatDate(priceWindow.startsAt)} - ${formatDate(priceWindow.endsAt)}`);
+    else if (priceWindow.startsAt) parts.push(`From ${formatDate(priceWindow.startsAt)}`);
+    else parts.push(`Until ${formatDate(priceWindow.endsAt)}`);
+    if (priceWindow.entryFee != null) parts.push(`Entry $${Number(priceWindow.entryFee).toFixed(2)}`);
+    if (priceWindow.reentryFee != null) parts.push(`Re-entry $${Number(priceWindow.reentryFee).toFixed(2)}`);
+    return parts.join(' • ');
+}
+
+function renderPriceWindowsList() {
+    const container = document.getElementById('priceWindowsList');
+    if (!container) return;
+
+    if (currentPriceWindows.length === 0) {
+        container.innerHTML = '<p style="color:#b9c6d8;font-size:.85rem;margin:0">No price windows added yet</p>';
+        return;
+    }
+
+    container.innerHTML = currentPriceWindows.map((priceWindow, index) => `
+        <div style="background:#141a22;padding:10px;border-radius:6px;display:flex;justify-content:space-between;align-items:center;border:1px solid rgba(255,255,255,.05)">
+            <div>
+                <strong style="font-size:.9rem">${escapeHtml(priceWindow.name)}</strong>
+                <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">${escapeHtml(getPriceWindowSummary(priceWindow))}</span>
+            </div>
+            <div style="display:flex;gap:6px">
+                <button type="button" class="button" onclick="editPriceWindow(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
+                <button type="button" class="btn-delete" onclick="removePriceWindow(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Stable key for a new add-on or side event, e.g. "High Game Pot" -> "high-game-pot"
+function generateListKey(name, list, editingIndex, fallback) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || fallback;
+    let key = base;
+    for (let n = 2; list.some((item, index) => item.key === key && index !== editingIndex); n++) {
+        key = `${base}-${n}`;
+    }
+    return key;
+}
+
+// Amounts separated by commas; null if any of them isn't a valid amount
+function parseAmountList(value) {
+    const amounts = value
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean)
+        .map(Number);
+    return amounts.some(amount => Number.isNaN(amount) || amount < 0) ? null : amounts;
+}
+
+function resetAddOnInputs() {
+    editingAddOnIndex = null;
+    document.getElementById('addAddOnBtn').textContent = 'Add Add-on';
+    document.getElementById('addOnName').value = '';
+    document.getElementById('addOnPrice').value = '';
+}
+
+function addAddOn() {
+    const name = document.getElementById('addOnName').value.trim();
+    const price = document.getElementById('addOnPrice').value;
+    if (!name || price === '') {
+        alert('Please enter an add-on name and price');
+        return;
+    }
+
+    const addOn = {
+        // Keep the key when editing so existing registrations still match
+        key: editingAddOnIndex === null ? generateListKey(name, currentAddOns, editingAddOnIndex, 'add-on') : currentAddOns[editingAddOnIndex].key,
+        name,
+        price: Number(price)
+    };
+
+    if (editingAddOnIndex === null) {
+        currentAddOns.push(addOn);
+    } else {
+        currentAddOns[editingAddOnIndex] = addOn;
+    }
+    resetAddOnInputs();
+    renderAddOnsList();
+}
+
+function editAddOn(index) {
+    const addOn = currentAddOns[index];
+    editingAddOnIndex = index;
+    document.getElementById('addAddOnBtn').textContent = 'Update Add-on';
+    document.getElementById('addOnName').value = addOn.name;
+    document.getElementById('addOnPrice').value = addOn.price;
+}
+
+function removeAddOn(index) {
+    if (editingAddOnIndex === index) {
+        resetAddOnInputs();
+    }
+    currentAddOns.splice(index, 1);
+    renderAddOnsList();
+}
+
+function renderAddOnsList() {
+    const container = document.getElementById('addOnsList');
+    if (!container) return;
+
+    if (currentAddOns.length === 0) {
+        container.innerHTML = '<p style="color:#b9c6d8;font-size:.85rem;margin:0">No add-ons added yet</p>';
+        return;
+    }
+
+    container.innerHTML = currentAddOns.map((addOn, index) => `
+        <div style="background:#141a22;padding:10px;border-radius:6px;display:flex;justify-content:space-between;align-items:center;border:1px solid rgba(255,255,255,.05)">
+            <div>
+                <strong style="font-size:.9rem">${escapeHtml(addOn.name)}</strong>
+                <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">$${Number(addOn.price).toFixed(2)}</span>
+            </div>
+            <div style="display:flex;gap:6px">
+                <button type="button" class="button" onclick="editAddOn(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
+                <button type="button" class="btn-delete" onclick="removeAddOn(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Side event management functions
+let editingSideEventIndex = null;
+
+const SIDE_EVENT_TYPE_LABELS = {
+    high_game: 'High game',
+    high_series: 'High series',
+    brackets: 'Brackets'
+};
+
+function resetSideEventInputs() {
+    editingSideEventIndex = null;
+    document.getElementById('addSideEventBtn').textContent = 'Add Event';
+    document.getElementById('sideEventName').value = '';
+    document.getElementById('sideEventType').value = 'high_game';
+    document.getElementById('sideEventScoring').value = 'scratch';
+    document.getElementById('sideEventStage').value = 1;
+    document.getElementById('sideEventBracketSize').value = '8';
+    document.getElementById('sideEventStartGame').value = 1;
+    document.getElementById('sideEventEndGame').value = 3;
+    document.getElementById('sideEventFee').value = '';
+    document.getElementById('sideEventPayouts').value = '';
+}
+
+function addSideEvent() {
+    const name = document.getElementById('sideEventName').value.trim();
+    if (!name) {
+        alert('Please enter an event name');
+        return;
+    }
+
+    const type = document.getElementById('sideEventType').value;
+    const bracketSize = Number(document.getElementById('sideEventBracketSize').value);
+    const startGame = Number(document.getElementById('sideEventStartGame').value) || 1;
+    const payouts = parseAmountList(document.getElementById('sideEventPayouts').value);
+    if (!payouts) {
+        alert('Payouts must be amounts separated by commas, e.g. 50, 20');
+        return;
+    }
+
+    const sideEvent = {
+        // Keep the key when editing so registrations still match
+        key: editingSideEventIndex === null ? generateListKey(name, currentSideEvents, editingSideEventIndex, 'side-event') : currentSideEvents[editingSideEventIndex].key,
+        name,
+        type,
+        scoring: document.getElementById('sideEventScoring').value,
+        stageIndex: Math.max(0, (Number(document.getElementById('sideEventStage').value) || 1) - 1),
+        startGame,
+        // Brackets need one game per round
+        endGame: type === 'brackets'
+            ? startGame + Math.log2(bracketSize) - 1
+            : Number(document.getElementById('sideEventEndGame').value) || startGame,
+        bracketSize,
+        entryFee: Number(document.getElementById('sideEventFee').value) || 0,
+        payouts
+    };
+
+    if (sideEvent.endGame < sideEvent.startGame) {
+        alert('End game must be on or after the start game');
+        return;
+    }
+
+    if (editingSideEventIndex === null) {
+        currentSideEvents.push(sideEvent);
+    } else {
+        currentSideEvents[editingSideEventIndex] = sideEvent;
+    }
+    resetSideEventInputs();
+    renderSideEventsList();
+}
+
+function editSideEvent(index) {
+    const sideEvent = currentSideEvents[index];
+    editingSideEventIndex = index;
+    document.getElementById('addSideEventBtn').textContent = 'Update Event';
+    document.getElementById('sideEventName').value = sideEvent.name;
+    document.getElementById('sideEventType').value = sideEvent.type;
+    document.getElementById('sideEventScoring').value = sideEvent.scoring || 'scratch';
+    document.getElementById('sideEventStage').value = (sideEvent.stageIndex || 0) + 1;
+    document.getElementById('sideEventBracketSize').value = String(sideEvent.bracketSize || 8);
+    document.getElementById('sideEventStartGame').value = sideEvent.startGame;
+    document.getElementById('sideEventEndGame').value = sideEvent.endGame;
+    document.getElementById('sideEventFee').value = sideEvent.entryFee;
+    document.getElementById('sideEventPayouts').value = (sideEvent.payouts || []).join(', ');
+}
+
+function removeSideEvent(index) {
+    if (editingSideEventIndex === index) {
+        resetSideEventInputs();
+    }
+    currentSideEvents.splice(index, 1);
+    renderSideEventsList();
+}
+
+function getSideEventSummary(sideEvent) {
+    const parts = [
+        sideEvent.type === 'brackets' ? `${sideEvent.bracketSize}-person brackets` : SIDE_EVENT_TYPE_LABELS[sideEvent.type],
+        sideEvent.scoring === 'handicap' ? 'Handicap' : 'Scratch',
+        `Stage ${(sideEvent.stageIndex || 0) + 1}, games ${sideEvent.startGame}-${sideEvent.endGame}`,
+        `Entry $${Number(sideEvent.entryFee).toFixed(2)}`
+    ];
+    if (sideEvent.payouts?.length) parts.push(`Pays ${sideEvent.payouts.map(amount => `$${amount}`).join(' / ')}`);
+    return parts.join(' • ');
+}
+
+function renderSideEventsList() {
+    const container = document.getElementById('sideEventsList');
+    if (!container) return;
+
+    if (currentSideEvents.length === 0) {
+        container.innerHTML = '<p style="color:#b9c6d8;font-size:.85rem;margin:0">No side events added yet</p>';
+        return;
+    }
+
+    container.innerHTML = currentSideEvents.map((sideEvent, index) => `
+        <div style="background:#141a22;padding:10px;border-radius:6px;display:flex;justify-content:space-between;align-items:center;border:1px solid rgba(255,255,255,.05)">
+            <div>
+                <strong style="font-size:.9rem">${escapeHtml(sideEvent.name)}</strong>
+                <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">${escapeHtml(getSideEventSummary(sideEvent))}</span>
+            </div>
+            <div style="display:flex;gap:6px">
+                <button type="button" class="button" onclick="editSideEvent(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
+                <button type="button" class="btn-delete" onclick="removeSideEvent(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Prize fund management functions
+let editingPrizeDivisionPoolIndex = null;
+
+function syncPrizeDivisionOptions() {
+    const select = document.getElementById('prizeDivision');
+    if (!select) return;
+
+    const selected = select.value;
+    const divisions = getBuilderDivisions();
+    select.innerHTML = divisions.length === 0
+        ? '<option value="">No divisions</option>'
+        : divisions.map(division => `<option value="${escapeHtml(division.key)}">${escapeHtml(division.name)}</option>`).join('');
+    if (divisions.some(division => division.key === selected)) select.value = selected;
+}
+
+function resetPrizeDivisionPoolInputs() {
+    editingPrizeDivisionPoolIndex = null;
+    document.getElementById('addPrizeDivisionPoolBtn').textContent = 'Add Pool';
+    document.getElementById('prizeDivisionPoolAmount').value = '';
+    document.getElementById('prizeDivisionPoolPerEntry').value = '';
+    document.getElementById('prizeDivisionCashRatio').value = '';
+    document.getElementById('prizeDivisionPlaces').value = '';
+}
+
+function addPrizeDivisionPool() {
+    const division = document.getElementById('prizeDivision').value;
+    if (!division) {
+        alert('Add divisions before giving them their own prize pool');
+        return;
+    }
+    if (currentPrizeDivisionPools.some((pool, index) => pool.division === division && index !== editingPrizeDivisionPoolIndex)) {
+        alert('That division already has a prize pool');
+        return;
+    }
+
+    const places = parseAmountList(document.getElementById('prizeDivisionPlaces').value);
+    if (!places || places.length === 0) {
+        alert('Places must be amounts separated by commas, e.g. 300, 150');
+        return;
+    }
+
+    const poolAmount = document.getElementById('prizeDivisionPoolAmount').value;
+    const poolPerEntry = document.getElementById('prizeDivisionPoolPerEntry').value;
+    const cashRatio = document.getElementById('prizeDivisionCashRatio').value;
+    const pool = {
+        division,
+        poolAmount: poolAmount ? Number(poolAmount) : null,
+        poolPerEntry: poolPerEntry ? Number(poolPerEntry) : null,
+        cashRatio: cashRatio ? Number(cashRatio) : null,
+        places
+    };
+
+    if (editingPrizeDivisionPoolIndex === null) {
+        currentPrizeDivisionPools.push(pool);
+    } else {
+        currentPrizeDivisionPools[editingPrizeDivisionPoolIndex] = pool;
+    }
+    resetPrizeDivisionPoolInputs();
+    renderPrizeDivisionPoolsList();
+}
+
+function editPrizeDivisionPool(index) {
+    const pool = currentPrizeDivisionPools[index];
+    editingPrizeDivisionPoolIndex = index;
+    document.getElementById('addPrizeDivisionPoolBtn').textContent = 'Update Pool';
+    document.getElementById('prizeDivision').value = pool.division;
+    document.getElementById('prizeDivisionPoolAmount').value = pool.poolAmount ?? '';
+    document.getElementById('prizeDivisionPoolPerEntry').value = pool.poolPerEntry ?? '';
+    document.getElementById('prizeDivisionCashRatio').value = pool.cashRatio ?? '';
+    document.getElementById('prizeDivisionPlaces').value = (pool.places || []).join(', ');
+}
+
+function removePrizeDivisionPool(index) {
+    if (editingPrizeDivisionPoolIndex === index) {
+        resetPrizeDivisionPoolInputs();
+    }
+    currentPrizeDivisionPools.splice(index, 1);
+    renderPrizeDivisionPoolsList();
+}
+
+function getPrizeDivisionPoolSummary(pool) {
+    const parts = [`Places ${(pool.places || []).join(' / ')}`];
+    if (pool.poolAmount !== null && pool.poolAmount !== undefined) parts.push(`Pool $${Number(pool.poolAmount).toFixed(2)}`);
+    else if (pool.poolPerEntry) parts.push(`$${Number(pool.poolPerEntry).toFixed(2)} per entry`);
+    if (pool.cashRatio) parts.push(`1 cash per ${pool.cashRatio}`);
+    return parts.join(' • ');
+}
+
+function renderPrizeDivisionPoolsList() {
+    syncPrizeDivisionOptions();
+    const container = document.getElementById('prizeDivisionPoolsList');
+    if (!container) return;
+
+    if (currentPrizeDivisionPools.length === 0) {
+        container.innerHTML = '<p style="color:#b9c6d8;font-size:.85rem;margin:0">No division pools added yet</p>';
+        return;
+    }
+
+    const divisionNames = new Map(getBuilderDivisions().map(division => [division.key, division.name]));
+    container.innerHTML = currentPrizeDivisionPools.map((pool, index) => `
+        <div style="background:#141a22;padding:10px;border-radius:6px;display:flex;justify-content:space-between;align-items:center;border:1px solid rgba(255,255,255,.05)">
+            <div>
+                <strong style="font-size:.9rem">${escapeHtml(divisionNames.get(pool.division) || pool.division)}</strong>
+                <span style="color:#b9c6d8;font-size:.85rem;margin-left:8px">${escapeHtml(getPrizeDivisionPoolSummary(pool))}</span>
+            </div>
+            <div style="display:flex;gap:6px">
+                <button type="button" class="button" onclick="editPrizeDivisionPool(${index})" style="font-size:.75rem;padding:4px 8px;background:#6c757d">Edit</button>
+                <button type="button" class="btn-delete" onclick="removePrizeDivisionPool(${index})" style="font-size:.75rem;padding:4px 8px">Remove</button>
+            </div>
+        </div>
+    `).join('');
+}
+
 function editTournament(id) {
     // Check if we're on the tournaments page by checking for form elements
     const editingIdField = document.getElementById('editingTournamentId');
@@ -1532,6 +2413,25 @@ function editTournament(id) {
             const allowReentry = document.getElementById('allowReentry');
             if (allowReentry) allowReentry.checked = tournament.allowReentry !== false;
 
+            // Load pricing
+            const reentryFee = document.getElementById('reentryFee');
+            if (reentryFee) reentryFee.value = tournament.pricing?.reentryFee ?? '';
+            currentPriceWindows = tournament.pricing?.windows || [];
+            currentAddOns = tournament.pricing?.addOns || [];
+            renderPriceWindowsList();
+            renderAddOnsList();
+            currentSideEvents = tournament.sideEvents || [];
+            renderSideEventsList();
+
+            // Load prize fund
+            const prizeFund = tournament.prizeFund || {};
+            document.getElementById('prizeBasis').value = prizeFund.basis || 'fixed';
+            document.getElementById('prizePoolAmount').value = prizeFund.poolAmount ?? '';
+            document.getElementById('prizePoolPerEntry').value = prizeFund.poolPerEntry ?? '';
+            document.getElementById('prizeCashRatio').value = prizeFund.cashRatio ?? '';
+            document.getElementById('prizePlaces').value = (prizeFund.places || []).join(', ');
+            currentPrizeDivisionPools = prizeFund.divisionPools || [];
+
             // Load squads
             currentSquads = (tournament.squads || []).map((squad) => ({
                 ...squad,
@@ -1560,7 +2460,13 @@ function editTournament(id) {
             setValueIfExists('useHandicap', format.useHandicap || false);
             setValueIfExists('handicapBase', format.handicapBase || 200);
             setValueIfExists('handicapPercentage', format.handicapPercentage || 90);
+            setValueIfExists('handicapAveragePolicy', format.handicapAveragePolicy || 'self_reported');
             setValueIfExists('separateDivisions', format.separateDivisions || false);
+            setValueIfExists('maxDivisionsPerBowler', format.maxDivisionsPerBowler || 1);
+            currentDivisions = format.divisions || [];
+            resetDivisionInputs();
+            renderDivisionsList();
+            renderPrizeDivisionPoolsList();
             setValueIfExists('femaleHandicapPins', format.femaleHandicapPins || 8);
             setValueIfExists('bonusPointsEnabled', format.bonusPoints?.enabled || false);
             setValueIfExists('bonusPerGame', format.bonusPoints?.perGame || 0);
@@ -1597,7 +2503,22 @@ function cancelEdit() {
     form.reset();
     currentSquads = [];
     currentStages = [];
+    currentDivisions = [];
+    currentPriceWindows = [];
+    currentAddOns = [];
+    currentSideEvents = [];
+    currentPrizeDivisionPools = [];
     renderSquadsList();
+    resetDivisionInputs();
+    renderDivisionsList();
+    resetPriceWindowInputs();
+    resetAddOnInputs();
+    renderPriceWindowsList();
+    renderAddOnsList();
+    resetSideEventInputs();
+    renderSideEventsList();
+    resetPrizeDivisionPoolInputs();
+    renderPrizeDivisionPoolsList();
     resetStageBuilder();
     renderCustomStagesList();
     populateSquadStageOptions();
@@ -1721,7 +2642,7 @@ async function loadTournaments() {
                 <div class="tournament-item">
                     <div class="tournament-info">
                         <h4>${t.name}</h4>
-                        <p>${dateStr} • ${t.location} • <span class="status-badge ${statusClass}">${t.status}</span></p>
+                        <p>${dateStr} • ${t.location} • <span class="status-badge ${statusClass}">${t.status}</span>${isReadyToComplete(t) ? ' • <span class="calendar-ready-note">Ready to complete</span>' : ''}</p>
                         ${t.description ? `<p style="margin-top:4px">${t.description}</p>` : ''}
                         <p style="margin-top:4px;font-size:.9rem">${registrationStatus}</p>
                         ${squadCount > 0 ? `<p style="margin-top:4px;font-size:.85rem;color:#b9c6d8">📅 ${squadCount} squad${squadCount !== 1 ? 's' : ''} configured</p>` : ''}
@@ -1898,7 +2819,7 @@ async function loadRegistrations() {
                             </td>
                             <td style="padding:10px 8px;font-size:.85rem">${new Date(r.registeredAt).toLocaleDateString()}</td>
                             <td style="padding:10px 8px">
-                                <button class="btn-delete" style="font-size:.75rem;padding:4px 8px" onclick="deleteRegistration('${r._id}')">Delete</button>
+                                <button class="btn-delete" style="font-size:.75rem;padding:4px 8px" onclick="deleteRegistration('${r._id}')">Cancel</button>
                             </td>
                         </tr>
                     `}).join('')}
@@ -1935,7 +2856,7 @@ async function updateRegistrationStatus(id, status) {
 
 // Delete registration
 async function deleteRegistration(id) {
-    if (!confirm('Are you sure you want to delete this registration?')) return;
+    if (!confirm('Cancel this registration? It stays on record with its payments.')) return;
 
     try {
         const response = await fetch(`/api/registrations/${id}`, { 
@@ -1946,13 +2867,18 @@ async function deleteRegistration(id) {
         if (response.ok) {
             loadRegistrations();
         } else {
-            alert('Failed to delete registration');
+            alert('Failed to cancel registration');
         }
     } catch (error) {
         alert('Error: ' + error.message);
     }
 }
 
+// Ledger amounts arrive in cents
+function formatCsvMoney(cents) {
+    return `${cents < 0 ? '-' : ''}$${(Math.abs(cents || 0) / 100).toFixed(2)}`;
+}
+
 // Export registrations to CSV
 async function exportRegistrations() {
     try {
@@ -1976,7 +2902,7 @@ async function exportRegistrations() {
         allTournaments.forEach(t => tournamentsById[t._id] = t);
 
         // Create CSV content
-        const headers = ['Player Name', 'Email', 'Phone', 'Tournament', 'Squads', 'Average Score', 'Status', 'Notes', 'Registered Date'];
+        const headers = ['Player Name', 'Email', 'Phone', 'Tournament', 'Squads', 'Average Score', 'Status', 'Payment Status', 'Amount Due', 'Paid', 'Refunded', 'Balance', 'Notes', 'Registered Date'];
         const rows = registrations.map(r => {
             // Get squad names
             let squadNames = '';
@@ -1998,6 +2924,11 @@ async function exportRegistrations() {
                 squadNames,
                 r.averageScore || '',
                 r.status,
+                r.paymentStatus || '',
+                formatCsvMoney(r.balance?.due),
+                formatCsvMoney(r.balance?.paid),
+                formatCsvMoney(r.balance?.refunded),
+                formatCsvMoney(r.balance?.balance),
                 r.notes || '',
                 new Date(r.registeredAt).toLocaleDateString()
             ];
@@ -2020,6 +2951,37 @@ async function exportRegistrations() {
     }
 }
 
+// Download one of the tournament's PDF printouts
+async function downloadReport(report, button) {
+    const tournamentId = document.getElementById('editingTournamentId').value;
+    if (!tournamentId) {
+        alert('Save the tournament before printing');
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/reports/${report}`, { credentials: 'same-origin' });
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to generate PDF');
+        }
+
+        const blob = await response.blob();
+        const url = window.URL.createObjectURL(blob);
+        const match = /filename="([^"]+)"/.exec(response.headers.get('Content-Disposition') || '');
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = match ? match[1] : `${report}.pdf`;
+        a.click();
+        window.URL.revokeObjectURL(url);
+    } catch (error) {
+        alert('Failed to download: ' + error.message);
+    } finally {
+        button.disabled = false;
+    }
+}
+
 // Listen for filter changes
 if (regFilterSelect) {
     regFilterSelect.addEventListener('change', loadRegistrations);
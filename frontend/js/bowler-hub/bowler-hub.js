@@ -23,10 +23,24 @@
  * @property {number} [highGame] - Highest game score
  * @property {number} [highSeries] - Highest series score
  * @property {number} [tournamentAverage] - Average in tournaments
+ * @property {number} [perfectGames] - 300 games bowled in tournaments
+ * @property {number} [eightHundredSeries] - 800 three-game series bowled in tournaments
+ * @property {FrameStats} [frameStats] - Totals from games entered frame by frame
  * @property {string} [bio] - Bowler biography
  * @property {string[]} [tournamentsEntered] - Array of tournament IDs
  */
 
+/**
+ * @typedef {Object} FrameStats
+ * @property {number} framedGames - Finished games with frames
+ * @property {number} strikes - Strikes thrown
+ * @property {number} strikeChances - Balls thrown at a full rack
+ * @property {number} spares - Spares converted
+ * @property {number} spareChances - Balls thrown at pins left standing
+ * @property {number} openFrames - Frames without a strike or spare
+ * @property {number} cleanGames - Games without an open frame
+ */
+
 /**
  * @typedef {Object} Registration
  * @property {string} _id - Registration unique identifier
@@ -224,8 +238,8 @@ async function loadBowlerHub() {
         // Display stats
         displayStats(bowler);
         
-        // Load registrations
-        await loadRegistrations();
+        // Load registrations and prize earnings
+        await Promise.all([loadRegistrations(), loadEarnings()]);
         
     } catch (error) {
         console.error('Failed to load bowler hub:', error);
@@ -264,6 +278,49 @@ function displayStats(bowler) {
     document.getElementById('stat-currentAvg').textContent = bowler.currentAverage || '--';
     document.getElementById('stat-highGame').textContent = bowler.highGame || '--';
     document.getElementById('stat-tournaments').textContent = bowler.tournamentsEntered?.length || 0;
+
+    // Frame stats only exist for games scored frame by frame
+    const frames = bowler.frameStats;
+    const hasFrames = frames?.framedGames > 0;
+    document.getElementById('stat-strikePct').textContent = hasFrames ? formatPercent(frames.strikes, frames.strikeChances) : '--';
+    document.getElementById('stat-sparePct').textContent = hasFrames ? formatPercent(frames.spares, frames.spareChances) : '--';
+    document.getElementById('stat-openFrames').textContent = hasFrames ? (frames.openFrames / frames.framedGames).toFixed(1) : '--';
+    document.getElementById('stat-cleanGames').textContent = hasFrames ? frames.cleanGames : '--';
+
+    const honors = [];
+    if (bowler.perfectGames) honors.push(`${bowler.perfectGames} × 300`);
+    if (bowler.eightHundredSeries) honors.push(`${bowler.eightHundredSeries} × 800`);
+    document.getElementById('stat-honors').textContent = honors.join(' • ') || '--';
+}
+
+/**
+ * Format a count as a whole percentage of its chances
+ * 
+ * @param {number} count - Times it happened
+ * @param {number} chances - Times it could have happened
+ * @returns {string} e.g. "42%", or "--" with no chances
+ */
+function formatPercent(count, chances) {
+    return chances > 0 ? `${Math.round((count / chances) * 100)}%` : '--';
+}
+
+/**
+ * Load and display total prize money won, from the bowler's tournament history
+ * 
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadEarnings() {
+    try {
+        const response = await fetch(`/api/bowlers/${currentBowlerId}/history`);
+        if (!response.ok) return;
+
+        const history = await response.json();
+        const earnings = history.stats?.totalEarnings || 0;
+        document.getElementById('stat-earnings').textContent = `$${earnings.toFixed(2)}`;
+    } catch (error) {
+        console.error('Failed to load earnings:', error);
+    }
 }
 
 /**
@@ -409,6 +466,11 @@ async function loadRegistrations() {
                 statusText = 'Completed';
                 canEdit = false;
             }
+            if (reg.status === 'cancelled') {
+                statusClass = 'status-completed';
+                statusText = 'Cancelled';
+                canEdit = false;
+            }
             
             const squadsHTML = reg.assignedSquads && reg.assignedSquads.length > 0 
                 ? `
@@ -417,7 +479,10 @@ async function loadRegistrations() {
                         ${reg.assignedSquads.map(squad => {
                             const squadDate = new Date(squad.date);
                             const dateStr = squadDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                            return `<span class="squad-badge">${squad.name} - ${dateStr} ${squad.time || ''}</span>`;
+                            const laneText = squad.startingLane
+                                ? ` • Lane ${squad.startingLane}${squad.laneRotation.length > 1 ? ` (then ${squad.laneRotation.slice(1).join(', ')})` : ''}`
+                                : '';
+                            return `<span class="squad-badge">${squad.name} - ${dateStr} ${squad.time || ''}${laneText}</span>`;
                         }).join('')}
                     </div>
                 `
@@ -425,6 +490,11 @@ async function loadRegistrations() {
 
             const actionsHTML = canEdit ? `
                 <div class="registration-actions">
+                    ${reg.canPayOnline ? `
+                        <button onclick="payRegistration('${reg._id}', this)" class="btn btn-primary">
+                            Pay Now
+                        </button>
+                    ` : ''}
                     <button onclick="editRegistration('${reg._id}', '${tournament._id}')" class="btn btn-secondary">
                         Edit Squads
                     </button>
@@ -670,6 +740,39 @@ async function cancelRegistration(regId, tournamentName) {
     }
 }
 
+/**
+ * Start an online checkout for a registration and send the bowler to the
+ * payment provider
+ * 
+ * @async
+ * @param {string} regId - Registration ID
+ * @param {HTMLButtonElement} button - Pay button
+ * @returns {Promise<void>}
+ */
+async function payRegistration(regId, button) {
+    button.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/registrations/${regId}/checkout`, {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            window.location.href = data.checkout.url;
+        } else {
+            button.disabled = false;
+            alert(`Failed to start payment: ${data.error || 'Unknown error'}`);
+        }
+    } catch (error) {
+        button.disabled = false;
+        alert('Network error. Please try again.');
+    }
+}
+
 // ========================================
 // EVENT LISTENERS
 // ========================================
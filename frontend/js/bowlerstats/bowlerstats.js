@@ -85,6 +85,7 @@ function renderBowlers() {
         const displayName = bowler.playerName || bowler.email?.split('@')[0] || 'Unknown';
         const nickname = bowler.nickname ? `"${bowler.nickname}"` : '';
         const handLabel = bowler.hand ? `${bowler.hand.charAt(0).toUpperCase() + bowler.hand.slice(1)}-handed` : 'Bowler';
+        const frameLine = formatFrameStats(bowler);
 
         let rankBadge = '';
         const sortValue = document.getElementById('sort-select').value;
@@ -120,6 +121,7 @@ function renderBowlers() {
                         <div class="stat-label">Events</div>
                     </div>
                 </div>
+                ${frameLine ? `<div class="bowler-frame-stats">${frameLine}</div>` : ''}
                 <div class="bowler-meta">
                     <span>${handLabel}</span>
                     <span>View Profile -></span>
@@ -129,6 +131,20 @@ function renderBowlers() {
     }).join('');
 }
 
+// Strike and spare rates from frame-by-frame games, plus honour scores
+function formatFrameStats(bowler) {
+    const parts = [];
+    const frames = bowler.frameStats;
+    if (frames?.framedGames > 0) {
+        if (frames.strikeChances > 0) parts.push(`${Math.round((frames.strikes / frames.strikeChances) * 100)}% strikes`);
+        if (frames.spareChances > 0) parts.push(`${Math.round((frames.spares / frames.spareChances) * 100)}% spares`);
+        parts.push(`${(frames.openFrames / frames.framedGames).toFixed(1)} opens/game`);
+    }
+    if (bowler.perfectGames) parts.push(`${bowler.perfectGames} × 300`);
+    if (bowler.eightHundredSeries) parts.push(`${bowler.eightHundredSeries} × 800`);
+    return parts.join(' • ');
+}
+
 document.getElementById('search-input').addEventListener('input', applyFiltersAndSort);
 document.getElementById('sort-select').addEventListener('change', applyFiltersAndSort);
 
@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Live Standings
+ * Follows a tournament's standings over Server-Sent Events while a squad is
+ * bowling, showing the cut lines and the pins each bowler needs to make them.
+ * Falls back to polling when the stream can't be kept open.
+ */
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const STREAM_RETRY_MS = 60 * 1000;
+
+const tournamentId = window.location.pathname.split('/').filter(Boolean)[1] || '';
+
+const liveTitle = document.getElementById('liveTitle');
+const liveSubtitle = document.getElementById('liveSubtitle');
+const liveStatus = document.getElementById('liveStatus');
+const liveStatusText = document.getElementById('liveStatusText');
+const liveContainer = document.getElementById('liveContainer');
+
+let liveStream = null;
+let pollTimer = null;
+let lastUpdatedAt = null;
+let notFound = false;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+function renderLiveState(message, variant = 'default') {
+    const toneClass = variant === 'error' ? ' is-error' : '';
+    return `<div class="results-empty-state${toneClass}"><p>${escapeHtml(message)}</p></div>`;
+}
+
+function setStatus(state, text) {
+    liveStatus.className = `live-status is-${state}`;
+    liveStatusText.textContent = text;
+}
+
+function formatTime(date) {
+    return new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', second: '2-digit' });
+}
+
+// Cushion over the line when inside it, pins to pass the last bowler in when outside
+function renderMarginCell(margin) {
+    if (!margin) return '<td class="is-center live-margin">-</td>';
+    if (margin.pins === null) {
+        return `<td class="is-center live-margin ${margin.inside ? 'is-inside' : 'is-outside'}">${margin.inside ? 'In' : 'Out'}</td>`;
+    }
+    if (margin.inside) {
+        return `<td class="is-center live-margin is-inside">+${margin.pins}</td>`;
+    }
+    return `<td class="is-center live-margin is-outside">${margin.pins} ${margin.pins === 1 ? 'pin' : 'pins'}</td>`;
+}
+
+function renderLivePlayerRow(player, index, division, games, isMatchPlay) {
+    const isCutLine = index + 1 === division.advancing;
+    const isCashLine = index + 1 === division.cashes;
+    const rowClasses = [
+        player.advance?.inside ? 'is-advancing' : '',
+        isCutLine ? 'is-cut-line' : '',
+        isCashLine ? 'is-cash-line' : ''
+    ].filter(Boolean).join(' ');
+
+    const gameCells = Array.from({ length: games }, (_, gameIndex) => {
+        const score = player.scores[gameIndex];
+        return score === undefined
+            ? '<td class="is-center results-score-empty">-</td>'
+            : `<td class="is-center results-score-cell">${score}</td>`;
+    }).join('');
+
+    return `
+        <tr class="${rowClasses}">
+            <td class="results-position">${escapeHtml(player.positionLabel || player.position)}</td>
+            <td class="results-player-name">${escapeHtml(player.playerName)}</td>
+            ${gameCells}
+            <td class="is-center live-played">${player.gamesPlayed}/${games}</td>
+            ${isMatchPlay ? `<td class="is-center">${player.matchPoints ?? 0}</td>` : ''}
+            <td class="is-center">${player.average}</td>
+            <td class="is-center results-total">${player.total}</td>
+            ${division.advancing ? renderMarginCell(player.advance) : ''}
+            ${division.cashes ? renderMarginCell(player.cash) : ''}
+        </tr>
+    `;
+}
+
+function renderDivision(division, stage) {
+    const isMatchPlay = stage.type !== 'pinfall';
+    const gameHeaders = Array.from(
+        { length: stage.games },
+        (_, index) => `<th class="is-center">G${index + 1}</th>`
+    ).join('');
+    const lines = [
+        division.advancing ? `Top ${division.advancing} advance` : '',
+        division.cashes ? `Top ${division.cashes} cash` : ''
+    ].filter(Boolean).join(' | ');
+
+    return `
+        <section class="results-stage-card">
+            <div class="results-stage-header">
+                <h2 class="results-stage-title">
+                    <span class="results-stage-icon">Live</span>
+                    <span>${escapeHtml(stage.name)}${division.key ? ` - ${escapeHtml(division.name)}` : ''}</span>
+                </h2>
+                <div class="results-stage-meta">${stage.games} games</div>
+            </div>
+            ${lines ? `<p class="results-stage-note">${lines}</p>` : ''}
+            ${division.players.length === 0 ? '<div class="results-empty-stage">No bowlers yet</div>' : `
+                <div class="results-table-wrap">
+                    <table class="results-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Player</th>
+                                ${gameHeaders}
+                                <th class="is-center">Bowled</th>
+                                ${isMatchPlay ? '<th class="is-center">Match Pts</th>' : ''}
+                                <th class="is-center">Avg</th>
+                                <th class="is-center">Total</th>
+                                ${division.advancing ? '<th class="is-center">To Advance</th>' : ''}
+                                ${division.cashes ? '<th class="is-center">To Cash</th>' : ''}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${division.players.map((player, index) => renderLivePlayerRow(player, index, division, stage.games, isMatchPlay)).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        </section>
+    `;
+}
+
+function renderStandings(standings) {
+    // A reconnect can replay a snapshot older than one already shown
+    if (lastUpdatedAt && new Date(standings.updatedAt) < lastUpdatedAt) return;
+    lastUpdatedAt = new Date(standings.updatedAt);
+
+    liveTitle.textContent = standings.tournament.name;
+    document.title = `Live: ${standings.tournament.name} - Revolution Rumble`;
+    liveSubtitle.textContent = [standings.tournament.location, `Updated ${formatTime(standings.updatedAt)}`]
+        .filter(Boolean)
+        .join(' | ');
+
+    liveContainer.innerHTML = standings.divisions.map((division) => renderDivision(division, standings.stage)).join('') ||
+        renderLiveState('No standings available yet');
+}
+
+async function pollStandings() {
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/live`);
+        if (response.status === 404) {
+            notFound = true;
+            stopPolling();
+            setStatus('offline', 'Not found');
+            liveContainer.innerHTML = renderLiveState('Tournament not found', 'error');
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to load standings');
+        renderStandings(await response.json());
+    } catch (error) {
+        console.error('Error loading live standings:', error);
+        if (!lastUpdatedAt) {
+            liveContainer.innerHTML = renderLiveState('Failed to load standings. Retrying...', 'error');
+        }
+    }
+}
+
+function startPolling() {
+    if (pollTimer) return;
+    setStatus('polling', `Refreshing every ${POLL_INTERVAL_MS / 1000}s`);
+    pollStandings();
+    pollTimer = setInterval(pollStandings, POLL_INTERVAL_MS);
+}
+
+function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+}
+
+function connect() {
+    if (notFound) return;
+    if (!window.EventSource) {
+        startPolling();
+        return;
+    }
+
+    liveStream = new EventSource(`/api/tournaments/${tournamentId}/live/stream`);
+
+    liveStream.addEventListener('open', () => {
+        stopPolling();
+        setStatus('live', 'Live');
+    });
+
+    liveStream.addEventListener('standings', (event) => {
+        renderStandings(JSON.parse(event.data));
+    });
+
+    liveStream.addEventListener('error', () => {
+        // The browser reconnects by itself unless the server turned the stream
+        // away (rate limited, not found, ...); poll until it can be reopened
+        if (liveStream.readyState === EventSource.CONNECTING) {
+            setStatus('reconnecting', 'Reconnecting...');
+            return;
+        }
+        liveStream.close();
+        liveStream = null;
+        startPolling();
+        setTimeout(connect, STREAM_RETRY_MS);
+    });
+}
+
+if (tournamentId) {
+    connect();
+} else {
+    setStatus('offline', 'Offline');
+    liveContainer.innerHTML = renderLiveState('No tournament selected', 'error');
+}
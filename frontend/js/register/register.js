@@ -103,6 +103,8 @@ async function loadTournaments() {
             const form = document.getElementById(`form-${tournament._id}`);
             if (form) {
                 form.addEventListener('submit', (e) => handleSubmit(e, tournament));
+                form.addEventListener('change', () => updateQuote(tournament._id));
+                updateQuote(tournament._id);
             }
         });
 
@@ -169,16 +171,16 @@ function renderSquadSelection(tournament) {
     }
 
     const squadCheckboxes = squads.map(squad => {
-        const isDisabled = squad.available <= 0;
-        const disabledAttr = isDisabled ? 'disabled' : '';
-        const disabledClass = isDisabled ? 'disabled' : '';
+        // Full squads stay selectable so bowlers can join the waitlist
+        const isFull = squad.available <= 0;
+        const fullClass = isFull ? 'full' : '';
         
         const squadDate = new Date(squad.date);
         const dateStr = squadDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
         const timeStr = squad.time || '';
         
         return `
-            <div class="squad-option ${disabledClass}">
+            <div class="squad-option ${fullClass}">
                 <label>
                     <input 
                         type="checkbox" 
@@ -187,7 +189,6 @@ function renderSquadSelection(tournament) {
                         data-is-qualifying="${squad.isQualifying}"
                         data-allow-reentry="${allowReentry}"
                         data-required-qualifying="${requiredQualifying}"
-                        ${disabledAttr}
                         onchange="validateSquadSelection(this)"
                     />
                     <div class="squad-info">
@@ -196,7 +197,7 @@ function renderSquadSelection(tournament) {
                             ${squad.isQualifying ? '<span class="qualifying-badge">QUALIFYING</span>' : ''}
                         </div>
                         <div class="squad-details">
-                            ${dateStr} ${timeStr ? `• ${timeStr}` : ''} • ${squad.available}/${squad.capacity} spots available
+                            ${dateStr} ${timeStr ? `• ${timeStr}` : ''} • ${isFull ? 'Full - waitlist only' : `${squad.available}/${squad.capacity} spots available`}
                         </div>
                     </div>
                 </label>
@@ -215,6 +216,185 @@ function renderSquadSelection(tournament) {
     `;
 }
 
+/**
+ * Describes a division's eligibility rules for the division picker
+ * @param {Object} division - Division from tournament.format.divisions
+ * @returns {string} Rule summary, e.g. "Scratch • Women • 50+"
+ */
+function describeDivisionRules(division) {
+    const rules = [];
+    if (division.gender) rules.push(division.gender === 'female' ? 'Women' : 'Men');
+    if (division.minAge && division.maxAge) rules.push(`Ages ${division.minAge}-${division.maxAge}`);
+    else if (division.minAge) rules.push(`${division.minAge}+`);
+    else if (division.maxAge) rules.push(`${division.maxAge} and under`);
+    if (division.maxAverage) rules.push(`Average ${division.maxAverage} or lower`);
+    if (division.membersOnly) rules.push('Members only');
+    const eligibility = rules.join(' • ') || 'Open to all';
+    return division.scoring ? `${division.scoring === 'handicap' ? 'Handicap' : 'Scratch'} • ${eligibility}` : eligibility;
+}
+
+/**
+ * Renders the division picker for tournaments with configured divisions
+ * Uses radio buttons when bowlers may only enter one division
+ * @param {Object} tournament - The tournament object
+ * @param {Object} [tournament.format] - Tournament format with divisions and maxDivisionsPerBowler
+ * @returns {string} HTML string for division selection, or empty when there are no divisions
+ */
+function renderDivisionSelection(tournament) {
+    const divisions = tournament.format?.divisions || [];
+    if (divisions.length === 0) return '';
+
+    const maxDivisions = tournament.format.maxDivisionsPerBowler || 1;
+    const inputType = maxDivisions > 1 ? 'checkbox' : 'radio';
+    const needsBirthDate = divisions.some(division => division.minAge || division.maxAge);
+
+    const options = divisions.map(division => `
+        <div class="squad-option">
+            <label>
+                <input type="${inputType}" name="divisions" value="${division.key}" />
+                <div class="squad-info">
+                    <div class="squad-name">${division.name}</div>
+                    <div class="squad-details">${describeDivisionRules(division)}</div>
+                </div>
+            </label>
+        </div>
+    `).join('');
+
+    return `
+        <div class="form-group full-width squad-selection">
+            <label>Select Division${maxDivisions > 1 ? 's' : ''} *</label>
+            ${maxDivisions > 1 ? `<div class="squad-requirement">* Enter up to ${maxDivisions} divisions you are eligible for</div>` : ''}
+            <div class="squad-list">
+                ${options}
+            </div>
+        </div>
+        ${needsBirthDate ? `
+            <div class="form-group full-width">
+                <label for="dob-${tournament._id}">Date of Birth</label>
+                <input id="dob-${tournament._id}" name="dateOfBirth" type="date" />
+                <small style="color:var(--muted)">Required for age divisions unless it's already on your bowler profile</small>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Renders the optional add-ons (brackets, side pots...) a bowler can buy
+ * @param {Object} tournament - The tournament object
+ * @param {Object} [tournament.pricing] - Tournament pricing with addOns
+ * @returns {string} HTML string for add-on selection, or empty when there are none
+ */
+function renderAddOnSelection(tournament) {
+    const addOns = tournament.pricing?.addOns || [];
+    if (addOns.length === 0) return '';
+
+    const options = addOns.map(addOn => `
+        <div class="squad-option">
+            <label>
+                <input type="checkbox" name="addOns" value="${escapeHtml(addOn.key)}" />
+                <div class="squad-info">
+                    <div class="squad-name">${escapeHtml(addOn.name)}</div>
+                    <div class="squad-details">$${Number(addOn.price).toFixed(2)}</div>
+                </div>
+            </label>
+        </div>
+    `).join('');
+
+    return `
+        <div class="form-group full-width squad-selection">
+            <label>Add-ons</label>
+            <div class="squad-list">
+                ${options}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Describes a side event for the side event picker
+ * @param {Object} event - Side event from tournament.sideEvents
+ * @returns {string} Summary, e.g. "8-person brackets • Handicap • Games 1-3 • $10.00"
+ */
+function describeSideEvent(event) {
+    const games = event.type === 'brackets'
+        ? { start: event.startGame, end: event.startGame + Math.log2(event.bracketSize || 8) - 1 }
+        : { start: event.startGame, end: event.endGame };
+    const parts = [
+        event.type === 'brackets' ? `${event.bracketSize}-person brackets` : (event.type === 'high_game' ? 'High game' : 'High series'),
+        event.scoring === 'handicap' ? 'Handicap' : 'Scratch',
+        games.start === games.end ? `Game ${games.start}` : `Games ${games.start}-${games.end}`,
+        `$${Number(event.entryFee).toFixed(2)}`
+    ];
+    return parts.join(' • ');
+}
+
+/**
+ * Renders the side events (pots and brackets) a bowler can enter
+ * @param {Object} tournament - The tournament object
+ * @param {Array} [tournament.sideEvents] - Side events on offer
+ * @returns {string} HTML string for side event selection, or empty when there are none
+ */
+function renderSideEventSelection(tournament) {
+    const events = tournament.sideEvents || [];
+    if (events.length === 0) return '';
+
+    const options = events.map(event => `
+        <div class="squad-option">
+            <label>
+                <input type="checkbox" name="sideEvents" value="${escapeHtml(event.key)}" />
+                <div class="squad-info">
+                    <div class="squad-name">${escapeHtml(event.name)}</div>
+                    <div class="squad-details">${escapeHtml(describeSideEvent(event))}</div>
+                </div>
+            </label>
+        </div>
+    `).join('');
+
+    return `
+        <div class="form-group full-width squad-selection">
+            <label>Side Pots & Brackets</label>
+            <div class="squad-list">
+                ${options}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Fetches the server's price for the current squad, add-on and side event selection
+ * and shows it itemised above the submit button
+ * @async
+ * @param {string} tournamentId - Tournament ID
+ * @returns {Promise<void>}
+ */
+async function updateQuote(tournamentId) {
+    const form = document.getElementById(`form-${tournamentId}`);
+    const quoteDiv = document.getElementById(`quote-${tournamentId}`);
+    if (!form || !quoteDiv) return;
+
+    const squads = Array.from(form.querySelectorAll('input[name="squads"]:checked')).map(input => input.value);
+    const addOns = Array.from(form.querySelectorAll('input[name="addOns"]:checked')).map(input => input.value);
+    const sideEvents = Array.from(form.querySelectorAll('input[name="sideEvents"]:checked')).map(input => input.value);
+    const params = new URLSearchParams({ squads: squads.join(','), addOns: addOns.join(','), sideEvents: sideEvents.join(',') });
+
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/quote?${params}`);
+        const quote = await response.json();
+        if (!response.ok) throw new Error(quote.error);
+
+        quoteDiv.innerHTML = `
+            ${quote.items.map(item => `
+                <div class="quote-line"><span>${escapeHtml(item.label)}</span><span>$${item.amount.toFixed(2)}</span></div>
+            `).join('')}
+            <div class="quote-line total"><span>Total</span><span>$${quote.total.toFixed(2)}</span></div>
+        `;
+        quoteDiv.style.display = 'block';
+    } catch (error) {
+        console.error('Failed to load price:', error);
+        quoteDiv.style.display = 'none';
+    }
+}
+
 /**
  * Renders a complete tournament registration card
  * Creates multi-step registration UI with choice buttons, authentication, and forms
@@ -440,11 +620,19 @@ function renderTournamentCard(tournament) {
 
                     ${renderSquadSelection(tournament)}
 
+                    ${renderDivisionSelection(tournament)}
+
+                    ${renderAddOnSelection(tournament)}
+
+                    ${renderSideEventSelection(tournament)}
+
                     <div class="form-group full-width">
                         <label for="notes-${tournament._id}">Additional Notes</label>
                         <textarea id="notes-${tournament._id}" name="notes" placeholder="Any special requirements or information..."></textarea>
                     </div>
 
+                    <div id="quote-${tournament._id}" class="quote-summary" style="display:none"></div>
+
                     <button type="submit" class="submit-btn">Complete Registration</button>
                     
                     <div id="message-${tournament._id}"></div>
@@ -524,6 +712,18 @@ async function handleSubmit(e, tournament) {
         }
     }
 
+    // Validate division selection if tournament has divisions
+    const selectedDivisions = Array.from(form.querySelectorAll('input[name="divisions"]:checked')).map(input => input.value);
+    const maxDivisions = tournament.format?.maxDivisionsPerBowler || 1;
+    if (tournament.format?.divisions?.length > 0) {
+        if (selectedDivisions.length === 0 || selectedDivisions.length > maxDivisions) {
+            messageDiv.innerHTML = `<div class="error-message">❌ Please select ${maxDivisions > 1 ? `between 1 and ${maxDivisions} divisions` : 'a division'}</div>`;
+            submitBtn.disabled = false;
+            submitBtn.textContent = `Register for ${tournament.name}`;
+            return;
+        }
+    }
+
     // Check if this is a returning bowler (has stored data) or new bowler (read from form)
     const bowlerInfo = window.bowlerData && window.bowlerData[tournament._id] 
         ? window.bowlerData[tournament._id]
@@ -554,23 +754,28 @@ async function handleSubmit(e, tournament) {
         gender: genderFromForm,
         averageScore: bowlerInfo.averageScore,
         notes: formData.get('notes'),
-        assignedSquads: selectedSquads
+        assignedSquads: selectedSquads,
+        divisions: selectedDivisions,
+        addOns: formData.getAll('addOns'),
+        sideEvents: formData.getAll('sideEvents'),
+        dateOfBirth: formData.get('dateOfBirth') || null
     };
     
     console.log('Submitting registration with gender:', genderFromForm);
 
     try {
-        const response = await fetch('/api/registrations', {
-            method: 'POST',
-            headers: { 
-                'Content-Type': 'application/json',
-                'X-CSRF-Token': csrfToken
-            },
-            credentials: 'same-origin',
-            body: JSON.stringify(data)
-        });
+        let response = await submitRegistration(data);
+        let result = await response.json();
 
-        const result = await response.json();
+        // Full squad or tournament: offer a place on the waitlist instead
+        if (!response.ok && result.waitlistAvailable) {
+            if (!confirm(`${result.error}\n\nJoin the waitlist? We'll email you if a spot opens up.`)) {
+                throw new Error(result.error);
+            }
+            data.joinWaitlist = true;
+            response = await submitRegistration(data);
+            result = await response.json();
+        }
 
         if (!response.ok) {
             throw new Error(result.error || 'Registration failed');
@@ -593,12 +798,23 @@ async function handleSubmit(e, tournament) {
 
         // Success
         const squadInfo = selectedSquads.length > 0 ? ` for ${selectedSquads.length} squad${selectedSquads.length > 1 ? 's' : ''}` : '';
-        messageDiv.innerHTML = `
-            <div class="success-message">
-                ✅ Registration successful! You're registered for ${escapeHtml(tournament.name)}${squadInfo}. 
-                A confirmation email will be sent to ${escapeHtml(data.email)}.
-            </div>
-        `;
+        if (result.status === 'waitlist') {
+            messageDiv.innerHTML = `
+                <div class="success-message">
+                    ✅ You're on the waitlist for ${escapeHtml(tournament.name)}${squadInfo}.
+                    If a spot opens up we'll email ${escapeHtml(data.email)} with a link to claim it.
+                </div>
+            `;
+        } else {
+            messageDiv.innerHTML = `
+                <div class="success-message">
+                    ✅ Registration successful! You're registered for ${escapeHtml(tournament.name)}${squadInfo}. 
+                    A confirmation email will be sent to ${escapeHtml(data.email)}.
+                    ${result.quote?.total != null ? `Your entry total is $${result.quote.total.toFixed(2)}.` : ''}
+                    ${renderCheckoutLink(result.checkout)}
+                </div>
+            `;
+        }
         form.reset();
 
         // Reload tournaments to update counts
@@ -616,6 +832,50 @@ async function handleSubmit(e, tournament) {
     }
 }
 
+/**
+ * Renders a link to pay the entry fee online
+ * @param {Object|null} checkout - Checkout from the API ({ url, amount, currency })
+ * @returns {string} HTML string, empty when there's nothing to pay online
+ */
+function renderCheckoutLink(checkout) {
+    if (!checkout?.url) return '';
+    const amount = (checkout.amount / 100).toFixed(2);
+    return `<div style="margin-top:12px"><a href="${escapeHtml(checkout.url)}" class="submit-btn" style="display:inline-block;width:auto;text-decoration:none">Pay $${amount} ${escapeHtml(checkout.currency)} Now</a></div>`;
+}
+
+/**
+ * Shows the outcome when a bowler returns from the payment provider
+ * (?payment=success or ?payment=cancelled)
+ * @returns {void}
+ */
+function showPaymentResult() {
+    const outcome = new URLSearchParams(window.location.search).get('payment');
+    if (!outcome) return;
+
+    const container = document.getElementById('register-notice');
+    container.style.display = 'block';
+    container.innerHTML = outcome === 'success'
+        ? '<div class="success-message">✅ Payment received. Thank you! Your payment status will update shortly.</div>'
+        : '<div class="error-message">❌ Payment was not completed. You can pay any time from your Bowler Hub.</div>';
+}
+
+/**
+ * Posts a registration to the API
+ * @param {Object} data - Registration payload
+ * @returns {Promise<Response>}
+ */
+function submitRegistration(data) {
+    return fetch('/api/registrations', {
+        method: 'POST',
+        headers: { 
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        credentials: 'same-origin',
+        body: JSON.stringify(data)
+    });
+}
+
 /**
  * Validates and advances from personal info to squad selection
  * Checks required fields and email format before proceeding
@@ -652,6 +912,80 @@ function proceedToSquads(tournamentId) {
     document.getElementById(`form-${tournamentId}`).scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+// ============================================================================
+// WAITLIST OFFERS
+// ============================================================================
+
+/**
+ * Shows a waitlist offer when the page is opened from an offer email link
+ * (?waitlistOffer=token)
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadWaitlistOffer() {
+    const token = new URLSearchParams(window.location.search).get('waitlistOffer');
+    if (!token) return;
+
+    const container = document.getElementById('register-notice');
+    container.style.display = 'block';
+
+    try {
+        const response = await fetch(`/api/waitlist/offers/${encodeURIComponent(token)}`);
+        const offer = await response.json();
+        if (!response.ok) {
+            container.innerHTML = `<div class="error-message">❌ ${escapeHtml(offer.error || 'Offer not found')}</div>`;
+            return;
+        }
+
+        const squads = offer.squads.map(squad => escapeHtml(`${squad.name}${squad.time ? ` (${squad.time})` : ''}`)).join(', ');
+        container.innerHTML = `
+            <h2>A spot is available in ${escapeHtml(offer.tournament.name)}</h2>
+            <p style="margin:12px 0">Hi ${escapeHtml(offer.playerName)}, you're next on the waitlist.</p>
+            ${squads ? `<p style="margin:12px 0">Squads: ${squads}</p>` : ''}
+            <p style="margin:12px 0">This offer expires ${new Date(offer.expiresAt).toLocaleString()}.</p>
+            <button type="button" class="submit-btn" onclick="acceptWaitlistOffer('${encodeURIComponent(token)}', this)">Accept My Spot</button>
+            <div id="waitlist-offer-message"></div>
+        `;
+    } catch (error) {
+        container.innerHTML = '<div class="error-message">❌ Failed to load waitlist offer</div>';
+    }
+}
+
+/**
+ * Accepts a waitlist offer, confirming the bowler's registration
+ * @async
+ * @param {string} token - Offer token from the email link
+ * @param {HTMLButtonElement} button - Accept button
+ * @returns {Promise<void>}
+ */
+async function acceptWaitlistOffer(token, button) {
+    const messageDiv = document.getElementById('waitlist-offer-message');
+    button.disabled = true;
+
+    try {
+        if (!csrfToken) {
+            const csrfResponse = await fetch('/api/csrf-token');
+            csrfToken = (await csrfResponse.json()).csrfToken;
+        }
+
+        const response = await fetch(`/api/waitlist/offers/${token}/accept`, {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            credentials: 'same-origin'
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || 'Failed to accept offer');
+        }
+
+        button.style.display = 'none';
+        messageDiv.innerHTML = `<div class="success-message">✅ Your spot is confirmed! A confirmation email is on its way. ${renderCheckoutLink(result.checkout)}</div>`;
+    } catch (error) {
+        button.disabled = false;
+        messageDiv.innerHTML = `<div class="error-message">❌ ${escapeHtml(error.message)}</div>`;
+    }
+}
+
 // ============================================================================
 // RESERVATION MANAGEMENT
 // ============================================================================
@@ -944,4 +1278,6 @@ function backToEmail(tournamentId) {
 // ============================================================================
 
 // Load tournaments on page load
+showPaymentResult();
+loadWaitlistOffer();
 loadTournaments();
@@ -10,6 +10,28 @@ const tournamentTitle = document.getElementById('tournamentTitle');
 const tournamentSubtitle = document.getElementById('tournamentSubtitle');
 const resultsContainer = document.getElementById('resultsContainer');
 
+const TIE_BREAK_LABELS = {
+    high_last_game: 'High last game',
+    high_game: 'High game',
+    lowest_handicap: 'Lowest handicap',
+    roll_off: 'Roll-off'
+};
+
+// Names come from registrations and admin settings; also safe inside attributes
+function escapeHtml(text) {
+    return String(text ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+}
+
+function renderTieBreakNote(player) {
+    if (player.tieBreak) {
+        return `<small class="results-tiebreak">Tie broken by ${escapeHtml(TIE_BREAK_LABELS[player.tieBreak] || player.tieBreak)}</small>`;
+    }
+    if (player.needsRollOff) {
+        return '<small class="results-tiebreak">Roll-off pending</small>';
+    }
+    return '';
+}
+
 function renderResultsState(message, variant = 'default') {
     const toneClass = variant === 'error' ? ' is-error' : '';
     return `<div class="results-empty-state${toneClass}"><p>${message}</p></div>`;
@@ -90,23 +112,62 @@ function renderResults() {
 
     let html = '';
 
+    if (currentTournamentData.tournament.status === 'ongoing') {
+        html += `<a class="results-live-link" href="/live/${currentTournamentData.tournament._id}">Follow live standings</a>`;
+    }
+
     if (currentTournamentData.hasStages) {
         currentTournamentData.stages.forEach((stage, index) => {
-            if (stage.players.length === 0) {
-                html += renderEmptyStage(stage, index);
-            } else {
-                html += renderStageLeaderboard(stage, stage.players, index);
+            getDivisionViews(stage).forEach((view) => {
+                if (view.players.length === 0) {
+                    html += renderEmptyStage(view, index);
+                } else if (view.standingsType === 'points') {
+                    html += renderPointsLeaderboard(view, index);
+                } else if (view.standingsType === 'bracket') {
+                    html += renderBracketStage(view, index);
+                } else {
+                    html += renderStageLeaderboard(view, view.players, index);
+                }
+            });
+            if (stage.players.length > 0 && !stage.standingsType && stage.reentries?.length) {
+                html += renderReentryLeaderboard(stage.reentries, stage.scoresToCount);
             }
         });
     } else if (!currentTournamentData.players?.length) {
-        html = renderResultsState('No results available yet');
+        html += renderResultsState('No results available yet');
     } else {
-        html = renderSingleStageLeaderboard(currentTournamentData.players || []);
+        const divisions = currentTournamentData.tournament.divisions || [];
+        html += divisions.length === 0
+            ? renderSingleStageLeaderboard(currentTournamentData.players)
+            : divisions
+                .map((division) => renderSingleStageLeaderboard(
+                    currentTournamentData.players.filter((player) => player.division === division.key),
+                    `${division.name} Standings`
+                ))
+                .join('');
+        if (currentTournamentData.reentries?.length) {
+            html += renderReentryLeaderboard(currentTournamentData.reentries, currentTournamentData.scoresToCount);
+        }
     }
 
     resultsContainer.innerHTML = html || renderResultsState('No results available yet');
 }
 
+// One copy of a stage per division, each with its own players, matches and cut line.
+// Tournaments that bowl as one field get the stage back unchanged.
+function getDivisionViews(stage) {
+    const divisions = currentTournamentData.tournament.divisions || [];
+    if (divisions.length === 0) return [stage];
+
+    return divisions.map((division) => ({
+        ...stage,
+        stageName: `${stage.stageName} - ${division.name}`,
+        advancingBowlers: stage.advancingByDivision?.[division.key] ?? stage.advancingBowlers,
+        players: stage.players.filter((player) => player.division === division.key),
+        matches: stage.matches?.filter((match) => match.division === division.key)
+    }));
+}
+
 function renderStageLeaderboard(stage, players, stageIndex) {
     const isQualifying = stageIndex === 0;
     const isFinal = stageIndex === currentTournamentData.stages.length - 1;
@@ -122,7 +183,7 @@ function renderStageLeaderboard(stage, players, stageIndex) {
             <div class="results-stage-header">
                 <h2 class="results-stage-title">
                     <span class="results-stage-icon">${icon}</span>
-                    <span>${stage.stageName}</span>
+                    <span>${escapeHtml(stage.stageName)}</span>
                 </h2>
                 <div class="results-stage-meta">${stage.games} games</div>
             </div>
@@ -149,7 +210,234 @@ function renderStageLeaderboard(stage, players, stageIndex) {
     `;
 }
 
-function renderSingleStageLeaderboard(players) {
+function renderPointsLeaderboard(stage, stageIndex) {
+    const isFinal = stageIndex === currentTournamentData.stages.length - 1;
+    const isTri = stage.type === 'tri_matchplay';
+    const hasCarryover = stage.players.some((player) => player.carryover > 0);
+    const rows = stage.players.map((player) => {
+        const isAdvancing = stage.advancingBowlers && player.position <= stage.advancingBowlers;
+        const rowClass = player.position <= 3 ? 'is-top-three' : isAdvancing ? 'is-advancing' : '';
+
+        return `
+            <tr class="${rowClass}">
+                <td class="results-position">${escapeHtml(player.positionLabel || player.position)}</td>
+                <td class="results-player-name">${escapeHtml(player.playerName)}${renderTieBreakNote(player)}</td>
+                ${hasCarryover ? `<td class="is-center results-carry">${player.carryover}</td>` : ''}
+                <td class="is-center">${isTri ? `${player.wins}-${player.middles}-${player.losses}` : `${player.wins}-${player.ties}-${player.losses}`}</td>
+                <td class="is-center">${player.matchPoints}</td>
+                <td class="is-center">${player.average}</td>
+                <td class="is-center results-scratch">${player.scratchTotal}</td>
+                <td class="is-center results-total">${player.total}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <section class="results-stage-card">
+            <div class="results-stage-header">
+                <h2 class="results-stage-title">
+                    <span class="results-stage-icon">${isFinal ? 'Final' : isTri ? 'Tri Matchplay' : 'Match Play'}</span>
+                    <span>${escapeHtml(stage.stageName)}</span>
+                </h2>
+                <div class="results-stage-meta">${stage.matches.filter((match) => match.status === 'completed').length} of ${stage.matches.length} matches bowled</div>
+            </div>
+            ${stage.advancingBowlers ? `<p class="results-stage-note">Top ${stage.advancingBowlers} advance to the next stage</p>` : ''}
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Player</th>
+                            ${hasCarryover ? '<th class="is-center">Carry</th>' : ''}
+                            <th class="is-center">${isTri ? '1st-2nd-3rd' : 'W-T-L'}</th>
+                            <th class="is-center">Match Pts</th>
+                            <th class="is-center">Avg</th>
+                            <th class="is-center">Pinfall</th>
+                            <th class="is-center">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+            ${isTri ? renderGroupSheets(stage.matches) : ''}
+        </section>
+    `;
+}
+
+function renderGroupSheets(matches) {
+    const rounds = new Map();
+    matches.forEach((match) => {
+        if (!rounds.has(match.round)) rounds.set(match.round, []);
+        rounds.get(match.round).push(match);
+    });
+
+    const renderGroup = (match) => {
+        if (match.participants.length === 1) {
+            const [bye] = match.participants;
+            return `
+                <div class="results-bracket-match is-bye">
+                    <div class="results-bracket-slot">
+                        <span>${escapeHtml(bye.playerName)}</span>
+                        <strong>${bye.scores?.[0] ?? ''}</strong>
+                    </div>
+                    <div class="results-bracket-slot is-empty">Bye${match.status === 'completed' ? ` - ${bye.points} pts` : ''}</div>
+                </div>
+            `;
+        }
+
+        const slots = [...match.participants]
+            .sort((a, b) => (b.scores?.[0] ?? -1) - (a.scores?.[0] ?? -1))
+            .map((participant) => `
+                <div class="results-bracket-slot ${participant.result === 'win' ? 'is-winner' : participant.result === 'loss' ? 'is-loser' : ''}">
+                    <span>${escapeHtml(participant.playerName)}</span>
+                    <strong>${participant.scores?.[0] ?? '-'}${match.status === 'completed' ? ` <small>${participant.points} pts</small>` : ''}</strong>
+                </div>
+            `).join('');
+
+        return `<div class="results-bracket-match">${slots}</div>`;
+    };
+
+    const columns = [...rounds.entries()].map(([round, roundMatches]) => `
+        <div class="results-bracket-round">
+            <h3>Round ${round}</h3>
+            ${roundMatches.sort((a, b) => a.matchNumber - b.matchNumber).map(renderGroup).join('')}
+        </div>
+    `).join('');
+
+    return `<div class="results-bracket">${columns}</div>`;
+}
+
+function getBracketRoundName(bracket, round, roundCount, isStepladder = false) {
+    if (isStepladder) return round === roundCount ? 'Championship' : `Match ${round}`;
+    if (bracket === 'grand_final') return round > 1 ? 'Grand Final Reset' : 'Grand Final';
+    if (bracket === 'losers') return `Losers Round ${round}`;
+
+    const remaining = roundCount - round;
+    if (remaining === 0) return 'Final';
+    if (remaining === 1) return 'Semifinals';
+    if (remaining === 2) return 'Quarterfinals';
+    return `Round ${round}`;
+}
+
+function renderBracketMatch(match) {
+    if (match.isBye && match.participants.length < 2) {
+        const name = match.participants[0]?.playerName;
+        return `
+            <div class="results-bracket-match is-bye">
+                <div class="results-bracket-slot is-winner">${name ? escapeHtml(name) : '-'}</div>
+                <div class="results-bracket-slot is-empty">Bye</div>
+            </div>
+        `;
+    }
+
+    const slots = [0, 1].map((slotIndex) => {
+        const participant = match.participants[slotIndex];
+        if (!participant) {
+            return '<div class="results-bracket-slot is-empty">TBD</div>';
+        }
+
+        const slotClass = participant.result === 'win' ? 'is-winner' : participant.result === 'loss' ? 'is-loser' : '';
+        const score = participant.scores?.length ? participant.pinfall : '';
+        return `
+            <div class="results-bracket-slot ${slotClass}">
+                <span>${participant.seed ? `<small>${participant.seed}</small>` : ''}${escapeHtml(participant.playerName)}</span>
+                <strong>${score}</strong>
+            </div>
+        `;
+    }).join('');
+
+    return `<div class="results-bracket-match">${slots}</div>`;
+}
+
+// A grand final reset settled as a bye wasn't needed
+function isSkippedReset(match) {
+    return match.bracket === 'grand_final' && match.round > 1 && match.isBye;
+}
+
+function renderBracketTree(matches, bracket, isStepladder = false) {
+    const bracketMatches = matches.filter((match) => match.bracket === bracket && !isSkippedReset(match));
+    if (bracketMatches.length === 0) return '';
+
+    const roundCount = Math.max(...bracketMatches.map((match) => match.round));
+    const columns = Array.from({ length: roundCount }, (_, index) => {
+        const round = index + 1;
+        const roundMatches = bracketMatches
+            .filter((match) => match.round === round)
+            .sort((a, b) => a.matchNumber - b.matchNumber);
+
+        return `
+            <div class="results-bracket-round">
+                <h3>${getBracketRoundName(bracket, round, roundCount, isStepladder)}</h3>
+                ${roundMatches.map(renderBracketMatch).join('')}
+            </div>
+        `;
+    }).join('');
+
+    return `<div class="results-bracket">${columns}</div>`;
+}
+
+function renderBracketStage(stage, stageIndex) {
+    const isFinal = stageIndex === currentTournamentData.stages.length - 1;
+    const isStepladder = stage.type === 'stepladder';
+    const isDouble = stage.eliminationStyle === 'double';
+    const played = stage.matches.filter((match) => match.status === 'completed' && !match.isBye).length;
+    const total = stage.matches.filter((match) => !match.isBye).length;
+
+    const rows = stage.players.map((player) => {
+        const isAdvancing = stage.advancingBowlers && player.position <= stage.advancingBowlers;
+        const rowClass = player.position <= 3 ? 'is-top-three' : isAdvancing ? 'is-advancing' : '';
+
+        return `
+            <tr class="${rowClass}">
+                <td class="results-position">${escapeHtml(player.positionLabel || player.position)}</td>
+                <td class="results-player-name">${escapeHtml(player.playerName)}</td>
+                <td class="is-center">${player.seed || '-'}</td>
+                <td class="is-center">${player.wins}-${player.losses}</td>
+                <td class="is-center">${player.average}</td>
+                <td class="is-center results-scratch">${player.scratchTotal}</td>
+                <td class="is-center">${player.eliminated ? 'Out' : 'Alive'}</td>
+            </tr>
+        `;
+    }).join('');
+
+    return `
+        <section class="results-stage-card">
+            <div class="results-stage-header">
+                <h2 class="results-stage-title">
+                    <span class="results-stage-icon">${isFinal ? 'Final' : isStepladder ? 'Stepladder' : 'Bracket'}</span>
+                    <span>${escapeHtml(stage.stageName)}</span>
+                </h2>
+                <div class="results-stage-meta">${played} of ${total} matches bowled</div>
+            </div>
+            <p class="results-stage-note">${isStepladder ? `Top ${stage.players.length} stepladder` : `${isDouble ? 'Double' : 'Single'} elimination`}</p>
+            ${isStepladder ? renderBracketTree(stage.matches, '', true) : renderBracketTree(stage.matches, 'winners')}
+            ${isDouble ? renderBracketTree(stage.matches, 'losers') : ''}
+            ${renderBracketTree(stage.matches, 'grand_final')}
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Player</th>
+                            <th class="is-center">Seed</th>
+                            <th class="is-center">W-L</th>
+                            <th class="is-center">Avg</th>
+                            <th class="is-center">Pinfall</th>
+                            <th class="is-center">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    `;
+}
+
+function renderSingleStageLeaderboard(players, title = 'Final Standings') {
     const maxGames = Math.max(...players.map((player) => player.scores?.length || 0), 3);
     const gameHeaders = Array.from(
         { length: maxGames },
@@ -161,7 +449,7 @@ function renderSingleStageLeaderboard(players) {
             <div class="results-stage-header">
                 <h2 class="results-stage-title">
                     <span class="results-stage-icon">Final</span>
-                    <span>Final Standings</span>
+                    <span>${escapeHtml(title)}</span>
                 </h2>
             </div>
             <div class="results-table-wrap">
@@ -185,13 +473,63 @@ function renderSingleStageLeaderboard(players) {
     `;
 }
 
+function renderReentryLeaderboard(entries, scoresToCount) {
+    const maxGames = Math.max(...entries.map((entry) => entry.scores.length));
+    const gameHeaders = Array.from(
+        { length: maxGames },
+        (_, index) => `<th class="is-center">G${index + 1}</th>`
+    ).join('');
+
+    const rows = entries.map((entry, index) => `
+        <tr class="${entry.counts ? 'is-counting' : 'is-dropped'}">
+            <td class="results-position">${index + 1}</td>
+            <td class="results-player-name">${escapeHtml(entry.playerName)}<small class="results-tiebreak">${escapeHtml(entry.squadName)}</small></td>
+            ${Array.from({ length: maxGames }, (_, gameIndex) => `<td class="is-center">${entry.scores[gameIndex] ?? '-'}</td>`).join('')}
+            <td class="is-center results-scratch">${entry.scratchTotal}</td>
+            <td class="is-center results-total">${entry.total}</td>
+            <td class="is-center">${entry.counts ? '<span class="results-entry-counts">Counts</span>' : '-'}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <section class="results-stage-card">
+            <div class="results-stage-header">
+                <h2 class="results-stage-title">
+                    <span class="results-stage-icon">Re-entry</span>
+                    <span>All Entries</span>
+                </h2>
+                <div class="results-stage-meta">${entries.length} entries</div>
+            </div>
+            <p class="results-stage-note">Best ${scoresToCount || 1} ${scoresToCount > 1 ? 'entries count' : 'entry counts'} towards each bowler's qualifying total</p>
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Player</th>
+                            ${gameHeaders}
+                            <th class="is-center">Scratch</th>
+                            <th class="is-center">Total</th>
+                            <th class="is-center">Counts</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    `;
+}
+
 function renderPlayerRow(player, index, stage = null, maxGames = 0) {
     const position = player.position;
     const isTopThree = position <= 3;
     const isAdvancing = stage?.advancingBowlers && position <= stage.advancingBowlers;
 
     let positionBadge = position;
-    if (position === 1) positionBadge = '#1';
+    if (player.positionLabel?.startsWith('T-')) positionBadge = player.positionLabel;
+    else if (position === 1) positionBadge = '#1';
     else if (position === 2) positionBadge = '#2';
     else if (position === 3) positionBadge = '#3';
 
@@ -216,8 +554,8 @@ function renderPlayerRow(player, index, stage = null, maxGames = 0) {
 
     return `
         <tr class="${rowClass}">
-            <td class="results-position">${positionBadge}</td>
-            <td class="results-player-name">${player.playerName}</td>
+            <td class="results-position">${escapeHtml(positionBadge)}</td>
+            <td class="results-player-name">${escapeHtml(player.playerName)}${renderTieBreakNote(player)}</td>
             ${player.carryover > 0 ? `<td class="is-center results-carry">${player.carryover}</td>` : ''}
             ${gameCells}
             <td class="is-center">${player.average}</td>
@@ -235,7 +573,7 @@ function renderEmptyStage(stage, stageIndex) {
             <div class="results-stage-header">
                 <h2 class="results-stage-title is-muted">
                     <span class="results-stage-icon">${icon}</span>
-                    <span>${stage.stageName}</span>
+                    <span>${escapeHtml(stage.stageName)}</span>
                 </h2>
                 <div class="results-stage-meta">${stage.games} games</div>
             </div>
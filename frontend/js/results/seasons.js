@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Player of the Year standings
+ * Shows tour points for a season, with each event's points and the ones dropped.
+ * Loaded after results.js, whose renderResultsState and escapeHtml it shares.
+ */
+
+const seasonSelect = document.getElementById('seasonSelect');
+const seasonTitle = document.getElementById('seasonTitle');
+const seasonSubtitle = document.getElementById('seasonSubtitle');
+const seasonStandings = document.getElementById('seasonStandings');
+
+async function initSeasons() {
+    await loadSeasons();
+
+    // Default to the requested season, otherwise the latest one
+    const seasonId = new URLSearchParams(window.location.search).get('season');
+    if (seasonId && [...seasonSelect.options].some((option) => option.value === seasonId)) {
+        seasonSelect.value = seasonId;
+    } else if (seasonSelect.options.length > 1) {
+        seasonSelect.selectedIndex = 1;
+    }
+    if (seasonSelect.value) await loadSeasonStandings();
+
+    seasonSelect.addEventListener('change', loadSeasonStandings);
+}
+
+async function loadSeasons() {
+    try {
+        const response = await fetch('/api/seasons');
+        const seasons = await response.json();
+
+        seasonSelect.innerHTML = '<option value="">Choose a season...</option>';
+        seasons.forEach((season) => {
+            const option = document.createElement('option');
+            option.value = season._id;
+            option.textContent = season.name;
+            seasonSelect.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+    }
+}
+
+async function loadSeasonStandings() {
+    const seasonId = seasonSelect.value;
+
+    if (!seasonId) {
+        seasonTitle.textContent = 'Player of the Year';
+        seasonSubtitle.textContent = 'Tour points from every completed tournament in the season.';
+        seasonStandings.innerHTML = renderResultsState('Please select a season to view the Player of the Year race');
+        return;
+    }
+
+    seasonStandings.innerHTML = renderResultsState('Loading standings...');
+
+    try {
+        const response = await fetch(`/api/seasons/${seasonId}/standings`);
+        if (!response.ok) throw new Error('Failed to load standings');
+
+        const data = await response.json();
+        seasonTitle.textContent = data.season.name;
+        seasonSubtitle.textContent = `${data.events.length} of ${data.season.tournamentCount} events completed` +
+            (data.season.dropWorst ? ` | Worst ${data.season.dropWorst} ${data.season.dropWorst === 1 ? 'result' : 'results'} dropped` : '');
+
+        seasonStandings.innerHTML = data.standings.length > 0
+            ? renderSeasonStandings(data.events, data.standings)
+            : renderResultsState('No tour points yet. Standings update when a tournament is completed.');
+
+        const url = new URL(window.location);
+        url.searchParams.set('season', seasonId);
+        window.history.replaceState({}, '', url);
+    } catch (error) {
+        console.error('Error loading season standings:', error);
+        seasonStandings.innerHTML = renderResultsState('Failed to load standings. Please try again.', 'error');
+    }
+}
+
+function renderSeasonStandings(events, standings) {
+    const eventHeaders = events.map((event, index) => `<th class="is-center" title="${escapeHtml(event.name)}">E${index + 1}</th>`).join('');
+    const eventKey = events.map((event, index) => `E${index + 1}: ${escapeHtml(event.name)}`).join(' | ');
+
+    const rows = standings.map((player) => `
+        <tr class="${player.position <= 3 ? 'is-top-three' : ''}">
+            <td class="results-position">${player.position}</td>
+            <td class="results-player-name">${escapeHtml(player.playerName)}</td>
+            ${player.results.map((result) => `
+                <td class="is-center${result.counted ? '' : ' is-dropped-points'}" title="${result.position ? `Finished ${result.position}` : 'Did not play'}">${result.position ? result.points : '-'}</td>
+            `).join('')}
+            <td class="is-center">${player.eventsPlayed}</td>
+            <td class="is-center">${player.titles}</td>
+            <td class="is-center">${player.cuts}</td>
+            <td class="is-center">${player.bestFinish ?? '-'}</td>
+            <td class="is-center results-total">${player.points}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <section class="results-stage-card">
+            <div class="results-stage-header">
+                <h2 class="results-stage-title">
+                    <span class="results-stage-icon">Tour</span>
+                    <span>Player of the Year</span>
+                </h2>
+                <div class="results-stage-meta">${standings.length} bowlers</div>
+            </div>
+            <p class="results-stage-note">${eventKey}</p>
+            <div class="results-table-wrap">
+                <table class="results-table">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Player</th>
+                            ${eventHeaders}
+                            <th class="is-center">Events</th>
+                            <th class="is-center">Wins</th>
+                            <th class="is-center">Cuts</th>
+                            <th class="is-center">Best</th>
+                            <th class="is-center">Points</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows}
+                    </tbody>
+                </table>
+            </div>
+        </section>
+    `;
+}
+
+initSeasons();
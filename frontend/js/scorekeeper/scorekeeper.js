@@ -0,0 +1,580 @@
+/**
+ * @fileoverview Desk Score Entry
+ * Mobile-first score entry for scorekeepers signed in with a tournament
+ * access code (or admins). Saves go into a queue kept in localStorage and
+ * are sent in order, so entry carries on while the Wi-Fi is down. Each save
+ * carries the scores it replaced; when someone else changed them in the
+ * meantime the server refuses it and the scorekeeper picks which to keep.
+ */
+
+const SYNC_INTERVAL_MS = 15 * 1000;
+
+let csrfToken = null;
+let tournamentId = null;
+let entryData = null;
+let saveQueue = [];
+// Queued save the server wouldn't take: { item, error, current }
+let syncProblem = null;
+let isSyncing = false;
+let isSignedOut = false;
+
+const loginView = document.getElementById('loginView');
+const entryView = document.getElementById('entryView');
+const accessCodeInput = document.getElementById('accessCode');
+const loginBtn = document.getElementById('loginBtn');
+const loginMessage = document.getElementById('loginMessage');
+const entryTitle = document.getElementById('entryTitle');
+const connectionStatus = document.getElementById('connectionStatus');
+const queueStatus = document.getElementById('queueStatus');
+const logoutBtn = document.getElementById('logoutBtn');
+const problemPanel = document.getElementById('problemPanel');
+const stageSelect = document.getElementById('stageSelect');
+const squadField = document.getElementById('squadField');
+const squadSelect = document.getElementById('squadSelect');
+const bowlerSearch = document.getElementById('bowlerSearch');
+const bowlerList = document.getElementById('bowlerList');
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+}
+
+// ============================================================
+// LOCAL STORAGE
+// ============================================================
+
+function storageKey(name) {
+    return `scoreEntry:${name}:${tournamentId}`;
+}
+
+function readStored(key, fallback) {
+    try {
+        const value = localStorage.getItem(key);
+        return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function persistQueue() {
+    localStorage.setItem(storageKey('queue'), JSON.stringify(saveQueue));
+}
+
+function persistEntryData() {
+    localStorage.setItem(storageKey('data'), JSON.stringify(entryData));
+}
+
+// ============================================================
+// SERVER REQUESTS
+// ============================================================
+
+async function ensureCsrfToken(refresh = false) {
+    if (csrfToken && !refresh) return;
+    const response = await fetch('/api/csrf-token', { credentials: 'same-origin' });
+    const data = await response.json();
+    csrfToken = data.csrfToken;
+}
+
+// Fetch that refreshes an expired CSRF token once. Throws only when the
+// request never reached the server.
+async function sendRequest(url, method, body) {
+    await ensureCsrfToken();
+    const send = () => fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        credentials: 'same-origin',
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    let response = await send();
+    if (response.status === 403) {
+        const data = await response.clone().json().catch(() => ({}));
+        if (data.error === 'Invalid CSRF token') {
+            await ensureCsrfToken(true);
+            response = await send();
+        }
+    }
+    return response;
+}
+
+// ============================================================
+// SIGN IN
+// ============================================================
+
+function showLoginMessage(text) {
+    loginMessage.textContent = text;
+    loginMessage.classList.toggle('is-hidden', !text);
+}
+
+function showLogin(text = '') {
+    entryView.classList.add('is-hidden');
+    loginView.classList.remove('is-hidden');
+    showLoginMessage(text);
+    accessCodeInput.focus();
+}
+
+async function signIn() {
+    const code = accessCodeInput.value.trim();
+    if (!code) {
+        showLoginMessage('Enter your access code');
+        return;
+    }
+
+    loginBtn.disabled = true;
+    try {
+        const response = await sendRequest('/api/score-entry/login', 'POST', { code });
+        const data = await response.json();
+        if (!response.ok) {
+            showLoginMessage(data.error || 'Failed to sign in');
+            return;
+        }
+        accessCodeInput.value = '';
+        await openTournament(data.tournamentId);
+    } catch (error) {
+        showLoginMessage('No connection. Try again once you are back online.');
+    } finally {
+        loginBtn.disabled = false;
+    }
+}
+
+async function signOut() {
+    if (saveQueue.length > 0 &&
+        !confirm(`${saveQueue.length} ${saveQueue.length === 1 ? 'save has' : 'saves have'} not synced yet. They stay on this device until you sign in again. Sign out?`)) {
+        return;
+    }
+    try {
+        await sendRequest('/api/score-entry/logout', 'POST', {});
+    } catch (error) {
+        console.error('Error signing out:', error);
+    }
+    localStorage.removeItem('scoreEntry:lastTournament');
+    window.location.href = '/scorekeeper';
+}
+
+// ============================================================
+// LOADING
+// ============================================================
+
+async function init() {
+    loginBtn.addEventListener('click', signIn);
+    accessCodeInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') signIn();
+    });
+    logoutBtn.addEventListener('click', signOut);
+    stageSelect.addEventListener('change', () => {
+        renderSquadOptions();
+        renderBowlers();
+    });
+    squadSelect.addEventListener('change', renderBowlers);
+    bowlerSearch.addEventListener('input', renderBowlers);
+    window.addEventListener('online', () => {
+        updateStatus();
+        syncQueue();
+    });
+    window.addEventListener('offline', updateStatus);
+    setInterval(syncQueue, SYNC_INTERVAL_MS);
+
+    try {
+        const response = await fetch('/api/score-entry/session', { credentials: 'same-origin' });
+        const session = await response.json();
+        const requested = new URLSearchParams(window.location.search).get('tournament');
+
+        if (session.tournamentId) {
+            await openTournament(session.tournamentId);
+        } else if (session.isAdmin && requested) {
+            await openTournament(requested);
+        } else {
+            showLogin(session.isAdmin ? 'Open score entry from a tournament on the admin results page.' : '');
+        }
+    } catch (error) {
+        // Offline: carry on with what this device already has
+        const lastTournament = localStorage.getItem('scoreEntry:lastTournament');
+        if (lastTournament) {
+            await openTournament(lastTournament);
+        } else {
+            showLogin('No connection. Sign in once you are back online.');
+        }
+    }
+}
+
+async function openTournament(id) {
+    tournamentId = id;
+    isSignedOut = false;
+    localStorage.setItem('scoreEntry:lastTournament', id);
+    saveQueue = readStored(storageKey('queue'), []);
+    entryData = readStored(storageKey('data'), null);
+
+    loginView.classList.add('is-hidden');
+    entryView.classList.remove('is-hidden');
+
+    await refreshEntryData();
+    if (isSignedOut) return;
+    if (!entryData) {
+        bowlerList.innerHTML = '<p class="admin-empty-state">Score entry can\'t load without a connection. Try again once you are back online.</p>';
+        updateStatus();
+        return;
+    }
+
+    renderStageOptions();
+    renderBowlers();
+    updateStatus();
+    syncQueue();
+}
+
+async function refreshEntryData() {
+    try {
+        const response = await fetch(`/api/tournaments/${tournamentId}/score-entry`, { credentials: 'same-origin' });
+        if (response.status === 403) {
+            handleSignedOut();
+            return;
+        }
+        if (!response.ok) throw new Error('Failed to load score entry');
+        entryData = await response.json();
+        persistEntryData();
+    } catch (error) {
+        console.error('Error loading score entry:', error);
+    }
+}
+
+function handleSignedOut() {
+    isSignedOut = true;
+    const waiting = saveQueue.length > 0
+        ? ` Your ${saveQueue.length} unsynced ${saveQueue.length === 1 ? 'save is' : 'saves are'} kept on this device.`
+        : '';
+    showLogin(`Your score entry access has ended. Sign in again to carry on.${waiting}`);
+}
+
+// ============================================================
+// SCORES
+// ============================================================
+
+function scoreKey(stageIndex, squadId) {
+    return `${stageIndex}:${squadId || ''}`;
+}
+
+function getStage() {
+    return entryData.stages.find((stage) => stage.index === Number(stageSelect.value)) || entryData.stages[0];
+}
+
+function getSquadId(stage) {
+    return stage.bySquad ? squadSelect.value || null : null;
+}
+
+// Scores as this device sees them: the last queued save, else the server's
+function getLocalScores(registrationId, stageIndex, squadId) {
+    const key = scoreKey(stageIndex, squadId);
+    const queued = saveQueue.filter((item) =>
+        item.registrationId === registrationId && scoreKey(item.stageIndex, item.squad) === key
+    );
+    if (queued.length > 0) return queued[queued.length - 1].scores;
+    const bowler = entryData.bowlers.find((entry) => entry._id === registrationId);
+    return bowler?.scores[key] || [];
+}
+
+function isQueued(registrationId, stageIndex, squadId) {
+    const key = scoreKey(stageIndex, squadId);
+    return saveQueue.some((item) => item.registrationId === registrationId && scoreKey(item.stageIndex, item.squad) === key);
+}
+
+// Games in order; blank games after the last one bowled are left off
+function readGameInputs(registrationId, games) {
+    const values = Array.from({ length: games }, (_, gameIndex) =>
+        document.getElementById(`game-${registrationId}-${gameIndex}`).value.trim()
+    );
+    const lastBowled = values.map((value) => value !== '').lastIndexOf(true);
+    const scores = values.slice(0, lastBowled + 1);
+
+    if (scores.some((value) => value === '')) {
+        return { error: 'Fill in the games in order' };
+    }
+    const numbers = scores.map(Number);
+    if (numbers.some((score) => !Number.isInteger(score) || score < 0 || score > 300)) {
+        return { error: 'Scores must be whole numbers from 0 to 300' };
+    }
+    return { scores: numbers };
+}
+
+function sameScores(a, b) {
+    return a.length === b.length && a.every((score, index) => score === b[index]);
+}
+
+function saveBowlerScores(registrationId) {
+    const stage = getStage();
+    const squadId = getSquadId(stage);
+    const bowler = entryData.bowlers.find((entry) => entry._id === registrationId);
+    const result = readGameInputs(registrationId, stage.games);
+    const cardMessage = document.getElementById(`message-${registrationId}`);
+
+    if (result.error) {
+        cardMessage.textContent = result.error;
+        return;
+    }
+    if (result.scores.length === 0) {
+        cardMessage.textContent = 'Enter at least one game';
+        return;
+    }
+
+    const base = getLocalScores(registrationId, stage.index, squadId);
+    if (sameScores(base, result.scores)) {
+        cardMessage.textContent = 'No changes';
+        return;
+    }
+
+    saveQueue.push({
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        registrationId,
+        playerName: bowler.playerName,
+        stageIndex: stage.index,
+        squad: squadId,
+        scores: result.scores,
+        base,
+        queuedAt: new Date().toISOString()
+    });
+    persistQueue();
+    renderBowlerCard(bowler);
+    updateStatus();
+    syncQueue();
+}
+
+// ============================================================
+// SYNC
+// ============================================================
+
+// Send queued saves oldest first, stopping at the first that can't go yet
+async function syncQueue() {
+    if (isSyncing || isSignedOut || syncProblem || saveQueue.length === 0 || !navigator.onLine) return;
+
+    isSyncing = true;
+    updateStatus();
+    try {
+        while (saveQueue.length > 0 && !syncProblem) {
+            const item = saveQueue[0];
+            let response;
+            try {
+                response = await sendRequest(
+                    `/api/tournaments/${tournamentId}/score-entry/${item.registrationId}`,
+                    'PUT',
+                    { stageIndex: item.stageIndex, squad: item.squad, scores: item.scores, base: item.base }
+                );
+            } catch (error) {
+                // Dropped connection; try again on the next pass
+                break;
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (response.ok) {
+                completeQueuedSave(item, data.scores);
+            } else if (response.status === 409) {
+                syncProblem = { item, error: data.error, current: data.current };
+            } else if (response.status === 403 && data.error !== 'Scores are closed for this tournament') {
+                handleSignedOut();
+                break;
+            } else if (response.status === 429 || response.status >= 500) {
+                break;
+            } else {
+                syncProblem = { item, error: data.error || 'The server would not take this save', current: null };
+            }
+        }
+    } finally {
+        isSyncing = false;
+        renderProblem();
+        updateStatus();
+    }
+}
+
+function completeQueuedSave(item, scores) {
+    saveQueue.shift();
+    persistQueue();
+
+    const bowler = entryData.bowlers.find((entry) => entry._id === item.registrationId);
+    if (bowler) {
+        bowler.scores[scoreKey(item.stageIndex, item.squad)] = scores;
+        persistEntryData();
+        renderBowlerCard(bowler);
+    }
+}
+
+// Send this device's scores anyway, replacing the ones on the server
+function keepMyScores() {
+    syncProblem.item.base = syncProblem.current;
+    persistQueue();
+    syncProblem = null;
+    renderProblem();
+    syncQueue();
+}
+
+// Drop this device's save; the server's scores stand
+function discardMyScores() {
+    const { item, current } = syncProblem;
+    saveQueue.shift();
+    persistQueue();
+
+    const bowler = entryData.bowlers.find((entry) => entry._id === item.registrationId);
+    if (bowler && current) {
+        bowler.scores[scoreKey(item.stageIndex, item.squad)] = current;
+        persistEntryData();
+    }
+    syncProblem = null;
+    renderProblem();
+    if (bowler) renderBowlerCard(bowler);
+    updateStatus();
+    syncQueue();
+}
+
+// ============================================================
+// RENDERING
+// ============================================================
+
+function formatGames(scores) {
+    return scores.length > 0 ? scores.join(' / ') : 'no games';
+}
+
+function updateStatus() {
+    let state = 'online';
+    let text = 'Online';
+    if (!navigator.onLine) {
+        state = 'offline';
+        text = 'Offline';
+    } else if (syncProblem) {
+        state = 'problem';
+        text = 'Needs attention';
+    } else if (isSyncing) {
+        state = 'syncing';
+        text = 'Syncing...';
+    }
+    connectionStatus.className = `scorekeeper-status is-${state}`;
+    connectionStatus.textContent = text;
+
+    queueStatus.classList.toggle('is-hidden', saveQueue.length === 0);
+    queueStatus.textContent = `${saveQueue.length} waiting to sync`;
+    if (entryData) entryTitle.textContent = entryData.tournament.name;
+}
+
+function renderProblem() {
+    if (!syncProblem) {
+        problemPanel.classList.add('is-hidden');
+        problemPanel.innerHTML = '';
+        return;
+    }
+
+    const { item, error, current } = syncProblem;
+    problemPanel.innerHTML = `
+        <strong>${escapeHtml(error)}</strong>
+        ${current ? `
+            <p>On the server: ${escapeHtml(formatGames(current))}</p>
+            <p>From this device: ${escapeHtml(formatGames(item.scores))}</p>
+            <div class="scorekeeper-problem-actions">
+                <button class="button" type="button" onclick="keepMyScores()">Keep mine</button>
+                <button class="button scorekeeper-secondary" type="button" onclick="discardMyScores()">Keep theirs</button>
+            </div>
+        ` : `
+            <p>${escapeHtml(item.playerName)}: ${escapeHtml(formatGames(item.scores))}</p>
+            <div class="scorekeeper-problem-actions">
+                <button class="button scorekeeper-secondary" type="button" onclick="discardMyScores()">Discard this save</button>
+            </div>
+        `}
+        <p class="scorekeeper-muted">Saves after this one wait until it is sorted out.</p>
+    `;
+    problemPanel.classList.remove('is-hidden');
+}
+
+function renderStageOptions() {
+    const selected = stageSelect.value;
+    stageSelect.innerHTML = entryData.stages
+        .map((stage) => `<option value="${stage.index}">${escapeHtml(stage.name)}</option>`)
+        .join('');
+    if (entryData.stages.some((stage) => String(stage.index) === selected)) stageSelect.value = selected;
+    renderSquadOptions();
+}
+
+function renderSquadOptions() {
+    const stage = getStage();
+    squadField.classList.toggle('is-hidden', !stage?.bySquad);
+    if (!stage?.bySquad) return;
+
+    const selected = squadSelect.value;
+    squadSelect.innerHTML = entryData.tournament.squads
+        .map((squad) => `<option value="${squad._id}">${escapeHtml(squad.name)}</option>`)
+        .join('');
+    if (entryData.tournament.squads.some((squad) => squad._id === selected)) squadSelect.value = selected;
+}
+
+function getLane(bowler, squadId) {
+    const assignment = bowler.lanes.find((entry) => !squadId || entry.squad === squadId);
+    return assignment ? assignment.lane : null;
+}
+
+// Bowlers in the chosen stage (and squad), in lane order
+function getStageBowlers(stage, squadId) {
+    const search = bowlerSearch.value.trim().toLowerCase();
+    return entryData.bowlers
+        .filter((bowler) => {
+            const inStage = bowler.currentStage === stage.index ||
+                Object.keys(bowler.scores).some((key) => key.startsWith(`${stage.index}:`));
+            const inSquad = !squadId || bowler.squads.includes(squadId);
+            const lane = getLane(bowler, squadId);
+            const matches = !search || bowler.playerName.toLowerCase().includes(search) || String(lane) === search;
+            // Anyone in a squad can bowl a block in it
+            return (inStage || stage.bySquad) && inSquad && matches;
+        })
+        .sort((a, b) => (getLane(a, squadId) ?? Infinity) - (getLane(b, squadId) ?? Infinity));
+}
+
+function renderBowlerCardHtml(bowler, stage, squadId) {
+    const scores = getLocalScores(bowler._id, stage.index, squadId);
+    const lane = getLane(bowler, squadId);
+    const queued = isQueued(bowler._id, stage.index, squadId);
+    const total = scores.reduce((sum, score) => sum + score, 0);
+
+    const inputs = Array.from({ length: stage.games }, (_, gameIndex) => `
+        <label class="scorekeeper-game">
+            <span>G${gameIndex + 1}</span>
+            <input id="game-${bowler._id}-${gameIndex}" type="number" inputmode="numeric" min="0" max="300" value="${scores[gameIndex] ?? ''}" />
+        </label>
+    `).join('');
+
+    return `
+        <div class="scorekeeper-card-head">
+            <strong>${escapeHtml(bowler.playerName)}</strong>
+            <span class="scorekeeper-muted">${lane ? `Lane ${lane}` : ''}</span>
+            ${queued ? '<span class="scorekeeper-badge">Not synced</span>' : ''}
+        </div>
+        <div class="scorekeeper-games">${inputs}</div>
+        <div class="scorekeeper-card-foot">
+            <span>Total <strong>${total}</strong></span>
+            <span id="message-${bowler._id}" class="scorekeeper-card-message"></span>
+            <button class="button" type="button" onclick="saveBowlerScores('${bowler._id}')">Save</button>
+        </div>
+    `;
+}
+
+function renderBowlerCard(bowler) {
+    const card = document.getElementById(`card-${bowler._id}`);
+    if (!card) return;
+    const stage = getStage();
+    card.innerHTML = renderBowlerCardHtml(bowler, stage, getSquadId(stage));
+}
+
+function renderBowlers() {
+    const stage = getStage();
+    if (!stage) {
+        bowlerList.innerHTML = '<p class="admin-empty-state">This tournament has no stages scored by bowler.</p>';
+        return;
+    }
+
+    const squadId = getSquadId(stage);
+    const bowlers = getStageBowlers(stage, squadId);
+    bowlerList.innerHTML = bowlers.length === 0
+        ? '<p class="admin-empty-state">No bowlers found.</p>'
+        : bowlers.map((bowler) => `
+            <section id="card-${bowler._id}" class="card scorekeeper-card">
+                ${renderBowlerCardHtml(bowler, stage, squadId)}
+            </section>
+        `).join('');
+}
+
+init();
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Frame-by-frame ten-pin scoring shared by the server and the admin UI
+ * ES module: the server validates and totals frames with it, and the admin
+ * score grid uses it to read and show frame notation.
+ * A game is an array of up to 10 frames, each an array of pins per ball.
+ * Frames after the last one bowled are left off, so a game can be in progress.
+ * @module shared/frames
+ */
+
+export const FRAMES_PER_GAME = 10;
+
+// Pins standing for the next ball of a frame. The rack is reset after a
+// strike or spare, which only carries on within the tenth frame.
+function pinsStanding(balls) {
+    let standing = 10;
+    balls.forEach((pins) => {
+        standing -= pins;
+        if (standing === 0) standing = 10;
+    });
+    return standing;
+}
+
+function isFrameComplete(frame, isTenth) {
+    if (!isTenth) return frame[0] === 10 || frame.length === 2;
+    return frame.length === 3 || (frame.length === 2 && frame[0] + frame[1] < 10);
+}
+
+/**
+ * Check a game's frames against ten-pin rules
+ * @param {Array<Array<number>>} frames - Pins per ball, frame by frame
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFrames(frames) {
+    if (!Array.isArray(frames) || frames.length > FRAMES_PER_GAME) {
+        return `A game has at most ${FRAMES_PER_GAME} frames`;
+    }
+
+    for (let index = 0; index < frames.length; index++) {
+        const frame = frames[index];
+        const isTenth = index === FRAMES_PER_GAME - 1;
+        const isLast = index === frames.length - 1;
+
+        if (!Array.isArray(frame) || frame.length === 0 || frame.length > (isTenth ? 3 : 2)) {
+            return `Frame ${index + 1} has the wrong number of balls`;
+        }
+
+        for (let ball = 0; ball < frame.length; ball++) {
+            const pins = frame[ball];
+            const standing = pinsStanding(frame.slice(0, ball));
+            if (!Number.isInteger(pins) || pins < 0 || pins > standing) {
+                return `Frame ${index + 1} ball ${ball + 1}: ${pins} pins, but only ${standing} were standing`;
+            }
+            if (ball > 0 && isFrameComplete(frame.slice(0, ball), isTenth)) {
+                return `Frame ${index + 1} has a ball after the frame was finished`;
+            }
+        }
+
+        // Only the frame being bowled can be unfinished
+        if (!isLast && !isFrameComplete(frame, isTenth)) {
+            return `Frame ${index + 1} is not finished`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Score a game from its frames. Strike and spare bonuses count the balls
+ * bowled so far, so a game in progress shows its running total.
+ * @param {Array<Array<number>>} frames - Valid frames
+ * @returns {Object} { total, frameTotals (running total after each frame), complete }
+ */
+export function scoreFrames(frames) {
+    const balls = frames.flat();
+    const frameTotals = [];
+    let total = 0;
+    let ballIndex = 0;
+
+    frames.forEach((frame, index) => {
+        const framePins = frame.reduce((sum, pins) => sum + pins, 0);
+        let bonus = 0;
+        if (index < FRAMES_PER_GAME - 1) {
+            const next = balls.slice(ballIndex + frame.length, ballIndex + frame.length + 2);
+            if (frame[0] === 10) {
+                bonus = next.reduce((sum, pins) => sum + pins, 0);
+            } else if (framePins === 10) {
+                bonus = next[0] || 0;
+            }
+        }
+        total += framePins + bonus;
+        frameTotals.push(total);
+        ballIndex += frame.length;
+    });
+
+    const complete = frames.length === FRAMES_PER_GAME &&
+        isFrameComplete(frames[FRAMES_PER_GAME - 1], true);
+    return { total, frameTotals, complete };
+}
+
+/**
+ * Read frames from score sheet notation: X strike, / spare, - miss, F foul,
+ * digits for pins. Spaces and | between frames are optional.
+ * @param {string} text - e.g. "X 7/ 9- X X 81 X X X XX9"
+ * @returns {Object} { frames } or { error }
+ */
+export function parseFrameNotation(text) {
+    const marks = String(text || '').toUpperCase().replace(/[\s|,]/g, '');
+    const frames = [];
+    let frame = [];
+
+    for (const mark of marks) {
+        if (frames.length === FRAMES_PER_GAME) {
+            return { error: `More than ${FRAMES_PER_GAME} frames` };
+        }
+
+        const isTenth = frames.length === FRAMES_PER_GAME - 1;
+        const standing = pinsStanding(frame);
+        let pins;
+        if (mark === 'X') {
+            if (standing !== 10) return { error: `Frame ${frames.length + 1}: X needs a full rack` };
+            pins = 10;
+        } else if (mark === '/') {
+            if (standing === 10) return { error: `Frame ${frames.length + 1}: / needs pins left standing` };
+            pins = standing;
+        } else if (mark === '-' || mark === 'F') {
+            pins = 0;
+        } else if (/^\d$/.test(mark)) {
+            pins = Number(mark);
+        } else {
+            return { error: `Unknown mark "${mark}"` };
+        }
+
+        frame.push(pins);
+        if (isFrameComplete(frame, isTenth)) {
+            frames.push(frame);
+            frame = [];
+        }
+    }
+    if (frame.length > 0) frames.push(frame);
+
+    const error = validateFrames(frames);
+    return error ? { error } : { frames };
+}
+
+/**
+ * Write frames as score sheet notation
+ * @param {Array<Array<number>>} frames - Valid frames
+ * @returns {string} e.g. "X 7/ 9- X"
+ */
+export function formatFrameNotation(frames) {
+    return (frames || []).map((frame) => frame.map((pins, ball) => {
+        const standing = pinsStanding(frame.slice(0, ball));
+        if (pins === standing) return standing === 10 ? 'X' : '/';
+        return pins === 0 ? '-' : String(pins);
+    }).join('')).join(' ');
+}
+
+/**
+ * Strike, spare and open frame counts for one finished game. Every ball at
+ * a full rack is a strike chance; every ball at the pins left by one is a
+ * spare chance.
+ * @param {Array<Array<number>>} frames - Valid, complete frames
+ * @returns {Object} { strikes, strikeChances, spares, spareChances, openFrames, clean }
+ */
+export function getGameFrameStats(frames) {
+    const stats = { strikes: 0, strikeChances: 0, spares: 0, spareChances: 0, openFrames: 0 };
+
+    frames.forEach((frame) => {
+        frame.forEach((pins, ball) => {
+            const standing = pinsStanding(frame.slice(0, ball));
+            if (standing === 10) {
+                stats.strikeChances++;
+                if (pins === 10) stats.strikes++;
+            } else if (ball > 0 && pinsStanding(frame.slice(0, ball - 1)) === 10) {
+                stats.spareChances++;
+                if (pins === standing) stats.spares++;
+            }
+        });
+        if (frame[0] < 10 && frame[0] + frame[1] < 10) stats.openFrames++;
+    });
+
+    return { ...stats, clean: stats.openFrames === 0 };
+}
+
+/**
+ * Frame stats and honour scores across a bowler's stage scores. Honour
+ * scores come from game totals, so games entered without frames count too;
+ * an 800 series is a three-game set (games 1-3, 4-6, ...) of 800 or more.
+ * @param {Array<Object>} stageScores - Entries with scores and optional frames
+ * @returns {Object} Totals: framedGames, strikes, strikeChances, spares,
+ * spareChances, openFrames, cleanGames, perfectGames, eightHundredSeries
+ */
+export function tallyFrameStats(stageScores) {
+    const totals = {
+        framedGames: 0,
+        strikes: 0,
+        strikeChances: 0,
+        spares: 0,
+        spareChances: 0,
+        openFrames: 0,
+        cleanGames: 0,
+        perfectGames: 0,
+        eightHundredSeries: 0
+    };
+
+    (stageScores || []).forEach((stage) => {
+        const scores = stage.scores || [];
+        totals.perfectGames += scores.filter((score) => score === 300).length;
+        for (let i = 0; i + 3 <= scores.length; i += 3) {
+            if (scores[i] + scores[i + 1] + scores[i + 2] >= 800) totals.eightHundredSeries++;
+        }
+
+        (stage.frames || []).forEach((frames) => {
+            if (!frames?.length || validateFrames(frames) || !scoreFrames(frames).complete) return;
+            const game = getGameFrameStats(frames);
+            totals.framedGames++;
+            totals.strikes += game.strikes;
+            totals.strikeChances += game.strikeChances;
+            totals.spares += game.spares;
+            totals.spareChances += game.spareChances;
+            totals.openFrames += game.openFrames;
+            if (game.clean) totals.cleanGames++;
+        });
+    });
+
+    return totals;
+}
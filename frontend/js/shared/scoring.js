@@ -0,0 +1,113 @@
+/**
+ * @fileoverview Score breakdown shared by the results API and the admin UI
+ * ES module: imported directly by the server and loaded as a module in the browser,
+ * so handicap, female pins, bonus pins and carryover are worked out one way.
+ * @module shared/scoring
+ */
+
+/**
+ * Fallbacks for tournaments saved before a format field existed.
+ * These match the Tournament schema defaults.
+ */
+export const SCORING_DEFAULTS = {
+    handicapBase: 200,
+    handicapPercentage: 90,
+    femaleHandicapPins: 8,
+    averageScore: 180 // Used when a bowler hasn't entered an average
+};
+
+/**
+ * Average handicap is worked from: the entering average chosen by the
+ * tournament's policy, falling back to the self-reported average
+ * @param {Object} registration - Registration ({ enteringAverage, averageScore })
+ * @returns {number}
+ */
+export function getHandicapAverage(registration) {
+    return registration?.enteringAverage?.value
+        || registration?.averageScore
+        || SCORING_DEFAULTS.averageScore;
+}
+
+/**
+ * Format a division is scored under. A division set to scratch or handicap
+ * overrides the tournament's handicap setting; the handicap base and
+ * percentage still come from the tournament.
+ * @param {Object} format - Tournament format settings
+ * @param {string} divisionKey - Division key ('' for a single field)
+ * @returns {Object} Format settings for the division
+ */
+export function getDivisionFormat(format, divisionKey) {
+    const division = (format?.divisions || []).find(entry => entry.key === divisionKey);
+    if (!division?.scoring) return format;
+    return { ...format, useHandicap: division.scoring === 'handicap' };
+}
+
+/**
+ * Format a bowler's own scores are shown under: that of the first division
+ * they entered, the one they bowl matchplay and finals in
+ * @param {Object} format - Tournament format settings
+ * @param {Object} registration - Registration ({ divisions })
+ * @returns {Object} Format settings
+ */
+export function getRegistrationFormat(format, registration) {
+    const entered = registration?.divisions || [];
+    const division = (format?.divisions || []).find(entry => entered.includes(entry.key));
+    return getDivisionFormat(format, division?.key);
+}
+
+/**
+ * Handicap a bowler receives each game under a tournament format
+ * @param {Object} format - Tournament format settings
+ * @param {Object} registration - Registration ({ enteringAverage, averageScore, gender })
+ * @returns {{handicap: number, femalePins: number, perGame: number}}
+ */
+export function getHandicapPerGame(format, registration) {
+    if (!format?.useHandicap) {
+        return { handicap: 0, femalePins: 0, perGame: 0 };
+    }
+
+    const base = format.handicapBase ?? SCORING_DEFAULTS.handicapBase;
+    const percentage = format.handicapPercentage ?? SCORING_DEFAULTS.handicapPercentage;
+    const average = getHandicapAverage(registration);
+    const handicap = average < base ? Math.round((base - average) * (percentage / 100)) : 0;
+
+    // Female pins only apply when men and women bowl in one division
+    const femalePins = registration?.gender === 'female' && !format.separateDivisions
+        ? (format.femaleHandicapPins ?? SCORING_DEFAULTS.femaleHandicapPins)
+        : 0;
+
+    return { handicap, femalePins, perGame: handicap + femalePins };
+}
+
+/**
+ * Full score breakdown for one bowler in one stage
+ * @param {Object} format - Tournament format settings
+ * @param {Object} registration - Registration ({ averageScore, gender })
+ * @param {Object} stageScore - { scores, bonusPins, carryover }
+ * @returns {Object} Scratch, handicap, bonus and carryover totals plus the grand total
+ */
+export function calculateScoreBreakdown(format, registration, stageScore) {
+    const scores = stageScore?.scores || [];
+    const bonusPins = stageScore?.bonusPins || [];
+    const carryover = stageScore?.carryover || 0;
+    const gamesPlayed = scores.length;
+
+    const { perGame } = getHandicapPerGame(format, registration);
+    const scratchTotal = scores.reduce((sum, score) => sum + score, 0);
+    const totalHandicap = perGame * gamesPlayed;
+    const totalBonus = bonusPins.reduce((sum, pins) => sum + pins, 0);
+
+    return {
+        scores,
+        bonusPins,
+        gamesPlayed,
+        scratchTotal,
+        handicapPerGame: perGame,
+        totalHandicap,
+        totalBonus,
+        carryover,
+        total: scratchTotal + totalHandicap + totalBonus + carryover,
+        average: gamesPlayed > 0 ? Math.round(scratchTotal / gamesPlayed) : 0,
+        high: gamesPlayed > 0 ? Math.max(...scores) : 0
+    };
+}
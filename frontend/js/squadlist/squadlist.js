@@ -129,6 +129,8 @@ async function loadSquads(tournamentId) {
                                 </div>
                             </div>
                             
+                            ${squad.lanesAssigned ? '<div class="lanes-note">Lanes assigned. Hover a lane to see where you move each block.</div>' : ''}
+
                             <div class="capacity-info${isFull ? ' full' : ''}">
                                 <span class="capacity-label">Registered / Capacity</span>
                                 <span class="capacity-count">${squad.bowlers.length} / ${squad.capacity}</span>
@@ -139,6 +141,7 @@ async function loadSquads(tournamentId) {
                                     ${squad.bowlers.map(bowler => `
                                         <li class="bowler-item">
                                             <span class="bowler-name">
+                                                ${bowler.lane ? `<span class="bowler-lane" title="${formatLaneRotation(bowler.laneRotation)}">Lane ${bowler.lane}</span>` : ''}
                                                 ${bowler.bowlerId ? `<a href="/playerstats?id=${bowler.bowlerId}">${bowler.name}</a>` : bowler.name}
                                             </span>
                                             ${bowler.averageScore ? `<span class="bowler-avg">Avg: ${bowler.averageScore}</span>` : ''}
@@ -158,6 +161,15 @@ async function loadSquads(tournamentId) {
     }
 }
 
+/**
+ * Describes the lanes a bowler moves through, one per block
+ * @param {Array<number>} rotation - Lane for each block
+ * @returns {string} e.g. "Block 1: lane 3, Block 2: lane 7"
+ */
+function formatLaneRotation(rotation) {
+    return (rotation || []).map((lane, index) => `Block ${index + 1}: lane ${lane}`).join(', ');
+}
+
 // ============================================================================
 // EVENT HANDLERS
 // ============================================================================